@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+
+const upload = multer({
+  dest: process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'postwomen-uploads'),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    files: 20
+  }
+});
+
+// Accept multipart proxy calls: a "request" field holding the JSON request and one part
+// per uploaded file, referenced from the body by field name. JSON calls pass straight through.
+const parseProxyUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.any()(req, res, async (error) => {
+    if (error) {
+      await removeUploads(req.files);
+      return res.status(400).json({ error: 'Invalid upload', message: error.message });
+    }
+
+    try {
+      req.body = JSON.parse(req.body.request || '{}');
+    } catch {
+      await removeUploads(req.files);
+      return res.status(400).json({ error: 'Invalid upload', message: 'The request field must be a JSON object' });
+    }
+
+    next();
+  });
+};
+
+// Accept text files (.proto, WSDL, XSD) as multipart parts, read into req.body.files as { name, content }.
+// JSON calls pass the same files array directly.
+const parseTextUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.any()(req, res, async (error) => {
+    if (error) {
+      await removeUploads(req.files);
+      return res.status(400).json({ error: 'Invalid upload', message: error.message });
+    }
+
+    try {
+      const files = await Promise.all(req.files.map(async file => ({
+        name: file.originalname,
+        content: await fs.promises.readFile(file.path, 'utf8')
+      })));
+      req.body = { ...req.body, files };
+      next();
+    } catch (readError) {
+      res.status(400).json({ error: 'Invalid upload', message: readError.message });
+    } finally {
+      await removeUploads(req.files);
+    }
+  });
+};
+
+// Delete the temporary files of an upload once the request is done
+const removeUploads = async (files = []) => {
+  await Promise.all((files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+export {
+  parseProxyUpload,
+  parseTextUpload,
+  removeUploads
+};
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  // Dotted action name, e.g. outbound.blocked
+  action: {
+    type: String,
+    required: true
+  },
+  // Null for anonymous requests
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: 'anonymous'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+// Keep audit entries for 90 days
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
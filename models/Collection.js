@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  auth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  scripts: {
+    preRequest: {
+      type: String,
+      default: ''
+    },
+    test: {
+      type: String,
+      default: ''
+    }
+  },
+  extensions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+collectionSchema.index({ owner: 1, createdAt: -1 });
+collectionSchema.index({ 'sharedWith.user': 1 });
+
+// Instance method to check if a user can read the collection
+collectionSchema.methods.canView = function(user) {
+  if (user.role === 'admin' || this.owner.toString() === user._id.toString()) {
+    return true;
+  }
+  return this.sharedWith.some(share => share.user.toString() === user._id.toString());
+};
+
+// Instance method to check if a user can modify the collection contents
+collectionSchema.methods.canEdit = function(user) {
+  if (user.role === 'admin' || this.owner.toString() === user._id.toString()) {
+    return true;
+  }
+  return this.sharedWith.some(share =>
+    share.user.toString() === user._id.toString() && share.role === 'editor'
+  );
+};
+
+// Instance method to build the nested folder/request tree
+collectionSchema.methods.getTree = async function() {
+  const Folder = mongoose.model('Folder');
+  const Request = mongoose.model('Request');
+
+  const [folders, requests] = await Promise.all([
+    Folder.find({ collectionId: this._id }).sort({ order: 1, createdAt: 1 }).lean(),
+    Request.find({ collectionId: this._id }).sort({ order: 1, createdAt: 1 }).lean()
+  ]);
+
+  const nodes = new Map();
+  for (const folder of folders) {
+    nodes.set(folder._id.toString(), { ...folder, type: 'folder', items: [] });
+  }
+
+  const root = [];
+  const attach = (parentId, item) => {
+    const parent = parentId ? nodes.get(parentId.toString()) : null;
+    (parent ? parent.items : root).push(item);
+  };
+
+  for (const node of nodes.values()) {
+    attach(node.parent, node);
+  }
+  for (const request of requests) {
+    attach(request.folder, { ...request, type: 'request' });
+  }
+
+  // Folders and requests share one ordering space within each parent
+  const sortItems = (items) => {
+    items.sort((a, b) => a.order - b.order);
+    items.forEach(item => item.items && sortItems(item.items));
+    return items;
+  };
+
+  return {
+    ...this.toObject(),
+    items: sortItems(root)
+  };
+};
+
+// Static method to get the next free position among a parent folder's children
+collectionSchema.statics.getNextOrder = async function(collectionId, parentId = null) {
+  const Folder = mongoose.model('Folder');
+  const Request = mongoose.model('Request');
+
+  const [lastFolder, lastRequest] = await Promise.all([
+    Folder.findOne({ collectionId, parent: parentId }).sort({ order: -1 }).select('order'),
+    Request.findOne({ collectionId, folder: parentId }).sort({ order: -1 }).select('order')
+  ]);
+
+  return Math.max(lastFolder?.order ?? -1, lastRequest?.order ?? -1) + 1;
+};
+
+// Static method to find all collections a user owns or has been given access to
+collectionSchema.statics.findAccessible = function(userId) {
+  return this.find({
+    $or: [
+      { owner: userId },
+      { 'sharedWith.user': userId }
+    ]
+  });
+};
+
+export default mongoose.model('Collection', collectionSchema);
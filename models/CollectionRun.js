@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+const collectionRunSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    required: true
+  },
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  environmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Environment',
+    default: null
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  options: {
+    iterations: {
+      type: Number,
+      default: 1,
+      min: [1, 'At least one iteration is required'],
+      max: [1000, 'Cannot exceed 1000 iterations']
+    },
+    delay: {
+      type: Number,
+      default: 0,
+      min: [0, 'Delay cannot be negative'],
+      max: [60000, 'Delay cannot exceed 60000 ms']
+    },
+    stopOnFailure: {
+      type: Boolean,
+      default: false
+    },
+    dataFileName: {
+      type: String,
+      default: null
+    }
+  },
+  totalRequests: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    executedRequests: { type: Number, default: 0 },
+    failedRequests: { type: Number, default: 0 },
+    totalTests: { type: Number, default: 0 },
+    passedTests: { type: Number, default: 0 },
+    failedTests: { type: Number, default: 0 },
+    totalDuration: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for run progress as a percentage
+collectionRunSchema.virtual('progress').get(function() {
+  if (!this.totalRequests || !this.summary) return 0;
+  return Math.round((this.summary.executedRequests / this.totalRequests) * 100);
+});
+
+// Index for better query performance
+collectionRunSchema.index({ owner: 1, createdAt: -1 });
+collectionRunSchema.index({ collectionId: 1, createdAt: -1 });
+
+export default mongoose.model('CollectionRun', collectionRunSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One executed request of a collection run, stored apart from the run so large
+// runs are not limited by the size of a single document
+const collectionRunResultSchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CollectionRun',
+    required: true
+  },
+  iteration: {
+    type: Number,
+    required: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request'
+  },
+  name: String,
+  method: String,
+  url: String,
+  status: Number,
+  statusText: String,
+  duration: Number,
+  size: Number,
+  tests: [{
+    name: String,
+    passed: Boolean,
+    error: String
+  }],
+  scriptErrors: [mongoose.Schema.Types.Mixed],
+  error: {
+    type: String,
+    default: null
+  },
+  passed: {
+    type: Boolean,
+    default: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Results are read back in execution order
+collectionRunResultSchema.index({ runId: 1, _id: 1 });
+
+export default mongoose.model('CollectionRunResult', collectionRunResultSchema);
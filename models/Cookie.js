@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const cookieSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: [true, 'Cookie name is required'],
+    trim: true
+  },
+  value: {
+    type: String,
+    default: ''
+  },
+  domain: {
+    type: String,
+    required: [true, 'Cookie domain is required'],
+    trim: true,
+    lowercase: true
+  },
+  path: {
+    type: String,
+    default: '/'
+  },
+  // Session cookies have no expiry and are kept until they are cleared
+  expires: {
+    type: Date,
+    default: null
+  },
+  // Host-only cookies are sent to the exact domain, not its subdomains
+  hostOnly: {
+    type: Boolean,
+    default: true
+  },
+  httpOnly: {
+    type: Boolean,
+    default: false
+  },
+  secure: {
+    type: Boolean,
+    default: false
+  },
+  sameSite: {
+    type: String,
+    enum: ['strict', 'lax', 'none', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+cookieSchema.index({ owner: 1, domain: 1, path: 1, key: 1 }, { unique: true });
+// Remove cookies once they expire
+cookieSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Cookie', cookieSchema);
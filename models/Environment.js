@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const variableSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Variable key is required'],
+    trim: true
+  },
+  value: {
+    type: String,
+    default: ''
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  secret: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const environmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Environment name is required'],
+    trim: true,
+    maxlength: [100, 'Environment name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['global', 'collection', 'environment'],
+    default: 'environment'
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null,
+    required: [
+      function() { return this.scope === 'collection'; },
+      'Collection ID is required for collection variables'
+    ]
+  },
+  variables: [variableSchema],
+  // Default request settings for requests sent with this environment
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  extensions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+environmentSchema.index({ owner: 1, scope: 1 });
+// One global variable set per user and one variable set per collection
+environmentSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { scope: 'global' } });
+environmentSchema.index({ collectionId: 1 }, { unique: true, partialFilterExpression: { scope: 'collection' } });
+
+// Instance method to get enabled variables as a plain key/value object
+environmentSchema.methods.toVariableMap = function() {
+  const map = {};
+  for (const variable of this.variables) {
+    if (variable.enabled) {
+      map[variable.key] = variable.value;
+    }
+  }
+  return map;
+};
+
+// Instance method to set or update a variable value
+environmentSchema.methods.setVariable = function(key, value) {
+  const existing = this.variables.find(variable => variable.key === key);
+  if (existing) {
+    existing.value = value;
+    existing.enabled = true;
+  } else {
+    this.variables.push({ key, value });
+  }
+};
+
+// Instance method to remove a variable
+environmentSchema.methods.unsetVariable = function(key) {
+  this.variables = this.variables.filter(variable => variable.key !== key);
+};
+
+// Static method to get (or lazily create) a user's global variables
+environmentSchema.statics.getGlobals = async function(userId) {
+  const globals = await this.findOne({ owner: userId, scope: 'global' });
+  if (globals) return globals;
+
+  return this.create({ name: 'Globals', owner: userId, scope: 'global' });
+};
+
+export default mongoose.model('Environment', environmentSchema);
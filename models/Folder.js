@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  auth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  scripts: {
+    preRequest: {
+      type: String,
+      default: ''
+    },
+    test: {
+      type: String,
+      default: ''
+    }
+  },
+  extensions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+folderSchema.index({ collectionId: 1, parent: 1, order: 1 });
+
+// Static method to collect a folder and all of its nested sub-folder IDs
+folderSchema.statics.getDescendantIds = async function(folderId) {
+  const ids = [folderId];
+  let frontier = [folderId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parent: { $in: frontier } }).select('_id').lean();
+    frontier = children.map(child => child._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+export default mongoose.model('Folder', folderSchema);
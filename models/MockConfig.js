@@ -0,0 +1,314 @@
+import mongoose from 'mongoose';
+import safeRegex from 'safe-regex2';
+import { parseJsonPath } from '../utils/jsonPath.js';
+
+const mockResponseSchema = new mongoose.Schema({
+  status: {
+    type: Number,
+    default: 200,
+    min: [100, 'Response status must be between 100 and 599'],
+    max: [599, 'Response status must be between 100 and 599']
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ 'Content-Type': 'application/json' })
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  delay: {
+    type: Number,
+    default: 0,
+    min: [0, 'Response delay cannot be negative']
+  }
+}, { _id: false, minimize: false });
+
+// A condition on the incoming request. Keys are query parameter, header or path parameter names,
+// or a JSONPath into the body ("$.user.status"); an empty body key matches against the whole body.
+const mockConditionSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['query', 'header', 'param', 'body'],
+    required: [true, 'Condition source is required']
+  },
+  key: {
+    type: String,
+    default: '',
+    trim: true,
+    validate: [
+      {
+        validator: function(key) { return this.source === 'body' || key.length > 0; },
+        message: 'Condition key is required for query, header and path parameter conditions'
+      },
+      {
+        validator: function(key) { return this.source !== 'body' || !key || parseJsonPath(key) !== null; },
+        message: props => `Invalid JSONPath: ${props.value}`
+      }
+    ]
+  },
+  operator: {
+    type: String,
+    enum: ['equals', 'notEquals', 'contains', 'regex', 'exists', 'notExists'],
+    default: 'equals'
+  },
+  value: {
+    type: String,
+    default: '',
+    maxlength: [1000, 'Condition value cannot exceed 1000 characters'],
+    validate: [
+      {
+        validator: function(value) {
+          if (this.operator !== 'regex') return true;
+          try {
+            new RegExp(value);
+            return true;
+          } catch {
+            return false;
+          }
+        },
+        message: props => `Invalid regular expression: ${props.value}`
+      },
+      {
+        // Patterns are run against input from anyone calling the mock, nested repetition could stall the server
+        validator: function(value) { return this.operator !== 'regex' || safeRegex(value); },
+        message: props => `Regular expression may backtrack catastrophically: ${props.value}`
+      }
+    ]
+  }
+}, { _id: false });
+
+// An alternative response, chosen when all of its conditions match
+const mockVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: 'Variant',
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  // Only used while this scenario is active, null for variants used in every scenario
+  scenario: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Variants are tried from the highest priority down, in list order for equal priorities
+  priority: {
+    type: Number,
+    default: 0
+  },
+  conditions: [mockConditionSchema],
+  response: {
+    type: mockResponseSchema,
+    default: () => ({})
+  }
+}, {
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const mockRouteSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    default: 'GET',
+    uppercase: true,
+    trim: true
+  },
+  path: {
+    type: String,
+    required: [true, 'Route path is required'],
+    trim: true
+  },
+  // The default response, sent when no variant matches
+  response: {
+    type: mockResponseSchema,
+    default: () => ({})
+  },
+  variants: [mockVariantSchema],
+  // Responses sent in turn on successive calls when no variant matches, instead of the default response.
+  // After the last one the sequence keeps repeating it, or starts over in loop mode.
+  sequence: [mockResponseSchema],
+  sequenceMode: {
+    type: String,
+    enum: ['repeatLast', 'loop'],
+    default: 'repeatLast'
+  },
+  // Body values that are a single {{...}} expression keep the expression's type instead of
+  // becoming strings. Set on routes imported from OpenAPI, whose templates stand in for typed fields.
+  typedTemplates: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A collection served with list, get, create, replace, update and delete endpoints.
+// Its items start from the seed and change with each call until the resource is reset.
+const mockResourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Resource name cannot exceed 100 characters']
+  },
+  path: {
+    type: String,
+    required: [true, 'Resource path is required'],
+    trim: true,
+    validate: {
+      validator: path => !/[:*]/.test(path),
+      message: 'Resource paths cannot contain parameters or wildcards'
+    }
+  },
+  idField: {
+    type: String,
+    default: 'id',
+    trim: true
+  },
+  // New items get the next number, or a UUID for string IDs
+  idType: {
+    type: String,
+    enum: ['number', 'string'],
+    default: 'number'
+  },
+  seed: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+    validate: {
+      validator: seed => seed.every(item => item !== null && typeof item === 'object' && !Array.isArray(item)),
+      message: 'Resource seed items must be objects'
+    }
+  },
+  // Page size when a list is requested with _page but without _limit
+  pageSize: {
+    type: Number,
+    default: 10,
+    min: [1, 'Page size must be at least 1'],
+    max: [1000, 'Page size cannot exceed 1000']
+  }
+}, {
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const mockConfigSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: 'New Mock Server',
+    trim: true,
+    maxlength: [100, 'Mock configuration name cannot exceed 100 characters']
+  },
+  baseUrl: {
+    type: String,
+    default: '/api',
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  routes: [mockRouteSchema],
+  resources: [mockResourceSchema],
+  // Named sets of variants, such as "happy path" or "payment declined", switched on together
+  scenarios: {
+    type: [{
+      name: {
+        type: String,
+        required: [true, 'Scenario name is required'],
+        trim: true,
+        maxlength: [100, 'Scenario name cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        default: '',
+        maxlength: [500, 'Scenario description cannot exceed 500 characters']
+      }
+    }],
+    validate: {
+      validator: scenarios => new Set(scenarios.map(scenario => scenario.name)).size === scenarios.length,
+      message: 'Scenario names must be unique'
+    }
+  },
+  activeScenario: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(name) { return name === null || this.scenarios.some(scenario => scenario.name === name); },
+      message: props => `Unknown scenario: ${props.value}`
+    }
+  },
+  importedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+mockConfigSchema.index({ owner: 1, updatedAt: -1 });
+mockConfigSchema.index({ 'sharedWith.user': 1 });
+
+// Where the config is served: its routes and resources are reached below this path
+mockConfigSchema.virtual('mockUrl').get(function() {
+  return `/mock/${this.id}${(this.baseUrl || '').replace(/\/$/, '')}`;
+});
+
+// Instance method to check if a user can read the mock configuration
+mockConfigSchema.methods.canView = function(user) {
+  if (user.role === 'admin' || this.owner.toString() === user._id.toString()) {
+    return true;
+  }
+  return this.sharedWith.some(share => share.user.toString() === user._id.toString());
+};
+
+// Instance method to check if a user can modify the mock configuration and its routes
+mockConfigSchema.methods.canEdit = function(user) {
+  if (user.role === 'admin' || this.owner.toString() === user._id.toString()) {
+    return true;
+  }
+  return this.sharedWith.some(share =>
+    share.user.toString() === user._id.toString() && share.role === 'editor'
+  );
+};
+
+// Static method to find all mock configurations a user owns or has been given access to
+mockConfigSchema.statics.findAccessible = function(userId) {
+  return this.find({
+    $or: [
+      { owner: userId },
+      { 'sharedWith.user': userId }
+    ]
+  });
+};
+
+export default mongoose.model('MockConfig', mockConfigSchema);
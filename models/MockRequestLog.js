@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const mockRequestLogSchema = new mongoose.Schema({
+  // The config the request was sent to
+  configId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MockConfig',
+    default: null
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // The response variant that answered, null when the route's default response was sent
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantName: {
+    type: String,
+    default: null
+  },
+  // The scenario active when the request was answered, and the sequence response sent
+  scenario: {
+    type: String,
+    default: null
+  },
+  sequenceIndex: {
+    type: Number,
+    default: null
+  },
+  // The stateful resource that answered, when no route matched
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  headers: mongoose.Schema.Types.Mixed,
+  body: mongoose.Schema.Types.Mixed,
+  matched: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: Number,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+mockRequestLogSchema.index({ configId: 1, timestamp: -1 });
+mockRequestLogSchema.index({ timestamp: -1 });
+// Logs are removed by MongoDB once the retention period has passed
+mockRequestLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('MockRequestLog', mockRequestLogSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const oauthTokenSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the grant settings the token was issued for
+  configKey: {
+    type: String,
+    required: true
+  },
+  grantType: {
+    type: String,
+    required: true
+  },
+  accessTokenUrl: {
+    type: String,
+    required: true
+  },
+  clientId: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: String,
+    default: ''
+  },
+  tokenType: {
+    type: String,
+    default: 'Bearer'
+  },
+  // Tokens are stored encrypted and only loaded when they are needed
+  accessToken: {
+    type: String,
+    required: true,
+    select: false
+  },
+  refreshToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the access token has expired
+oauthTokenSchema.virtual('expired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt.getTime() <= Date.now());
+});
+
+// Index for better query performance
+oauthTokenSchema.index({ owner: 1, configKey: 1 }, { unique: true });
+
+export default mongoose.model('OAuthToken', oauthTokenSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const ruleListSchema = new mongoose.Schema({
+  // IP addresses and CIDR ranges, e.g. 10.0.0.0/8 or fd00::/8
+  cidrs: [{
+    type: String,
+    trim: true
+  }],
+  // Hostname patterns where * matches any characters, e.g. *.internal.example.com
+  hosts: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  ports: [{
+    type: Number,
+    min: 1,
+    max: 65535
+  }]
+}, { _id: false });
+
+const outboundPolicySchema = new mongoose.Schema({
+  // Unauthenticated proxy requests use the anonymous policy
+  role: {
+    type: String,
+    enum: ['anonymous', 'user', 'moderator', 'admin'],
+    required: true,
+    unique: true
+  },
+  // Block loopback, private, link-local (cloud metadata) and other reserved addresses
+  blockPrivateNetworks: {
+    type: Boolean,
+    default: true
+  },
+  // Only allow hosts and addresses on the allow list
+  allowlistOnly: {
+    type: Boolean,
+    default: false
+  },
+  allow: {
+    type: ruleListSchema,
+    default: () => ({})
+  },
+  deny: {
+    type: ruleListSchema,
+    default: () => ({})
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+export default mongoose.model('OutboundPolicy', outboundPolicySchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const requestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Request name is required'],
+    trim: true,
+    maxlength: [200, 'Request name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    required: true
+  },
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
+    default: 'GET',
+    uppercase: true
+  },
+  url: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // How the body is sent: as-is, as multipart fields, as urlencoded fields, as raw bytes, as a GraphQL operation or as a SOAP envelope
+  bodyType: {
+    type: String,
+    enum: ['raw', 'form-data', 'urlencoded', 'binary', 'graphql', 'soap'],
+    default: 'raw'
+  },
+  auth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Redirect, TLS, client certificate, proxy and timeout settings for this request
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  scripts: {
+    preRequest: {
+      type: String,
+      default: ''
+    },
+    test: {
+      type: String,
+      default: ''
+    }
+  },
+  examples: [{
+    name: {
+      type: String,
+      default: ''
+    },
+    code: Number,
+    status: String,
+    headers: [{
+      _id: false,
+      key: String,
+      value: String
+    }],
+    body: {
+      type: String,
+      default: ''
+    },
+    previewLanguage: String,
+    extensions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  }],
+  extensions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+requestSchema.index({ collectionId: 1, folder: 1, order: 1 });
+
+export default mongoose.model('Request', requestSchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const requestHistorySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The request as the client sent it, before variables, scripts and auth were applied
+  source: {
+    method: String,
+    url: String,
+    headers: mongoose.Schema.Types.Mixed,
+    body: mongoose.Schema.Types.Mixed,
+    bodyType: String,
+    bodyTruncated: {
+      type: Boolean,
+      default: false
+    },
+    auth: mongoose.Schema.Types.Mixed,
+    settings: mongoose.Schema.Types.Mixed,
+    scripts: {
+      preRequest: String,
+      test: String
+    },
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Collection',
+      default: null
+    },
+    environmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Environment',
+      default: null
+    }
+  },
+  // The request exactly as it was sent upstream
+  request: {
+    method: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    headers: mongoose.Schema.Types.Mixed,
+    // Uploaded files are summarised by name, type and size, their content is not kept
+    body: mongoose.Schema.Types.Mixed,
+    bodyType: String,
+    bodyTruncated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  response: {
+    status: Number,
+    statusText: String,
+    headers: mongoose.Schema.Types.Mixed,
+    body: String,
+    bodyEncoding: {
+      type: String,
+      enum: ['utf8', 'base64'],
+      default: 'utf8'
+    },
+    bodyTruncated: {
+      type: Boolean,
+      default: false
+    },
+    size: Number
+  },
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // DNS, TCP, TLS, first byte and download phases in milliseconds
+  timings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  tests: [{
+    _id: false,
+    name: String,
+    passed: Boolean,
+    error: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+requestHistorySchema.index({ owner: 1, createdAt: -1 });
+requestHistorySchema.index({ owner: 1, 'request.method': 1, createdAt: -1 });
+requestHistorySchema.index({ owner: 1, 'response.status': 1, createdAt: -1 });
+// Entries are removed by MongoDB once their owner's retention period has passed
+requestHistorySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RequestHistory', requestHistorySchema);
@@ -72,6 +72,18 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    history: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      retentionDays: {
+        type: Number,
+        default: 30,
+        min: [1, 'History must be kept for at least 1 day'],
+        max: [365, 'History cannot be kept for more than 365 days']
+      }
     }
   },
   apiKeys: [{
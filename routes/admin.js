@@ -1,5 +1,9 @@
 import express from 'express';
 import User from '../models/User.js';
+import OutboundPolicy from '../models/OutboundPolicy.js';
+import AuditLog from '../models/AuditLog.js';
+import outboundPolicyService from '../services/outboundPolicyService.js';
+import auditService from '../services/auditService.js';
 import { 
   authenticate, 
   requireAdmin, 
@@ -590,4 +594,183 @@ router.post('/bulk-actions', authenticate, requireAdmin, adminLimiter, async (re
   }
 });
 
-export default router;
\ No newline at end of file
+// Helper function to describe a role's outbound policy without its compiled matchers
+const describePolicy = (role, stored) => {
+  if (!stored) return outboundPolicyService.getDefaultPolicy(role);
+
+  const { role: storedRole, blockPrivateNetworks, allowlistOnly, allow, deny, updatedBy, updatedAt } = stored;
+  return { role: storedRole, blockPrivateNetworks, allowlistOnly, allow, deny, updatedBy, updatedAt, isDefault: false };
+};
+
+const sendInvalidPolicyRole = (res) => res.status(400).json({
+  success: false,
+  message: `Valid role is required (${outboundPolicyService.getRoles().join(', ')}).`,
+  error: 'INVALID_ROLE'
+});
+
+// @route   GET /api/admin/outbound-policies
+// @desc    Get the outbound request policy of every role
+// @access  Admin only
+router.get('/outbound-policies', authenticate, requireAdmin, generalLimiter, async (req, res) => {
+  try {
+    const stored = await OutboundPolicy.find().lean();
+    const policies = outboundPolicyService.getRoles()
+      .map(role => describePolicy(role, stored.find(policy => policy.role === role)));
+
+    res.json({
+      success: true,
+      message: 'Outbound policies retrieved successfully.',
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('Outbound policies fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outbound policies.',
+      error: 'OUTBOUND_POLICIES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/outbound-policies/:role
+// @desc    Set the allow and deny lists for requests proxied by a role
+// @access  Admin only
+router.put('/outbound-policies/:role', authenticate, requireAdmin, adminLimiter, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!outboundPolicyService.getRoles().includes(role)) return sendInvalidPolicyRole(res);
+
+    let policy;
+    try {
+      policy = outboundPolicyService.normalizePolicy(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `${error.message}.`,
+        error: 'INVALID_OUTBOUND_POLICY'
+      });
+    }
+
+    const stored = await OutboundPolicy.findOneAndUpdate(
+      { role },
+      { $set: { ...policy, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    outboundPolicyService.invalidate(role);
+
+    await auditService.record('outbound.policy_updated', {
+      user: req.user,
+      ip: req.ip,
+      details: { role, policy }
+    });
+
+    res.json({
+      success: true,
+      message: `Outbound policy for ${role} updated successfully.`,
+      data: { policy: describePolicy(role, stored) }
+    });
+  } catch (error) {
+    console.error('Outbound policy update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating outbound policy.',
+      error: 'OUTBOUND_POLICY_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/outbound-policies/:role
+// @desc    Reset a role's outbound policy to the default
+// @access  Admin only
+router.delete('/outbound-policies/:role', authenticate, requireAdmin, adminLimiter, async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!outboundPolicyService.getRoles().includes(role)) return sendInvalidPolicyRole(res);
+
+    await OutboundPolicy.deleteOne({ role });
+    outboundPolicyService.invalidate(role);
+
+    await auditService.record('outbound.policy_reset', {
+      user: req.user,
+      ip: req.ip,
+      details: { role }
+    });
+
+    res.json({
+      success: true,
+      message: `Outbound policy for ${role} reset to the default.`,
+      data: { policy: describePolicy(role, null) }
+    });
+  } catch (error) {
+    console.error('Outbound policy reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting outbound policy.',
+      error: 'OUTBOUND_POLICY_RESET_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, filtered by action, actor and date
+// @access  Admin only
+router.get('/audit-logs', authenticate, requireAdmin, generalLimiter, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let filter;
+    try {
+      filter = auditService.buildFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `${error.message}.`,
+        error: 'INVALID_AUDIT_FILTER'
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'username email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Audit log retrieved successfully.',
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format.',
+        error: 'INVALID_USER_ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log.',
+      error: 'AUDIT_LOG_FETCH_ERROR'
+    });
+  }
+});
+
+export default router;
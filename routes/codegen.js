@@ -0,0 +1,85 @@
+import express from 'express';
+import codeGenService from '../services/codeGenService.js';
+import { createRateLimiter } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiters
+const codegenLimiter = createRateLimiter(15 * 60 * 1000, 300); // 300 requests per 15 minutes
+
+router.use(codegenLimiter);
+
+// @route   GET /api/codegen/languages
+// @desc    Get the languages snippets can be generated for
+// @access  Public
+router.get('/languages', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Languages retrieved successfully.',
+    data: { languages: codeGenService.getLanguages() }
+  });
+});
+
+// @route   POST /api/codegen/curl
+// @desc    Parse a cURL command into a request /api/proxy accepts
+// @access  Public
+router.post('/curl', (req, res) => {
+  try {
+    const { request, warnings } = codeGenService.parseCurl(req.body.command);
+
+    res.json({
+      success: true,
+      message: 'cURL command parsed successfully.',
+      data: { request, warnings }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid cURL command')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_CURL_COMMAND'
+      });
+    }
+
+    console.error('cURL parse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error parsing cURL command.',
+      error: 'CURL_PARSE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/codegen
+// @desc    Generate code snippets for a request in one language, or in every language when none is given
+// @access  Public
+router.post('/', (req, res) => {
+  try {
+    const { request, language } = req.body;
+    const languages = language ? [language] : Object.keys(codeGenService.languages);
+    const snippets = languages.map(id => codeGenService.generate(id, request));
+
+    res.json({
+      success: true,
+      message: 'Code generated successfully.',
+      data: language ? { snippet: snippets[0] } : { snippets }
+    });
+  } catch (error) {
+    if (/^(Unsupported language|Invalid request)/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.message.startsWith('Unsupported') ? 'UNSUPPORTED_LANGUAGE' : 'INVALID_REQUEST'
+      });
+    }
+
+    console.error('Code generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating code.',
+      error: 'CODEGEN_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,603 @@
+import express from 'express';
+import Collection from '../models/Collection.js';
+import Folder from '../models/Folder.js';
+import Request from '../models/Request.js';
+import Environment from '../models/Environment.js';
+import postmanService from '../services/postmanService.js';
+import openApiService from '../services/openApiService.js';
+import agentService from '../services/agentService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const generalLimiter = createRateLimiter(15 * 60 * 1000, 300); // 300 write requests per 15 minutes
+
+// All collection endpoints belong to the authenticated user
+router.use(authenticate);
+
+// Helper function to load a collection and check the current user's access to it.
+// Sends the error response and returns null when access is denied.
+const loadCollection = async (req, res, access = 'view') => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection || !collection.canView(req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found.',
+      error: 'COLLECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const isOwner = req.user.role === 'admin' || collection.owner.toString() === req.user._id.toString();
+
+  if ((access === 'edit' && !collection.canEdit(req.user)) || (access === 'owner' && !isOwner)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to modify this collection.',
+      error: 'COLLECTION_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// Helper function to check that a folder exists inside the given collection
+const findFolderInCollection = async (collectionId, folderId) => {
+  if (!folderId) return null;
+  return Folder.findOne({ _id: folderId, collectionId });
+};
+
+// Conversion errors thrown for files that are not readable Postman collections or OpenAPI documents
+const POSTMAN_FORMAT_ERROR = /^(Invalid|Unsupported) Postman/;
+const OPENAPI_FORMAT_ERROR = /^(Invalid|Unsupported) OpenAPI/;
+
+const sendFolderNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Folder not found in this collection.',
+  error: 'FOLDER_NOT_FOUND'
+});
+
+// Helper function to validate request settings from the request body.
+// Sends the error response and returns false when they are invalid.
+const validateSettings = (res, settings) => {
+  try {
+    agentService.validateStoredSettings(settings);
+    return true;
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: `${error.message}.`,
+      error: 'INVALID_REQUEST_SETTINGS'
+    });
+    return false;
+  }
+};
+
+// @route   GET /api/collections
+// @desc    Get all collections owned by or shared with the current user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.findAccessible(req.user._id).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Collections retrieved successfully.',
+      data: { collections }
+    });
+  } catch (error) {
+    console.error('Collections fetch error:', error);
+    sendError(res, error, 'Error fetching collections.', 'COLLECTIONS_FETCH_ERROR');
+  }
+});
+
+// @route   POST /api/collections
+// @desc    Create a new collection
+// @access  Private
+router.post('/', generalLimiter, async (req, res) => {
+  try {
+    const { name, description, auth, scripts } = req.body;
+
+    const collection = await Collection.create({
+      name,
+      description,
+      auth,
+      scripts,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully.',
+      data: { collection }
+    });
+  } catch (error) {
+    console.error('Collection creation error:', error);
+    sendError(res, error, 'Error creating collection.', 'COLLECTION_CREATE_ERROR');
+  }
+});
+
+// @route   POST /api/collections/import/postman
+// @desc    Import a Postman v2.0/v2.1 collection and report anything that could not be converted
+// @access  Private
+router.post('/import/postman', generalLimiter, async (req, res) => {
+  try {
+    const { collection, report } = await postmanService.importCollection(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Postman collection imported successfully.',
+      data: {
+        collection: await collection.getTree(),
+        report
+      }
+    });
+  } catch (error) {
+    if (POSTMAN_FORMAT_ERROR.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_POSTMAN_COLLECTION'
+      });
+    }
+
+    console.error('Postman import error:', error);
+    sendError(res, error, 'Error importing Postman collection.', 'POSTMAN_IMPORT_ERROR');
+  }
+});
+
+// @route   POST /api/collections/import/openapi
+// @desc    Import an OpenAPI 3 or Swagger 2 document (object, JSON or YAML text) as a collection and a mock config
+// @access  Private
+router.post('/import/openapi', generalLimiter, async (req, res) => {
+  try {
+    const isDocument = req.body.openapi !== undefined || req.body.swagger !== undefined;
+    const { document, createMock = true, mockBaseUrl } = isDocument ? { document: req.body } : req.body;
+
+    const { collection, mockConfig, report } = await openApiService.importDocument(req.user, document, {
+      createMock: createMock !== false,
+      mockBaseUrl
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'OpenAPI document imported successfully.',
+      data: {
+        collection: await collection.getTree(),
+        mockConfig,
+        report
+      }
+    });
+  } catch (error) {
+    if (OPENAPI_FORMAT_ERROR.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_OPENAPI_DOCUMENT'
+      });
+    }
+
+    console.error('OpenAPI import error:', error);
+    sendError(res, error, 'Error importing OpenAPI document.', 'OPENAPI_IMPORT_ERROR');
+  }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with its nested folders and requests
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    res.json({
+      success: true,
+      message: 'Collection retrieved successfully.',
+      data: { collection: await collection.getTree() }
+    });
+  } catch (error) {
+    console.error('Collection fetch error:', error);
+    sendError(res, error, 'Error fetching collection.', 'COLLECTION_FETCH_ERROR');
+  }
+});
+
+// @route   GET /api/collections/:id/export/postman
+// @desc    Export a collection as a Postman v2.1 collection
+// @access  Private
+router.get('/:id/export/postman', async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    res.json(await postmanService.exportCollection(collection));
+  } catch (error) {
+    console.error('Postman export error:', error);
+    sendError(res, error, 'Error exporting collection.', 'POSTMAN_EXPORT_ERROR');
+  }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Update collection details
+// @access  Private (owner or editor)
+router.put('/:id', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { name, description, auth, scripts } = req.body;
+    if (name !== undefined) collection.name = name;
+    if (description !== undefined) collection.description = description;
+    if (auth !== undefined) collection.auth = auth;
+    if (scripts !== undefined) collection.scripts = scripts;
+
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully.',
+      data: { collection }
+    });
+  } catch (error) {
+    console.error('Collection update error:', error);
+    sendError(res, error, 'Error updating collection.', 'COLLECTION_UPDATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection with all of its folders and requests
+// @access  Private (owner only)
+router.delete('/:id', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'owner');
+    if (!collection) return;
+
+    await Promise.all([
+      Request.deleteMany({ collectionId: collection._id }),
+      Folder.deleteMany({ collectionId: collection._id }),
+      Environment.deleteMany({ scope: 'collection', collectionId: collection._id })
+    ]);
+    await collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully.',
+      data: { deletedCollection: { id: collection._id, name: collection.name } }
+    });
+  } catch (error) {
+    console.error('Collection delete error:', error);
+    sendError(res, error, 'Error deleting collection.', 'COLLECTION_DELETE_ERROR');
+  }
+});
+
+// @route   POST /api/collections/:id/folders
+// @desc    Create a folder, optionally nested inside another folder
+// @access  Private (owner or editor)
+router.post('/:id/folders', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { name, description, auth, scripts, parentId = null } = req.body;
+
+    if (parentId && !(await findFolderInCollection(collection._id, parentId))) {
+      return sendFolderNotFound(res);
+    }
+
+    const folder = await Folder.create({
+      name,
+      description,
+      auth,
+      scripts,
+      collectionId: collection._id,
+      parent: parentId,
+      order: req.body.order ?? await Collection.getNextOrder(collection._id, parentId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully.',
+      data: { folder }
+    });
+  } catch (error) {
+    console.error('Folder creation error:', error);
+    sendError(res, error, 'Error creating folder.', 'FOLDER_CREATE_ERROR');
+  }
+});
+
+// @route   PUT /api/collections/:id/folders/:folderId
+// @desc    Update, rename or move a folder
+// @access  Private (owner or editor)
+router.put('/:id/folders/:folderId', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const folder = await findFolderInCollection(collection._id, req.params.folderId);
+    if (!folder) return sendFolderNotFound(res);
+
+    const { name, description, auth, scripts, parentId, order } = req.body;
+
+    if (parentId !== undefined && String(parentId) !== String(folder.parent)) {
+      if (parentId) {
+        if (!(await findFolderInCollection(collection._id, parentId))) {
+          return sendFolderNotFound(res);
+        }
+
+        // A folder cannot be moved into itself or one of its own sub-folders
+        const descendantIds = await Folder.getDescendantIds(folder._id);
+        if (descendantIds.some(id => id.toString() === String(parentId))) {
+          return res.status(400).json({
+            success: false,
+            message: 'A folder cannot be moved into itself or one of its sub-folders.',
+            error: 'INVALID_FOLDER_MOVE'
+          });
+        }
+      }
+
+      folder.parent = parentId || null;
+      folder.order = order ?? await Collection.getNextOrder(collection._id, folder.parent);
+    } else if (order !== undefined) {
+      folder.order = order;
+    }
+
+    if (name !== undefined) folder.name = name;
+    if (description !== undefined) folder.description = description;
+    if (auth !== undefined) folder.auth = auth;
+    if (scripts !== undefined) folder.scripts = scripts;
+
+    await folder.save();
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully.',
+      data: { folder }
+    });
+  } catch (error) {
+    console.error('Folder update error:', error);
+    sendError(res, error, 'Error updating folder.', 'FOLDER_UPDATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/collections/:id/folders/:folderId
+// @desc    Delete a folder with its sub-folders and requests
+// @access  Private (owner or editor)
+router.delete('/:id/folders/:folderId', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const folder = await findFolderInCollection(collection._id, req.params.folderId);
+    if (!folder) return sendFolderNotFound(res);
+
+    const folderIds = await Folder.getDescendantIds(folder._id);
+    const [requestResult, folderResult] = await Promise.all([
+      Request.deleteMany({ collectionId: collection._id, folder: { $in: folderIds } }),
+      Folder.deleteMany({ _id: { $in: folderIds } })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully.',
+      data: {
+        deletedFolders: folderResult.deletedCount,
+        deletedRequests: requestResult.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Folder delete error:', error);
+    sendError(res, error, 'Error deleting folder.', 'FOLDER_DELETE_ERROR');
+  }
+});
+
+// @route   POST /api/collections/:id/requests
+// @desc    Add a request to the collection root or to a folder
+// @access  Private (owner or editor)
+router.post('/:id/requests', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { name, description, method, url, headers, body, bodyType, auth, settings, scripts, folderId = null } = req.body;
+
+    if (settings !== undefined && !validateSettings(res, settings)) return;
+
+    if (folderId && !(await findFolderInCollection(collection._id, folderId))) {
+      return sendFolderNotFound(res);
+    }
+
+    const request = await Request.create({
+      name,
+      description,
+      method,
+      url,
+      headers,
+      body,
+      bodyType,
+      auth,
+      settings,
+      scripts,
+      collectionId: collection._id,
+      folder: folderId,
+      order: req.body.order ?? await Collection.getNextOrder(collection._id, folderId)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Request created successfully.',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Request creation error:', error);
+    sendError(res, error, 'Error creating request.', 'REQUEST_CREATE_ERROR');
+  }
+});
+
+// @route   GET /api/collections/:id/requests/:requestId
+// @desc    Get a single saved request
+// @access  Private
+router.get('/:id/requests/:requestId', async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    const request = await Request.findOne({ _id: req.params.requestId, collectionId: collection._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found in this collection.',
+        error: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Request retrieved successfully.',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Request fetch error:', error);
+    sendError(res, error, 'Error fetching request.', 'REQUEST_FETCH_ERROR');
+  }
+});
+
+// @route   PUT /api/collections/:id/requests/:requestId
+// @desc    Update or move a saved request
+// @access  Private (owner or editor)
+router.put('/:id/requests/:requestId', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const request = await Request.findOne({ _id: req.params.requestId, collectionId: collection._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found in this collection.',
+        error: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    const { folderId, order } = req.body;
+
+    if (req.body.settings !== undefined && !validateSettings(res, req.body.settings)) return;
+
+    if (folderId !== undefined && String(folderId) !== String(request.folder)) {
+      if (folderId && !(await findFolderInCollection(collection._id, folderId))) {
+        return sendFolderNotFound(res);
+      }
+
+      request.folder = folderId || null;
+      request.order = order ?? await Collection.getNextOrder(collection._id, request.folder);
+    } else if (order !== undefined) {
+      request.order = order;
+    }
+
+    for (const field of ['name', 'description', 'method', 'url', 'headers', 'body', 'bodyType', 'auth', 'settings', 'scripts']) {
+      if (req.body[field] !== undefined) {
+        request[field] = req.body[field];
+      }
+    }
+
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Request updated successfully.',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Request update error:', error);
+    sendError(res, error, 'Error updating request.', 'REQUEST_UPDATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/collections/:id/requests/:requestId
+// @desc    Delete a saved request
+// @access  Private (owner or editor)
+router.delete('/:id/requests/:requestId', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const request = await Request.findOneAndDelete({ _id: req.params.requestId, collectionId: collection._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found in this collection.',
+        error: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Request deleted successfully.',
+      data: { deletedRequest: { id: request._id, name: request.name } }
+    });
+  } catch (error) {
+    console.error('Request delete error:', error);
+    sendError(res, error, 'Error deleting request.', 'REQUEST_DELETE_ERROR');
+  }
+});
+
+// @route   PUT /api/collections/:id/order
+// @desc    Reorder the folders and requests inside one parent (null for the collection root)
+// @access  Private (owner or editor)
+router.put('/:id/order', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { parentId = null, items } = req.body;
+
+    if (!Array.isArray(items) || items.some(item => !['folder', 'request'].includes(item.type) || !item.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be an array of { type: "folder" | "request", id }.',
+        error: 'INVALID_ORDER'
+      });
+    }
+
+    const folderIds = items.filter(item => item.type === 'folder').map(item => item.id);
+    const requestIds = items.filter(item => item.type === 'request').map(item => item.id);
+
+    const [folderCount, requestCount] = await Promise.all([
+      Folder.countDocuments({ _id: { $in: folderIds }, collectionId: collection._id, parent: parentId }),
+      Request.countDocuments({ _id: { $in: requestIds }, collectionId: collection._id, folder: parentId })
+    ]);
+
+    if (folderCount !== folderIds.length || requestCount !== requestIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'All items must belong to the given parent in this collection.',
+        error: 'INVALID_ORDER'
+      });
+    }
+
+    const updates = (type) => items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.type === type)
+      .map(({ item, index }) => ({
+        updateOne: { filter: { _id: item.id }, update: { $set: { order: index } } }
+      }));
+
+    await Promise.all([
+      folderIds.length > 0 && Folder.bulkWrite(updates('folder')),
+      requestIds.length > 0 && Request.bulkWrite(updates('request'))
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Items reordered successfully.',
+      data: { collection: await collection.getTree() }
+    });
+  } catch (error) {
+    console.error('Collection reorder error:', error);
+    sendError(res, error, 'Error reordering collection items.', 'COLLECTION_REORDER_ERROR');
+  }
+});
+
+export default router;
@@ -0,0 +1,189 @@
+import express from 'express';
+import Cookie from '../models/Cookie.js';
+import cookieService from '../services/cookieService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const generalLimiter = createRateLimiter(15 * 60 * 1000, 300); // 300 write requests per 15 minutes
+
+// The cookie jar belongs to the authenticated user
+router.use(authenticate);
+
+const sendCookieNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Cookie not found.',
+  error: 'COOKIE_NOT_FOUND'
+});
+
+const sendInvalidCookie = (res, error) => res.status(400).json({
+  success: false,
+  message: `${error.message}.`,
+  error: 'INVALID_COOKIE'
+});
+
+// Helper function to filter cookies by domain, including its subdomains
+const buildFilter = (userId, { domain }) => {
+  const filter = { owner: userId };
+  if (domain) {
+    const escaped = String(domain).toLowerCase().replace(/^\./, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.domain = { $regex: `(^|\\.)${escaped}$` };
+  }
+  return filter;
+};
+
+// @route   GET /api/cookies
+// @desc    Get the current user's cookies, optionally for one domain
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = buildFilter(req.user._id, req.query);
+    const [cookies, domains] = await Promise.all([
+      Cookie.find(filter).sort({ domain: 1, path: 1, key: 1 }),
+      Cookie.distinct('domain', { owner: req.user._id })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Cookies retrieved successfully.',
+      data: { cookies, domains: domains.sort() }
+    });
+  } catch (error) {
+    console.error('Cookies fetch error:', error);
+    sendError(res, error, 'Error fetching cookies.', 'COOKIES_FETCH_ERROR');
+  }
+});
+
+// @route   POST /api/cookies
+// @desc    Add a cookie, replacing one with the same domain, path and name
+// @access  Private
+router.post('/', generalLimiter, async (req, res) => {
+  try {
+    let fields;
+    try {
+      fields = cookieService.normalizeCookie(req.body);
+    } catch (error) {
+      return sendInvalidCookie(res, error);
+    }
+
+    const { key, domain, path } = fields;
+    const cookie = await Cookie.findOneAndUpdate(
+      { owner: req.user._id, domain, path, key },
+      { $set: fields },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Cookie saved successfully.',
+      data: { cookie }
+    });
+  } catch (error) {
+    console.error('Cookie creation error:', error);
+    sendError(res, error, 'Error saving cookie.', 'COOKIE_CREATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/cookies
+// @desc    Clear the current user's cookies, or only those of one domain
+// @access  Private
+router.delete('/', generalLimiter, async (req, res) => {
+  try {
+    const { deletedCount } = await Cookie.deleteMany(buildFilter(req.user._id, req.query));
+
+    res.json({
+      success: true,
+      message: 'Cookies cleared successfully.',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    console.error('Cookies clear error:', error);
+    sendError(res, error, 'Error clearing cookies.', 'COOKIES_CLEAR_ERROR');
+  }
+});
+
+// @route   GET /api/cookies/:id
+// @desc    Get a single cookie
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const cookie = await Cookie.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!cookie) return sendCookieNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Cookie retrieved successfully.',
+      data: { cookie }
+    });
+  } catch (error) {
+    console.error('Cookie fetch error:', error);
+    sendError(res, error, 'Error fetching cookie.', 'COOKIE_FETCH_ERROR');
+  }
+});
+
+// @route   PUT /api/cookies/:id
+// @desc    Update a cookie's value, scope or attributes
+// @access  Private
+router.put('/:id', generalLimiter, async (req, res) => {
+  try {
+    const cookie = await Cookie.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!cookie) return sendCookieNotFound(res);
+
+    let fields;
+    try {
+      fields = cookieService.normalizeCookie(req.body, cookie.toObject());
+    } catch (error) {
+      return sendInvalidCookie(res, error);
+    }
+
+    const conflict = await Cookie.exists({
+      _id: { $ne: cookie._id },
+      owner: req.user._id,
+      domain: fields.domain,
+      path: fields.path,
+      key: fields.key
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'A cookie with this name already exists for the domain and path.',
+        error: 'COOKIE_EXISTS'
+      });
+    }
+
+    cookie.set(fields);
+    await cookie.save();
+
+    res.json({
+      success: true,
+      message: 'Cookie updated successfully.',
+      data: { cookie }
+    });
+  } catch (error) {
+    console.error('Cookie update error:', error);
+    sendError(res, error, 'Error updating cookie.', 'COOKIE_UPDATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/cookies/:id
+// @desc    Delete a cookie
+// @access  Private
+router.delete('/:id', generalLimiter, async (req, res) => {
+  try {
+    const cookie = await Cookie.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!cookie) return sendCookieNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Cookie deleted successfully.',
+      data: { deletedCookie: { id: cookie._id } }
+    });
+  } catch (error) {
+    console.error('Cookie delete error:', error);
+    sendError(res, error, 'Error deleting cookie.', 'COOKIE_DELETE_ERROR');
+  }
+});
+
+export default router;
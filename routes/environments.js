@@ -0,0 +1,381 @@
+import express from 'express';
+import Environment from '../models/Environment.js';
+import Collection from '../models/Collection.js';
+import postmanService from '../services/postmanService.js';
+import agentService from '../services/agentService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const generalLimiter = createRateLimiter(15 * 60 * 1000, 300); // 300 write requests per 15 minutes
+
+// All environment endpoints belong to the authenticated user
+router.use(authenticate);
+
+// Helper function to normalize a variables array from the request body
+const parseVariables = (variables) => {
+  if (!Array.isArray(variables)) return null;
+
+  return variables
+    .filter(variable => variable && variable.key)
+    .map(variable => ({
+      key: variable.key,
+      value: variable.value === undefined || variable.value === null ? '' : String(variable.value),
+      enabled: variable.enabled !== false,
+      secret: variable.secret === true
+    }));
+};
+
+const sendInvalidVariables = (res) => res.status(400).json({
+  success: false,
+  message: 'Variables must be an array of { key, value, enabled, secret }.',
+  error: 'INVALID_VARIABLES'
+});
+
+// Helper function to validate request settings from the request body.
+// Sends the error response and returns false when they are invalid.
+const validateSettings = (res, settings) => {
+  try {
+    agentService.validateStoredSettings(settings);
+    return true;
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: `${error.message}.`,
+      error: 'INVALID_REQUEST_SETTINGS'
+    });
+    return false;
+  }
+};
+
+// Helper function to load a collection the user can access.
+// Sends the error response and returns null when access is denied.
+const loadCollection = async (req, res, access = 'view') => {
+  const collection = await Collection.findById(req.params.collectionId);
+
+  if (!collection || !collection.canView(req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found.',
+      error: 'COLLECTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (access === 'edit' && !collection.canEdit(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to modify this collection.',
+      error: 'COLLECTION_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// @route   GET /api/environments
+// @desc    Get the current user's environments
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const environments = await Environment.find({ owner: req.user._id, scope: 'environment' })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Environments retrieved successfully.',
+      data: { environments }
+    });
+  } catch (error) {
+    console.error('Environments fetch error:', error);
+    sendError(res, error, 'Error fetching environments.', 'ENVIRONMENTS_FETCH_ERROR');
+  }
+});
+
+// @route   POST /api/environments
+// @desc    Create a new environment
+// @access  Private
+router.post('/', generalLimiter, async (req, res) => {
+  try {
+    const { name, variables = [], settings = null } = req.body;
+    const parsedVariables = parseVariables(variables);
+    if (!parsedVariables) return sendInvalidVariables(res);
+    if (!validateSettings(res, settings)) return;
+
+    const environment = await Environment.create({
+      name,
+      owner: req.user._id,
+      scope: 'environment',
+      variables: parsedVariables,
+      settings
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Environment created successfully.',
+      data: { environment }
+    });
+  } catch (error) {
+    console.error('Environment creation error:', error);
+    sendError(res, error, 'Error creating environment.', 'ENVIRONMENT_CREATE_ERROR');
+  }
+});
+
+// @route   POST /api/environments/import/postman
+// @desc    Import a Postman environment, or merge a Postman globals export into the user's globals
+// @access  Private
+router.post('/import/postman', generalLimiter, async (req, res) => {
+  try {
+    const { environment, report } = await postmanService.importEnvironment(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Postman environment imported successfully.',
+      data: { environment, report }
+    });
+  } catch (error) {
+    if (/^Invalid Postman/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_POSTMAN_ENVIRONMENT'
+      });
+    }
+
+    console.error('Postman environment import error:', error);
+    sendError(res, error, 'Error importing Postman environment.', 'POSTMAN_IMPORT_ERROR');
+  }
+});
+
+// @route   GET /api/environments/globals
+// @desc    Get the current user's global variables
+// @access  Private
+router.get('/globals', async (req, res) => {
+  try {
+    const globals = await Environment.getGlobals(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Global variables retrieved successfully.',
+      data: { environment: globals }
+    });
+  } catch (error) {
+    console.error('Globals fetch error:', error);
+    sendError(res, error, 'Error fetching global variables.', 'GLOBALS_FETCH_ERROR');
+  }
+});
+
+// @route   PUT /api/environments/globals
+// @desc    Replace the current user's global variables
+// @access  Private
+router.put('/globals', generalLimiter, async (req, res) => {
+  try {
+    const parsedVariables = parseVariables(req.body.variables);
+    if (!parsedVariables) return sendInvalidVariables(res);
+
+    const globals = await Environment.getGlobals(req.user._id);
+    globals.variables = parsedVariables;
+    await globals.save();
+
+    res.json({
+      success: true,
+      message: 'Global variables updated successfully.',
+      data: { environment: globals }
+    });
+  } catch (error) {
+    console.error('Globals update error:', error);
+    sendError(res, error, 'Error updating global variables.', 'GLOBALS_UPDATE_ERROR');
+  }
+});
+
+// @route   GET /api/environments/globals/export/postman
+// @desc    Export the current user's global variables as a Postman globals file
+// @access  Private
+router.get('/globals/export/postman', async (req, res) => {
+  try {
+    const globals = await Environment.getGlobals(req.user._id);
+    res.json(postmanService.exportEnvironment(globals));
+  } catch (error) {
+    console.error('Postman globals export error:', error);
+    sendError(res, error, 'Error exporting global variables.', 'POSTMAN_EXPORT_ERROR');
+  }
+});
+
+// @route   GET /api/environments/collections/:collectionId
+// @desc    Get the variables attached to a collection
+// @access  Private
+router.get('/collections/:collectionId', async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    const environment = await Environment.findOne({ scope: 'collection', collectionId: collection._id });
+
+    res.json({
+      success: true,
+      message: 'Collection variables retrieved successfully.',
+      data: {
+        environment: environment || {
+          name: collection.name,
+          scope: 'collection',
+          collectionId: collection._id,
+          variables: []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Collection variables fetch error:', error);
+    sendError(res, error, 'Error fetching collection variables.', 'COLLECTION_VARIABLES_FETCH_ERROR');
+  }
+});
+
+// @route   PUT /api/environments/collections/:collectionId
+// @desc    Replace the variables attached to a collection
+// @access  Private (collection owner or editor)
+router.put('/collections/:collectionId', generalLimiter, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const parsedVariables = parseVariables(req.body.variables);
+    if (!parsedVariables) return sendInvalidVariables(res);
+
+    const environment = await Environment.findOneAndUpdate(
+      { scope: 'collection', collectionId: collection._id },
+      {
+        $set: { variables: parsedVariables, name: collection.name },
+        $setOnInsert: { owner: collection.owner }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Collection variables updated successfully.',
+      data: { environment }
+    });
+  } catch (error) {
+    console.error('Collection variables update error:', error);
+    sendError(res, error, 'Error updating collection variables.', 'COLLECTION_VARIABLES_UPDATE_ERROR');
+  }
+});
+
+// @route   GET /api/environments/:id
+// @desc    Get a single environment
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const environment = await Environment.findOne({ _id: req.params.id, owner: req.user._id, scope: 'environment' });
+
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Environment not found.',
+        error: 'ENVIRONMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Environment retrieved successfully.',
+      data: { environment }
+    });
+  } catch (error) {
+    console.error('Environment fetch error:', error);
+    sendError(res, error, 'Error fetching environment.', 'ENVIRONMENT_FETCH_ERROR');
+  }
+});
+
+// @route   GET /api/environments/:id/export/postman
+// @desc    Export an environment as a Postman environment file
+// @access  Private
+router.get('/:id/export/postman', async (req, res) => {
+  try {
+    const environment = await Environment.findOne({ _id: req.params.id, owner: req.user._id, scope: 'environment' });
+
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Environment not found.',
+        error: 'ENVIRONMENT_NOT_FOUND'
+      });
+    }
+
+    res.json(postmanService.exportEnvironment(environment));
+  } catch (error) {
+    console.error('Postman environment export error:', error);
+    sendError(res, error, 'Error exporting environment.', 'POSTMAN_EXPORT_ERROR');
+  }
+});
+
+// @route   PUT /api/environments/:id
+// @desc    Rename an environment or replace its variables and request settings
+// @access  Private
+router.put('/:id', generalLimiter, async (req, res) => {
+  try {
+    const environment = await Environment.findOne({ _id: req.params.id, owner: req.user._id, scope: 'environment' });
+
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Environment not found.',
+        error: 'ENVIRONMENT_NOT_FOUND'
+      });
+    }
+
+    const { name, variables, settings } = req.body;
+
+    if (variables !== undefined) {
+      const parsedVariables = parseVariables(variables);
+      if (!parsedVariables) return sendInvalidVariables(res);
+      environment.variables = parsedVariables;
+    }
+    if (settings !== undefined) {
+      if (!validateSettings(res, settings)) return;
+      environment.settings = settings;
+    }
+    if (name !== undefined) environment.name = name;
+
+    await environment.save();
+
+    res.json({
+      success: true,
+      message: 'Environment updated successfully.',
+      data: { environment }
+    });
+  } catch (error) {
+    console.error('Environment update error:', error);
+    sendError(res, error, 'Error updating environment.', 'ENVIRONMENT_UPDATE_ERROR');
+  }
+});
+
+// @route   DELETE /api/environments/:id
+// @desc    Delete an environment
+// @access  Private
+router.delete('/:id', generalLimiter, async (req, res) => {
+  try {
+    const environment = await Environment.findOneAndDelete({ _id: req.params.id, owner: req.user._id, scope: 'environment' });
+
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Environment not found.',
+        error: 'ENVIRONMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Environment deleted successfully.',
+      data: { deletedEnvironment: { id: environment._id, name: environment.name } }
+    });
+  } catch (error) {
+    console.error('Environment delete error:', error);
+    sendError(res, error, 'Error deleting environment.', 'ENVIRONMENT_DELETE_ERROR');
+  }
+});
+
+export default router;
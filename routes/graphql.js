@@ -0,0 +1,178 @@
+import express from 'express';
+import graphqlService from '../services/graphqlService.js';
+import proxyService from '../services/proxyService.js';
+import variableService from '../services/variableService.js';
+import { optionalAuth, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const introspectLimiter = createRateLimiter(15 * 60 * 1000, 60); // 60 introspections per 15 minutes
+
+// Schemas are cached per user, anonymous callers share the anonymous cache
+router.use(optionalAuth);
+
+const sendMissingUrl = (res) => res.status(400).json({
+  success: false,
+  message: 'GraphQL endpoint URL is required.',
+  error: 'MISSING_URL'
+});
+
+const sendSchemaNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'No schema has been introspected for this endpoint.',
+  error: 'GRAPHQL_SCHEMA_NOT_FOUND'
+});
+
+// @route   POST /api/graphql/introspect
+// @desc    Fetch a GraphQL endpoint's schema by introspection and cache it
+// @access  Public (stored environments require authentication)
+router.post('/introspect', introspectLimiter, async (req, res) => {
+  try {
+    const { url, headers, auth, settings, environmentId, collectionId, variables: localVariables = {}, refresh = false } = req.body;
+
+    if (!url) return sendMissingUrl(res);
+
+    if ((environmentId || collectionId) && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required to use stored environments.',
+        error: 'AUTHENTICATION_REQUIRED'
+      });
+    }
+
+    let scopes;
+    try {
+      scopes = await variableService.loadScopes(req.user, { environmentId, collectionId });
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: `${error.message}.`,
+        error: error.message.toUpperCase().replace(/ /g, '_')
+      });
+    }
+    const scopeMaps = variableService.toScopeMaps(scopes, localVariables);
+
+    const resolvedUrl = variableService.resolveValue(url, variableService.buildVariables(scopeMaps));
+    const cached = !refresh && graphqlService.getCachedSchema(req.user, resolvedUrl);
+    if (cached) {
+      return res.json({
+        success: true,
+        message: 'GraphQL schema retrieved from cache.',
+        data: { schema: graphqlService.describeSchema(cached), cached: true }
+      });
+    }
+
+    const { result, failed, blocked } = await proxyService.executeRequest({
+      method: 'POST',
+      url,
+      headers,
+      auth,
+      settings,
+      bodyType: 'graphql',
+      body: { query: graphqlService.getIntrospectionQuery() }
+    }, {
+      variables: scopeMaps,
+      user: req.user,
+      settings: scopes.environment?.settings,
+      clientIp: req.ip
+    });
+
+    if (failed) {
+      return res.status(blocked ? 403 : 502).json({
+        success: false,
+        message: result.message || 'Introspection request failed.',
+        error: blocked ? 'OUTBOUND_BLOCKED' : 'GRAPHQL_INTROSPECTION_FAILED'
+      });
+    }
+
+    const introspection = result.graphql?.data;
+    if (!introspection?.__schema) {
+      return res.status(502).json({
+        success: false,
+        message: result.graphql?.errors?.[0]?.message
+          || `Endpoint did not return an introspection result (HTTP ${result.status}).`,
+        error: 'GRAPHQL_INTROSPECTION_FAILED',
+        details: result.graphql?.errors || []
+      });
+    }
+
+    let entry;
+    try {
+      entry = graphqlService.cacheSchema(req.user, result.resolvedRequest.url, introspection);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: `Introspection result is not a valid schema: ${error.message}`,
+        error: 'GRAPHQL_INTROSPECTION_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'GraphQL schema introspected successfully.',
+      data: { schema: graphqlService.describeSchema(entry), cached: false }
+    });
+  } catch (error) {
+    console.error('GraphQL introspection error:', error);
+    sendError(res, error, 'Error introspecting GraphQL schema.', 'GRAPHQL_INTROSPECTION_ERROR');
+  }
+});
+
+// @route   GET /api/graphql/schema
+// @desc    Get the cached schema of an endpoint
+// @access  Public
+router.get('/schema', (req, res) => {
+  if (!req.query.url) return sendMissingUrl(res);
+
+  const cached = graphqlService.getCachedSchema(req.user, req.query.url);
+  if (!cached) return sendSchemaNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'GraphQL schema retrieved successfully.',
+    data: { schema: graphqlService.describeSchema(cached) }
+  });
+});
+
+// @route   DELETE /api/graphql/schema
+// @desc    Forget the cached schema of an endpoint
+// @access  Public
+router.delete('/schema', (req, res) => {
+  if (!req.query.url) return sendMissingUrl(res);
+
+  if (!graphqlService.clearCachedSchema(req.user, req.query.url)) return sendSchemaNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'GraphQL schema removed from cache.',
+    data: { url: req.query.url }
+  });
+});
+
+// @route   POST /api/graphql/validate
+// @desc    Check a query's syntax, and validate it against the endpoint's cached schema
+// @access  Public
+router.post('/validate', (req, res) => {
+  const { url, query } = req.body;
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'GraphQL query is required.',
+      error: 'MISSING_QUERY'
+    });
+  }
+
+  const cached = url ? graphqlService.getCachedSchema(req.user, url) : null;
+  const errors = graphqlService.validateQuery(query, cached?.schema);
+
+  res.json({
+    success: true,
+    message: errors.length === 0 ? 'GraphQL query is valid.' : 'GraphQL query has errors.',
+    data: { valid: errors.length === 0, errors, schemaChecked: Boolean(cached) }
+  });
+});
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import grpcService from '../services/grpcService.js';
+import { optionalAuth, createRateLimiter } from '../middleware/auth.js';
+import { parseTextUpload } from '../middleware/upload.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const callLimiter = createRateLimiter(15 * 60 * 1000, 300); // 300 calls per 15 minutes
+
+// Outbound calls are checked against the caller's outbound policy
+router.use(optionalAuth);
+
+// HTTP status for each error code the gRPC service throws
+const ERROR_STATUSES = {
+  INVALID_PROTO: 400,
+  INVALID_GRPC_TARGET: 400,
+  INVALID_GRPC_MESSAGE: 400,
+  INVALID_GRPC_METADATA: 400,
+  INVALID_REQUEST_SETTINGS: 400,
+  OUTBOUND_BLOCKED: 403,
+  GRPC_PROTO_NOT_FOUND: 404,
+  GRPC_METHOD_NOT_FOUND: 404,
+  GRPC_REFLECTION_UNAVAILABLE: 502,
+  GRPC_REFLECTION_FAILED: 502,
+  GRPC_CONNECTION_FAILED: 502
+};
+
+// Send a known service error with its status, anything else as a server error
+const sendGrpcError = (res, error, message, code) => {
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    console.error(message, error);
+    return sendError(res, error, message, code);
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+const sendProtoNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Proto definition not found.',
+  error: 'GRPC_PROTO_NOT_FOUND'
+});
+
+// @route   GET /api/grpc/protos
+// @desc    List loaded proto definitions
+// @access  Public
+router.get('/protos', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Proto definitions retrieved successfully.',
+    data: { protos: grpcService.getAllProtos() }
+  });
+});
+
+// @route   POST /api/grpc/protos
+// @desc    Load .proto files, uploaded as multipart parts or sent as JSON { name, files: [{ name, content }] }
+// @access  Public
+router.post('/protos', parseTextUpload, async (req, res) => {
+  try {
+    const proto = await grpcService.loadProtoFiles(req.body.files, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Proto files loaded successfully.',
+      data: { proto }
+    });
+  } catch (error) {
+    sendGrpcError(res, error, 'Error loading proto files.', 'PROTO_LOAD_ERROR');
+  }
+});
+
+// @route   POST /api/grpc/reflect
+// @desc    Load a server's services through gRPC server reflection
+// @access  Public
+router.post('/reflect', callLimiter, async (req, res) => {
+  try {
+    const { target, tls, metadata, settings } = req.body;
+    const proto = await grpcService.reflect({ target, tls, metadata, settings }, { user: req.user, clientIp: req.ip });
+
+    res.status(201).json({
+      success: true,
+      message: 'Services loaded through server reflection.',
+      data: { proto }
+    });
+  } catch (error) {
+    sendGrpcError(res, error, 'Error running server reflection.', 'GRPC_REFLECTION_ERROR');
+  }
+});
+
+// @route   GET /api/grpc/protos/:id
+// @desc    Get a proto definition with its services and methods
+// @access  Public
+router.get('/protos/:id', (req, res) => {
+  const proto = grpcService.getProtoInfo(req.params.id);
+  if (!proto) return sendProtoNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'Proto definition retrieved successfully.',
+    data: { proto }
+  });
+});
+
+// @route   DELETE /api/grpc/protos/:id
+// @desc    Unload a proto definition
+// @access  Public
+router.delete('/protos/:id', (req, res) => {
+  if (!grpcService.deleteProto(req.params.id)) return sendProtoNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'Proto definition removed successfully.',
+    data: { id: req.params.id }
+  });
+});
+
+// @route   POST /api/grpc/invoke
+// @desc    Call a method: unary and server streaming calls send message, client and bidi streaming calls send messages
+// @access  Public
+router.post('/invoke', callLimiter, async (req, res) => {
+  try {
+    const { protoId, target, tls, service, method, message, messages, metadata, settings } = req.body;
+    if (!protoId || !service || !method) {
+      return res.status(400).json({
+        success: false,
+        message: 'protoId, service and method are required.',
+        error: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await grpcService.invoke(
+      { protoId, target, tls, service, method, message, messages, metadata, settings },
+      { user: req.user, clientIp: req.ip }
+    );
+
+    res.json({
+      success: true,
+      message: `gRPC call finished with status ${result.status.name}.`,
+      data: { result }
+    });
+  } catch (error) {
+    sendGrpcError(res, error, 'Error calling gRPC method.', 'GRPC_CALL_ERROR');
+  }
+});
+
+export default router;
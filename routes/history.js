@@ -0,0 +1,260 @@
+import express from 'express';
+import RequestHistory from '../models/RequestHistory.js';
+import historyService from '../services/historyService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const replayLimiter = createRateLimiter(15 * 60 * 1000, 100); // 100 replays per 15 minutes
+
+// History entries belong to the authenticated user
+router.use(authenticate);
+
+const sendEntryNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'History entry not found.',
+  error: 'HISTORY_NOT_FOUND'
+});
+
+// Helper function to load one of the current user's history entries
+const findEntry = (req) => RequestHistory.findOne({ _id: req.params.id, owner: req.user._id });
+
+// @route   GET /api/history
+// @desc    Search the current user's request history by url, method, status and date
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let filter;
+    try {
+      filter = historyService.buildFilter(req.user._id, req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_HISTORY_FILTER'
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      RequestHistory.find(filter)
+        .select('-response.body -response.headers -source')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RequestHistory.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'History retrieved successfully.',
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('History fetch error:', error);
+    sendError(res, error, 'Error fetching history.', 'HISTORY_FETCH_ERROR');
+  }
+});
+
+// @route   DELETE /api/history
+// @desc    Clear the current user's request history
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    const { deletedCount } = await RequestHistory.deleteMany({ owner: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'History cleared successfully.',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    console.error('History clear error:', error);
+    sendError(res, error, 'Error clearing history.', 'HISTORY_CLEAR_ERROR');
+  }
+});
+
+// @route   GET /api/history/settings
+// @desc    Get the current user's history settings
+// @access  Private
+router.get('/settings', (req, res) => {
+  res.json({
+    success: true,
+    message: 'History settings retrieved successfully.',
+    data: { settings: historyService.getSettings(req.user) }
+  });
+});
+
+// @route   PUT /api/history/settings
+// @desc    Enable or disable history and set how many days entries are kept
+// @access  Private
+router.put('/settings', async (req, res) => {
+  try {
+    const { enabled, retentionDays } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enabled must be a boolean.',
+        error: 'INVALID_HISTORY_SETTINGS'
+      });
+    }
+    if (retentionDays !== undefined && !Number.isInteger(retentionDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Retention days must be a whole number.',
+        error: 'INVALID_HISTORY_SETTINGS'
+      });
+    }
+
+    const settings = await historyService.updateSettings(req.user._id, { enabled, retentionDays });
+
+    res.json({
+      success: true,
+      message: 'History settings updated successfully.',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('History settings update error:', error);
+    sendError(res, error, 'Error updating history settings.', 'HISTORY_SETTINGS_ERROR');
+  }
+});
+
+// @route   GET /api/history/:id
+// @desc    Get a history entry including the stored response
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return sendEntryNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'History entry retrieved successfully.',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('History entry fetch error:', error);
+    sendError(res, error, 'Error fetching history entry.', 'HISTORY_FETCH_ERROR');
+  }
+});
+
+// @route   POST /api/history/:id/replay
+// @desc    Send the resolved request of a history entry again
+// @access  Private
+router.post('/:id/replay', replayLimiter, async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return sendEntryNotFound(res);
+
+    const { result, failed, blocked, invalid, entry: replayed } = await historyService.replay(req.user, entry, { clientIp: req.ip });
+
+    res.status(blocked ? 403 : invalid ? 400 : failed ? 500 : 200).json({
+      ...result,
+      historyId: replayed?._id || null
+    });
+  } catch (error) {
+    if (/cannot be (replayed|saved)/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'HISTORY_ENTRY_INCOMPLETE'
+      });
+    }
+
+    console.error('History replay error:', error);
+    sendError(res, error, 'Error replaying history entry.', 'HISTORY_REPLAY_ERROR');
+  }
+});
+
+// @route   POST /api/history/:id/save
+// @desc    Save a history entry as a request in a collection
+// @access  Private
+router.post('/:id/save', async (req, res) => {
+  try {
+    const { collectionId, folderId, name } = req.body;
+
+    if (!collectionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection ID is required.',
+        error: 'MISSING_COLLECTION_ID'
+      });
+    }
+
+    const entry = await findEntry(req);
+    if (!entry) return sendEntryNotFound(res);
+
+    const request = await historyService.saveToCollection(req.user, entry, { collectionId, folderId, name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Request saved to collection successfully.',
+      data: { request }
+    });
+  } catch (error) {
+    if (['Collection not found', 'Folder not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        message: `${error.message}.`,
+        error: error.message.toUpperCase().replace(/ /g, '_')
+      });
+    }
+
+    if (error.message === 'Collection access denied') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this collection.',
+        error: 'COLLECTION_ACCESS_DENIED'
+      });
+    }
+
+    if (/cannot be (replayed|saved)/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'HISTORY_ENTRY_INCOMPLETE'
+      });
+    }
+
+    console.error('History save error:', error);
+    sendError(res, error, 'Error saving history entry.', 'HISTORY_SAVE_ERROR');
+  }
+});
+
+// @route   DELETE /api/history/:id
+// @desc    Delete a history entry
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) return sendEntryNotFound(res);
+
+    await entry.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'History entry deleted successfully.',
+      data: { deletedEntry: { id: entry._id } }
+    });
+  } catch (error) {
+    console.error('History delete error:', error);
+    sendError(res, error, 'Error deleting history entry.', 'HISTORY_DELETE_ERROR');
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import OAuthToken from '../models/OAuthToken.js';
+import oauthService from '../services/oauthService.js';
+import variableService from '../services/variableService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const authorizeLimiter = createRateLimiter(15 * 60 * 1000, 30); // 30 authorizations per 15 minutes
+
+// Helper function to get the callback URL the provider redirects to
+const getCallbackUrl = (req) => process.env.OAUTH2_CALLBACK_URL
+  || `${req.protocol}://${req.get('host')}/api/oauth2/callback`;
+
+// @route   POST /api/oauth2/authorize
+// @desc    Start an authorization code flow and get the URL to open in a browser
+// @access  Private
+router.post('/authorize', authenticate, authorizeLimiter, async (req, res) => {
+  try {
+    const { auth, environmentId, collectionId } = req.body;
+
+    if (!auth || typeof auth !== 'object' || auth.type !== 'oauth2') {
+      return res.status(400).json({
+        success: false,
+        message: 'OAuth 2.0 auth settings are required.',
+        error: 'MISSING_OAUTH2_SETTINGS'
+      });
+    }
+
+    // Settings usually reference {{clientId}} style variables
+    let scopes;
+    try {
+      scopes = await variableService.loadScopes(req.user, { environmentId, collectionId });
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: `${error.message}.`,
+        error: error.message.toUpperCase().replace(/ /g, '_')
+      });
+    }
+    const variables = variableService.buildVariables(variableService.toScopeMaps(scopes));
+    const resolvedAuth = variableService.resolveValue(auth, variables);
+
+    const authorization = oauthService.createAuthorization(req.user, resolvedAuth, getCallbackUrl(req));
+
+    res.json({
+      success: true,
+      message: 'Open the authorization URL to continue.',
+      data: { authorization }
+    });
+  } catch (error) {
+    if (/^OAuth 2\.0/.test(error.message) || /^Unsupported OAuth/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_OAUTH2_SETTINGS'
+      });
+    }
+
+    console.error('OAuth 2.0 authorize error:', error);
+    sendError(res, error, 'Error starting OAuth 2.0 authorization.', 'OAUTH2_AUTHORIZE_ERROR');
+  }
+});
+
+// @route   GET /api/oauth2/callback
+// @desc    Receive the authorization code from the provider and store the token
+// @access  Public (identified by the state parameter)
+router.get('/callback', async (req, res) => {
+  try {
+    const result = await oauthService.completeAuthorization(req.query);
+
+    res.json({
+      success: true,
+      message: 'OAuth 2.0 authorization complete. You can close this window.',
+      data: { authorization: result }
+    });
+  } catch (error) {
+    if (/^OAuth 2\.0/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'OAUTH2_AUTHORIZATION_FAILED'
+      });
+    }
+
+    console.error('OAuth 2.0 callback error:', error);
+    sendError(res, error, 'Error completing OAuth 2.0 authorization.', 'OAUTH2_CALLBACK_ERROR');
+  }
+});
+
+// @route   GET /api/oauth2/tokens
+// @desc    List the current user's stored tokens without their values
+// @access  Private
+router.get('/tokens', authenticate, async (req, res) => {
+  try {
+    const tokens = await OAuthToken.find({ owner: req.user._id }).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'OAuth 2.0 tokens retrieved successfully.',
+      data: { tokens }
+    });
+  } catch (error) {
+    console.error('OAuth 2.0 tokens fetch error:', error);
+    sendError(res, error, 'Error fetching OAuth 2.0 tokens.', 'OAUTH2_TOKENS_FETCH_ERROR');
+  }
+});
+
+// @route   DELETE /api/oauth2/tokens/:id
+// @desc    Delete a stored token so the next request fetches a new one
+// @access  Private
+router.delete('/tokens/:id', authenticate, async (req, res) => {
+  try {
+    const token = await OAuthToken.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'OAuth 2.0 token not found.',
+        error: 'OAUTH2_TOKEN_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'OAuth 2.0 token deleted successfully.',
+      data: { deletedToken: { id: token._id } }
+    });
+  } catch (error) {
+    console.error('OAuth 2.0 token delete error:', error);
+    sendError(res, error, 'Error deleting OAuth 2.0 token.', 'OAUTH2_TOKEN_DELETE_ERROR');
+  }
+});
+
+export default router;
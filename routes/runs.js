@@ -0,0 +1,199 @@
+import express from 'express';
+import CollectionRun from '../models/CollectionRun.js';
+import collectionRunnerService from '../services/collectionRunnerService.js';
+import { authenticate, createRateLimiter } from '../middleware/auth.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const runLimiter = createRateLimiter(15 * 60 * 1000, 60); // 60 runs per 15 minutes
+
+// All run endpoints belong to the authenticated user
+router.use(authenticate);
+
+const NOT_FOUND_ERRORS = ['Collection not found', 'Environment not found', 'Folder not found'];
+
+const sendRunNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Run not found.',
+  error: 'RUN_NOT_FOUND'
+});
+
+// @route   POST /api/runs
+// @desc    Start running a collection or folder
+// @access  Private
+router.post('/', runLimiter, async (req, res) => {
+  try {
+    if (!req.body.collectionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection ID is required.',
+        error: 'MISSING_COLLECTION_ID'
+      });
+    }
+
+    const run = await collectionRunnerService.startRun(req.user, req.body);
+
+    res.status(202).json({
+      success: true,
+      message: 'Collection run started.',
+      data: { run }
+    });
+  } catch (error) {
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        message: `${error.message}.`,
+        error: error.message.toUpperCase().replace(/ /g, '_')
+      });
+    }
+
+    if (/data (file|rows)|delay/i.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: 'INVALID_RUN_OPTIONS'
+      });
+    }
+
+    console.error('Run start error:', error);
+    sendError(res, error, 'Error starting collection run.', 'RUN_START_ERROR');
+  }
+});
+
+// @route   GET /api/runs
+// @desc    Get the current user's runs without per-request results
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { owner: req.user._id };
+
+    if (req.query.collectionId) {
+      filter.collectionId = req.query.collectionId;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [runs, total] = await Promise.all([
+      CollectionRun.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CollectionRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Runs retrieved successfully.',
+      data: {
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Runs fetch error:', error);
+    sendError(res, error, 'Error fetching runs.', 'RUNS_FETCH_ERROR');
+  }
+});
+
+// @route   GET /api/runs/:id
+// @desc    Get a run report, including a page of the results recorded so far
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await CollectionRun.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!run) return sendRunNotFound(res);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const { results, total } = await collectionRunnerService.getResults(run._id, { page, limit });
+
+    res.json({
+      success: true,
+      message: 'Run retrieved successfully.',
+      data: {
+        run: { ...run.toJSON(), results },
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Run fetch error:', error);
+    sendError(res, error, 'Error fetching run.', 'RUN_FETCH_ERROR');
+  }
+});
+
+// @route   POST /api/runs/:id/cancel
+// @desc    Cancel a run that is still in progress
+// @access  Private
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const run = await CollectionRun.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!run) return sendRunNotFound(res);
+
+    if (!collectionRunnerService.cancelRun(run._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Run is not in progress.',
+        error: 'RUN_NOT_ACTIVE'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Run cancellation requested.',
+      data: { run: { id: run._id, status: run.status } }
+    });
+  } catch (error) {
+    console.error('Run cancel error:', error);
+    sendError(res, error, 'Error cancelling run.', 'RUN_CANCEL_ERROR');
+  }
+});
+
+// @route   DELETE /api/runs/:id
+// @desc    Delete a finished run report
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const run = await CollectionRun.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!run) return sendRunNotFound(res);
+
+    if (collectionRunnerService.isActive(run._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancel the run before deleting it.',
+        error: 'RUN_IN_PROGRESS'
+      });
+    }
+
+    await collectionRunnerService.deleteRun(run);
+
+    res.json({
+      success: true,
+      message: 'Run deleted successfully.',
+      data: { deletedRun: { id: run._id } }
+    });
+  } catch (error) {
+    console.error('Run delete error:', error);
+    sendError(res, error, 'Error deleting run.', 'RUN_DELETE_ERROR');
+  }
+});
+
+export default router;
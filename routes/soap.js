@@ -0,0 +1,172 @@
+import express from 'express';
+import soapService from '../services/soapService.js';
+import proxyService from '../services/proxyService.js';
+import variableService from '../services/variableService.js';
+import { optionalAuth, createRateLimiter } from '../middleware/auth.js';
+import { parseTextUpload } from '../middleware/upload.js';
+import { sendError } from '../utils/responses.js';
+
+const router = express.Router();
+
+// Rate limiters
+const fetchLimiter = createRateLimiter(15 * 60 * 1000, 60); // 60 WSDL fetches per 15 minutes
+
+// WSDL URLs are fetched through the proxy, under the caller's outbound policy
+router.use(optionalAuth);
+
+// HTTP status for each error code the SOAP service throws
+const ERROR_STATUSES = {
+  INVALID_WSDL: 400,
+  INVALID_SOAP_ENVELOPE: 400,
+  OUTBOUND_BLOCKED: 403,
+  WSDL_FETCH_FAILED: 502
+};
+
+// Send a known service error with its status, anything else as a server error
+const sendSoapError = (res, error, message, code) => {
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    console.error(message, error);
+    return sendError(res, error, message, code);
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+const sendWsdlNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'WSDL not found.',
+  error: 'WSDL_NOT_FOUND'
+});
+
+// Fetch a WSDL or XSD document through the proxy, with the request's headers, auth and settings
+const fetchDocument = async (url, { headers, auth, settings }, context) => {
+  const { result, failed, blocked } = await proxyService.executeRequest({ method: 'GET', url, headers, auth, settings }, context);
+
+  if (failed) {
+    throw Object.assign(new Error(result.message || 'Request failed'), { code: blocked ? 'OUTBOUND_BLOCKED' : 'WSDL_FETCH_FAILED' });
+  }
+  if (result.status >= 400) {
+    throw Object.assign(new Error(`${url} returned HTTP ${result.status}`), { code: 'WSDL_FETCH_FAILED' });
+  }
+  if (result.download || typeof result.data !== 'string') {
+    throw Object.assign(new Error(`${url} did not return an XML document`), { code: 'WSDL_FETCH_FAILED' });
+  }
+
+  const content = result.bodyEncoding === 'base64' ? Buffer.from(result.data, 'base64').toString('utf8') : result.data;
+  return { content, url: result.finalUrl };
+};
+
+// @route   GET /api/soap/wsdl
+// @desc    List loaded WSDLs
+// @access  Public
+router.get('/wsdl', (req, res) => {
+  res.json({
+    success: true,
+    message: 'WSDLs retrieved successfully.',
+    data: { wsdls: soapService.getAllWsdls() }
+  });
+});
+
+// @route   POST /api/soap/wsdl
+// @desc    Load a WSDL uploaded with the XSD and WSDL files it imports (multipart parts or JSON { name, files: [{ name, content }] }),
+//          sent as JSON { wsdl }, or fetched from { url } through the proxy along with its imports
+// @access  Public (stored environments require authentication)
+router.post('/wsdl', fetchLimiter, parseTextUpload, async (req, res) => {
+  try {
+    const { name, files, wsdl, url, headers, auth, settings, environmentId, collectionId, variables: localVariables = {} } = req.body;
+    let entry;
+
+    if (url) {
+      if ((environmentId || collectionId) && !req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required to use stored environments.',
+          error: 'AUTHENTICATION_REQUIRED'
+        });
+      }
+
+      let scopes;
+      try {
+        scopes = await variableService.loadScopes(req.user, { environmentId, collectionId });
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          message: `${error.message}.`,
+          error: error.message.toUpperCase().replace(/ /g, '_')
+        });
+      }
+
+      const context = {
+        variables: variableService.toScopeMaps(scopes, localVariables),
+        user: req.user,
+        settings: scopes.environment?.settings,
+        clientIp: req.ip
+      };
+      const fetched = await fetchDocument(url, { headers, auth, settings }, context);
+      entry = await soapService.loadWsdl([{ name: 'service.wsdl', content: fetched.content }], {
+        name,
+        url: fetched.url,
+        fetchImport: async (importUrl) => (await fetchDocument(importUrl, { headers, auth, settings }, context)).content
+      });
+    } else {
+      entry = await soapService.loadWsdl(typeof wsdl === 'string' ? [{ name: 'service.wsdl', content: wsdl }] : files, { name });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'WSDL loaded successfully.',
+      data: { wsdl: entry }
+    });
+  } catch (error) {
+    sendSoapError(res, error, 'Error loading WSDL.', 'WSDL_LOAD_ERROR');
+  }
+});
+
+// @route   GET /api/soap/wsdl/:id
+// @desc    Get a WSDL's services, ports and operations with request envelope templates
+// @access  Public
+router.get('/wsdl/:id', (req, res) => {
+  const wsdl = soapService.getWsdlInfo(req.params.id);
+  if (!wsdl) return sendWsdlNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'WSDL retrieved successfully.',
+    data: { wsdl }
+  });
+});
+
+// @route   DELETE /api/soap/wsdl/:id
+// @desc    Unload a WSDL
+// @access  Public
+router.delete('/wsdl/:id', (req, res) => {
+  if (!soapService.deleteWsdl(req.params.id)) return sendWsdlNotFound(res);
+
+  res.json({
+    success: true,
+    message: 'WSDL removed successfully.',
+    data: { id: req.params.id }
+  });
+});
+
+// @route   POST /api/soap/parse
+// @desc    Parse a SOAP envelope { xml } into its header, body and normalized fault
+// @access  Public
+router.post('/parse', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'SOAP envelope parsed successfully.',
+      data: { envelope: soapService.parseEnvelope(req.body.xml) }
+    });
+  } catch (error) {
+    sendSoapError(res, error, 'Error parsing SOAP envelope.', 'SOAP_PARSE_ERROR');
+  }
+});
+
+export default router;
@@ -1,16 +1,34 @@
 import express from 'express';
+import path from 'path';
 import cors from 'cors';
-import axios from 'axios';
 import bodyParser from 'body-parser';
 import helmet from 'helmet';
 import connectDB from './config/database.js';
 import mockServerService from './services/mockServerService.js';
 import webSocketService from './services/webSocketService.js';
+import sseService from './services/sseService.js';
+import mqttService from './services/mqttService.js';
 import themeService from './services/themeService.js';
+import variableService from './services/variableService.js';
+import proxyService from './services/proxyService.js';
+import historyService from './services/historyService.js';
+import bodyService from './services/bodyService.js';
+import { authenticate, optionalAuth } from './middleware/auth.js';
+import { parseProxyUpload, removeUploads } from './middleware/upload.js';
 
 // Import authentication routes
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
+import collectionRoutes from './routes/collections.js';
+import environmentRoutes from './routes/environments.js';
+import runRoutes from './routes/runs.js';
+import codegenRoutes from './routes/codegen.js';
+import historyRoutes from './routes/history.js';
+import oauth2Routes from './routes/oauth2.js';
+import cookieRoutes from './routes/cookies.js';
+import graphqlRoutes from './routes/graphql.js';
+import grpcRoutes from './routes/grpc.js';
+import soapRoutes from './routes/soap.js';
 
 const app = express();
 
@@ -38,112 +56,138 @@ app.use('/api/admin', adminRoutes);
 
 // ============ END AUTHENTICATION ENDPOINTS ============
 
-// Proxy endpoint to handle API requests
-app.post('/api/proxy', async (req, res) => {
+// Proxy endpoint to handle API requests.
+// Sent as JSON, or as multipart with the request in a "request" field when it uploads files.
+app.post('/api/proxy', optionalAuth, parseProxyUpload, async (req, res) => {
   try {
-    const { url, method = 'GET', headers = {}, body, auth } = req.body;
+    const { environmentId, collectionId, variables: localVariables = {} } = req.body;
 
-    if (!url) {
+    if (!req.body.url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Prepare axios config
-    const config = {
-      method: method.toLowerCase(),
-      url,
-      headers: {
-        ...headers,
-        'User-Agent': 'Postman-MVP/1.0'
-      },
-      timeout: 30000, // 30 seconds timeout
-      validateStatus: () => true // Accept all status codes
-    };
+    if ((environmentId || collectionId) && !req.user) {
+      return res.status(401).json({ error: 'Authentication required to use stored environments' });
+    }
+
+    // Load globals, collection and environment scopes for {{variable}} resolution
+    let scopes;
+    try {
+      scopes = await variableService.loadScopes(req.user, { environmentId, collectionId });
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
 
-    // Add body for POST, PUT, PATCH requests
-    if (['post', 'put', 'patch'].includes(method.toLowerCase()) && body) {
-      config.data = body;
-    }
-
-    // Handle authentication
-    if (auth) {
-      switch (auth.type) {
-        case 'bearer':
-          config.headers.Authorization = `Bearer ${auth.token}`;
-          break;
-        case 'apikey':
-          if (auth.key && auth.value) {
-            config.headers[auth.key] = auth.value;
-          }
-          break;
-        case 'basic':
-          if (auth.username && auth.password) {
-            const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
-            config.headers.Authorization = `Basic ${credentials}`;
-          }
-          break;
-      }
-    }
-
-    const startTime = Date.now();
-    const response = await axios(config);
-    const duration = Date.now() - startTime;
-
-    res.json({
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers,
-      data: response.data,
-      duration,
-      size: JSON.stringify(response.data).length
+    const initialVariables = variableService.toScopeMaps(scopes, localVariables);
+    const { result, variables, failed, blocked, invalid } = await proxyService.executeRequest(req.body, {
+      variables: initialVariables,
+      user: req.user,
+      files: req.files,
+      settings: scopes.environment?.settings,
+      clientIp: req.ip
     });
 
-  } catch (error) {
-    console.error('Proxy request error:', error.message);
-    
-    if (error.response) {
-      // Server responded with error status
-      res.json({
-        status: error.response.status,
-        statusText: error.response.statusText,
-        headers: error.response.headers,
-        data: error.response.data,
-        duration: 0,
-        size: 0
-      });
-    } else if (error.request) {
-      // Request timeout or network error
-      res.status(500).json({
-        error: 'Network error or timeout',
-        message: error.message,
-        code: error.code
-      });
-    } else {
-      // Other errors
-      res.status(500).json({
-        error: 'Request failed',
-        message: error.message
+    // Persist variables the scripts changed in stored environments
+    try {
+      await variableService.saveScopeChanges(req.user, scopes, initialVariables, variables);
+    } catch (error) {
+      console.error('Failed to save script variable changes:', error.message);
+    }
+
+    // Record the call in the user's history without delaying the response
+    if (req.user) {
+      historyService.record(req.user, req.body, { result, failed }).catch(error => {
+        console.error('Failed to record request history:', error.message);
       });
     }
+
+    res.status(blocked ? 403 : invalid ? 400 : failed ? 500 : 200).json(result);
+  } catch (error) {
+    console.error('Proxy request error:', error.message);
+    res.status(500).json({
+      error: 'Request failed',
+      message: error.message
+    });
+  } finally {
+    await removeUploads(req.files);
   }
 });
 
-// Collections endpoints (for future implementation with database)
-app.get('/api/collections', (req, res) => {
-  // For MVP, we'll use client-side storage
-  res.json({ message: 'Collections are stored in browser localStorage' });
-});
+// Download a binary proxy response that was too large to return inline
+app.get('/api/proxy/downloads/:id', optionalAuth, (req, res) => {
+  const download = bodyService.getDownload(req.params.id, { user: req.user, clientIp: req.ip });
+  if (!download) {
+    return res.status(404).json({ error: 'Download not found or expired' });
+  }
 
-app.post('/api/collections', (req, res) => {
-  // For MVP, we'll use client-side storage
-  res.json({ message: 'Collections are stored in browser localStorage' });
+  res.attachment(download.fileName);
+  res.type(download.contentType);
+  res.sendFile(path.resolve(download.path));
 });
 
+// Collections routes
+app.use('/api/collections', collectionRoutes);
+
+// Environments and variables routes
+app.use('/api/environments', environmentRoutes);
+
+// Collection runner routes
+app.use('/api/runs', runRoutes);
+
+// cURL import and code generation routes
+app.use('/api/codegen', codegenRoutes);
+
+// Request history routes
+app.use('/api/history', historyRoutes);
+
+// OAuth 2.0 authorization and token routes
+app.use('/api/oauth2', oauth2Routes);
+
+// Cookie jar routes
+app.use('/api/cookies', cookieRoutes);
+
+// GraphQL introspection and validation routes
+app.use('/api/graphql', graphqlRoutes);
+
+// gRPC proto loading, server reflection and call routes
+app.use('/api/grpc', grpcRoutes);
+
+// SOAP WSDL loading and envelope parsing routes
+app.use('/api/soap', soapRoutes);
+
 // ============ MOCK SERVER ENDPOINTS ============
 
-// Get all mock configurations
-app.get('/api/mock-configs', (req, res) => {
+// Load a mock configuration and check the current user's access to it.
+// Sends the error response and returns null when access is denied.
+const loadMockConfig = async (req, res, access = 'view') => {
+  const config = await mockServerService.getMockConfig(req.params.id);
+
+  if (!config || !config.canView(req.user)) {
+    res.status(404).json({ error: 'Mock configuration not found' });
+    return null;
+  }
+
+  const isOwner = req.user.role === 'admin' || config.owner.toString() === req.user._id.toString();
+  if ((access === 'edit' && !config.canEdit(req.user)) || (access === 'owner' && !isOwner)) {
+    res.status(403).json({ error: 'You do not have permission to modify this mock configuration' });
+    return null;
+  }
+
+  return config;
+};
+
+// Send validation errors as 400s and anything else as a 500
+const sendMockError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join(', ') });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Get all mock configurations owned by or shared with the current user
+app.get('/api/mock-configs', authenticate, async (req, res) => {
   try {
-    const configs = mockServerService.getAllMockConfigs();
+    const configs = await mockServerService.getAllMockConfigs(req.user);
     res.json(configs);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -151,34 +195,83 @@ app.get('/api/mock-configs', (req, res) => {
 });
 
 // Create mock configuration
-app.post('/api/mock-configs', (req, res) => {
+app.post('/api/mock-configs', authenticate, async (req, res) => {
   try {
-    const config = mockServerService.createMockConfig(req.body);
+    const config = await mockServerService.createMockConfig(req.user, req.body);
     res.status(201).json(config);
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Get mock configuration
+app.get('/api/mock-configs/:id', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res);
+    if (!config) return;
+    res.json(config);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update mock configuration
-app.put('/api/mock-configs/:id', (req, res) => {
+app.put('/api/mock-configs/:id', authenticate, async (req, res) => {
   try {
-    const config = mockServerService.updateMockConfig(req.params.id, req.body);
-    if (!config) {
-      return res.status(404).json({ error: 'Mock configuration not found' });
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    res.json(await mockServerService.updateMockConfig(config, req.body));
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Delete mock configuration
+app.delete('/api/mock-configs/:id', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'owner');
+    if (!config) return;
+    await mockServerService.deleteMockConfig(config);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Share mock configuration with a user, by ID, email or username
+app.post('/api/mock-configs/:id/share', authenticate, async (req, res) => {
+  try {
+    const { user, role = 'viewer' } = req.body;
+    if (!['viewer', 'editor'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be viewer or editor' });
     }
-    res.json(config);
+
+    const config = await loadMockConfig(req, res, 'owner');
+    if (!config) return;
+
+    const shared = await mockServerService.shareMockConfig(config, user, role);
+    if (!shared) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(shared);
   } catch (error) {
+    if (error.message === 'Mock configurations cannot be shared with their owner') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Delete mock configuration
-app.delete('/api/mock-configs/:id', (req, res) => {
+// Stop sharing mock configuration with a user, owners can remove anyone and users can remove themselves
+app.delete('/api/mock-configs/:id/share/:userId', authenticate, async (req, res) => {
   try {
-    const deleted = mockServerService.deleteMockConfig(req.params.id);
-    if (!deleted) {
-      return res.status(404).json({ error: 'Mock configuration not found' });
+    const self = req.params.userId === req.user._id.toString();
+    const config = await loadMockConfig(req, res, self ? 'view' : 'owner');
+    if (!config) return;
+
+    const removed = await mockServerService.unshareMockConfig(config, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Mock configuration is not shared with this user' });
     }
     res.status(204).send();
   } catch (error) {
@@ -187,35 +280,38 @@ app.delete('/api/mock-configs/:id', (req, res) => {
 });
 
 // Add route to mock configuration
-app.post('/api/mock-configs/:id/routes', (req, res) => {
+app.post('/api/mock-configs/:id/routes', authenticate, async (req, res) => {
   try {
-    const route = mockServerService.addRoute(req.params.id, req.body);
-    if (!route) {
-      return res.status(404).json({ error: 'Mock configuration not found' });
-    }
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const route = await mockServerService.addRoute(config, req.body);
     res.status(201).json(route);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendMockError(res, error);
   }
 });
 
 // Update route
-app.put('/api/mock-configs/:id/routes/:routeId', (req, res) => {
+app.put('/api/mock-configs/:id/routes/:routeId', authenticate, async (req, res) => {
   try {
-    const route = mockServerService.updateRoute(req.params.id, req.params.routeId, req.body);
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const route = await mockServerService.updateRoute(config, req.params.routeId, req.body);
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
     }
     res.json(route);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendMockError(res, error);
   }
 });
 
 // Delete route
-app.delete('/api/mock-configs/:id/routes/:routeId', (req, res) => {
+app.delete('/api/mock-configs/:id/routes/:routeId', authenticate, async (req, res) => {
   try {
-    const deleted = mockServerService.deleteRoute(req.params.id, req.params.routeId);
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const deleted = await mockServerService.deleteRoute(config, req.params.routeId);
     if (!deleted) {
       return res.status(404).json({ error: 'Route not found' });
     }
@@ -225,11 +321,137 @@ app.delete('/api/mock-configs/:id/routes/:routeId', (req, res) => {
   }
 });
 
+// Add response variant to route
+app.post('/api/mock-configs/:id/routes/:routeId/variants', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const variant = await mockServerService.addVariant(config, req.params.routeId, req.body);
+    if (!variant) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    res.status(201).json(variant);
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Update response variant
+app.put('/api/mock-configs/:id/routes/:routeId/variants/:variantId', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const variant = await mockServerService.updateVariant(config, req.params.routeId, req.params.variantId, req.body);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    res.json(variant);
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Delete response variant
+app.delete('/api/mock-configs/:id/routes/:routeId/variants/:variantId', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const deleted = await mockServerService.deleteVariant(config, req.params.routeId, req.params.variantId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add stateful resource to mock configuration
+app.post('/api/mock-configs/:id/resources', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const resource = await mockServerService.addResource(config, req.body);
+    res.status(201).json(resource);
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Update stateful resource, which resets its items to the seed
+app.put('/api/mock-configs/:id/resources/:resourceId', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const resource = await mockServerService.updateResource(config, req.params.resourceId, req.body);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    res.json(resource);
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Delete stateful resource
+app.delete('/api/mock-configs/:id/resources/:resourceId', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const deleted = await mockServerService.deleteResource(config, req.params.resourceId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch the active scenario of a mock configuration, null switches back to the default responses
+app.put('/api/mock-configs/:id/scenario', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    await mockServerService.setActiveScenario(config, req.body.scenario);
+    res.json({ activeScenario: config.activeScenario, scenarios: config.scenarios });
+  } catch (error) {
+    sendMockError(res, error);
+  }
+});
+
+// Restart every response sequence of a mock configuration from its first response
+app.post('/api/mock-configs/:id/sequences/reset', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    mockServerService.clearSequenceState(config);
+    res.json(mockServerService.getConfigState(config));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset stateful resource items to its seed
+app.post('/api/mock-configs/:id/resources/:resourceId/reset', authenticate, async (req, res) => {
+  try {
+    const config = await loadMockConfig(req, res, 'edit');
+    if (!config) return;
+    const items = await mockServerService.resetResource(config, req.params.resourceId);
+    if (!items) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    res.json({ resourceId: req.params.resourceId, items });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get request logs
-app.get('/api/mock-logs', (req, res) => {
+app.get('/api/mock-logs', authenticate, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const logs = mockServerService.getRequestLogs(limit);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const logs = await mockServerService.getRequestLogs(req.user, limit);
     res.json(logs);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -237,9 +459,9 @@ app.get('/api/mock-logs', (req, res) => {
 });
 
 // Clear request logs
-app.delete('/api/mock-logs', (req, res) => {
+app.delete('/api/mock-logs', authenticate, async (req, res) => {
   try {
-    mockServerService.clearRequestLogs();
+    await mockServerService.clearRequestLogs(req.user);
     res.status(204).send();
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -247,9 +469,9 @@ app.delete('/api/mock-logs', (req, res) => {
 });
 
 // Get mock server statistics
-app.get('/api/mock-stats', (req, res) => {
+app.get('/api/mock-stats', authenticate, async (req, res) => {
   try {
-    const stats = mockServerService.getStatistics();
+    const stats = await mockServerService.getStatistics(req.user);
     res.json(stats);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -267,9 +489,9 @@ app.get('/api/mock-templates', (req, res) => {
 });
 
 // Export mock configurations
-app.get('/api/mock-export', (req, res) => {
+app.get('/api/mock-export', authenticate, async (req, res) => {
   try {
-    const data = mockServerService.exportMockConfigs();
+    const data = await mockServerService.exportMockConfigs(req.user);
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -277,9 +499,9 @@ app.get('/api/mock-export', (req, res) => {
 });
 
 // Import mock configurations
-app.post('/api/mock-import', (req, res) => {
+app.post('/api/mock-import', authenticate, async (req, res) => {
   try {
-    const result = mockServerService.importMockConfigs(req.body);
+    const result = await mockServerService.importMockConfigs(req.user, req.body);
     if (result.success) {
       res.json(result);
     } else {
@@ -346,13 +568,13 @@ app.use('/mock/*', async (req, res) => {
 // ============ WEBSOCKET ENDPOINTS ============
 
 // Create WebSocket connection
-app.post('/api/websocket/connections', (req, res) => {
+app.post('/api/websocket/connections', optionalAuth, async (req, res) => {
   try {
-    const result = webSocketService.createConnection(req.body);
+    const result = await webSocketService.createConnection(req.body, { user: req.user, clientIp: req.ip });
     if (result.success) {
       res.status(201).json(result);
     } else {
-      res.status(400).json(result);
+      res.status(result.code === 'OUTBOUND_BLOCKED' ? 403 : 400).json(result);
     }
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -383,10 +605,39 @@ app.get('/api/websocket/connections/:id', (req, res) => {
 });
 
 // Send message through WebSocket
-app.post('/api/websocket/connections/:id/send', (req, res) => {
+app.post('/api/websocket/connections/:id/send', async (req, res) => {
   try {
     const { message, messageType } = req.body;
-    const result = webSocketService.sendMessage(req.params.id, message, messageType);
+    const result = await webSocketService.sendMessage(req.params.id, message, messageType);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Emit a Socket.IO event, waiting for the acknowledgement when ack is set
+app.post('/api/websocket/connections/:id/emit', async (req, res) => {
+  try {
+    const { event, args, ack, timeout } = req.body;
+    const result = await webSocketService.emitEvent(req.params.id, { event, args, ack, timeout });
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Answer a Socket.IO event that asked for an acknowledgement
+app.post('/api/websocket/connections/:id/acks/:ackId', (req, res) => {
+  try {
+    const result = webSocketService.sendAck(req.params.id, req.params.ackId, req.body.args);
     if (result.success) {
       res.json(result);
     } else {
@@ -448,8 +699,8 @@ app.delete('/api/websocket/connections/:id/messages', (req, res) => {
 });
 
 // Test WebSocket connection
-app.post('/api/websocket/test', (req, res) => {
-  webSocketService.testConnection(req.body)
+app.post('/api/websocket/test', optionalAuth, (req, res) => {
+  webSocketService.testConnection(req.body, { user: req.user, clientIp: req.ip })
     .then(result => res.json(result))
     .catch(error => res.status(500).json({ error: error.message }));
 });
@@ -510,6 +761,368 @@ app.post('/api/websocket/cleanup', (req, res) => {
 
 // ============ END WEBSOCKET ENDPOINTS ============
 
+// ============ SSE ENDPOINTS ============
+
+// Create SSE connection
+app.post('/api/sse/connections', optionalAuth, async (req, res) => {
+  try {
+    const result = await sseService.createConnection(req.body, { user: req.user, clientIp: req.ip });
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all SSE connections
+app.get('/api/sse/connections', (req, res) => {
+  try {
+    const connections = sseService.getAllConnections();
+    res.json(connections);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific SSE connection
+app.get('/api/sse/connections/:id', (req, res) => {
+  try {
+    const connection = sseService.getConnectionInfo(req.params.id);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    res.json(connection);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Close SSE connection
+app.post('/api/sse/connections/:id/close', (req, res) => {
+  try {
+    const result = sseService.closeConnection(req.params.id);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reopen a closed SSE connection from its last event ID
+app.post('/api/sse/connections/:id/reconnect', (req, res) => {
+  try {
+    const result = sseService.reconnect(req.params.id);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(result.error === 'Connection not found' ? 404 : 400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete SSE connection
+app.delete('/api/sse/connections/:id', (req, res) => {
+  try {
+    const result = sseService.deleteConnection(req.params.id);
+    if (result.success) {
+      res.status(204).send();
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get event history for connection
+app.get('/api/sse/connections/:id/messages', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const messages = sseService.getMessageHistory(req.params.id, limit);
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear event history for connection
+app.delete('/api/sse/connections/:id/messages', (req, res) => {
+  try {
+    const result = sseService.clearMessageHistory(req.params.id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test SSE endpoint
+app.post('/api/sse/test', optionalAuth, (req, res) => {
+  sseService.testConnection(req.body, { user: req.user, clientIp: req.ip })
+    .then(result => res.json(result))
+    .catch(error => res.status(500).json({ error: error.message }));
+});
+
+// Get SSE statistics
+app.get('/api/sse/stats', (req, res) => {
+  try {
+    const stats = sseService.getGlobalStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get SSE connection templates
+app.get('/api/sse/templates', (req, res) => {
+  try {
+    const templates = sseService.getConnectionTemplates();
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export SSE data
+app.get('/api/sse/export', (req, res) => {
+  try {
+    const data = sseService.exportConnections();
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import SSE data, reopening the connections when resume is set
+app.post('/api/sse/import', optionalAuth, async (req, res) => {
+  try {
+    const resume = req.query.resume === 'true' || req.body.resume === true;
+    const result = await sseService.importConnections(req.body, { resume, user: req.user, clientIp: req.ip });
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cleanup closed connections
+app.post('/api/sse/cleanup', (req, res) => {
+  try {
+    const result = sseService.cleanup();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ END SSE ENDPOINTS ============
+
+// ============ MQTT ENDPOINTS ============
+
+// Create MQTT connection
+app.post('/api/mqtt/connections', optionalAuth, async (req, res) => {
+  try {
+    const result = await mqttService.createConnection(req.body, { user: req.user, clientIp: req.ip });
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(result.code === 'OUTBOUND_BLOCKED' ? 403 : 400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all MQTT connections
+app.get('/api/mqtt/connections', (req, res) => {
+  try {
+    const connections = mqttService.getAllConnections();
+    res.json(connections);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get specific MQTT connection
+app.get('/api/mqtt/connections/:id', (req, res) => {
+  try {
+    const connection = mqttService.getConnectionInfo(req.params.id);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    res.json(connection);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Subscribe to topic filters
+app.post('/api/mqtt/connections/:id/subscribe', async (req, res) => {
+  try {
+    const { topic, topics, qos } = req.body;
+    const result = await mqttService.subscribe(req.params.id, { topic, topics, qos });
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unsubscribe from topic filters
+app.post('/api/mqtt/connections/:id/unsubscribe', async (req, res) => {
+  try {
+    const { topic, topics } = req.body;
+    const result = await mqttService.unsubscribe(req.params.id, { topic, topics });
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Publish a message
+app.post('/api/mqtt/connections/:id/publish', async (req, res) => {
+  try {
+    const { topic, payload, payloadType, qos, retain, properties } = req.body;
+    const result = await mqttService.publish(req.params.id, { topic, payload, payloadType, qos, retain, properties });
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Close MQTT connection
+app.post('/api/mqtt/connections/:id/close', (req, res) => {
+  try {
+    const result = mqttService.closeConnection(req.params.id, req.body.force);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete MQTT connection
+app.delete('/api/mqtt/connections/:id', (req, res) => {
+  try {
+    const result = mqttService.deleteConnection(req.params.id);
+    if (result.success) {
+      res.status(204).send();
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get message history for connection
+app.get('/api/mqtt/connections/:id/messages', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const messages = mqttService.getMessageHistory(req.params.id, limit, req.query.topic);
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear message history for connection
+app.delete('/api/mqtt/connections/:id/messages', (req, res) => {
+  try {
+    const result = mqttService.clearMessageHistory(req.params.id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test MQTT connection
+app.post('/api/mqtt/test', optionalAuth, (req, res) => {
+  mqttService.testConnection(req.body, { user: req.user, clientIp: req.ip })
+    .then(result => res.json(result))
+    .catch(error => res.status(500).json({ error: error.message }));
+});
+
+// Get MQTT statistics
+app.get('/api/mqtt/stats', (req, res) => {
+  try {
+    const stats = mqttService.getGlobalStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get MQTT connection templates
+app.get('/api/mqtt/templates', (req, res) => {
+  try {
+    const templates = mqttService.getConnectionTemplates();
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export MQTT data
+app.get('/api/mqtt/export', (req, res) => {
+  try {
+    const data = mqttService.exportConnections();
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import MQTT data
+app.post('/api/mqtt/import', (req, res) => {
+  try {
+    const result = mqttService.importConnections(req.body);
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cleanup closed connections
+app.post('/api/mqtt/cleanup', (req, res) => {
+  try {
+    const result = mqttService.cleanup();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ END MQTT ENDPOINTS ============
+
 // ============ THEME ENDPOINTS ============
 
 // Get all themes
@@ -734,8 +1347,20 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`🚀 PostWomen Backend running on port ${PORT}`);
     console.log(`📡 Proxy endpoint: http://localhost:${PORT}/api/proxy`);
-    console.log(`🎭 Mock Server: http://localhost:${PORT}/mock/*`);
+    console.log(`📁 Collections: http://localhost:${PORT}/api/collections/*`);
+    console.log(`🌍 Environments: http://localhost:${PORT}/api/environments/*`);
+    console.log(`🏃 Collection Runner: http://localhost:${PORT}/api/runs/*`);
+    console.log(`🧩 Code Generation: http://localhost:${PORT}/api/codegen/*`);
+    console.log(`🕘 Request History: http://localhost:${PORT}/api/history/*`);
+    console.log(`🔑 OAuth 2.0: http://localhost:${PORT}/api/oauth2/*`);
+    console.log(`🍪 Cookie Jar: http://localhost:${PORT}/api/cookies/*`);
+    console.log(`🔷 GraphQL: http://localhost:${PORT}/api/graphql/*`);
+    console.log(`📦 gRPC: http://localhost:${PORT}/api/grpc/*`);
+    console.log(`🧼 SOAP: http://localhost:${PORT}/api/soap/*`);
+    console.log(`🎭 Mock Server: http://localhost:${PORT}/mock/:configId/*`);
     console.log(`🔌 WebSocket Testing: http://localhost:${PORT}/api/websocket/*`);
+    console.log(`📻 Server-Sent Events: http://localhost:${PORT}/api/sse/*`);
+    console.log(`📶 MQTT Testing: http://localhost:${PORT}/api/mqtt/*`);
     console.log(`🎨 Theme Management: http://localhost:${PORT}/api/themes/*`);
     console.log(`🔐 Authentication: http://localhost:${PORT}/api/auth/*`);
     console.log(`👨‍💼 Admin Panel: http://localhost:${PORT}/api/admin/*`);
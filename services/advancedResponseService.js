@@ -1,5 +1,5 @@
-const { v4: uuidv4 } = require('uuid');
-const crypto = require('crypto');
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 
 class AdvancedResponseService {
   constructor() {
@@ -12,6 +12,7 @@ class AdvancedResponseService {
     this.responseHistory = new Map(); // endpoint -> [responses]
     this.alertRules = new Map(); // ruleId -> alert rule
     this.responseChains = new Map(); // chainId -> chain definition
+    this.maxPerformanceRecords = 10000; // Oldest records are dropped beyond this
     
     this.initializeDefaultSchemas();
   }
@@ -376,6 +377,10 @@ class AdvancedResponseService {
     };
 
     this.performanceMetrics.set(requestId, performance);
+    // Maps keep insertion order, so the first keys are the oldest records
+    while (this.performanceMetrics.size > this.maxPerformanceRecords) {
+      this.performanceMetrics.delete(this.performanceMetrics.keys().next().value);
+    }
     return performance;
   }
 
@@ -896,4 +901,5 @@ class AdvancedResponseService {
   }
 }
 
-module.exports = new AdvancedResponseService();
\ No newline at end of file
+const advancedResponseService = new AdvancedResponseService();
+export default advancedResponseService;
\ No newline at end of file
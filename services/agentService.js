@@ -0,0 +1,291 @@
+import net from 'net';
+import tls from 'tls';
+import { performance } from 'perf_hooks';
+import { Agent } from 'agent-base';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+class AgentService {
+  constructor() {
+    this.maxTimeout = 5 * 60 * 1000; // 5 minutes
+    this.maxRedirects = 50;
+  }
+
+  // Validate request settings, throwing on values the proxy cannot use
+  normalizeSettings(settings = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('Invalid request settings: expected an object');
+    }
+
+    const normalized = { ...settings };
+    const fail = (message) => { throw new Error(`Invalid request settings: ${message}`); };
+
+    for (const key of ['followRedirects', 'verifySsl', 'useCookieJar']) {
+      if (normalized[key] !== undefined && typeof normalized[key] !== 'boolean') fail(`${key} must be a boolean`);
+    }
+    if (normalized.maxRedirects !== undefined) {
+      normalized.maxRedirects = Number(normalized.maxRedirects);
+      if (!Number.isInteger(normalized.maxRedirects) || normalized.maxRedirects < 0 || normalized.maxRedirects > this.maxRedirects) {
+        fail(`maxRedirects must be between 0 and ${this.maxRedirects}`);
+      }
+    }
+    if (normalized.timeout !== undefined) {
+      normalized.timeout = Number(normalized.timeout);
+      if (!Number.isInteger(normalized.timeout) || normalized.timeout < 1 || normalized.timeout > this.maxTimeout) {
+        fail(`timeout must be between 1 and ${this.maxTimeout} milliseconds`);
+      }
+    }
+    if (normalized.ca !== undefined && normalized.ca !== null && typeof normalized.ca !== 'string') {
+      fail('ca must be a PEM string');
+    }
+
+    const certificate = normalized.clientCertificate;
+    if (certificate) {
+      if (typeof certificate !== 'object') fail('clientCertificate must be an object');
+      if (!certificate.pfx && !(certificate.cert && certificate.key)) {
+        fail('clientCertificate needs a cert and key in PEM format, or a base64 pfx');
+      }
+    }
+
+    const proxy = normalized.proxy;
+    if (proxy) {
+      let url;
+      try {
+        url = new URL(proxy.url);
+      } catch {
+        fail('proxy.url must be a URL such as http://proxy.local:3128');
+      }
+      if (!PROXY_PROTOCOLS.includes(url.protocol)) fail(`proxy protocol ${url.protocol} is not supported`);
+      normalized.proxy = { url: proxy.url, bypass: this.parseBypass(proxy.bypass) };
+    }
+
+    return normalized;
+  }
+
+  // Validate settings before they are stored. Settings that use {{variables}} can only be
+  // checked once they are resolved, when the request is sent.
+  validateStoredSettings(settings) {
+    if (settings === null) return null;
+    if (JSON.stringify(settings ?? '').includes('{{')) {
+      if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('Invalid request settings: expected an object');
+      }
+      return settings;
+    }
+    this.normalizeSettings(settings);
+    return settings;
+  }
+
+  // Accept a bypass list as an array or a comma separated string, like NO_PROXY
+  parseBypass(bypass) {
+    const entries = Array.isArray(bypass) ? bypass : String(bypass || '').split(',');
+    return entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+  }
+
+  // Check a host against bypass entries: *, exact hosts, domain suffixes, IPs, CIDR ranges and host:port
+  isBypassed(host, port, bypass = []) {
+    const hostname = String(host || '').toLowerCase().replace(/^\[|\]$/g, '');
+    const ipVersion = net.isIP(hostname);
+
+    return bypass.some(entry => {
+      if (entry === '*') return true;
+
+      const cidr = entry.match(/^([^/]+)\/(\d+)$/);
+      if (cidr) {
+        const family = net.isIP(cidr[1]);
+        if (!ipVersion || family !== ipVersion) return false;
+        const list = new net.BlockList();
+        list.addSubnet(cidr[1], parseInt(cidr[2]), family === 6 ? 'ipv6' : 'ipv4');
+        return list.check(hostname, ipVersion === 6 ? 'ipv6' : 'ipv4');
+      }
+
+      let pattern = entry;
+      const portMatch = !net.isIP(entry) && entry.match(/^(.*):(\d+)$/);
+      if (portMatch) {
+        if (String(port) !== portMatch[2]) return false;
+        pattern = portMatch[1];
+      }
+
+      const domain = pattern.replace(/^\*?\./, '');
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+  }
+
+  // TLS options for connections to the target: verification, extra CAs and client certificates
+  getTlsOptions(settings) {
+    const options = { rejectUnauthorized: settings.verifySsl !== false };
+
+    // A custom CA is trusted in addition to the default root certificates
+    if (settings.ca) options.ca = [...tls.rootCertificates, settings.ca];
+
+    const certificate = settings.clientCertificate;
+    if (certificate?.pfx) {
+      options.pfx = Buffer.from(certificate.pfx, 'base64');
+    } else if (certificate) {
+      options.cert = certificate.cert;
+      options.key = certificate.key;
+    }
+    if (certificate?.passphrase) options.passphrase = certificate.passphrase;
+
+    return options;
+  }
+
+  // Create the agent for one proxied request. It applies the TLS settings, routes connections
+  // through the upstream proxy unless the host is bypassed, and records the DNS, TCP, TLS and
+  // first-byte times of every socket it opens in the returned connection record.
+  // Connections through a proxy are already established when they are handed over, so only
+  // their TLS and first-byte phases can be timed.
+  // An outbound policy guard, when given, checks every connection and the upstream proxy itself.
+  createAgents(settings = {}, guard = null) {
+    const connection = { startedAt: performance.now(), socket: null, phases: {}, remoteAddress: null, tls: null };
+    const tlsOptions = this.getTlsOptions(settings);
+    const service = this;
+
+    // Proxy agents are created on first use, once the proxy address has passed the policy
+    let proxy = null;
+    let proxyReady = null;
+    const getProxy = () => {
+      proxyReady = proxyReady || (async () => {
+        const proxyUrl = new URL(settings.proxy.url);
+        const port = proxyUrl.port || { 'http:': 80, 'https:': 443 }[proxyUrl.protocol] || 1080;
+        const [resolved] = guard ? await guard.resolve(proxyUrl.hostname, port) : [];
+
+        if (proxyUrl.protocol.startsWith('socks')) {
+          // The SOCKS client resolves the proxy host itself, so it is given the checked address
+          if (resolved) proxyUrl.hostname = resolved.family === 6 ? `[${resolved.address}]` : resolved.address;
+          proxy = { tunnel: new SocksProxyAgent(proxyUrl.toString()), http: null };
+        } else {
+          const proxyOptions = { rejectUnauthorized: tlsOptions.rejectUnauthorized, ca: tlsOptions.ca, lookup: guard?.lookup };
+          proxy = {
+            tunnel: new HttpsProxyAgent(settings.proxy.url, proxyOptions),
+            http: new HttpProxyAgent(settings.proxy.url, proxyOptions)
+          };
+        }
+        return proxy;
+      })();
+      return proxyReady;
+    };
+
+    // Sockets are closed once the response ends, so connection details are read as they happen
+    const track = (socket) => {
+      const phases = { createdAt: performance.now() };
+      Object.assign(connection, { socket, phases, remoteAddress: null, tls: null });
+
+      const onConnect = () => {
+        phases.connectAt = performance.now();
+        connection.remoteAddress = { ip: socket.remoteAddress, port: socket.remotePort, family: socket.remoteFamily };
+      };
+
+      socket.once('lookup', () => { phases.lookupAt = performance.now(); });
+      if (socket.connecting) socket.once('connect', onConnect);
+      else onConnect();
+      socket.once('secureConnect', () => {
+        phases.secureAt = performance.now();
+        connection.tls = this.getTlsInfo(socket);
+      });
+      socket.once('data', () => { phases.firstByteAt = performance.now(); });
+
+      return socket;
+    };
+
+    class ConnectionAgent extends Agent {
+      async connect(req, options) {
+        const { secureEndpoint, host, port } = options;
+        guard?.checkTarget(host, port);
+
+        const target = secureEndpoint
+          ? { ...options, ...tlsOptions, servername: net.isIP(host) ? undefined : host }
+          : { ...options };
+        if (guard) target.lookup = guard.lookup;
+
+        if (settings.proxy?.url && !service.isBypassed(host, port, settings.proxy.bypass)) {
+          // The proxy resolves the target again, so this check cannot rule out DNS rebinding
+          if (guard) await guard.resolve(host, port);
+          const { tunnel, http } = await getProxy();
+
+          // Plain HTTP is sent to the proxy with absolute URLs, anything else is tunnelled
+          if (!secureEndpoint && http) return http;
+          return track(await tunnel.connect(req, target));
+        }
+
+        return track(secureEndpoint ? tls.connect(target) : net.connect(target));
+      }
+    }
+
+    const agent = new ConnectionAgent();
+    return {
+      httpAgent: agent,
+      httpsAgent: agent,
+      connection,
+      destroy: () => {
+        agent.destroy();
+        proxy?.tunnel.destroy();
+        proxy?.http?.destroy();
+      }
+    };
+  }
+
+  // Turn the recorded phases of the last connection into durations in milliseconds
+  getTimings(connection, finishedAt = performance.now()) {
+    const { startedAt, phases } = connection;
+    const created = phases.createdAt ?? startedAt;
+    const lookup = phases.lookupAt ?? created;
+    const connected = phases.connectAt ?? lookup;
+    const secured = phases.secureAt ?? connected;
+    const firstByte = phases.firstByteAt ?? finishedAt;
+
+    return {
+      wait: round(created - startedAt),
+      dns: round(lookup - created),
+      tcp: round(connected - lookup),
+      tls: round(secured - connected),
+      firstByte: round(firstByte - secured),
+      download: round(finishedAt - firstByte),
+      total: round(finishedAt - startedAt)
+    };
+  }
+
+  // Describe the TLS session of a connected socket
+  getTlsInfo(socket) {
+    const cipher = socket.getCipher();
+
+    return {
+      protocol: socket.getProtocol(),
+      cipher: cipher ? { name: cipher.name, standardName: cipher.standardName, version: cipher.version } : null,
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+      certificates: this.getCertificateChain(socket.getPeerCertificate(true))
+    };
+  }
+
+  // Walk the peer certificate up to its root, which is its own issuer
+  getCertificateChain(certificate) {
+    const chain = [];
+    const seen = new Set();
+    let current = certificate;
+
+    while (current && Object.keys(current).length > 0 && !seen.has(current.fingerprint256)) {
+      seen.add(current.fingerprint256);
+      chain.push({
+        subject: current.subject,
+        issuer: current.issuer,
+        subjectAltName: current.subjectaltname || null,
+        validFrom: current.valid_from,
+        validTo: current.valid_to,
+        serialNumber: current.serialNumber,
+        fingerprint256: current.fingerprint256
+      });
+      current = current.issuerCertificate;
+    }
+
+    return chain;
+  }
+}
+
+const agentService = new AgentService();
+export default agentService;
@@ -0,0 +1,43 @@
+import AuditLog from '../models/AuditLog.js';
+
+class AuditService {
+  // Record an action without failing the caller when the log cannot be written
+  async record(action, { user = null, ip = null, details = {} } = {}) {
+    try {
+      return await AuditLog.create({
+        action,
+        actor: user?._id || null,
+        actorRole: user?.role || 'anonymous',
+        ip,
+        details
+      });
+    } catch (error) {
+      console.error('Failed to write audit log:', error.message);
+      return null;
+    }
+  }
+
+  // Build a query filter from audit log search parameters
+  buildFilter({ action, actor, from, to }) {
+    const filter = {};
+
+    if (action) filter.action = String(action);
+    if (actor) filter.actor = actor === 'anonymous' ? null : actor;
+
+    for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      const value = key === 'from' ? from : to;
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Invalid ${key} date`);
+        }
+        filter.createdAt = { ...filter.createdAt, [operator]: date };
+      }
+    }
+
+    return filter;
+  }
+}
+
+const auditService = new AuditService();
+export default auditService;
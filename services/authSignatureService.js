@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+
+const DIGEST_ALGORITHMS = {
+  'md5': 'md5',
+  'sha-256': 'sha256',
+  'sha-512-256': 'sha512-256'
+};
+const HMAC_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha384', 'sha512'];
+
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const hash = (algorithm, value, encoding = 'hex') => crypto.createHash(algorithm).update(value).digest(encoding);
+const hmac = (algorithm, key, value, encoding) => crypto.createHmac(algorithm, key).update(value).digest(encoding);
+
+// Find a header regardless of the case it was set with
+const findHeader = (headers, name) => {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+};
+
+class AuthSignatureService {
+  // Fix the final URL and body of an axios config so a signature covers exactly what is sent.
+  // Streamed bodies (multipart and file uploads) cannot be read ahead, so their body is null.
+  prepareForSigning(config) {
+    const url = new URL(config.url);
+
+    if (config.params) {
+      for (const [key, value] of Object.entries(config.params)) {
+        url.searchParams.append(key, value);
+      }
+      config.url = url.toString();
+      delete config.params;
+    }
+
+    if (config.data && typeof config.data.pipe === 'function') {
+      return { url, body: null };
+    }
+
+    if (config.data !== undefined && typeof config.data !== 'string' && !Buffer.isBuffer(config.data)) {
+      config.data = JSON.stringify(config.data);
+      if (!findHeader(config.headers, 'content-type')) {
+        config.headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    return { url, body: config.data ?? '' };
+  }
+
+  // Parse the Digest challenge out of a WWW-Authenticate header
+  parseDigestChallenge(header) {
+    const value = Array.isArray(header) ? header.join(', ') : String(header || '');
+    const start = value.search(/digest\s/i);
+    if (start === -1) return null;
+
+    const challenge = {};
+    const pattern = /([a-z0-9_-]+)=(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/gi;
+    let match;
+    while ((match = pattern.exec(value.slice(start + 7))) !== null) {
+      const key = match[1].toLowerCase();
+      // Stop at the next challenge scheme, e.g. ", Basic realm=..."
+      if (challenge[key] !== undefined) break;
+      challenge[key] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+
+    return challenge.nonce ? challenge : null;
+  }
+
+  // Build a Digest Authorization header (RFC 7616) for a challenge
+  digestAuthorization(auth, challenge, { method, url, body }) {
+    const algorithmName = challenge.algorithm || auth.algorithm || 'MD5';
+    const baseAlgorithm = algorithmName.toLowerCase().replace(/-sess$/, '');
+    const algorithm = DIGEST_ALGORITHMS[baseAlgorithm];
+    if (!algorithm) {
+      throw new Error(`Unsupported digest algorithm: ${algorithmName}`);
+    }
+
+    const offered = String(challenge.qop || auth.qop || '').split(',').map(item => item.trim()).filter(Boolean);
+    const qop = offered.includes('auth') ? 'auth' : offered.includes('auth-int') ? 'auth-int' : null;
+    if (qop === 'auth-int' && body === null) {
+      throw new Error('Digest auth-int cannot sign a streamed body');
+    }
+    const uri = `${url.pathname}${url.search}`;
+    const realm = challenge.realm ?? auth.realm ?? '';
+    const nonce = challenge.nonce;
+    const nc = auth.nc || '00000001';
+    const cnonce = auth.cnonce || crypto.randomBytes(8).toString('hex');
+
+    let ha1 = hash(algorithm, `${auth.username}:${realm}:${auth.password}`);
+    if (/-sess$/i.test(algorithmName)) {
+      ha1 = hash(algorithm, `${ha1}:${nonce}:${cnonce}`);
+    }
+    const ha2 = qop === 'auth-int'
+      ? hash(algorithm, `${method}:${uri}:${hash(algorithm, body)}`)
+      : hash(algorithm, `${method}:${uri}`);
+    const response = qop
+      ? hash(algorithm, `${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : hash(algorithm, `${ha1}:${nonce}:${ha2}`);
+
+    const parts = [
+      `username="${auth.username}"`,
+      `realm="${realm}"`,
+      `nonce="${nonce}"`,
+      `uri="${uri}"`,
+      `algorithm=${algorithmName}`,
+      `response="${response}"`
+    ];
+    if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    if (challenge.opaque ?? auth.opaque) parts.push(`opaque="${challenge.opaque ?? auth.opaque}"`);
+
+    return `Digest ${parts.join(', ')}`;
+  }
+
+  // Sign a request with AWS Signature Version 4
+  signAwsV4(config, auth, now = new Date()) {
+    if (!auth.accessKey || !auth.secretKey) {
+      throw new Error('AWS Signature v4 requires an access key and secret key');
+    }
+
+    const { url, body } = this.prepareForSigning(config);
+    const service = auth.service || 'execute-api';
+    const region = auth.region || 'us-east-1';
+    const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = body === null ? 'UNSIGNED-PAYLOAD' : hash('sha256', body);
+
+    config.headers.Host = url.host;
+    config.headers['X-Amz-Date'] = amzDate;
+    if (auth.sessionToken) config.headers['X-Amz-Security-Token'] = auth.sessionToken;
+    if (service === 's3') config.headers['X-Amz-Content-Sha256'] = payloadHash;
+
+    // S3 paths are encoded once, every other service signs the already encoded path again
+    const canonicalUri = url.pathname.split('/').map(segment => (service === 's3'
+      ? encodeRfc3986(decodeURIComponent(segment))
+      : encodeRfc3986(segment))).join('/') || '/';
+
+    // Parameters are decoded the way URLSearchParams decodes them: split on the first '=', '+' is a space
+    const canonicalQuery = Array.from(url.searchParams, ([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+      .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : 1) : (keyA < keyB ? -1 : 1)))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const signed = new Map();
+    for (const [name, value] of Object.entries(config.headers)) {
+      const lower = name.toLowerCase();
+      if (lower === 'host' || lower === 'content-type' || lower.startsWith('x-amz-')) {
+        signed.set(lower, String(value).trim().replace(/\s+/g, ' '));
+      }
+    }
+    const signedHeaders = Array.from(signed.keys()).sort();
+
+    const canonicalRequest = [
+      config.method.toUpperCase(),
+      canonicalUri,
+      canonicalQuery,
+      signedHeaders.map(name => `${name}:${signed.get(name)}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash('sha256', canonicalRequest)].join('\n');
+
+    const signingKey = [date, region, service, 'aws4_request']
+      .reduce((key, part) => hmac('sha256', key, part), `AWS4${auth.secretKey}`);
+    const signature = hmac('sha256', signingKey, stringToSign, 'hex');
+
+    config.headers.Authorization = `AWS4-HMAC-SHA256 Credential=${auth.accessKey}/${scope}, `
+      + `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+  }
+
+  // Add a Hawk Authorization header
+  signHawk(config, auth, now = Date.now()) {
+    if (!auth.authId || !auth.authKey) {
+      throw new Error('Hawk auth requires an ID and key');
+    }
+
+    const algorithm = auth.algorithm || 'sha256';
+    if (!['sha1', 'sha256'].includes(algorithm)) {
+      throw new Error(`Unsupported Hawk algorithm: ${algorithm}`);
+    }
+
+    const { url, body } = this.prepareForSigning(config);
+    const ts = String(auth.timestamp || Math.floor(now / 1000));
+    const nonce = auth.nonce || crypto.randomBytes(6).toString('base64url');
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+    const ext = auth.extraData ? String(auth.extraData).replace(/\\/g, '\\\\').replace(/\n/g, '\\n') : '';
+
+    let payloadHash = '';
+    if (auth.includePayloadHash) {
+      if (body === null) {
+        throw new Error('Hawk cannot hash a streamed body, turn off the payload hash');
+      }
+      const contentType = String(findHeader(config.headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+      payloadHash = hash(algorithm, `hawk.1.payload\n${contentType}\n${body}\n`, 'base64');
+    }
+
+    let normalized = ['hawk.1.header', ts, nonce, config.method.toUpperCase(), `${url.pathname}${url.search}`,
+      url.hostname.toLowerCase(), port, payloadHash, ext].join('\n') + '\n';
+    if (auth.app) {
+      normalized += `${auth.app}\n${auth.delegation || ''}\n`;
+    }
+
+    const mac = hmac(algorithm, auth.authKey, normalized, 'base64');
+
+    const parts = [`id="${auth.authId}"`, `ts="${ts}"`, `nonce="${nonce}"`];
+    if (payloadHash) parts.push(`hash="${payloadHash}"`);
+    if (ext) parts.push(`ext="${ext}"`);
+    parts.push(`mac="${mac}"`);
+    if (auth.app) {
+      parts.push(`app="${auth.app}"`);
+      if (auth.delegation) parts.push(`dlg="${auth.delegation}"`);
+    }
+
+    config.headers.Authorization = `Hawk ${parts.join(', ')}`;
+  }
+
+  // Sign a request with a configurable HMAC. The string to sign and the header value are
+  // templates using {method}, {url}, {path}, {query}, {host}, {timestamp}, {isoTimestamp},
+  // {nonce}, {body}, {bodyHash}, {keyId}, {signature} and {header:Name} placeholders.
+  signHmac(config, auth, now = new Date()) {
+    if (!auth.secret) {
+      throw new Error('HMAC auth requires a secret');
+    }
+
+    const algorithm = String(auth.algorithm || 'sha256').toLowerCase();
+    if (!HMAC_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported HMAC algorithm: ${auth.algorithm}`);
+    }
+
+    const template = auth.template || '{method}\n{path}\n{timestamp}\n{bodyHash}';
+    const { url, body } = this.prepareForSigning(config);
+    if (body === null && /\{(body|bodyHash)\}/.test(template)) {
+      throw new Error('HMAC auth cannot sign a streamed body, remove {body} and {bodyHash} from the template');
+    }
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+    const nonce = crypto.randomBytes(8).toString('hex');
+
+    if (auth.timestampHeader) config.headers[auth.timestampHeader] = timestamp;
+    if (auth.nonceHeader) config.headers[auth.nonceHeader] = nonce;
+
+    const values = {
+      method: config.method.toUpperCase(),
+      url: url.toString(),
+      path: `${url.pathname}${url.search}`,
+      query: url.search.slice(1),
+      host: url.host,
+      timestamp,
+      isoTimestamp: now.toISOString(),
+      nonce,
+      body: String(body ?? ''),
+      bodyHash: hash('sha256', body ?? ''),
+      keyId: auth.keyId || ''
+    };
+    const fill = (template) => template.replace(/\{(header:[^}]+|\w+)\}/g, (match, name) => {
+      if (name.startsWith('header:')) return String(findHeader(config.headers, name.slice(7)) ?? '');
+      return values[name] ?? match;
+    });
+
+    const stringToSign = fill(template);
+    values.signature = hmac(algorithm, auth.secret, stringToSign, auth.encoding === 'base64' ? 'base64' : 'hex');
+
+    config.headers[auth.signatureHeader || 'X-Signature'] = fill(auth.signatureFormat || '{signature}');
+  }
+}
+
+const authSignatureService = new AuthSignatureService();
+export default authSignatureService;
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isUtf8 } from 'buffer';
+import FormData from 'form-data';
+import { v4 as uuidv4 } from 'uuid';
+import soapService from './soapService.js';
+
+const TEXT_CONTENT_TYPES = /^text\/|[/+](json|xml)\b|javascript|x-www-form-urlencoded|graphql|yaml|csv/;
+
+class BodyService {
+  constructor() {
+    this.inlineBinaryLimit = (parseInt(process.env.PROXY_INLINE_BINARY_KB) || 1024) * 1024;
+    this.downloadTtl = 15 * 60 * 1000; // Download handles expire after 15 minutes
+    this.downloadDir = path.join(process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'postwomen-uploads'), 'downloads');
+    this.downloads = new Map(); // id -> { path, fileName, contentType, size, expiresAt, userId, clientIp }
+  }
+
+  // Build the outgoing body for a request's bodyType. Uploaded files are referenced by
+  // their multipart field name in `src` and streamed from disk, never read from other paths.
+  // Returns the axios data, headers to set and a JSON-safe summary of what was sent.
+  buildBody({ body, bodyType = 'raw' }, files = []) {
+    const uploads = new Map(files.map(file => [file.fieldname, file]));
+    const getUpload = (src) => {
+      const file = uploads.get(src);
+      if (!file) {
+        throw new Error(`File "${src}" was not uploaded with the request`);
+      }
+      return file;
+    };
+
+    switch (bodyType) {
+      case 'form-data': {
+        if (!Array.isArray(body)) {
+          throw new Error('Form-data body must be a list of fields');
+        }
+
+        const form = new FormData();
+        const summary = [];
+
+        for (const field of body) {
+          if (!field || !field.key || field.disabled) continue;
+
+          if (field.type === 'file') {
+            const file = getUpload(field.src);
+            const fileName = field.fileName || file.originalname;
+            const contentType = field.contentType || file.mimetype || 'application/octet-stream';
+            form.append(field.key, fs.createReadStream(file.path), { filename: fileName, contentType, knownLength: file.size });
+            summary.push({ key: field.key, type: 'file', fileName, contentType, size: file.size });
+          } else {
+            const value = typeof field.value === 'string' ? field.value : JSON.stringify(field.value ?? '');
+            form.append(field.key, value, field.contentType ? { contentType: field.contentType } : undefined);
+            summary.push({ key: field.key, type: 'text', value });
+          }
+        }
+
+        // The boundary is generated here, so this Content-Type always replaces the client's
+        return { data: form, headers: form.getHeaders(), replaceContentType: true, summary, streamed: true };
+      }
+
+      case 'urlencoded': {
+        let data;
+        if (typeof body === 'string') {
+          data = body;
+        } else {
+          const fields = Array.isArray(body)
+            ? body.filter(field => field && field.key && !field.disabled).map(field => [field.key, field.value ?? ''])
+            : Object.entries(body || {});
+          data = new URLSearchParams(fields.map(([key, value]) => [key, String(value)])).toString();
+        }
+
+        return { data, headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, summary: data };
+      }
+
+      case 'binary': {
+        if (body?.src) {
+          const file = getUpload(body.src);
+          const contentType = body.contentType || file.mimetype || 'application/octet-stream';
+          return {
+            data: fs.createReadStream(file.path),
+            headers: { 'Content-Type': contentType, 'Content-Length': file.size },
+            summary: { fileName: file.originalname, contentType, size: file.size },
+            streamed: true
+          };
+        }
+
+        const base64 = typeof body === 'string' ? body : body?.base64;
+        if (typeof base64 !== 'string') {
+          throw new Error('Binary body needs an uploaded file or base64 data');
+        }
+        const buffer = Buffer.from(base64, 'base64');
+        const contentType = body?.contentType || 'application/octet-stream';
+
+        return {
+          data: buffer,
+          headers: { 'Content-Type': contentType },
+          summary: { contentType, size: buffer.length }
+        };
+      }
+
+      case 'graphql':
+        // Already normalized to { query, variables, operationName } by the proxy
+        return { data: JSON.stringify(body), headers: { 'Content-Type': 'application/json' }, summary: body };
+
+      case 'soap':
+        // Already normalized to { envelope, action, version } by the proxy
+        return { data: body.envelope, headers: soapService.getHeaders(body), summary: body };
+
+      default:
+        return { data: body, headers: {}, summary: body };
+    }
+  }
+
+  // Turn a raw response buffer into parsed JSON, text, inline base64 or a download handle
+  decodeResponse(raw, headers = {}, url = '', owner = {}) {
+    const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(raw ?? '');
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    const isText = contentType
+      ? TEXT_CONTENT_TYPES.test(contentType.split(';')[0].trim())
+      : isUtf8(buffer) && !buffer.includes(0);
+
+    if (isText) {
+      const text = buffer.toString('utf8');
+      let data = text;
+      // Keep axios' behaviour of parsing any JSON-looking body
+      try {
+        data = text.trim() ? JSON.parse(text) : text;
+      } catch {
+        data = text;
+      }
+      return { data, text, size: buffer.length, bodyEncoding: 'utf8', download: null };
+    }
+
+    if (buffer.length <= this.inlineBinaryLimit) {
+      return { data: buffer.toString('base64'), text: '', size: buffer.length, bodyEncoding: 'base64', download: null };
+    }
+
+    const download = this.saveDownload(buffer, {
+      contentType: contentType || 'application/octet-stream',
+      fileName: this.getFileName(headers['content-disposition'], url),
+      owner
+    });
+    return { data: null, text: '', size: buffer.length, bodyEncoding: 'base64', download };
+  }
+
+  getFileName(disposition, url) {
+    const match = String(disposition || '').match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+    if (match) {
+      try {
+        return path.basename(decodeURIComponent(match[1]));
+      } catch {
+        return path.basename(match[1]);
+      }
+    }
+
+    try {
+      return path.basename(new URL(url).pathname) || 'download';
+    } catch {
+      return 'download';
+    }
+  }
+
+  // Keep a large binary response on disk for a while and return a handle to fetch it.
+  // Only the user who made the request can fetch it, or the same client IP for anonymous requests.
+  saveDownload(buffer, { contentType, fileName, owner = {} }) {
+    this.pruneDownloads();
+    fs.mkdirSync(this.downloadDir, { recursive: true });
+
+    const id = uuidv4();
+    const filePath = path.join(this.downloadDir, id);
+    fs.writeFileSync(filePath, buffer);
+
+    const download = {
+      id,
+      fileName,
+      contentType,
+      size: buffer.length,
+      expiresAt: new Date(Date.now() + this.downloadTtl)
+    };
+    this.downloads.set(id, {
+      ...download,
+      path: filePath,
+      userId: owner.user ? owner.user._id.toString() : null,
+      clientIp: owner.user ? null : owner.clientIp ?? null
+    });
+
+    return { ...download, url: `/api/proxy/downloads/${id}` };
+  }
+
+  // Get a download for the user or anonymous client requesting it, null when it belongs to someone else
+  getDownload(id, { user = null, clientIp = null } = {}) {
+    this.pruneDownloads();
+    const download = this.downloads.get(id);
+    if (!download) return null;
+
+    const isOwner = download.userId
+      ? user?._id.toString() === download.userId
+      : !user && download.clientIp === clientIp;
+    return isOwner ? download : null;
+  }
+
+  pruneDownloads() {
+    const now = Date.now();
+    for (const [id, download] of this.downloads) {
+      if (download.expiresAt.getTime() <= now) {
+        this.downloads.delete(id);
+        fs.promises.unlink(download.path).catch(() => {});
+      }
+    }
+  }
+}
+
+const bodyService = new BodyService();
+export default bodyService;
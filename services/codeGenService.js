@@ -0,0 +1,824 @@
+import graphqlService from './graphqlService.js';
+import soapService from './soapService.js';
+
+// cURL options that take a value, mapped to the setting they control
+const CURL_VALUE_OPTIONS = {
+  '-X': 'method',
+  '--request': 'method',
+  '-H': 'header',
+  '--header': 'header',
+  '-d': 'data',
+  '--data': 'data',
+  '--data-ascii': 'data',
+  '--data-binary': 'data-binary',
+  '--data-raw': 'data-raw',
+  '--data-urlencode': 'data-urlencode',
+  '--json': 'json',
+  '-u': 'user',
+  '--user': 'user',
+  '-F': 'form',
+  '--form': 'form',
+  '--form-string': 'form-string',
+  '-A': 'user-agent',
+  '--user-agent': 'user-agent',
+  '-e': 'referer',
+  '--referer': 'referer',
+  '-b': 'cookie',
+  '--cookie': 'cookie',
+  '--url': 'url'
+};
+
+const CURL_FLAG_OPTIONS = {
+  '-G': 'get',
+  '--get': 'get',
+  '-I': 'head',
+  '--head': 'head',
+  '--compressed': 'compressed'
+};
+
+// Options that take a value but have no equivalent in a proxy request
+const CURL_IGNORED_VALUE_OPTIONS = [
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '-x', '--proxy', '-U', '--proxy-user',
+  '--cacert', '--capath', '--cert', '-E', '--key', '--cert-type', '--key-type', '--resolve', '-w',
+  '--write-out', '-c', '--cookie-jar', '-T', '--upload-file', '--retry', '--retry-delay', '--limit-rate',
+  '-r', '--range', '-K', '--config', '--max-redirs', '-z', '--time-cond', '--interface', '--noproxy'
+];
+
+// Headers Java's HttpClient refuses to set
+const JAVA_RESTRICTED_HEADERS = ['connection', 'content-length', 'expect', 'host', 'upgrade'];
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+class CodeGenService {
+  constructor() {
+    this.languages = {
+      curl: { name: 'cURL', generate: (request) => this.generateCurl(request) },
+      fetch: { name: 'JavaScript - fetch', generate: (request) => this.generateFetch(request) },
+      axios: { name: 'JavaScript - axios', generate: (request) => this.generateAxios(request) },
+      python: { name: 'Python - requests', generate: (request) => this.generatePython(request) },
+      go: { name: 'Go - net/http', generate: (request) => this.generateGo(request) },
+      java: { name: 'Java - HttpClient', generate: (request) => this.generateJava(request) }
+    };
+  }
+
+  // Get the languages snippets can be generated for
+  getLanguages() {
+    return Object.entries(this.languages).map(([id, language]) => ({ id, name: language.name }));
+  }
+
+  // Parse a cURL command into the { url, method, headers, body, auth } shape /api/proxy accepts
+  parseCurl(command) {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error('Invalid cURL command: command is required');
+    }
+
+    const tokens = this.tokenize(command.trim());
+    if (tokens[0] === 'curl') tokens.shift();
+
+    const warnings = [];
+    const state = {
+      method: null,
+      urls: [],
+      headers: {},
+      data: [],
+      form: [],
+      json: null,
+      user: null,
+      get: false,
+      head: false,
+      compressed: false
+    };
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      const next = () => {
+        if (index + 1 >= tokens.length) {
+          throw new Error(`Invalid cURL command: ${token} requires a value`);
+        }
+        return tokens[++index];
+      };
+
+      if (!token.startsWith('-') || token === '-') {
+        state.urls.push(token);
+      } else if (CURL_VALUE_OPTIONS[token]) {
+        this.applyCurlOption(state, CURL_VALUE_OPTIONS[token], next(), warnings);
+      } else if (CURL_FLAG_OPTIONS[token]) {
+        this.applyCurlFlag(state, CURL_FLAG_OPTIONS[token]);
+      } else if (CURL_IGNORED_VALUE_OPTIONS.includes(token)) {
+        warnings.push(`Option ${token} ${next()} was ignored`);
+      } else if (!token.startsWith('--') && token.length > 2) {
+        // Grouped short options (-sSL) or a short option with its value attached (-XPOST)
+        for (let position = 1; position < token.length; position++) {
+          const option = `-${token[position]}`;
+          const rest = token.slice(position + 1);
+
+          if (CURL_VALUE_OPTIONS[option]) {
+            this.applyCurlOption(state, CURL_VALUE_OPTIONS[option], rest || next(), warnings);
+            break;
+          }
+          if (CURL_IGNORED_VALUE_OPTIONS.includes(option)) {
+            warnings.push(`Option ${option} ${rest || next()} was ignored`);
+            break;
+          }
+          if (CURL_FLAG_OPTIONS[option]) {
+            this.applyCurlFlag(state, CURL_FLAG_OPTIONS[option]);
+          } else {
+            warnings.push(`Option ${option} was ignored`);
+          }
+        }
+      } else {
+        warnings.push(`Option ${token} was ignored`);
+      }
+    }
+
+    return { request: this.buildCurlRequest(state, warnings), warnings };
+  }
+
+  applyCurlOption(state, setting, value, warnings) {
+    switch (setting) {
+      case 'method':
+        state.method = value.toUpperCase();
+        break;
+      case 'header': {
+        const index = value.indexOf(':');
+        if (index === -1) {
+          // "Name;" sends an empty header
+          if (value.endsWith(';')) state.headers[value.slice(0, -1).trim()] = '';
+          else warnings.push(`Header "${value}" was ignored`);
+        } else {
+          const name = value.slice(0, index).trim();
+          const headerValue = value.slice(index + 1).trim();
+          // "Name:" removes a header curl would add itself
+          if (headerValue) state.headers[name] = headerValue;
+        }
+        break;
+      }
+      case 'data':
+      case 'data-binary':
+        if (value.startsWith('@')) {
+          warnings.push(`Data file ${value.slice(1)} was not read`);
+        } else {
+          state.data.push(setting === 'data' ? value.replace(/[\r\n]/g, '') : value);
+        }
+        break;
+      case 'data-raw':
+        state.data.push(value);
+        break;
+      case 'data-urlencode':
+        state.data.push(this.encodeCurlData(value, warnings));
+        break;
+      case 'json':
+        if (value.startsWith('@')) {
+          warnings.push(`JSON file ${value.slice(1)} was not read`);
+        } else {
+          state.json = state.json === null ? value : state.json + value;
+        }
+        break;
+      case 'user':
+        state.user = value;
+        break;
+      case 'form':
+      case 'form-string': {
+        const index = value.indexOf('=');
+        if (index === -1) {
+          warnings.push(`Form field "${value}" was ignored`);
+          break;
+        }
+        const key = value.slice(0, index);
+        const fieldValue = value.slice(index + 1);
+        if (setting === 'form' && fieldValue.startsWith('@')) {
+          // Drop curl's ;type= and ;filename= modifiers from the path
+          state.form.push({ key, type: 'file', src: fieldValue.slice(1).split(';')[0] });
+          warnings.push(`File for form field ${key} was not read`);
+        } else if (setting === 'form' && fieldValue.startsWith('<')) {
+          state.form.push({ key, type: 'text', value: '' });
+          warnings.push(`File for form field ${key} was not read`);
+        } else {
+          state.form.push({ key, type: 'text', value: fieldValue });
+        }
+        break;
+      }
+      case 'user-agent':
+        state.headers['User-Agent'] = value;
+        break;
+      case 'referer':
+        state.headers.Referer = value;
+        break;
+      case 'cookie':
+        if (value.includes('=')) {
+          state.headers.Cookie = value;
+        } else {
+          warnings.push(`Cookie file ${value} was not read`);
+        }
+        break;
+      case 'url':
+        state.urls.push(value);
+        break;
+    }
+  }
+
+  applyCurlFlag(state, flag) {
+    if (flag === 'get') state.get = true;
+    if (flag === 'head') state.head = true;
+    if (flag === 'compressed') state.compressed = true;
+  }
+
+  // --data-urlencode accepts "content", "=content" and "name=content"
+  encodeCurlData(value, warnings) {
+    const index = value.indexOf('=');
+    if (index === -1) {
+      if (value.includes('@')) {
+        warnings.push(`Data file in "${value}" was not read`);
+        return '';
+      }
+      return encodeURIComponent(value);
+    }
+
+    const name = value.slice(0, index);
+    const content = encodeURIComponent(value.slice(index + 1));
+    return name ? `${name}=${content}` : content;
+  }
+
+  buildCurlRequest(state, warnings) {
+    if (state.urls.length === 0) {
+      throw new Error('Invalid cURL command: no URL found');
+    }
+    if (state.urls.length > 1) {
+      warnings.push(`Only the first of ${state.urls.length} URLs was used`);
+    }
+
+    let url = state.urls[0];
+    if (!/^[a-z][\w+.-]*:\/\//i.test(url)) url = `http://${url}`;
+
+    const headers = { ...state.headers };
+    const hasHeader = (name) => Object.keys(headers).some(key => key.toLowerCase() === name);
+    let body = null;
+    let bodyType;
+    let defaultMethod = 'GET';
+
+    if (state.form.length > 0) {
+      body = state.form;
+      bodyType = 'form-data';
+      defaultMethod = 'POST';
+    } else if (state.json !== null) {
+      body = state.json;
+      if (!hasHeader('content-type')) headers['Content-Type'] = 'application/json';
+      if (!hasHeader('accept')) headers.Accept = 'application/json';
+      defaultMethod = 'POST';
+    } else if (state.data.length > 0) {
+      const data = state.data.join('&');
+      if (state.get) {
+        url += (url.includes('?') ? '&' : '?') + data;
+      } else {
+        body = data;
+        if (!hasHeader('content-type')) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        defaultMethod = 'POST';
+      }
+    }
+
+    if (state.compressed && !hasHeader('accept-encoding')) {
+      headers['Accept-Encoding'] = 'deflate, gzip, br';
+    }
+
+    const request = {
+      url,
+      method: state.method || (state.head ? 'HEAD' : (state.get ? 'GET' : defaultMethod)),
+      headers,
+      body,
+      auth: this.extractAuth(headers, state.user, warnings)
+    };
+    if (bodyType) request.bodyType = bodyType;
+
+    return request;
+  }
+
+  // Turn -u and Authorization headers into proxy auth settings
+  extractAuth(headers, user, warnings) {
+    if (user !== null) {
+      const index = user.indexOf(':');
+      if (index === -1) {
+        warnings.push('No password given with -u, curl would prompt for one');
+        return { type: 'basic', username: user, password: '' };
+      }
+      return { type: 'basic', username: user.slice(0, index), password: user.slice(index + 1) };
+    }
+
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'authorization');
+    if (!name) return null;
+
+    const [scheme, credentials = ''] = headers[name].split(/\s+(.*)/);
+    if (/^bearer$/i.test(scheme) && credentials) {
+      delete headers[name];
+      return { type: 'bearer', token: credentials };
+    }
+    if (/^basic$/i.test(scheme) && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const index = decoded.indexOf(':');
+      if (index !== -1) {
+        delete headers[name];
+        return { type: 'basic', username: decoded.slice(0, index), password: decoded.slice(index + 1) };
+      }
+    }
+
+    return null;
+  }
+
+  // Split a shell command into words, handling quotes, escapes and line continuations
+  tokenize(command) {
+    const text = command.replace(/\\\r?\n/g, ' ');
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let index = 0;
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (/\s/.test(char)) {
+        if (inToken) {
+          tokens.push(current);
+          current = '';
+          inToken = false;
+        }
+        index++;
+        continue;
+      }
+
+      inToken = true;
+
+      if (char === '\'') {
+        const end = text.indexOf('\'', index + 1);
+        if (end === -1) throw new Error('Invalid cURL command: unterminated quote');
+        current += text.slice(index + 1, end);
+        index = end + 1;
+      } else if (char === '$' && text[index + 1] === '\'') {
+        // Bash ANSI-C quoting, used by browsers' "Copy as cURL"
+        index += 2;
+        while (index < text.length && text[index] !== '\'') {
+          if (text[index] === '\\') {
+            const [value, length] = this.readAnsiEscape(text, index);
+            current += value;
+            index += length;
+          } else {
+            current += text[index++];
+          }
+        }
+        if (index >= text.length) throw new Error('Invalid cURL command: unterminated quote');
+        index++;
+      } else if (char === '"') {
+        index++;
+        while (index < text.length && text[index] !== '"') {
+          if (text[index] === '\\' && ['"', '\\', '$', '`'].includes(text[index + 1])) {
+            current += text[index + 1];
+            index += 2;
+          } else {
+            current += text[index++];
+          }
+        }
+        if (index >= text.length) throw new Error('Invalid cURL command: unterminated quote');
+        index++;
+      } else if (char === '\\') {
+        current += text[index + 1] ?? '';
+        index += 2;
+      } else {
+        current += char;
+        index++;
+      }
+    }
+
+    if (inToken) tokens.push(current);
+    return tokens;
+  }
+
+  readAnsiEscape(text, index) {
+    const next = text[index + 1];
+    const simple = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v' };
+
+    if (next in simple) return [simple[next], 2];
+
+    const hex = next === 'x' ? text.slice(index + 2).match(/^[0-9a-fA-F]{1,2}/)
+      : next === 'u' ? text.slice(index + 2).match(/^[0-9a-fA-F]{1,4}/)
+        : null;
+    if (hex) return [String.fromCodePoint(parseInt(hex[0], 16)), 2 + hex[0].length];
+
+    return [`\\${next ?? ''}`, 2];
+  }
+
+  // Generate a snippet in one language for a proxy-shaped request
+  generate(language, request) {
+    const target = this.languages[language];
+    if (!target) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+    if (!request || typeof request !== 'object' || !request.url) {
+      throw new Error('Invalid request: url is required');
+    }
+
+    const prepared = this.prepareRequest(request);
+    const code = target.generate(prepared);
+
+    return { language, name: target.name, code, warnings: prepared.warnings };
+  }
+
+  // Apply auth and body defaults the same way proxyService does before sending
+  prepareRequest(request) {
+    const method = String(request.method || (['graphql', 'soap'].includes(request.bodyType) ? 'POST' : 'GET')).toUpperCase();
+    const headers = { ...(request.headers || {}) };
+    const warnings = [];
+    const auth = request.auth;
+    let url = request.url;
+    let basicAuth = null;
+
+    switch (auth?.type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'apikey':
+        if (auth.key && auth.value) {
+          if (auth.in === 'query') {
+            url = this.appendQuery(url, auth.key, auth.value);
+          } else {
+            headers[auth.key] = auth.value;
+          }
+        }
+        break;
+      case 'basic':
+        if (auth.username && auth.password) {
+          basicAuth = { username: auth.username, password: auth.password };
+        }
+        break;
+      case 'oauth2': {
+        const token = auth.accessToken || '<access-token>';
+        if (auth.addTokenTo === 'queryParams') {
+          url = this.appendQuery(url, 'access_token', token);
+        } else {
+          headers.Authorization = `${auth.headerPrefix ?? 'Bearer'} ${token}`.trim();
+        }
+        if (!auth.accessToken) {
+          warnings.push('OAuth 2.0 tokens are fetched when the request is sent, replace <access-token> with a real token');
+        }
+        break;
+      }
+      case undefined:
+      case 'none':
+      case 'inherit':
+        break;
+      default:
+        warnings.push(`${auth.type} auth is not included in generated code`);
+    }
+
+    let body = null;
+    let form = null;
+    let json = false;
+    const hasBody = request.body !== undefined && request.body !== null && request.body !== '';
+
+    if (hasBody && request.bodyType === 'graphql') {
+      let operation = null;
+      try {
+        operation = graphqlService.normalizeBody(request.body);
+      } catch (error) {
+        warnings.push(`${error.message}, so the body was left out`);
+      }
+
+      if (operation && method === 'GET') {
+        // GraphQL over GET sends the operation in the query string
+        for (const [key, value] of Object.entries(graphqlService.toQueryParams(operation))) {
+          url = this.appendQuery(url, key, value);
+        }
+      } else if (operation) {
+        body = JSON.stringify(operation, null, 2);
+        json = true;
+        if (!this.findHeader(headers, 'content-type')) headers['Content-Type'] = 'application/json';
+      }
+    } else if (hasBody && !BODY_METHODS.includes(method)) {
+      warnings.push(`The proxy does not send a body with ${method} requests, so it was left out`);
+    } else if (hasBody && request.bodyType === 'soap') {
+      try {
+        const operation = soapService.normalizeBody(request.body);
+        body = operation.envelope;
+        for (const [name, value] of Object.entries(soapService.getHeaders(operation))) {
+          if (!this.findHeader(headers, name.toLowerCase())) headers[name] = value;
+        }
+      } catch (error) {
+        warnings.push(`${error.message}, so the body was left out`);
+      }
+    } else if (hasBody && request.bodyType === 'form-data' && Array.isArray(request.body)) {
+      form = request.body.filter(field => field && field.key && !field.disabled);
+    } else if (hasBody && request.bodyType === 'urlencoded' && typeof request.body === 'object') {
+      const fields = Array.isArray(request.body)
+        ? request.body.filter(field => field && field.key && !field.disabled).map(field => [field.key, field.value ?? ''])
+        : Object.entries(request.body);
+      body = new URLSearchParams(fields.map(([key, value]) => [key, String(value)])).toString();
+      if (!this.findHeader(headers, 'content-type')) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (hasBody && request.bodyType === 'binary') {
+      warnings.push('Binary bodies are not included in generated code');
+    } else if (hasBody && typeof request.body === 'object') {
+      body = JSON.stringify(request.body, null, 2);
+      json = true;
+      if (!this.findHeader(headers, 'content-type')) headers['Content-Type'] = 'application/json';
+    } else if (hasBody) {
+      body = String(request.body);
+    }
+
+    return { method, url, headers, basicAuth, body, json, form, warnings };
+  }
+
+  appendQuery(url, key, value) {
+    const hashIndex = url.indexOf('#');
+    const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}${encodeURIComponent(key)}=${encodeURIComponent(value)}${hash}`;
+  }
+
+  findHeader(headers, name) {
+    return Object.keys(headers).find(key => key.toLowerCase() === name);
+  }
+
+  // Quote a string for a POSIX shell
+  shellQuote(value) {
+    return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+  }
+
+  // JSON string literals are also valid string literals in JavaScript, Python, Go and Java
+  quote(value) {
+    return JSON.stringify(String(value));
+  }
+
+  indent(text, prefix) {
+    return text.split('\n').map((line, index) => (index === 0 ? line : prefix + line)).join('\n');
+  }
+
+  generateCurl({ method, url, headers, basicAuth, body, form }) {
+    const parts = [`curl${method === 'GET' ? '' : ` -X ${method}`} ${this.shellQuote(url)}`];
+
+    for (const [key, value] of Object.entries(headers)) {
+      parts.push(`-H ${this.shellQuote(`${key}: ${value}`)}`);
+    }
+    if (basicAuth) {
+      parts.push(`-u ${this.shellQuote(`${basicAuth.username}:${basicAuth.password}`)}`);
+    }
+    if (form) {
+      for (const field of form) {
+        parts.push(field.type === 'file'
+          ? `-F ${this.shellQuote(`${field.key}=@${field.src || ''}`)}`
+          : `--form-string ${this.shellQuote(`${field.key}=${field.value ?? ''}`)}`);
+      }
+    } else if (body !== null) {
+      parts.push(`--data-raw ${this.shellQuote(body)}`);
+    }
+
+    return parts.join(' \\\n  ');
+  }
+
+  generateFetch({ method, url, headers, basicAuth, body, json, form }) {
+    const lines = [];
+    const headerLines = Object.entries(headers).map(([key, value]) => `    ${this.quote(key)}: ${this.quote(value)}`);
+
+    if (basicAuth) {
+      headerLines.push(`    "Authorization": "Basic " + Buffer.from(${this.quote(`${basicAuth.username}:${basicAuth.password}`)}).toString("base64")`);
+    }
+
+    if (form) {
+      if (form.some(field => field.type === 'file')) lines.push('import { openAsBlob } from "node:fs";', '');
+      lines.push(...this.jsFormData(form), '');
+    }
+
+    const options = [`  method: ${this.quote(method)}`];
+    if (headerLines.length > 0) options.push(`  headers: {\n${headerLines.join(',\n')}\n  }`);
+    if (form) {
+      options.push('  body: formData');
+    } else if (body !== null) {
+      options.push(json ? `  body: JSON.stringify(${this.indent(body, '  ')})` : `  body: ${this.quote(body)}`);
+    }
+
+    lines.push(`const response = await fetch(${this.quote(url)}, {\n${options.join(',\n')}\n});`, '');
+    lines.push('console.log(await response.text());');
+
+    return lines.join('\n');
+  }
+
+  generateAxios({ method, url, headers, basicAuth, body, json, form }) {
+    const lines = ['import axios from "axios";'];
+    if (form && form.some(field => field.type === 'file')) lines.push('import { openAsBlob } from "node:fs";');
+    lines.push('');
+
+    if (form) lines.push(...this.jsFormData(form), '');
+
+    const options = [`  method: ${this.quote(method.toLowerCase())}`, `  url: ${this.quote(url)}`];
+    const headerLines = Object.entries(headers).map(([key, value]) => `    ${this.quote(key)}: ${this.quote(value)}`);
+    if (headerLines.length > 0) options.push(`  headers: {\n${headerLines.join(',\n')}\n  }`);
+    if (basicAuth) {
+      options.push(`  auth: {\n    username: ${this.quote(basicAuth.username)},\n    password: ${this.quote(basicAuth.password)}\n  }`);
+    }
+    if (form) {
+      options.push('  data: formData');
+    } else if (body !== null) {
+      options.push(`  data: ${json ? this.indent(body, '  ') : this.quote(body)}`);
+    }
+
+    lines.push(`const response = await axios({\n${options.join(',\n')}\n});`, '');
+    lines.push('console.log(response.data);');
+
+    return lines.join('\n');
+  }
+
+  jsFormData(form) {
+    return [
+      'const formData = new FormData();',
+      ...form.map(field => (field.type === 'file'
+        ? `formData.append(${this.quote(field.key)}, await openAsBlob(${this.quote(field.src || '')}), ${this.quote((field.src || '').split(/[\\/]/).pop())});`
+        : `formData.append(${this.quote(field.key)}, ${this.quote(field.value ?? '')});`))
+    ];
+  }
+
+  generatePython({ method, url, headers, basicAuth, body, json, form }) {
+    const lines = ['import requests', '', `url = ${this.quote(url)}`];
+    const args = ['url'];
+
+    if (Object.keys(headers).length > 0) {
+      // requests sets the multipart Content-Type and boundary itself
+      const entries = Object.entries(headers)
+        .filter(([key]) => !(form && key.toLowerCase() === 'content-type'))
+        .map(([key, value]) => `    ${this.quote(key)}: ${this.quote(value)},`);
+      if (entries.length > 0) {
+        lines.push(`headers = {\n${entries.join('\n')}\n}`);
+        args.push('headers=headers');
+      }
+    }
+
+    if (form) {
+      const fields = form.filter(field => field.type !== 'file');
+      const files = form.filter(field => field.type === 'file');
+      if (fields.length > 0) {
+        lines.push(`data = {\n${fields.map(field => `    ${this.quote(field.key)}: ${this.quote(field.value ?? '')},`).join('\n')}\n}`);
+        args.push('data=data');
+      }
+      if (files.length > 0) {
+        lines.push(`files = {\n${files.map(field => `    ${this.quote(field.key)}: open(${this.quote(field.src || '')}, "rb"),`).join('\n')}\n}`);
+        args.push('files=files');
+      }
+    } else if (body !== null) {
+      if (json) {
+        lines.push(`payload = ${this.pythonLiteral(JSON.parse(body), '')}`);
+        args.push('json=payload');
+      } else {
+        lines.push(`payload = ${this.quote(body)}`);
+        args.push('data=payload');
+      }
+    }
+
+    if (basicAuth) {
+      args.push(`auth=(${this.quote(basicAuth.username)}, ${this.quote(basicAuth.password)})`);
+    }
+
+    lines.push('', `response = requests.request(${this.quote(method)}, ${args.join(', ')})`, '', 'print(response.text)');
+    return lines.join('\n');
+  }
+
+  pythonLiteral(value, indent) {
+    const inner = `${indent}    `;
+
+    if (value === null) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value === 'string') return this.quote(value);
+    if (typeof value === 'number') return String(value);
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      return `[\n${value.map(item => `${inner}${this.pythonLiteral(item, inner)},`).join('\n')}\n${indent}]`;
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => `${inner}${this.quote(key)}: ${this.pythonLiteral(item, inner)},`).join('\n')}\n${indent}}`;
+  }
+
+  generateGo({ method, url, headers, basicAuth, body, form }) {
+    const imports = new Set(['fmt', 'io', 'net/http']);
+    const setup = [];
+    let payload = 'nil';
+
+    if (form) {
+      imports.add('bytes');
+      imports.add('mime/multipart');
+      payload = 'payload';
+      setup.push('\tpayload := &bytes.Buffer{}', '\twriter := multipart.NewWriter(payload)');
+
+      for (const field of form) {
+        if (field.type === 'file') {
+          imports.add('os');
+          imports.add('path/filepath');
+          setup.push(`\taddFormFile(writer, ${this.quote(field.key)}, ${this.quote(field.src || '')})`);
+        } else {
+          setup.push(`\t_ = writer.WriteField(${this.quote(field.key)}, ${this.quote(field.value ?? '')})`);
+        }
+      }
+      setup.push('\twriter.Close()', '');
+    } else if (body !== null) {
+      imports.add('strings');
+      payload = 'payload';
+      const literal = body.includes('`') ? this.quote(body) : `\`${body}\``;
+      setup.push(`\tpayload := strings.NewReader(${literal})`, '');
+    }
+
+    const lines = [
+      'package main',
+      '',
+      `import (\n${[...imports].sort().map(name => `\t"${name}"`).join('\n')}\n)`,
+      '',
+      'func main() {',
+      ...setup,
+      `\treq, err := http.NewRequest(${this.quote(method)}, ${this.quote(url)}, ${payload})`,
+      '\tif err != nil {\n\t\tpanic(err)\n\t}'
+    ];
+
+    for (const [key, value] of Object.entries(headers)) {
+      if (form && key.toLowerCase() === 'content-type') continue;
+      lines.push(`\treq.Header.Set(${this.quote(key)}, ${this.quote(value)})`);
+    }
+    if (form) lines.push('\treq.Header.Set("Content-Type", writer.FormDataContentType())');
+    if (basicAuth) {
+      lines.push(`\treq.SetBasicAuth(${this.quote(basicAuth.username)}, ${this.quote(basicAuth.password)})`);
+    }
+
+    lines.push(
+      '',
+      '\tres, err := http.DefaultClient.Do(req)',
+      '\tif err != nil {\n\t\tpanic(err)\n\t}',
+      '\tdefer res.Body.Close()',
+      '',
+      '\tbody, err := io.ReadAll(res.Body)',
+      '\tif err != nil {\n\t\tpanic(err)\n\t}',
+      '\tfmt.Println(string(body))',
+      '}'
+    );
+
+    if (imports.has('os')) {
+      lines.push(
+        '',
+        'func addFormFile(writer *multipart.Writer, field, path string) {',
+        '\tfile, err := os.Open(path)',
+        '\tif err != nil {\n\t\tpanic(err)\n\t}',
+        '\tdefer file.Close()',
+        '',
+        '\tpart, err := writer.CreateFormFile(field, filepath.Base(path))',
+        '\tif err != nil {\n\t\tpanic(err)\n\t}',
+        '\tif _, err := io.Copy(part, file); err != nil {\n\t\tpanic(err)\n\t}',
+        '}'
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  generateJava({ method, url, headers, basicAuth, body, form, warnings }) {
+    const imports = [
+      'java.net.URI',
+      'java.net.http.HttpClient',
+      'java.net.http.HttpRequest',
+      'java.net.http.HttpResponse'
+    ];
+    if (basicAuth) imports.push('java.nio.charset.StandardCharsets', 'java.util.Base64');
+
+    const builder = [`            .uri(URI.create(${this.quote(url)}))`];
+
+    for (const [key, value] of Object.entries(headers)) {
+      if (JAVA_RESTRICTED_HEADERS.includes(key.toLowerCase())) {
+        warnings.push(`Java's HttpClient does not allow setting the ${key} header, so it was left out`);
+        continue;
+      }
+      builder.push(`            .header(${this.quote(key)}, ${this.quote(value)})`);
+    }
+    if (basicAuth) {
+      const credentials = this.quote(`${basicAuth.username}:${basicAuth.password}`);
+      builder.push(`            .header("Authorization", "Basic " + Base64.getEncoder().encodeToString(${credentials}.getBytes(StandardCharsets.UTF_8)))`);
+    }
+
+    if (form) {
+      warnings.push('Java\'s HttpClient has no multipart builder, so the form body was left out');
+    }
+    const publisher = body !== null && !form
+      ? `HttpRequest.BodyPublishers.ofString(${this.quote(body)})`
+      : 'HttpRequest.BodyPublishers.noBody()';
+    builder.push(`            .method(${this.quote(method)}, ${publisher})`, '            .build();');
+
+    return [
+      ...imports.sort().map(name => `import ${name};`),
+      '',
+      'public class Main {',
+      '    public static void main(String[] args) throws Exception {',
+      '        HttpClient client = HttpClient.newHttpClient();',
+      '        HttpRequest request = HttpRequest.newBuilder()',
+      ...builder,
+      '',
+      '        HttpResponse<String> response = client.send(request, HttpResponse.BodyHandlers.ofString());',
+      '        System.out.println(response.body());',
+      '    }',
+      '}'
+    ].join('\n');
+  }
+}
+
+const codeGenService = new CodeGenService();
+export default codeGenService;
@@ -0,0 +1,59 @@
+import Collection from '../models/Collection.js';
+import Folder from '../models/Folder.js';
+import Request from '../models/Request.js';
+import Environment from '../models/Environment.js';
+
+class CollectionImportService {
+  // Store a converted collection with its variables and item tree.
+  // Items are { type: 'folder', items, ...fields } or { type: 'request', ...fields }.
+  async saveCollection(user, { collection: fields, variables = [], items = [] }) {
+    const collection = await Collection.create({ ...fields, owner: user._id });
+
+    try {
+      if (variables.length > 0) {
+        await Environment.create({
+          name: collection.name,
+          owner: user._id,
+          scope: 'collection',
+          collectionId: collection._id,
+          variables
+        });
+      }
+      await this.createItems(collection._id, items, null);
+    } catch (error) {
+      // Do not leave a half-imported collection behind
+      await Promise.all([
+        Request.deleteMany({ collectionId: collection._id }),
+        Folder.deleteMany({ collectionId: collection._id }),
+        Environment.deleteMany({ scope: 'collection', collectionId: collection._id }),
+        collection.deleteOne()
+      ]);
+      throw error;
+    }
+
+    return collection;
+  }
+
+  // Store converted items level by level, keeping their position as the order
+  async createItems(collectionId, items, parentId) {
+    const requests = [];
+
+    for (const [order, item] of items.entries()) {
+      const { type, items: children, ...fields } = item;
+
+      if (type === 'folder') {
+        const folder = await Folder.create({ ...fields, collectionId, parent: parentId, order });
+        await this.createItems(collectionId, children, folder._id);
+      } else {
+        requests.push({ ...fields, collectionId, folder: parentId, order });
+      }
+    }
+
+    if (requests.length > 0) {
+      await Request.insertMany(requests);
+    }
+  }
+}
+
+const collectionImportService = new CollectionImportService();
+export default collectionImportService;
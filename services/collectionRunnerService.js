@@ -0,0 +1,352 @@
+import Collection from '../models/Collection.js';
+import CollectionRun from '../models/CollectionRun.js';
+import CollectionRunResult from '../models/CollectionRunResult.js';
+import proxyService from './proxyService.js';
+import variableService from './variableService.js';
+
+class CollectionRunnerService {
+  constructor() {
+    this.activeRuns = new Map(); // runId -> { cancelled }
+    this.maxDataRows = 1000;
+    this.maxDelay = 60000;
+  }
+
+  // Start a run in the background and return the stored run document straight away
+  async startRun(user, options) {
+    const {
+      collectionId,
+      folderId = null,
+      environmentId = null,
+      name,
+      delay = 0,
+      stopOnFailure = false,
+      data,
+      dataFile
+    } = options;
+
+    const collection = await Collection.findById(collectionId);
+    if (!collection || !collection.canView(user)) {
+      throw new Error('Collection not found');
+    }
+
+    const scopes = await variableService.loadScopes(user, { environmentId, collectionId });
+    const requests = this.flattenRequests(await collection.getTree(), folderId);
+
+    let rows = [];
+    if (Array.isArray(data)) {
+      rows = data;
+    } else if (dataFile) {
+      rows = this.parseDataFile(dataFile);
+    }
+
+    if (rows.length > this.maxDataRows) {
+      throw new Error(`Data file cannot exceed ${this.maxDataRows} rows`);
+    }
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('Data rows must be objects of variable names to values');
+    }
+
+    const iterations = parseInt(options.iterations) || rows.length || 1;
+    const delayMs = Math.max(0, parseInt(delay) || 0);
+    if (delayMs > this.maxDelay) {
+      throw new Error(`Delay cannot exceed ${this.maxDelay} ms`);
+    }
+
+    const run = await CollectionRun.create({
+      owner: user._id,
+      collectionId: collection._id,
+      folderId,
+      environmentId,
+      name: name || collection.name,
+      options: {
+        iterations,
+        delay: delayMs,
+        stopOnFailure: stopOnFailure === true,
+        dataFileName: dataFile?.name || null
+      },
+      totalRequests: requests.length * iterations
+    });
+
+    this.activeRuns.set(run._id.toString(), { cancelled: false });
+
+    this.executeRun(run, user, { requests, scopes, rows }).catch(error => {
+      console.error('Collection run error:', error);
+    });
+
+    return run;
+  }
+
+  // Execute every request of every iteration, storing results as they complete
+  async executeRun(run, user, { requests, scopes, rows }) {
+    const runId = run._id;
+    const { iterations, delay, stopOnFailure } = run.options;
+    const initialVariables = variableService.toScopeMaps(scopes);
+    let variables = initialVariables;
+    let outcome = { status: 'completed', error: null };
+
+    await CollectionRun.updateOne({ _id: runId }, { status: 'running', startedAt: new Date() });
+
+    try {
+      runLoop:
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        const iterationData = rows.length > 0 ? rows[iteration % rows.length] : {};
+
+        // Local variables only live for one iteration
+        variables = { ...variables, local: {} };
+
+        for (let index = 0; index < requests.length; index++) {
+          if (this.activeRuns.get(runId.toString())?.cancelled) {
+            outcome = { status: 'cancelled', error: null };
+            break runLoop;
+          }
+
+          if (delay > 0 && (iteration > 0 || index > 0)) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
+
+          const request = requests[index];
+          const startedAt = new Date();
+          const execution = await proxyService.executeRequest(request, {
+            variables,
+            iterationData,
+            info: { requestName: request.name, iteration },
+            user,
+            settings: scopes.environment?.settings
+          });
+          variables = execution.variables;
+
+          const entry = this.buildResultEntry(request, iteration, startedAt, execution);
+          const failedTests = entry.tests.filter(test => !test.passed).length;
+
+          await CollectionRunResult.create({ runId, ...entry });
+          await CollectionRun.updateOne({ _id: runId }, {
+            $inc: {
+              'summary.executedRequests': 1,
+              'summary.failedRequests': entry.passed ? 0 : 1,
+              'summary.totalTests': entry.tests.length,
+              'summary.passedTests': entry.tests.length - failedTests,
+              'summary.failedTests': failedTests,
+              'summary.totalDuration': entry.duration || 0
+            }
+          });
+
+          if (stopOnFailure && !entry.passed) {
+            outcome = { status: 'failed', error: `Run stopped after "${request.name}" failed` };
+            break runLoop;
+          }
+        }
+      }
+
+      await variableService.saveScopeChanges(user, scopes, initialVariables, variables);
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    } finally {
+      this.activeRuns.delete(runId.toString());
+    }
+
+    await CollectionRun.updateOne({ _id: runId }, {
+      status: outcome.status,
+      error: outcome.error,
+      finishedAt: new Date()
+    });
+  }
+
+  // Convert one proxy execution into a stored run result
+  buildResultEntry(request, iteration, startedAt, { result, failed }) {
+    const tests = result.tests || [];
+    const scriptErrors = result.scriptErrors || [];
+
+    return {
+      iteration,
+      requestId: request._id,
+      name: request.name,
+      method: result.resolvedRequest?.method || request.method,
+      url: result.resolvedRequest?.url || request.url,
+      status: result.status ?? null,
+      statusText: result.statusText ?? null,
+      duration: result.duration ?? 0,
+      size: result.size ?? 0,
+      tests,
+      scriptErrors,
+      error: failed ? `${result.error}: ${result.message}` : null,
+      passed: !failed && scriptErrors.length === 0 && tests.every(test => test.passed),
+      startedAt
+    };
+  }
+
+  // Get a page of a run's results in execution order
+  async getResults(runId, { page = 1, limit = 100 } = {}) {
+    const [results, total] = await Promise.all([
+      CollectionRunResult.find({ runId })
+        .select('-runId')
+        .sort({ _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CollectionRunResult.countDocuments({ runId })
+    ]);
+
+    return { results, total };
+  }
+
+  // Delete a run report together with its results
+  async deleteRun(run) {
+    await CollectionRunResult.deleteMany({ runId: run._id });
+    await run.deleteOne();
+  }
+
+  // Cancel a run that is still in progress
+  cancelRun(runId) {
+    const active = this.activeRuns.get(runId.toString());
+    if (!active) return false;
+
+    active.cancelled = true;
+    return true;
+  }
+
+  // Check whether a run is being executed by this server instance
+  isActive(runId) {
+    return this.activeRuns.has(runId.toString());
+  }
+
+  // Flatten a collection tree into execution order, resolving inherited auth and
+  // prepending collection and folder scripts to each request's own scripts
+  flattenRequests(tree, folderId = null) {
+    const requests = [];
+    let folderFound = !folderId;
+
+    const isInherited = (auth) => !auth || auth.type === 'inherit';
+    const scriptsOf = (item) => ({
+      preRequest: item.scripts?.preRequest || '',
+      test: item.scripts?.test || ''
+    });
+
+    const walk = (items, inherited, include) => {
+      for (const item of items) {
+        if (item.type === 'folder') {
+          const isTarget = folderId && item._id.toString() === String(folderId);
+          if (isTarget) folderFound = true;
+          walk(item.items, {
+            auth: isInherited(item.auth) ? inherited.auth : item.auth,
+            scripts: [...inherited.scripts, scriptsOf(item)]
+          }, include || isTarget);
+        } else if (include) {
+          const chain = [...inherited.scripts, scriptsOf(item)];
+          requests.push({
+            ...item,
+            auth: isInherited(item.auth) ? inherited.auth : item.auth,
+            scripts: {
+              preRequest: this.combineScripts(chain.map(scripts => scripts.preRequest)),
+              test: this.combineScripts(chain.map(scripts => scripts.test))
+            }
+          });
+        }
+      }
+    };
+
+    walk(tree.items, {
+      auth: isInherited(tree.auth) ? null : tree.auth,
+      scripts: [scriptsOf(tree)]
+    }, !folderId);
+
+    if (!folderFound) {
+      throw new Error('Folder not found');
+    }
+
+    return requests;
+  }
+
+  // Join scripts from outermost to innermost, each in its own block scope
+  combineScripts(scripts) {
+    const present = scripts.filter(script => script && script.trim());
+    if (present.length <= 1) return present[0] || '';
+    return present.map(script => `{\n${script}\n}`).join('\n');
+  }
+
+  // Parse an uploaded CSV or JSON data file into iteration rows
+  parseDataFile({ type, name = '', content }) {
+    if (typeof content !== 'string') {
+      throw new Error('Data file content must be a string');
+    }
+
+    const format = (type || name.split('.').pop() || '').toLowerCase();
+
+    if (format === 'json') {
+      let rows;
+      try {
+        rows = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON data file: ${error.message}`);
+      }
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON data file must contain an array of objects');
+      }
+      return rows;
+    }
+
+    if (format === 'csv') {
+      return this.parseCsv(content);
+    }
+
+    throw new Error('Data file type must be csv or json');
+  }
+
+  // Parse CSV text with a header row, supporting quoted fields and escaped quotes
+  parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter(row => row.some(value => value !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const [header, ...rows] = nonEmpty;
+    const keys = header.map(key => key.trim());
+
+    return rows.map(row => {
+      const entry = {};
+      keys.forEach((key, index) => {
+        if (key) entry[key] = row[index] ?? '';
+      });
+      return entry;
+    });
+  }
+}
+
+const collectionRunnerService = new CollectionRunnerService();
+export default collectionRunnerService;
@@ -0,0 +1,151 @@
+import { CookieJar, Cookie as ToughCookie, canonicalDomain } from 'tough-cookie';
+import Cookie from '../models/Cookie.js';
+
+const SAME_SITE_VALUES = ['strict', 'lax', 'none'];
+const COOKIE_FIELDS = ['key', 'value', 'domain', 'path', 'expires', 'hostOnly', 'httpOnly', 'secure', 'sameSite'];
+
+class CookieService {
+  constructor() {
+    this.maxCookiesPerUser = 1000;
+  }
+
+  // Load a user's stored cookies into an in-memory jar for one proxied request.
+  // Anonymous requests get an empty jar, so cookies still carry across redirects.
+  async loadJar(user) {
+    const jar = new CookieJar();
+    if (!user) return jar;
+
+    const cookies = await Cookie.find({ owner: user._id })
+      .sort({ updatedAt: -1 })
+      .limit(this.maxCookiesPerUser);
+
+    for (const cookie of cookies) {
+      await jar.store.putCookie(this.toToughCookie(cookie));
+    }
+
+    return jar;
+  }
+
+  toToughCookie(cookie) {
+    return new ToughCookie({
+      key: cookie.key,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.expires || 'Infinity',
+      hostOnly: cookie.hostOnly,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure,
+      sameSite: cookie.sameSite || undefined,
+      creation: cookie.createdAt
+    });
+  }
+
+  // Plain description of a jar cookie, as stored and returned to clients
+  toPlain(cookie) {
+    // Session cookies have neither Expires nor Max-Age
+    const session = cookie.expires === 'Infinity' && (cookie.maxAge === null || cookie.maxAge === undefined);
+    const expires = session ? null : cookie.expiryDate();
+
+    return {
+      key: cookie.key,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path || '/',
+      expires: expires && Number.isFinite(expires.getTime()) ? expires : null,
+      hostOnly: cookie.hostOnly !== false,
+      httpOnly: Boolean(cookie.httpOnly),
+      secure: Boolean(cookie.secure),
+      sameSite: SAME_SITE_VALUES.includes(cookie.sameSite) ? cookie.sameSite : null
+    };
+  }
+
+  // Store the Set-Cookie headers of a response in the jar. Returns the cookies that were accepted.
+  storeResponseCookies(jar, url, headers = {}) {
+    const setCookie = headers['set-cookie'];
+    if (!setCookie) return [];
+
+    return (Array.isArray(setCookie) ? setCookie : [setCookie])
+      .map(header => jar.setCookieSync(header, url, { ignoreError: true }))
+      .filter(Boolean);
+  }
+
+  // Persist cookies set during a request: expired ones are removed, the rest are added or updated
+  async saveCookies(user, cookies) {
+    if (!user || cookies.length === 0) return;
+
+    const operations = cookies.map(cookie => {
+      const plain = this.toPlain(cookie);
+      const filter = { owner: user._id, domain: plain.domain, path: plain.path, key: plain.key };
+
+      return cookie.TTL() <= 0
+        ? { deleteOne: { filter } }
+        : { updateOne: { filter, update: { $set: plain }, upsert: true } };
+    });
+    await Cookie.bulkWrite(operations);
+
+    // Drop the least recently updated cookies once a user has too many
+    const excess = await Cookie.countDocuments({ owner: user._id }) - this.maxCookiesPerUser;
+    if (excess > 0) {
+      const oldest = await Cookie.find({ owner: user._id }).sort({ updatedAt: 1 }).limit(excess).select('_id');
+      await Cookie.deleteMany({ _id: { $in: oldest.map(cookie => cookie._id) } });
+    }
+  }
+
+  // Validate a cookie sent to the cookie endpoints, merged over the cookie it replaces
+  normalizeCookie(input = {}, existing = {}) {
+    const cookie = {};
+    for (const field of COOKIE_FIELDS) {
+      cookie[field] = input[field] !== undefined ? input[field] : existing[field];
+    }
+
+    if (typeof cookie.key !== 'string' || !cookie.key.trim() || /[=;,\s]/.test(cookie.key.trim())) {
+      throw new Error('Invalid cookie: name is required and cannot contain =, ;, commas or spaces');
+    }
+    cookie.key = cookie.key.trim();
+
+    cookie.value = cookie.value === undefined || cookie.value === null ? '' : String(cookie.value);
+    if (/[;\r\n]/.test(cookie.value)) {
+      throw new Error('Invalid cookie: value cannot contain semicolons or line breaks');
+    }
+
+    const domain = typeof cookie.domain === 'string' ? canonicalDomain(cookie.domain.replace(/^\./, '')) : null;
+    if (!domain) {
+      throw new Error('Invalid cookie: domain is required');
+    }
+    cookie.domain = domain;
+
+    cookie.path = cookie.path || '/';
+    if (typeof cookie.path !== 'string' || !cookie.path.startsWith('/')) {
+      throw new Error('Invalid cookie: path must start with /');
+    }
+
+    if (cookie.expires) {
+      const expires = new Date(cookie.expires);
+      if (Number.isNaN(expires.getTime())) {
+        throw new Error('Invalid cookie: expires must be a date');
+      }
+      cookie.expires = expires;
+    } else {
+      cookie.expires = null;
+    }
+
+    if (cookie.sameSite) {
+      cookie.sameSite = String(cookie.sameSite).toLowerCase();
+      if (!SAME_SITE_VALUES.includes(cookie.sameSite)) {
+        throw new Error(`Invalid cookie: sameSite must be one of ${SAME_SITE_VALUES.join(', ')}`);
+      }
+    } else {
+      cookie.sameSite = null;
+    }
+
+    cookie.hostOnly = cookie.hostOnly !== false;
+    cookie.httpOnly = cookie.httpOnly === true;
+    cookie.secure = cookie.secure === true;
+
+    return cookie;
+  }
+}
+
+const cookieService = new CookieService();
+export default cookieService;
@@ -0,0 +1,138 @@
+import { parse, validate, buildClientSchema, getIntrospectionQuery, printSchema } from 'graphql';
+import advancedResponseService from './advancedResponseService.js';
+
+class GraphQLService {
+  constructor() {
+    this.schemaTtl = 30 * 60 * 1000; // Introspected schemas are reused for 30 minutes
+    this.maxSchemas = 100;
+    this.schemas = new Map(); // owner:url -> { schema, sdl, url, fetchedAt, expiresAt }
+  }
+
+  getIntrospectionQuery() {
+    return getIntrospectionQuery();
+  }
+
+  // Normalize a GraphQL body to { query, variables, operationName }.
+  // Variables may be a JSON string, which is how Postman stores them.
+  normalizeBody(body) {
+    const source = typeof body === 'string' ? { query: body } : (body || {});
+    if (typeof source.query !== 'string' || !source.query.trim()) {
+      throw new Error('GraphQL query is required');
+    }
+
+    let variables = source.variables;
+    if (typeof variables === 'string') {
+      try {
+        variables = variables.trim() ? JSON.parse(variables) : undefined;
+      } catch {
+        throw new Error('GraphQL variables must be valid JSON');
+      }
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      throw new Error('GraphQL variables must be an object');
+    }
+
+    return {
+      query: source.query,
+      variables: variables || undefined,
+      operationName: source.operationName || undefined
+    };
+  }
+
+  // Query string parameters for GraphQL over GET
+  toQueryParams({ query, variables, operationName }) {
+    const params = { query };
+    if (variables) params.variables = JSON.stringify(variables);
+    if (operationName) params.operationName = operationName;
+    return params;
+  }
+
+  // Schemas are cached per user, since the schema an endpoint exposes can depend on who asks
+  getCacheKey(user, url) {
+    return `${user?._id || 'anonymous'}:${url}`;
+  }
+
+  getCachedSchema(user, url) {
+    const key = this.getCacheKey(user, url);
+    const cached = this.schemas.get(key);
+    if (cached && cached.expiresAt.getTime() <= Date.now()) {
+      this.schemas.delete(key);
+      return null;
+    }
+    return cached || null;
+  }
+
+  // Build a schema from an introspection result and cache it, dropping the oldest beyond the limit
+  cacheSchema(user, url, introspection) {
+    const schema = buildClientSchema(introspection);
+    const fetchedAt = new Date();
+    const entry = {
+      schema,
+      sdl: printSchema(schema),
+      url,
+      fetchedAt,
+      expiresAt: new Date(fetchedAt.getTime() + this.schemaTtl)
+    };
+
+    const key = this.getCacheKey(user, url);
+    this.schemas.delete(key);
+    this.schemas.set(key, entry);
+    while (this.schemas.size > this.maxSchemas) {
+      this.schemas.delete(this.schemas.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  clearCachedSchema(user, url) {
+    return this.schemas.delete(this.getCacheKey(user, url));
+  }
+
+  // Describe a cached schema without the schema object itself
+  describeSchema(entry) {
+    const typeMap = entry.schema.getTypeMap();
+
+    return {
+      url: entry.url,
+      sdl: entry.sdl,
+      queryType: entry.schema.getQueryType()?.name || null,
+      mutationType: entry.schema.getMutationType()?.name || null,
+      subscriptionType: entry.schema.getSubscriptionType()?.name || null,
+      types: Object.keys(typeMap).filter(name => !name.startsWith('__')).sort(),
+      fetchedAt: entry.fetchedAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  // Check a query for syntax errors, and against the schema when one is known
+  validateQuery(query, schema = null) {
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return [this.formatError(error)];
+    }
+
+    return schema ? validate(schema, document).map(error => this.formatError(error)) : [];
+  }
+
+  formatError(error) {
+    return { message: error.message, locations: error.locations || [] };
+  }
+
+  // Split a GraphQL response into data, errors and extensions, checked against the default GraphQL response schema
+  async splitResponse(payload) {
+    const body = payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+    const responseSchema = await advancedResponseService.getSchema('graphql');
+
+    return {
+      data: body.data ?? null,
+      errors: Array.isArray(body.errors) ? body.errors : [],
+      extensions: body.extensions ?? null,
+      validation: advancedResponseService.validateAgainstSchema(payload, responseSchema.schema)
+    };
+  }
+}
+
+const graphqlService = new GraphQLService();
+export default graphqlService;
@@ -0,0 +1,602 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import * as grpc from '@grpc/grpc-js';
+import * as protoLoader from '@grpc/proto-loader';
+import protobuf from 'protobufjs';
+import descriptor from 'protobufjs/ext/descriptor/index.js';
+import { v4 as uuidv4 } from 'uuid';
+import agentService from './agentService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+
+// Messages are converted to JSON with string longs and enums, and default values filled in
+const LOADER_OPTIONS = { keepCase: true, longs: String, enums: String, defaults: true, oneofs: true };
+
+// The server reflection protocol, shared by the v1 and v1alpha packages
+const REFLECTION_PROTO = `
+syntax = "proto3";
+message ServerReflectionRequest {
+  string host = 1;
+  oneof message_request {
+    string file_by_filename = 3;
+    string file_containing_symbol = 4;
+    string list_services = 7;
+  }
+}
+message ServerReflectionResponse {
+  string valid_host = 1;
+  oneof message_response {
+    FileDescriptorResponse file_descriptor_response = 4;
+    ListServiceResponse list_services_response = 6;
+    ErrorResponse error_response = 7;
+  }
+}
+message FileDescriptorResponse { repeated bytes file_descriptor_proto = 1; }
+message ListServiceResponse { repeated ServiceResponse service = 1; }
+message ServiceResponse { string name = 1; }
+message ErrorResponse { int32 error_code = 1; string error_message = 2; }
+`;
+
+const REFLECTION_SERVICES = [
+  '/grpc.reflection.v1.ServerReflection/ServerReflectionInfo',
+  '/grpc.reflection.v1alpha.ServerReflection/ServerReflectionInfo'
+];
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(grpc.status).map(([name, code]) => [code, name]));
+
+const METHOD_TYPES = {
+  'false:false': 'unary',
+  'false:true': 'server_streaming',
+  'true:false': 'client_streaming',
+  'true:true': 'bidi_streaming'
+};
+
+const grpcError = (message, code) => Object.assign(new Error(message), { code });
+
+class GrpcService {
+  constructor() {
+    this.protos = new Map(); // Loaded definitions, from uploaded .proto files or server reflection
+    this.maxProtos = 50;
+    this.defaultTimeout = 30 * 1000;
+
+    const reflectionRoot = protobuf.parse(REFLECTION_PROTO, { keepCase: true }).root;
+    this.reflectionRequest = reflectionRoot.lookupType('ServerReflectionRequest');
+    this.reflectionResponse = reflectionRoot.lookupType('ServerReflectionResponse');
+  }
+
+  // Load uploaded .proto files. Files are written to a temporary directory so imports between them resolve.
+  async loadProtoFiles(files, name = null) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw grpcError('At least one .proto file is required', 'INVALID_PROTO');
+    }
+
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'postwomen-protos-'));
+    try {
+      const fileNames = [];
+      for (const file of files) {
+        const fileName = path.normalize(String(file?.name || ''));
+        if (!fileName.endsWith('.proto') || path.isAbsolute(fileName) || fileName.startsWith('..')) {
+          throw grpcError(`Invalid proto file name: ${file?.name}`, 'INVALID_PROTO');
+        }
+        if (typeof file.content !== 'string') {
+          throw grpcError(`Proto file ${fileName} has no content`, 'INVALID_PROTO');
+        }
+
+        await fs.promises.mkdir(path.join(directory, path.dirname(fileName)), { recursive: true });
+        await fs.promises.writeFile(path.join(directory, fileName), file.content);
+        fileNames.push(fileName);
+      }
+
+      let packageDefinition;
+      try {
+        await this.checkProtoImports(directory, fileNames);
+        packageDefinition = await protoLoader.load(fileNames, { ...LOADER_OPTIONS, includeDirs: [directory] });
+      } catch (error) {
+        if (error.code === 'INVALID_PROTO') throw error;
+        // Resolved file paths are left out, they would reveal where the server keeps its files
+        throw grpcError(`Could not parse proto files: ${error.message.split(`${directory}${path.sep}`).join('')}`, 'INVALID_PROTO');
+      }
+
+      return this.storeProto({ name: name || fileNames.join(', '), source: 'upload', files: fileNames, packageDefinition });
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Parse the files once with every import resolved the way the loader resolves them, from the upload
+  // directory and then next to the importing file. Imports of absolute paths or paths leaving the directory
+  // are rejected before the loader can read them, the bundled google/protobuf files are still available.
+  async checkProtoImports(directory, fileNames) {
+    const isInside = (file) => {
+      const relative = path.relative(directory, file);
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+
+    const root = new protobuf.Root();
+    root.resolvePath = (origin, target) => {
+      const fromDirectory = path.join(directory, target);
+      if (path.isAbsolute(target) || !isInside(fromDirectory)) {
+        throw grpcError(`Invalid import "${target}": imports must be paths inside the uploaded files`, 'INVALID_PROTO');
+      }
+      if (fs.existsSync(fromDirectory)) return fromDirectory;
+
+      const fromOrigin = path.resolve(path.dirname(origin || fromDirectory), target);
+      return isInside(fromOrigin) ? fromOrigin : fromDirectory;
+    };
+
+    await root.load(fileNames, { keepCase: true });
+  }
+
+  // Load a server's services through the reflection protocol, falling back to v1alpha for older servers
+  async reflect({ target, tls, metadata, settings } = {}, context = {}) {
+    const channel = await this.openChannel({ target, tls, settings }, context);
+
+    try {
+      let lastError;
+      for (const methodPath of REFLECTION_SERVICES) {
+        try {
+          const { services, files } = await this.fetchReflection(channel, methodPath, metadata, settings);
+          const descriptorSet = protobuf.Writer.create();
+          for (const file of files.values()) descriptorSet.uint32(10).bytes(file);
+
+          const packageDefinition = protoLoader.loadFileDescriptorSetFromBuffer(Buffer.from(descriptorSet.finish()), LOADER_OPTIONS);
+          return this.storeProto({
+            name: channel.target,
+            source: 'reflection',
+            target: channel.target,
+            tls: channel.tls,
+            files: [...files.keys()],
+            packageDefinition,
+            reflectedServices: services
+          });
+        } catch (error) {
+          lastError = error;
+          if (error.code !== grpc.status.UNIMPLEMENTED) break;
+        }
+      }
+
+      if (lastError.code === grpc.status.UNIMPLEMENTED) {
+        throw grpcError('Server reflection is not enabled on this server', 'GRPC_REFLECTION_UNAVAILABLE');
+      }
+      throw grpcError(`Server reflection failed: ${lastError.details || lastError.message}`, 'GRPC_REFLECTION_FAILED');
+    } finally {
+      channel.client.close();
+    }
+  }
+
+  // Ask for the service list, then for the files defining each service and everything they import
+  fetchReflection(channel, methodPath, metadata, settings) {
+    return new Promise((resolve, reject) => {
+      const call = channel.client.makeBidiStreamRequest(
+        methodPath,
+        (request) => Buffer.from(this.reflectionRequest.encode(this.reflectionRequest.fromObject(request)).finish()),
+        (buffer) => this.reflectionResponse.decode(buffer),
+        this.buildMetadata(metadata),
+        { deadline: this.getDeadline(settings) }
+      );
+
+      const waiting = [];
+      const files = new Map();
+      const ask = (request) => new Promise((answer, fail) => {
+        waiting.push({ answer, fail });
+        call.write(request);
+      });
+
+      call.on('data', (response) => waiting.shift()?.answer(response));
+      call.on('error', (error) => {
+        waiting.splice(0).forEach(({ fail }) => fail(error));
+        reject(error);
+      });
+
+      const addFiles = async (response) => {
+        if (response.error_response) {
+          throw grpcError(response.error_response.error_message, response.error_response.error_code);
+        }
+
+        for (const buffer of response.file_descriptor_response?.file_descriptor_proto || []) {
+          const file = descriptor.FileDescriptorProto.decode(buffer);
+          if (files.has(file.name)) continue;
+          files.set(file.name, buffer);
+
+          for (const dependency of file.dependency || []) {
+            if (!files.has(dependency)) await addFiles(await ask({ file_by_filename: dependency }));
+          }
+        }
+      };
+
+      (async () => {
+        const listing = await ask({ list_services: '' });
+        if (listing.error_response) {
+          throw grpcError(listing.error_response.error_message, listing.error_response.error_code);
+        }
+
+        const services = (listing.list_services_response?.service || [])
+          .map(service => service.name)
+          .filter(name => !name.startsWith('grpc.reflection.'));
+        for (const service of services) {
+          await addFiles(await ask({ file_containing_symbol: service }));
+        }
+
+        call.end();
+        resolve({ services, files });
+      })().catch((error) => {
+        call.cancel();
+        reject(error);
+      });
+    });
+  }
+
+  // Keep a loaded definition, dropping the oldest beyond the limit
+  storeProto({ name, source, target = null, tls = false, files, packageDefinition, reflectedServices = null }) {
+    const entry = {
+      id: uuidv4(),
+      name,
+      source,
+      target,
+      tls,
+      files,
+      packageDefinition,
+      services: this.describeServices(packageDefinition),
+      reflectedServices,
+      createdAt: new Date().toISOString()
+    };
+
+    this.protos.set(entry.id, entry);
+    while (this.protos.size > this.maxProtos) {
+      this.protos.delete(this.protos.keys().next().value);
+    }
+
+    return this.getProtoInfo(entry.id);
+  }
+
+  // List the services of a package definition with their methods and example requests
+  describeServices(packageDefinition) {
+    const services = [];
+
+    for (const [serviceName, definition] of Object.entries(packageDefinition)) {
+      if (definition.format) continue; // Message and enum types
+
+      services.push({
+        name: serviceName,
+        methods: Object.entries(definition).map(([methodName, method]) => {
+          const requestType = this.getTypeName(packageDefinition, method.requestType);
+
+          return {
+            name: methodName,
+            path: method.path,
+            type: METHOD_TYPES[`${method.requestStream}:${method.responseStream}`],
+            requestStream: method.requestStream,
+            responseStream: method.responseStream,
+            requestType,
+            responseType: this.getTypeName(packageDefinition, method.responseType),
+            requestExample: this.buildExample(packageDefinition, requestType)
+          };
+        })
+      });
+    }
+
+    return services;
+  }
+
+  // Method definitions carry a copy of their message types, so the full name is found by shape
+  getTypeName(packageDefinition, typeDefinition) {
+    const shortName = typeDefinition.type.name;
+    const candidates = Object.keys(packageDefinition).filter(name => packageDefinition[name].format
+      && (name === shortName || name.endsWith(`.${shortName}`)));
+    if (candidates.length <= 1) return candidates[0] || shortName;
+
+    const shape = JSON.stringify(typeDefinition.type);
+    return candidates.find(name => JSON.stringify(packageDefinition[name].type) === shape) || candidates[0];
+  }
+
+  // Resolve a field's type name the way protobuf scopes them: absolute names start with a dot,
+  // relative names are looked up from the innermost enclosing scope outwards
+  resolveTypeName(packageDefinition, typeName, scope) {
+    if (typeName.startsWith('.')) return typeName.slice(1);
+
+    const parts = scope.split('.');
+    for (let length = parts.length; length >= 0; length--) {
+      const candidate = [...parts.slice(0, length), typeName].join('.');
+      if (packageDefinition[candidate]) return candidate;
+    }
+    return typeName;
+  }
+
+  // Build a JSON skeleton of a message, with nested messages expanded a few levels deep
+  buildExample(packageDefinition, typeName, depth = 0) {
+    const example = {};
+    const messageType = packageDefinition[typeName]?.type;
+    if (!messageType || depth > 3) return example;
+
+    for (const field of messageType.field || []) {
+      // Map fields are repeated entries of a nested type that is not listed in the package definition
+      if ((messageType.nestedType || []).some(type => type.name === field.typeName && type.options?.mapEntry)) {
+        example[field.name] = {};
+        continue;
+      }
+
+      const fieldTypeName = field.typeName ? this.resolveTypeName(packageDefinition, field.typeName, typeName) : null;
+      const nested = fieldTypeName ? packageDefinition[fieldTypeName]?.type : null;
+      let value;
+
+      switch (field.type) {
+        case 'TYPE_MESSAGE':
+          value = this.buildExample(packageDefinition, fieldTypeName, depth + 1);
+          break;
+        case 'TYPE_ENUM':
+          value = nested?.value?.[0]?.name || '';
+          break;
+        case 'TYPE_STRING':
+        case 'TYPE_BYTES':
+          value = '';
+          break;
+        case 'TYPE_BOOL':
+          value = false;
+          break;
+        case 'TYPE_INT64':
+        case 'TYPE_UINT64':
+        case 'TYPE_SINT64':
+        case 'TYPE_FIXED64':
+        case 'TYPE_SFIXED64':
+          value = '0';
+          break;
+        default:
+          value = 0;
+      }
+
+      example[field.name] = field.label === 'LABEL_REPEATED' ? [value] : value;
+    }
+
+    return example;
+  }
+
+  // Get a loaded definition without the package definition itself
+  getProtoInfo(protoId) {
+    const entry = this.protos.get(protoId);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      source: entry.source,
+      target: entry.target,
+      tls: entry.tls,
+      files: entry.files,
+      services: entry.services,
+      createdAt: entry.createdAt
+    };
+  }
+
+  getAllProtos() {
+    return Array.from(this.protos.keys()).map(protoId => {
+      const { services, ...info } = this.getProtoInfo(protoId);
+      return { ...info, serviceCount: services.length, services: services.map(service => service.name) };
+    });
+  }
+
+  deleteProto(protoId) {
+    return this.protos.delete(protoId);
+  }
+
+  // Parse host:port, with an optional grpc:// or grpcs:// scheme selecting TLS
+  parseTarget(target, tls) {
+    const match = String(target || '').trim().match(/^(?:(grpcs?):\/\/)?(\[[^\]]+\]|[^:/]+)(?::(\d+))?\/?$/i);
+    if (!match) {
+      throw grpcError('Target must be host:port, optionally prefixed with grpc:// or grpcs://', 'INVALID_GRPC_TARGET');
+    }
+
+    const secure = match[1] ? match[1].toLowerCase() === 'grpcs' : Boolean(tls);
+    const host = match[2].replace(/^\[|\]$/g, '');
+    const port = Number(match[3] || (secure ? 443 : 80));
+    if (port < 1 || port > 65535) {
+      throw grpcError(`Invalid port ${match[3]}`, 'INVALID_GRPC_TARGET');
+    }
+
+    return { host, port, secure };
+  }
+
+  // Validate the request settings that apply to gRPC channels
+  normalizeSettings(settings = {}) {
+    let normalized;
+    try {
+      normalized = agentService.normalizeSettings(settings || {});
+    } catch (error) {
+      throw grpcError(error.message, 'INVALID_REQUEST_SETTINGS');
+    }
+
+    if (normalized.proxy?.url) {
+      throw grpcError('Invalid request settings: proxies are not supported for gRPC', 'INVALID_REQUEST_SETTINGS');
+    }
+    if (normalized.clientCertificate?.pfx) {
+      throw grpcError('Invalid request settings: gRPC client certificates need a cert and key in PEM format', 'INVALID_REQUEST_SETTINGS');
+    }
+    return normalized;
+  }
+
+  // Open a channel to the address the target resolved to, after it passed the outbound policy.
+  // The original host is kept as the authority and TLS server name.
+  async openChannel({ target, tls, settings }, { user = null, clientIp = null } = {}) {
+    const { host, port, secure } = this.parseTarget(target, tls);
+    const requestSettings = this.normalizeSettings(settings);
+    const authority = `${net.isIP(host) === 6 ? `[${host}]` : host}:${port}`;
+
+    const guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: `${secure ? 'grpcs' : 'grpc'}://${authority}` });
+    let resolved;
+    try {
+      [resolved] = await guard.resolve(host, port);
+    } catch (error) {
+      if (error.code === 'OUTBOUND_BLOCKED') throw error;
+      throw grpcError(`Could not resolve ${host}: ${error.message}`, 'GRPC_CONNECTION_FAILED');
+    }
+    const address = resolved.family === 6 ? `[${resolved.address}]` : resolved.address;
+
+    const options = { 'grpc.default_authority': authority };
+    let credentials = grpc.credentials.createInsecure();
+    if (secure) {
+      const certificate = requestSettings.clientCertificate;
+      credentials = grpc.credentials.createSsl(
+        requestSettings.ca ? Buffer.from(requestSettings.ca) : null,
+        certificate?.key ? Buffer.from(certificate.key) : null,
+        certificate?.cert ? Buffer.from(certificate.cert) : null,
+        { rejectUnauthorized: requestSettings.verifySsl !== false }
+      );
+      if (!net.isIP(host)) options['grpc.ssl_target_name_override'] = host;
+    }
+
+    return {
+      client: new grpc.Client(`${address}:${port}`, credentials, options),
+      target: authority,
+      tls: secure,
+      address: resolved.address
+    };
+  }
+
+  getDeadline(settings) {
+    return Date.now() + (settings?.timeout || this.defaultTimeout);
+  }
+
+  // Build call metadata from an object of strings or string arrays. Keys ending in -bin take base64 values.
+  buildMetadata(headers = {}) {
+    const metadata = new grpc.Metadata();
+
+    for (const [key, value] of Object.entries(headers || {})) {
+      const name = key.toLowerCase();
+      for (const entry of Array.isArray(value) ? value : [value]) {
+        try {
+          metadata.add(name, name.endsWith('-bin') ? Buffer.from(String(entry), 'base64') : String(entry));
+        } catch (error) {
+          throw grpcError(`Invalid metadata ${key}: ${error.message}`, 'INVALID_GRPC_METADATA');
+        }
+      }
+    }
+
+    return metadata;
+  }
+
+  formatMetadata(metadata) {
+    const formatted = {};
+    if (!metadata) return formatted;
+
+    for (const [key, values] of Object.entries(metadata.toJSON())) {
+      const entries = values.map(value => Buffer.isBuffer(value) ? value.toString('base64') : value);
+      formatted[key] = entries.length === 1 ? entries[0] : entries;
+    }
+    return formatted;
+  }
+
+  // Find a method in a loaded definition, by full or short service name
+  getMethod(protoId, serviceName, methodName) {
+    const entry = this.protos.get(protoId);
+    if (!entry) {
+      throw grpcError('Proto definition not found', 'GRPC_PROTO_NOT_FOUND');
+    }
+
+    const definition = entry.packageDefinition[serviceName]
+      || Object.entries(entry.packageDefinition)
+        .find(([name, value]) => !value.format && name.split('.').pop() === serviceName)?.[1];
+    const method = definition && !definition.format ? definition[methodName] : null;
+    if (!method) {
+      throw grpcError(`Method ${serviceName}/${methodName} not found`, 'GRPC_METHOD_NOT_FOUND');
+    }
+
+    return { entry, method };
+  }
+
+  // Call a method. Streaming requests send every message in messages, then wait for the
+  // server to finish. Calls that end with a non-OK status are results, not errors.
+  async invoke({ protoId, target, tls, service, method: methodName, message, messages, metadata, settings } = {}, context = {}) {
+    const { entry, method } = this.getMethod(protoId, service, methodName);
+    const type = METHOD_TYPES[`${method.requestStream}:${method.responseStream}`];
+    const requests = method.requestStream
+      ? (messages ?? (message === undefined ? [] : [message]))
+      : [message ?? messages?.[0] ?? {}];
+
+    if (!Array.isArray(requests)) {
+      throw grpcError('messages must be an array', 'INVALID_GRPC_MESSAGE');
+    }
+
+    // Encode up front, so JSON that does not match the message type is reported before connecting
+    requests.forEach((request, index) => {
+      try {
+        method.requestSerialize(request);
+      } catch (error) {
+        throw grpcError(`Message ${index + 1} does not match ${this.getTypeName(entry.packageDefinition, method.requestType)}: ${error.message}`, 'INVALID_GRPC_MESSAGE');
+      }
+    });
+
+    const channel = await this.openChannel({ target: target || entry.target, tls: tls ?? entry.tls, settings }, context);
+    const callMetadata = this.buildMetadata(metadata);
+    const callOptions = { deadline: this.getDeadline(settings) };
+    const startTime = Date.now();
+
+    try {
+      const outcome = await new Promise((resolve) => {
+        const responses = [];
+        let headers = null;
+        let call;
+        // Unary responses arrive through the callback, which may run after the status event
+        let pending = method.responseStream ? 1 : 2;
+        let status = null;
+        const settle = () => {
+          if (--pending === 0) resolve({ responses, headers, status });
+        };
+        const onResponse = (error, response) => {
+          if (!error) responses.push(response);
+          settle();
+        };
+
+        const { path: methodPath, requestSerialize, responseDeserialize } = method;
+        if (type === 'unary') {
+          call = channel.client.makeUnaryRequest(methodPath, requestSerialize, responseDeserialize, requests[0], callMetadata, callOptions, onResponse);
+        } else if (type === 'server_streaming') {
+          call = channel.client.makeServerStreamRequest(methodPath, requestSerialize, responseDeserialize, requests[0], callMetadata, callOptions);
+        } else if (type === 'client_streaming') {
+          call = channel.client.makeClientStreamRequest(methodPath, requestSerialize, responseDeserialize, callMetadata, callOptions, onResponse);
+        } else {
+          call = channel.client.makeBidiStreamRequest(methodPath, requestSerialize, responseDeserialize, callMetadata, callOptions);
+        }
+
+        call.on('metadata', (received) => { headers = received; });
+        call.on('status', (received) => {
+          status = received;
+          settle();
+        });
+        if (method.responseStream) {
+          call.on('data', (response) => responses.push(response));
+          call.on('error', () => {}); // Reported through the status event
+        }
+        if (method.requestStream) {
+          requests.forEach(request => call.write(request));
+          call.end();
+        }
+      });
+
+      return {
+        target: channel.target,
+        address: channel.address,
+        tls: channel.tls,
+        method: { service: method.path.split('/')[1], name: methodName, path: method.path, type },
+        status: {
+          code: outcome.status.code,
+          name: STATUS_NAMES[outcome.status.code],
+          details: outcome.status.details
+        },
+        responses: outcome.responses,
+        response: method.responseStream ? undefined : (outcome.responses[0] ?? null),
+        headers: this.formatMetadata(outcome.headers),
+        trailers: this.formatMetadata(outcome.status.metadata),
+        messagesSent: requests.length,
+        messagesReceived: outcome.responses.length,
+        duration: Date.now() - startTime
+      };
+    } finally {
+      channel.client.close();
+    }
+  }
+}
+
+const grpcService = new GrpcService();
+export default grpcService;
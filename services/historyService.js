@@ -0,0 +1,345 @@
+import RequestHistory from '../models/RequestHistory.js';
+import User from '../models/User.js';
+import Collection from '../models/Collection.js';
+import Folder from '../models/Folder.js';
+import Request from '../models/Request.js';
+import proxyService from './proxyService.js';
+import variableService from './variableService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credentials are not kept in history, they are replaced with a mask when an entry is recorded
+const MASK = '********';
+const SECRET_HEADER = /authorization|cookie|token|secret|password|api-?key|session|signature/i;
+const SECRET_AUTH_FIELDS = ['token', 'password', 'clientSecret', 'accessToken', 'refreshToken', 'secretKey', 'sessionToken', 'authKey', 'secret'];
+// A value that is only a {{variable}} holds no secret itself and is resolved again on replay
+const isVariable = (value) => typeof value === 'string' && /^\{\{[^{}]+\}\}$/.test(value.trim());
+
+class HistoryService {
+  constructor() {
+    this.maxBodySize = (parseInt(process.env.HISTORY_BODY_LIMIT_KB) || 64) * 1024;
+    this.defaultRetentionDays = 30;
+  }
+
+  // Get a user's history settings with defaults applied
+  getSettings(user) {
+    const history = user.preferences?.history || {};
+    return {
+      enabled: history.enabled !== false,
+      retentionDays: history.retentionDays || this.defaultRetentionDays
+    };
+  }
+
+  // Update history settings, moving the expiry of stored entries when retention changes
+  async updateSettings(userId, { enabled, retentionDays }) {
+    const user = await User.findById(userId);
+    const previous = this.getSettings(user);
+
+    if (enabled !== undefined) user.preferences.history.enabled = enabled === true;
+    if (retentionDays !== undefined) user.preferences.history.retentionDays = retentionDays;
+    await user.save();
+
+    const settings = this.getSettings(user);
+    if (settings.retentionDays !== previous.retentionDays) {
+      await RequestHistory.updateMany({ owner: user._id }, [
+        { $set: { expiresAt: { $add: ['$createdAt', settings.retentionDays * DAY_MS] } } }
+      ]);
+    }
+
+    return settings;
+  }
+
+  // Store one proxied request and its response for the user
+  async record(user, source, { result, failed }) {
+    const settings = this.getSettings(user);
+    if (!settings.enabled) return null;
+
+    const sent = result.resolvedRequest || {
+      method: String(source.method || 'GET').toUpperCase(),
+      url: source.url,
+      headers: source.headers || {},
+      body: source.body ?? null
+    };
+    const requestBody = this.limitBody(sent.body);
+    const sourceBody = this.limitBody(source.body);
+    const responseBody = this.limitBody(result.data, true);
+
+    return RequestHistory.create({
+      owner: user._id,
+      source: {
+        method: String(source.method || 'GET').toUpperCase(),
+        url: source.url,
+        headers: this.redactHeaders(this.toPlain(source.headers || {}), source.auth),
+        body: sourceBody.body,
+        bodyType: source.bodyType || 'raw',
+        bodyTruncated: sourceBody.truncated,
+        auth: this.redactAuth(source.auth),
+        settings: this.redactSettings(source.settings),
+        scripts: source.scripts,
+        collectionId: source.collectionId || null,
+        environmentId: source.environmentId || null
+      },
+      request: {
+        method: sent.method,
+        url: this.redactUrl(sent.url, source.auth),
+        headers: this.redactHeaders(this.toPlain(sent.headers || {}), source.auth),
+        body: requestBody.body,
+        bodyType: sent.bodyType || null,
+        bodyTruncated: requestBody.truncated
+      },
+      response: failed ? undefined : {
+        status: result.status,
+        statusText: result.statusText,
+        headers: this.toPlain(result.headers || {}),
+        body: responseBody.body,
+        bodyEncoding: result.bodyEncoding || 'utf8',
+        bodyTruncated: responseBody.truncated,
+        size: result.size
+      },
+      duration: result.duration || 0,
+      timings: result.timings || null,
+      error: failed ? [result.error, result.message].filter(Boolean).join(': ') : null,
+      tests: result.tests || [],
+      expiresAt: new Date(Date.now() + settings.retentionDays * DAY_MS)
+    });
+  }
+
+  // Mask the secret fields of request auth, keeping the type and everything needed to apply it again
+  redactAuth(auth) {
+    if (!auth || typeof auth !== 'object') return auth || null;
+
+    const fields = auth.type === 'apikey' ? [...SECRET_AUTH_FIELDS, 'value'] : SECRET_AUTH_FIELDS;
+    const redacted = this.toPlain(auth);
+    for (const field of fields) {
+      if (redacted[field] && !isVariable(redacted[field])) redacted[field] = MASK;
+    }
+    return redacted;
+  }
+
+  // Mask credential headers, including the API key and HMAC signature headers the auth adds
+  redactHeaders(headers, auth) {
+    const names = [];
+    if (auth?.type === 'apikey' && auth.in !== 'query' && auth.key) names.push(String(auth.key).toLowerCase());
+    if (auth?.type === 'hmac') names.push(String(auth.signatureHeader || 'X-Signature').toLowerCase());
+
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+      const secret = SECRET_HEADER.test(name) || names.includes(name.toLowerCase());
+      return [name, secret && !isVariable(value) ? MASK : value];
+    }));
+  }
+
+  // Mask the query parameters auth sends credentials in
+  redactUrl(url, auth) {
+    const names = [];
+    if (auth?.type === 'apikey' && auth.in === 'query' && auth.key) names.push(auth.key);
+    if (auth?.type === 'oauth2' && auth.addTokenTo === 'queryParams') names.push('access_token');
+    if (names.length === 0) return url;
+
+    try {
+      const parsed = new URL(url);
+      names.filter(name => parsed.searchParams.has(name)).forEach(name => parsed.searchParams.set(name, MASK));
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+
+  // Mask client certificates and proxy passwords
+  redactSettings(settings) {
+    if (!settings || typeof settings !== 'object') return settings || null;
+
+    const redacted = this.toPlain(settings);
+    const certificate = redacted.clientCertificate;
+    if (certificate && !['key', 'pfx', 'passphrase'].every(field => !certificate[field] || isVariable(certificate[field]))) {
+      redacted.clientCertificate = MASK;
+    }
+    if (typeof redacted.proxy?.url === 'string') {
+      try {
+        const proxyUrl = new URL(redacted.proxy.url);
+        if (proxyUrl.password && !isVariable(decodeURIComponent(proxyUrl.password))) {
+          proxyUrl.password = MASK;
+          redacted.proxy.url = proxyUrl.toString();
+        }
+      } catch {
+        // Variables in the host make the URL unparseable, it is kept as it was sent
+      }
+    }
+    return redacted;
+  }
+
+  // Remove masked values, so the collection or environment supplies them again
+  withoutRedacted({ headers, auth, settings }) {
+    const restored = {
+      headers: Object.fromEntries(Object.entries(headers || {}).filter(([, value]) => value !== MASK)),
+      auth: auth ? Object.fromEntries(Object.entries(auth).filter(([, value]) => value !== MASK)) : null,
+      settings: settings ? { ...settings } : null
+    };
+    if (settings?.clientCertificate === MASK) delete restored.settings.clientCertificate;
+    if (typeof settings?.proxy?.url === 'string' && settings.proxy.url.includes(MASK)) delete restored.settings.proxy;
+    return restored;
+  }
+
+  // Truncate bodies above the size limit. Response bodies are always stored as text.
+  limitBody(body, asText = false) {
+    if (body === undefined || body === null) return { body: null, truncated: false };
+
+    const text = typeof body === 'string' ? body : (JSON.stringify(body) ?? '');
+    if (text.length > this.maxBodySize) {
+      return { body: text.slice(0, this.maxBodySize), truncated: true };
+    }
+
+    return { body: asText ? text : body, truncated: false };
+  }
+
+  // Drop prototypes such as AxiosHeaders so values can be stored as plain objects
+  toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Build a query from search parameters: url, method, status, from and to
+  buildFilter(userId, { url, method, status, from, to } = {}) {
+    const filter = { owner: userId };
+
+    if (url) {
+      const escaped = String(url).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter['request.url'] = { $regex: escaped, $options: 'i' };
+    }
+
+    if (method) {
+      const methods = String(method).split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+      filter['request.method'] = methods.length === 1 ? methods[0] : { $in: methods };
+    }
+
+    if (status) {
+      const value = String(status).trim().toLowerCase();
+      if (/^[1-5]xx$/.test(value)) {
+        const base = parseInt(value[0]) * 100;
+        filter['response.status'] = { $gte: base, $lt: base + 100 };
+      } else if (value === 'error') {
+        filter.error = { $ne: null };
+      } else if (/^\d{3}$/.test(value)) {
+        filter['response.status'] = parseInt(value);
+      } else {
+        throw new Error('Invalid status filter, use a code such as 404, a class such as 4xx, or error');
+      }
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      for (const [key, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Invalid ${key} date`);
+        }
+        filter.createdAt[operator] = date;
+      }
+    }
+
+    return filter;
+  }
+
+  // Send the stored request again as it went out the first time. Credentials were not stored, so auth is
+  // applied again from the entry's {{variables}} or the collection's auth, and masked headers are left out.
+  async replay(user, entry, { clientIp = null } = {}) {
+    if (entry.request.bodyTruncated) {
+      throw new Error('History entry body was truncated and cannot be replayed');
+    }
+
+    const { body, bodyType } = entry.request;
+    const uploadedFiles = bodyType === 'binary'
+      || (bodyType === 'form-data' && Array.isArray(body) && body.some(field => field.type === 'file'));
+    if (uploadedFiles) {
+      throw new Error('History entry uploaded files, which are not stored, so it cannot be replayed');
+    }
+
+    let scopes;
+    try {
+      scopes = await variableService.loadScopes(user, {
+        environmentId: entry.source.environmentId,
+        collectionId: entry.source.collectionId
+      });
+    } catch (error) {
+      throw new Error(`${error.message}, so the history entry cannot be replayed`);
+    }
+
+    const { headers, settings } = this.withoutRedacted({ headers: entry.request.headers, settings: entry.source.settings });
+    const auth = this.restoreAuth(entry.source.auth, scopes.parentCollection);
+    const environmentSettings = scopes.environment?.settings || {};
+    if (entry.source.settings?.clientCertificate === MASK && !environmentSettings.clientCertificate) {
+      throw new Error('History entry client certificate was not stored, so it cannot be replayed');
+    }
+    if (entry.source.settings?.proxy && !settings?.proxy && !environmentSettings.proxy) {
+      throw new Error('History entry proxy password was not stored, so it cannot be replayed');
+    }
+
+    const url = new URL(entry.request.url);
+    for (const [name, value] of Array.from(url.searchParams)) {
+      if (value === MASK) url.searchParams.delete(name);
+    }
+
+    const execution = await proxyService.executeRequest({
+      method: entry.request.method,
+      url: url.toString(),
+      headers,
+      body,
+      bodyType: bodyType || 'raw',
+      auth,
+      settings
+    }, {
+      variables: variableService.toScopeMaps(scopes),
+      settings: scopes.environment?.settings,
+      user,
+      clientIp
+    });
+
+    const replayed = await this.record(user, entry.source, execution);
+    return { ...execution, entry: replayed };
+  }
+
+  // Use the stored auth when nothing in it was masked, otherwise the collection's auth of the same type
+  restoreAuth(auth, collection) {
+    if (!auth || !Object.values(auth).includes(MASK)) return auth || null;
+    if (collection?.auth?.type === auth.type) return collection.auth;
+    throw new Error('History entry credentials were not stored, so it cannot be replayed. Keep secrets in {{variables}} or the collection auth to replay requests');
+  }
+
+  // Save the request the client sent, with its variables and auth, into a collection
+  async saveToCollection(user, entry, { collectionId, folderId = null, name }) {
+    if (entry.source.bodyTruncated) {
+      throw new Error('History entry body was truncated and cannot be saved');
+    }
+
+    const collection = await Collection.findById(collectionId);
+    if (!collection || !collection.canView(user)) {
+      throw new Error('Collection not found');
+    }
+    if (!collection.canEdit(user)) {
+      throw new Error('Collection access denied');
+    }
+    if (folderId && !(await Folder.exists({ _id: folderId, collectionId: collection._id }))) {
+      throw new Error('Folder not found');
+    }
+
+    const { source } = entry;
+    // Masked credentials are left for the user to fill in again
+    const { headers, auth, settings } = this.withoutRedacted(source);
+    return Request.create({
+      name: (name || `${source.method} ${source.url}`).slice(0, 200),
+      collectionId: collection._id,
+      folder: folderId,
+      order: await Collection.getNextOrder(collection._id, folderId),
+      method: source.method,
+      url: source.url,
+      headers,
+      body: source.body ?? null,
+      bodyType: source.bodyType || 'raw',
+      auth,
+      settings,
+      scripts: source.scripts
+    });
+  }
+}
+
+const historyService = new HistoryService();
+export default historyService;
@@ -1,18 +1,31 @@
-import path from 'path';
+import vm from 'vm';
+import mongoose from 'mongoose';
+import safeRegex from 'safe-regex2';
+import MockConfig from '../models/MockConfig.js';
+import MockRequestLog from '../models/MockRequestLog.js';
+import User from '../models/User.js';
+import { v4 as uuidv4 } from 'uuid';
+import { queryJsonPath } from '../utils/jsonPath.js';
+
+// Regex conditions run in their own context under a time limit, a backstop for the patterns
+// the save-time backtracking check does not catch
+const REGEX_CONTEXT = vm.createContext({});
+const REGEX_TEST = new vm.Script('pattern.test(value)');
+
+// Most items a stateful resource will hold, so POSTs cannot grow the process without bound
+const MAX_RESOURCE_ITEMS = 10000;
 
 class MockServerService {
   constructor() {
-    this.mockConfigs = new Map(); // Store mock configurations
-    this.requestLogs = [];
-    this.statistics = {
-      totalRequests: 0,
-      matchedRequests: 0,
-      totalConfigs: 0,
-      enabledConfigs: 0,
-      totalRoutes: 0
-    };
+    this.logRetentionDays = parseInt(process.env.MOCK_LOG_RETENTION_DAYS) || 7;
     this.faker = null; // Will be loaded dynamically
     this.fakerLoaded = false;
+    this.regexTimeout = 50; // Milliseconds allowed for each regex condition test
+    // Live items of stateful resources, keyed by config and resource ID. They are seeded on first use
+    // and kept by this process until the resource is reset, changed or deleted.
+    this.resourceState = new Map();
+    // Calls answered by each route's response sequence, keyed by config and route ID
+    this.sequenceState = new Map();
   }
 
   // Dynamically load faker (for serverless compatibility)
@@ -72,182 +85,675 @@ class MockServerService {
     };
   }
 
-  // Create a new mock configuration
-  createMockConfig(config) {
-    const mockConfig = {
-      id: this.generateId(),
+  // Create a new mock configuration owned by the user
+  async createMockConfig(user, config) {
+    return MockConfig.create({
       name: config.name || 'New Mock Server',
       baseUrl: config.baseUrl || '/api',
       enabled: config.enabled !== false,
-      routes: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    this.mockConfigs.set(mockConfig.id, mockConfig);
-    this.updateStatistics();
-    return mockConfig;
+      owner: user._id,
+      routes: Array.isArray(config.routes) ? config.routes.map(route => this.normalizeRoute(route)) : [],
+      resources: Array.isArray(config.resources) ? config.resources.map(resource => this.normalizeResource(resource)) : [],
+      scenarios: Array.isArray(config.scenarios) ? config.scenarios : [],
+      activeScenario: config.activeScenario || null
+    });
   }
 
-  // Get all mock configurations
-  getAllMockConfigs() {
-    return Array.from(this.mockConfigs.values());
+  // Get the mock configurations a user owns or has been given access to
+  async getAllMockConfigs(user) {
+    return MockConfig.findAccessible(user._id).sort({ updatedAt: -1 });
   }
 
-  // Get mock configuration by ID
-  getMockConfig(id) {
-    return this.mockConfigs.get(id);
+  // Get mock configuration by ID, null when the ID is not a valid one
+  async getMockConfig(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return MockConfig.findById(id);
   }
 
-  // Update mock configuration
-  updateMockConfig(id, updates) {
-    const config = this.mockConfigs.get(id);
-    if (!config) return null;
+  // Update mock configuration. Ownership and sharing are changed through the share methods.
+  async updateMockConfig(config, updates) {
+    for (const field of ['name', 'baseUrl', 'enabled']) {
+      if (updates[field] !== undefined) config[field] = updates[field];
+    }
+    if (Array.isArray(updates.routes)) {
+      config.routes = updates.routes.map(route => this.normalizeRoute(route));
+    }
+    if (Array.isArray(updates.resources)) {
+      config.resources = updates.resources.map(resource => this.normalizeResource(resource));
+    }
+    if (Array.isArray(updates.scenarios)) {
+      config.scenarios = updates.scenarios;
+      // A removed scenario can no longer be the active one
+      if (!config.scenarios.some(scenario => scenario.name === config.activeScenario)) config.activeScenario = null;
+    }
 
-    const updatedConfig = {
-      ...config,
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
+    await config.save();
+    if (Array.isArray(updates.resources)) this.clearResourceState(config);
+    if (Array.isArray(updates.routes)) this.clearSequenceState(config);
+    return config;
+  }
 
-    this.mockConfigs.set(id, updatedConfig);
-    this.updateStatistics();
-    return updatedConfig;
+  // Switch every route of the config to a scenario's variants, or back to the defaults with null.
+  // Sequences start over so each scenario is tested from its first response.
+  async setActiveScenario(config, name) {
+    config.activeScenario = name || null;
+    await config.save();
+    this.clearSequenceState(config);
+    return config;
   }
 
-  // Delete mock configuration
-  deleteMockConfig(id) {
-    const deleted = this.mockConfigs.delete(id);
-    if (deleted) {
-      this.updateStatistics();
+  // Delete mock configuration with its request logs and resource data
+  async deleteMockConfig(config) {
+    await Promise.all([
+      config.deleteOne(),
+      MockRequestLog.deleteMany({ configId: config._id })
+    ]);
+    this.clearResourceState(config);
+    this.clearSequenceState(config);
+  }
+
+  // Share a mock configuration with a user found by ID, email or username, or change their role
+  async shareMockConfig(config, identifier, role = 'viewer') {
+    const target = mongoose.isValidObjectId(identifier)
+      ? await User.findById(identifier)
+      : await User.findByEmailOrUsername(String(identifier || ''));
+    if (!target) return null;
+
+    if (target._id.equals(config.owner)) {
+      throw new Error('Mock configurations cannot be shared with their owner');
     }
-    return deleted;
+
+    const share = config.sharedWith.find(item => item.user.equals(target._id));
+    if (share) {
+      share.role = role;
+    } else {
+      config.sharedWith.push({ user: target._id, role });
+    }
+
+    await config.save();
+    return config;
   }
 
-  // Add route to mock configuration
-  addRoute(configId, route) {
-    const config = this.mockConfigs.get(configId);
-    if (!config) return null;
+  // Stop sharing a mock configuration with a user
+  async unshareMockConfig(config, userId) {
+    const share = config.sharedWith.find(item => item.user.toString() === String(userId));
+    if (!share) return false;
 
-    const newRoute = {
-      id: this.generateId(),
+    config.sharedWith.pull(share._id);
+    await config.save();
+    return true;
+  }
+
+  // Fill in route defaults the way routes have always been created
+  normalizeRoute(route) {
+    return {
       method: route.method || 'GET',
       path: route.path,
-      response: {
-        status: route.response?.status || 200,
-        headers: route.response?.headers || { 'Content-Type': 'application/json' },
-        body: route.response?.body || {},
-        delay: route.response?.delay || 0
-      },
-      createdAt: new Date().toISOString()
+      response: this.normalizeResponse(route.response),
+      variants: Array.isArray(route.variants) ? route.variants.map(variant => this.normalizeVariant(variant)) : [],
+      sequence: Array.isArray(route.sequence) ? route.sequence.map(response => this.normalizeResponse(response)) : [],
+      sequenceMode: route.sequenceMode || 'repeatLast',
+      typedTemplates: route.typedTemplates === true
+    };
+  }
+
+  normalizeResponse(response) {
+    return {
+      status: response?.status || 200,
+      headers: response?.headers || { 'Content-Type': 'application/json' },
+      body: response?.body || {},
+      delay: response?.delay || 0
+    };
+  }
+
+  normalizeVariant(variant) {
+    return {
+      name: variant.name || 'Variant',
+      scenario: variant.scenario || null,
+      priority: variant.priority || 0,
+      conditions: Array.isArray(variant.conditions) ? variant.conditions : [],
+      response: this.normalizeResponse(variant.response)
     };
+  }
 
-    config.routes.push(newRoute);
-    config.updatedAt = new Date().toISOString();
-    this.updateStatistics();
-    return newRoute;
+  // Add route to mock configuration
+  async addRoute(config, route) {
+    config.routes.push(this.normalizeRoute(route));
+    await config.save();
+    return config.routes[config.routes.length - 1];
   }
 
   // Update route
-  updateRoute(configId, routeId, updates) {
-    const config = this.mockConfigs.get(configId);
-    if (!config) return null;
+  async updateRoute(config, routeId, updates) {
+    const route = this.findRoute(config, routeId);
+    if (!route) return null;
 
-    const routeIndex = config.routes.findIndex(r => r.id === routeId);
-    if (routeIndex === -1) return null;
+    if (updates.method !== undefined) route.method = updates.method;
+    if (updates.path !== undefined) route.path = updates.path;
+    if (updates.response) {
+      route.response = { ...route.response.toObject(), ...updates.response };
+    }
+    if (Array.isArray(updates.variants)) {
+      route.variants = updates.variants.map(variant => this.normalizeVariant(variant));
+    }
+    if (Array.isArray(updates.sequence)) {
+      route.sequence = updates.sequence.map(response => this.normalizeResponse(response));
+    }
+    if (updates.sequenceMode !== undefined) route.sequenceMode = updates.sequenceMode;
+    if (updates.typedTemplates !== undefined) route.typedTemplates = updates.typedTemplates === true;
 
-    config.routes[routeIndex] = {
-      ...config.routes[routeIndex],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
+    await config.save();
+    this.sequenceState.delete(this.getStateKey(config, route));
+    return route;
+  }
+
+  findRoute(config, routeId) {
+    return mongoose.isValidObjectId(routeId) ? config.routes.id(routeId) : null;
+  }
+
+  // Add response variant to route
+  async addVariant(config, routeId, variant) {
+    const route = this.findRoute(config, routeId);
+    if (!route) return null;
 
-    config.updatedAt = new Date().toISOString();
-    return config.routes[routeIndex];
+    route.variants.push(this.normalizeVariant(variant));
+    await config.save();
+    return route.variants[route.variants.length - 1];
+  }
+
+  // Update response variant
+  async updateVariant(config, routeId, variantId, updates) {
+    const route = this.findRoute(config, routeId);
+    const variant = route && mongoose.isValidObjectId(variantId) ? route.variants.id(variantId) : null;
+    if (!variant) return null;
+
+    if (updates.name !== undefined) variant.name = updates.name;
+    if (updates.scenario !== undefined) variant.scenario = updates.scenario || null;
+    if (updates.priority !== undefined) variant.priority = updates.priority;
+    if (Array.isArray(updates.conditions)) variant.conditions = updates.conditions;
+    if (updates.response) {
+      variant.response = { ...variant.response.toObject(), ...updates.response };
+    }
+
+    await config.save();
+    return variant;
+  }
+
+  // Delete response variant
+  async deleteVariant(config, routeId, variantId) {
+    const route = this.findRoute(config, routeId);
+    const variant = route && mongoose.isValidObjectId(variantId) ? route.variants.id(variantId) : null;
+    if (!variant) return false;
+
+    variant.deleteOne();
+    await config.save();
+    return true;
   }
 
   // Delete route
-  deleteRoute(configId, routeId) {
-    const config = this.mockConfigs.get(configId);
-    if (!config) return false;
+  async deleteRoute(config, routeId) {
+    const route = this.findRoute(config, routeId);
+    if (!route) return false;
+
+    route.deleteOne();
+    await config.save();
+    this.sequenceState.delete(this.getStateKey(config, route));
+    return true;
+  }
 
-    const routeIndex = config.routes.findIndex(r => r.id === routeId);
-    if (routeIndex === -1) return false;
+  // Start every response sequence of the config over from its first response
+  clearSequenceState(config) {
+    for (const key of this.sequenceState.keys()) {
+      if (key.startsWith(`${config.id}:`)) this.sequenceState.delete(key);
+    }
+  }
 
-    config.routes.splice(routeIndex, 1);
-    config.updatedAt = new Date().toISOString();
-    this.updateStatistics();
+  // Count a call to the route's sequence and return the index of the response to send
+  nextSequenceIndex(config, route) {
+    const key = this.getStateKey(config, route);
+    const calls = this.sequenceState.get(key) || 0;
+    this.sequenceState.set(key, calls + 1);
+    return this.getSequenceIndex(route, calls);
+  }
+
+  getSequenceIndex(route, calls) {
+    const { length } = route.sequence;
+    return route.sequenceMode === 'loop' ? calls % length : Math.min(calls, length - 1);
+  }
+
+  normalizeResource(resource) {
+    return {
+      name: resource.name || String(resource.path || '').replace(/^\/+/, ''),
+      path: resource.path,
+      idField: resource.idField || 'id',
+      idType: resource.idType || 'number',
+      seed: Array.isArray(resource.seed) ? resource.seed : [],
+      pageSize: resource.pageSize || 10
+    };
+  }
+
+  findResource(config, resourceId) {
+    return mongoose.isValidObjectId(resourceId) ? config.resources.id(resourceId) : null;
+  }
+
+  // Add stateful resource to mock configuration
+  async addResource(config, resource) {
+    config.resources.push(this.normalizeResource(resource));
+    await config.save();
+    return config.resources[config.resources.length - 1];
+  }
+
+  // Update stateful resource, its items are seeded again on the next request
+  async updateResource(config, resourceId, updates) {
+    const resource = this.findResource(config, resourceId);
+    if (!resource) return null;
+
+    for (const field of ['name', 'path', 'idField', 'idType', 'pageSize']) {
+      if (updates[field] !== undefined) resource[field] = updates[field];
+    }
+    if (Array.isArray(updates.seed)) resource.seed = updates.seed;
+
+    await config.save();
+    this.resourceState.delete(this.getStateKey(config, resource));
+    return resource;
+  }
+
+  // Delete stateful resource
+  async deleteResource(config, resourceId) {
+    const resource = this.findResource(config, resourceId);
+    if (!resource) return false;
+
+    resource.deleteOne();
+    await config.save();
+    this.resourceState.delete(this.getStateKey(config, resource));
     return true;
   }
 
-  // Process mock request
+  // Put a resource's items back to its seed. Returns the seeded items, null when the resource does not exist.
+  async resetResource(config, resourceId) {
+    const resource = this.findResource(config, resourceId);
+    if (!resource) return null;
+
+    this.resourceState.delete(this.getStateKey(config, resource));
+    const state = await this.getResourceState(config, resource);
+    return state.items;
+  }
+
+  getStateKey(config, resource) {
+    return `${config.id}:${resource.id}`;
+  }
+
+  // Drop the live items of every resource in a config
+  clearResourceState(config) {
+    for (const key of this.resourceState.keys()) {
+      if (key.startsWith(`${config.id}:`)) this.resourceState.delete(key);
+    }
+  }
+
+  // Get a resource's live items, seeding them on first use. Seed items may use response templates,
+  // which are evaluated once per item when seeding.
+  async getResourceState(config, resource) {
+    const key = this.getStateKey(config, resource);
+    if (!this.resourceState.has(key)) {
+      const state = { items: [], nextId: 1 };
+      for (const item of resource.seed) {
+        const seeded = this.processTemplate(item, await this.createTemplateContext({}, {}));
+        state.items.push(this.assignResourceId(resource, state, seeded));
+      }
+      // Another request may have seeded the resource while templates were evaluated
+      if (!this.resourceState.has(key)) this.resourceState.set(key, state);
+    }
+    return this.resourceState.get(key);
+  }
+
+  // Give an item a new ID when it has none, and keep numeric IDs counting up from the highest one
+  assignResourceId(resource, state, item) {
+    const { idField } = resource;
+    if (item[idField] === undefined || item[idField] === null || item[idField] === '') {
+      item[idField] = resource.idType === 'string' ? uuidv4() : state.nextId;
+    }
+    if (typeof item[idField] === 'number' && item[idField] >= state.nextId) {
+      state.nextId = Math.floor(item[idField]) + 1;
+    }
+    return item;
+  }
+
+  // Serve a request to a resource's collection (itemId null) or to one of its items
+  async handleResourceRequest(config, resource, { method, itemId, query, body }) {
+    const state = await this.getResourceState(config, resource);
+    const { idField } = resource;
+    const data = this.parseBody(body);
+    const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+
+    if (itemId === null) {
+      if (method === 'GET') return this.listResourceItems(resource, state.items, query);
+      if (method !== 'POST') return this.createResourceResponse(405, { error: `${method} is not allowed on ${resource.path}` }, { Allow: 'GET, POST' });
+
+      if (!isObject) return this.createResourceResponse(400, { error: 'Request body must be a JSON object' });
+      if (state.items.length >= MAX_RESOURCE_ITEMS) {
+        return this.createResourceResponse(507, { error: `${resource.path} cannot hold more than ${MAX_RESOURCE_ITEMS} items` });
+      }
+
+      const item = { ...data };
+      if (item[idField] !== undefined && state.items.some(existing => String(existing[idField]) === String(item[idField]))) {
+        return this.createResourceResponse(409, { error: `An item with ${idField} ${item[idField]} already exists` });
+      }
+      state.items.push(this.assignResourceId(resource, state, item));
+      return this.createResourceResponse(201, item, { Location: `${config.mockUrl}${resource.path}/${encodeURIComponent(item[idField])}` });
+    }
+
+    const index = state.items.findIndex(item => String(item[idField]) === itemId);
+    if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+      return this.createResourceResponse(405, { error: `${method} is not allowed on ${resource.path}/${itemId}` }, { Allow: 'GET, PUT, PATCH, DELETE' });
+    }
+    if (index === -1) return this.createResourceResponse(404, { error: `No item with ${idField} ${itemId} in ${resource.path}` });
+
+    const existing = state.items[index];
+    switch (method) {
+      case 'GET':
+        return this.createResourceResponse(200, existing);
+      case 'DELETE':
+        state.items.splice(index, 1);
+        return this.createResourceResponse(204, null);
+      default: {
+        if (!isObject) return this.createResourceResponse(400, { error: 'Request body must be a JSON object' });
+        // The ID cannot be changed, PUT replaces the item and PATCH merges into it
+        const base = method === 'PATCH' ? existing : {};
+        state.items[index] = { ...base, ...data, [idField]: existing[idField] };
+        return this.createResourceResponse(200, state.items[index]);
+      }
+    }
+  }
+
+  // List a resource's items. Query parameters filter on fields (dot paths reach nested fields and repeated
+  // parameters match any value), q searches all values, _sort and _order sort, and _page and _limit page.
+  // The count before paging is sent in X-Total-Count.
+  listResourceItems(resource, items, query) {
+    const { _page, _limit, _sort, _order, q, ...filters } = query;
+
+    let result = items.filter(item => Object.entries(filters).every(([field, expected]) => {
+      const values = queryJsonPath(item, field);
+      return [].concat(expected).some(value => values.some(actual => this.valueEquals(actual, value)));
+    }));
+    if (q) {
+      const search = String([].concat(q)[0]).toLowerCase();
+      result = result.filter(item => this.valueText(item).toLowerCase().includes(search));
+    }
+    if (_sort) {
+      const field = String([].concat(_sort)[0]);
+      const direction = String([].concat(_order)[0]).toLowerCase() === 'desc' ? -1 : 1;
+      result = [...result].sort((a, b) => direction * this.compareValues(queryJsonPath(a, field)[0], queryJsonPath(b, field)[0]));
+    }
+
+    const total = result.length;
+    if (_page !== undefined || _limit !== undefined) {
+      const limit = Math.min(Math.max(parseInt(_limit) || resource.pageSize, 1), 1000);
+      const page = Math.max(parseInt(_page) || 1, 1);
+      result = result.slice((page - 1) * limit, page * limit);
+    }
+
+    return this.createResourceResponse(200, result, {
+      'X-Total-Count': String(total),
+      'Access-Control-Expose-Headers': 'X-Total-Count'
+    });
+  }
+
+  // Numbers sort numerically, anything else by its text, and missing values last
+  compareValues(a, b) {
+    if (a === undefined || a === null) return b === undefined || b === null ? 0 : 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return this.valueText(a).localeCompare(this.valueText(b));
+  }
+
+  createResourceResponse(status, body, headers = {}) {
+    return {
+      status,
+      statusText: this.getStatusText(status),
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      delay: 0
+    };
+  }
+
+  // Split a mock URL, /mock/<config ID><base URL><route path>, into the config ID and the path it serves.
+  // The /mock prefix is optional so test requests can leave it out.
+  parseMockPath(pathname) {
+    const match = pathname.match(/^(?:\/mock)?\/([^/]+)(\/.*)?$/);
+    return match ? { configId: match[1], path: match[2] || '/' } : null;
+  }
+
+  // Process mock request. Each config is served under its own ID, so only the config
+  // the URL names can answer and receive the request log.
   async processMockRequest(req) {
     const { method, path: requestPath, body, headers } = req;
     const url = requestPath;
+    // Routes match on the path, the query string is only used by variant conditions and templates
+    const { pathname: fullPath, searchParams } = new URL(url, 'http://mock.local');
+    const query = {};
+    for (const key of new Set(searchParams.keys())) {
+      const values = searchParams.getAll(key);
+      query[key] = values.length === 1 ? values[0] : values;
+    }
 
     // Ensure faker is loaded
     await this.loadFaker();
 
-    // Log the request
-    const logEntry = {
-      id: this.generateId(),
-      method,
-      url,
-      body,
-      headers,
-      timestamp: new Date().toISOString(),
-      matched: false
-    };
-
-    this.requestLogs.unshift(logEntry);
-    this.statistics.totalRequests++;
-
-    // Keep only last 1000 logs
-    if (this.requestLogs.length > 1000) {
-      this.requestLogs = this.requestLogs.slice(0, 1000);
+    const target = this.parseMockPath(fullPath);
+    const config = target && await this.getMockConfig(target.configId);
+    if (!config || !config.enabled) {
+      return { success: false, error: 'Mock configuration not found' };
     }
 
-    // Find matching route
-    const matchResult = this.findMatchingRoute(method, url);
+    const pathname = target.path;
+    const matchResult = this.findMatchingRoute(config, method, pathname);
+    // Routes take precedence, so single endpoints of a resource can still be overridden
+    const resourceMatch = matchResult ? null : this.findMatchingResource(config, pathname);
+    let variant = null;
+    let sequenceIndex = null;
+
+    let result = {
+      success: false,
+      error: 'No matching mock route found'
+    };
     if (matchResult) {
-      logEntry.matched = true;
-      this.statistics.matchedRequests++;
+      const { route, params } = matchResult;
+      const request = { params, query, headers: this.lowercaseHeaders(headers), body };
+      variant = this.selectVariant(route, request, config.activeScenario);
 
-      const { config, route, params } = matchResult;
-      const response = await this.generateResponse(route, params, { body, headers });
-      
-      return {
+      let selected = route.response;
+      if (variant) {
+        selected = variant.response;
+      } else if (route.sequence?.length) {
+        sequenceIndex = this.nextSequenceIndex(config, route);
+        selected = route.sequence[sequenceIndex];
+      }
+      const response = await this.generateResponse(selected, params, { body, headers, query }, route.typedTemplates);
+
+      result = {
         success: true,
         response,
         matchedRoute: route,
-        matchedConfig: config,
+        // Mock endpoints are public, so the config's ownership and sharing are left out
+        matchedConfig: { id: config.id, name: config.name, baseUrl: config.baseUrl },
+        matchedVariant: variant ? { id: variant.id, name: variant.name } : null,
+        activeScenario: config.activeScenario || null,
+        sequenceIndex,
         extractedParams: params
       };
+    } else if (resourceMatch) {
+      const { resource, itemId } = resourceMatch;
+      const response = await this.handleResourceRequest(config, resource, { method: method.toUpperCase(), itemId, query, body });
+
+      result = {
+        success: true,
+        response,
+        matchedConfig: { id: config.id, name: config.name, baseUrl: config.baseUrl },
+        matchedResource: { id: resource.id, name: resource.name, path: resource.path },
+        extractedParams: itemId === null ? {} : { id: itemId }
+      };
     }
 
-    return {
-      success: false,
-      error: 'No matching mock route found'
-    };
+    await MockRequestLog.create({
+      configId: config._id,
+      routeId: matchResult?.route._id || null,
+      variantId: variant?._id || null,
+      variantName: variant?.name || null,
+      scenario: config.activeScenario || null,
+      sequenceIndex,
+      resourceId: resourceMatch?.resource._id || null,
+      method,
+      url,
+      body,
+      headers,
+      matched: Boolean(matchResult || resourceMatch),
+      status: result.response?.status ?? null,
+      expiresAt: new Date(Date.now() + this.logRetentionDays * 24 * 60 * 60 * 1000)
+    }).catch(error => {
+      console.error('Failed to log mock request:', error.message);
+    });
+
+    return result;
   }
 
   // Find matching route
-  findMatchingRoute(method, url) {
-    for (const config of this.mockConfigs.values()) {
-      if (!config.enabled) continue;
-
-      for (const route of config.routes) {
-        if (route.method.toLowerCase() === method.toLowerCase()) {
-          const params = this.matchRoute(route.path, url, config.baseUrl);
-          if (params !== null) {
-            return { config, route, params };
-          }
+  findMatchingRoute(config, method, url) {
+    for (const route of config.routes) {
+      if (route.method.toLowerCase() === method.toLowerCase()) {
+        const params = this.matchRoute(route.path, url, config.baseUrl);
+        if (params !== null) {
+          return { route, params };
         }
       }
     }
     return null;
   }
 
+  // Find the resource whose collection path, or item path below it, matches the URL
+  findMatchingResource(config, url) {
+    for (const resource of config.resources || []) {
+      if (this.matchRoute(resource.path, url, config.baseUrl) !== null) {
+        return { resource, itemId: null };
+      }
+
+      const params = this.matchRoute(`${resource.path}/:id`, url, config.baseUrl);
+      if (params !== null) {
+        let itemId = params.id;
+        try {
+          itemId = decodeURIComponent(itemId);
+        } catch {
+          // Keep malformed escapes as they were sent
+        }
+        return { resource, itemId };
+      }
+    }
+    return null;
+  }
+
+  // Pick the first variant whose conditions all match the request. Variants of the active scenario are tried
+  // before those used in every scenario, then by priority and list order; other scenarios' variants are skipped.
+  // Returns null when the route's sequence or default response should be sent.
+  selectVariant(route, request, scenario = null) {
+    const variants = (route.variants || [])
+      .filter(variant => !variant.scenario || variant.scenario === scenario)
+      .sort((a, b) => Boolean(b.scenario) - Boolean(a.scenario) || (b.priority || 0) - (a.priority || 0));
+    return variants.find(variant => variant.conditions.every(condition => this.matchCondition(condition, request))) || null;
+  }
+
+  matchCondition({ source, key = '', operator = 'equals', value = '' }, request) {
+    let values;
+    switch (source) {
+      case 'query': {
+        const found = request.query[key];
+        values = found === undefined ? [] : [].concat(found);
+        break;
+      }
+      case 'header': {
+        const found = request.headers[key.toLowerCase()];
+        values = found === undefined ? [] : [].concat(found);
+        break;
+      }
+      case 'param':
+        values = request.params[key] === undefined ? [] : [request.params[key]];
+        break;
+      case 'body':
+        values = key ? queryJsonPath(this.parseBody(request.body), key) : [request.body].filter(item => item !== undefined && item !== '');
+        break;
+      default:
+        return false;
+    }
+
+    switch (operator) {
+      case 'exists':
+        return values.length > 0;
+      case 'notExists':
+        return values.length === 0;
+      case 'notEquals':
+        return values.every(item => !this.valueEquals(item, value));
+      case 'equals':
+        return values.some(item => this.valueEquals(item, value));
+      case 'contains':
+        return values.some(item => this.valueText(item).includes(value));
+      case 'regex': {
+        // Configs saved before unsafe patterns were rejected may still hold one
+        if (!safeRegex(value)) return false;
+        let pattern;
+        try {
+          pattern = new RegExp(value);
+        } catch {
+          return false;
+        }
+        return values.some(item => this.testPattern(pattern, this.valueText(item).slice(0, 10000)));
+      }
+      default:
+        return false;
+    }
+  }
+
+  // A test that runs out of time counts as no match
+  testPattern(pattern, value) {
+    REGEX_CONTEXT.pattern = pattern;
+    REGEX_CONTEXT.value = value;
+    try {
+      return REGEX_TEST.runInContext(REGEX_CONTEXT, { timeout: this.regexTimeout }) === true;
+    } catch (error) {
+      console.warn('Mock regex condition failed:', error.message);
+      return false;
+    } finally {
+      REGEX_CONTEXT.pattern = null;
+      REGEX_CONTEXT.value = null;
+    }
+  }
+
+  // Objects and arrays compare as JSON, anything else by its text
+  valueEquals(actual, expected) {
+    if (actual !== null && typeof actual === 'object') {
+      try {
+        return JSON.stringify(actual) === JSON.stringify(JSON.parse(expected));
+      } catch {
+        return false;
+      }
+    }
+    return String(actual) === expected;
+  }
+
+  valueText(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  parseBody(body) {
+    if (typeof body !== 'string') return body;
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+
+  lowercaseHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
   // Match route pattern against URL
   matchRoute(routePattern, url, baseUrl) {
     // Remove base URL from the request URL
@@ -307,9 +813,25 @@ class MockServerService {
   }
 
   // Generate response with template processing
-  async generateResponse(route, params, requestData) {
-    const templateContext = {
+  async generateResponse(response, params, requestData, typed = false) {
+    const templateContext = await this.createTemplateContext(params, requestData);
+    const processedBody = this.processTemplate(response.body, templateContext, typed);
+    const processedHeaders = this.processTemplate(response.headers, templateContext);
+
+    return {
+      status: response.status,
+      statusText: this.getStatusText(response.status),
+      headers: processedHeaders,
+      body: processedBody,
+      delay: response.delay
+    };
+  }
+
+  // Values available to {{...}} templates
+  async createTemplateContext(params, requestData) {
+    return {
       params,
+      query: requestData.query || {},
       body: requestData.body,
       headers: requestData.headers,
       faker: await this.createFakerProxy(),
@@ -326,22 +848,24 @@ class MockServerService {
         choice: (arr) => arr[Math.floor(Math.random() * arr.length)]
       }
     };
-
-    const processedBody = this.processTemplate(route.response.body, templateContext);
-    const processedHeaders = this.processTemplate(route.response.headers, templateContext);
-
-    return {
-      status: route.response.status,
-      statusText: this.getStatusText(route.response.status),
-      headers: processedHeaders,
-      body: processedBody,
-      delay: route.response.delay
-    };
   }
 
   // Process template variables in response
-  processTemplate(obj, context) {
+  processTemplate(obj, context, typed = false) {
     if (typeof obj === 'string') {
+      // With typed templates, a string that is a single expression keeps the expression's type
+      // (numbers, booleans, objects)
+      const single = typed && obj.match(/^\{\{([^}]+)\}\}$/);
+      if (single) {
+        try {
+          const result = this.evaluateExpression(single[1].trim(), context);
+          if (result !== undefined) return result;
+        } catch (error) {
+          console.warn('Template evaluation error:', error.message);
+        }
+        return obj;
+      }
+
       return obj.replace(/\{\{([^}]+)\}\}/g, (match, expression) => {
         try {
           // Simple expression evaluation
@@ -353,12 +877,12 @@ class MockServerService {
         }
       });
     } else if (Array.isArray(obj)) {
-      return obj.map(item => this.processTemplate(item, context));
+      return obj.map(item => this.processTemplate(item, context, typed));
     } else if (obj && typeof obj === 'object') {
       const processed = {};
       for (const [key, value] of Object.entries(obj)) {
         const processedKey = this.processTemplate(key, context);
-        processed[processedKey] = this.processTemplate(value, context);
+        processed[processedKey] = this.processTemplate(value, context, typed);
       }
       return processed;
     }
@@ -385,6 +909,15 @@ class MockServerService {
         return undefined;
       }
     }
+
+    // Call a trailing generator such as faker.name.fullName
+    if (typeof result === 'function') {
+      try {
+        result = result();
+      } catch (error) {
+        return undefined;
+      }
+    }
     
     return result;
   }
@@ -427,33 +960,77 @@ class MockServerService {
     };
   }
 
+  // Filter for the request logs a user can see: admins see every log
+  async getLogFilter(user) {
+    if (user.role === 'admin') return {};
+
+    const configs = await MockConfig.findAccessible(user._id).select('_id');
+    return { configId: { $in: configs.map(config => config._id) } };
+  }
+
   // Get request logs
-  getRequestLogs(limit = 100) {
-    return this.requestLogs.slice(0, limit);
+  async getRequestLogs(user, limit = 100) {
+    return MockRequestLog.find(await this.getLogFilter(user)).sort({ timestamp: -1 }).limit(limit);
   }
 
-  // Clear request logs
-  clearRequestLogs() {
-    this.requestLogs = [];
-    this.statistics.totalRequests = 0;
-    this.statistics.matchedRequests = 0;
+  // Clear the request logs of the configs the user can edit
+  async clearRequestLogs(user) {
+    if (user.role === 'admin') {
+      await MockRequestLog.deleteMany({});
+      return;
+    }
+
+    const configs = await MockConfig.findAccessible(user._id);
+    const editable = configs.filter(config => config.canEdit(user)).map(config => config._id);
+    await MockRequestLog.deleteMany({ configId: { $in: editable } });
   }
 
-  // Get statistics
-  getStatistics() {
+  // Get statistics over the configs a user can see and their request logs
+  async getStatistics(user) {
+    const configs = await MockConfig.findAccessible(user._id);
+    const logFilter = await this.getLogFilter(user);
+    const [totalRequests, matchedRequests, recentRequests] = await Promise.all([
+      MockRequestLog.countDocuments(logFilter),
+      MockRequestLog.countDocuments({ ...logFilter, matched: true }),
+      MockRequestLog.countDocuments({ ...logFilter, timestamp: { $gte: new Date(Date.now() - 3600000) } }) // Last hour
+    ]);
+
     return {
-      ...this.statistics,
-      recentRequests: this.requestLogs.filter(log => 
-        Date.now() - new Date(log.timestamp).getTime() < 3600000 // Last hour
-      ).length
+      totalRequests,
+      matchedRequests,
+      totalConfigs: configs.length,
+      enabledConfigs: configs.filter(config => config.enabled).length,
+      totalRoutes: configs.reduce((sum, config) => sum + config.routes.length, 0),
+      totalResources: configs.reduce((sum, config) => sum + config.resources.length, 0),
+      recentRequests,
+      states: configs.map(config => this.getConfigState(config))
     };
   }
 
-  // Update statistics
-  updateStatistics() {
-    this.statistics.totalConfigs = this.mockConfigs.size;
-    this.statistics.enabledConfigs = Array.from(this.mockConfigs.values()).filter(c => c.enabled).length;
-    this.statistics.totalRoutes = Array.from(this.mockConfigs.values()).reduce((sum, c) => sum + c.routes.length, 0);
+  // Active scenario, sequence positions and resource sizes of a config in this process
+  getConfigState(config) {
+    return {
+      configId: config.id,
+      name: config.name,
+      activeScenario: config.activeScenario || null,
+      sequences: config.routes.filter(route => route.sequence.length > 0).map(route => {
+        const calls = this.sequenceState.get(this.getStateKey(config, route)) || 0;
+        return {
+          routeId: route.id,
+          method: route.method,
+          path: route.path,
+          calls,
+          length: route.sequence.length,
+          nextIndex: this.getSequenceIndex(route, calls)
+        };
+      }),
+      resources: config.resources.map(resource => ({
+        resourceId: resource.id,
+        path: resource.path,
+        // Resources not requested yet still hold their seed
+        items: this.resourceState.get(this.getStateKey(config, resource))?.items.length ?? resource.seed.length
+      }))
+    };
   }
 
   // Get route templates
@@ -535,35 +1112,40 @@ class MockServerService {
     ];
   }
 
-  // Export configurations
-  exportMockConfigs() {
+  // Export the configurations a user can see, without their ownership and sharing
+  async exportMockConfigs(user) {
+    const configs = await MockConfig.findAccessible(user._id).sort({ createdAt: 1 });
+
     return {
       version: '1.0.0',
       exportedAt: new Date().toISOString(),
-      configs: Array.from(this.mockConfigs.values())
+      configs: configs.map(config => {
+        const { owner, sharedWith, ...exported } = config.toJSON();
+        return exported;
+      })
     };
   }
 
-  // Import configurations
-  importMockConfigs(data) {
+  // Import configurations as new configs owned by the user
+  async importMockConfigs(user, data) {
     try {
       if (!data.configs || !Array.isArray(data.configs)) {
         throw new Error('Invalid import data format');
       }
 
-      let imported = 0;
-      for (const config of data.configs) {
-        const newConfig = {
-          ...config,
-          id: this.generateId(), // Generate new ID to avoid conflicts
-          importedAt: new Date().toISOString()
-        };
-        this.mockConfigs.set(newConfig.id, newConfig);
-        imported++;
-      }
+      const configs = await MockConfig.create(data.configs.map(config => ({
+        name: config.name || 'New Mock Server',
+        baseUrl: config.baseUrl || '/api',
+        enabled: config.enabled !== false,
+        owner: user._id,
+        routes: Array.isArray(config.routes) ? config.routes.map(route => this.normalizeRoute(route)) : [],
+        resources: Array.isArray(config.resources) ? config.resources.map(resource => this.normalizeResource(resource)) : [],
+        scenarios: Array.isArray(config.scenarios) ? config.scenarios : [],
+        activeScenario: config.activeScenario || null,
+        importedAt: new Date()
+      })));
 
-      this.updateStatistics();
-      return { success: true, imported };
+      return { success: true, imported: configs.length };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -584,24 +1166,24 @@ class MockServerService {
       401: 'Unauthorized',
       403: 'Forbidden',
       404: 'Not Found',
+      405: 'Method Not Allowed',
+      409: 'Conflict',
       500: 'Internal Server Error',
       502: 'Bad Gateway',
-      503: 'Service Unavailable'
+      503: 'Service Unavailable',
+      507: 'Insufficient Storage'
     };
     return statusTexts[status] || 'Unknown';
   }
 
   // Clear all data
-  clearAllData() {
-    this.mockConfigs.clear();
-    this.requestLogs = [];
-    this.statistics = {
-      totalRequests: 0,
-      matchedRequests: 0,
-      totalConfigs: 0,
-      enabledConfigs: 0,
-      totalRoutes: 0
-    };
+  async clearAllData() {
+    await Promise.all([
+      MockConfig.deleteMany({}),
+      MockRequestLog.deleteMany({})
+    ]);
+    this.resourceState.clear();
+    this.sequenceState.clear();
   }
 }
 
@@ -0,0 +1,691 @@
+import net from 'net';
+import tls from 'tls';
+import WebSocket, { createWebSocketStream } from 'ws';
+import { MqttClient } from 'mqtt';
+import { v4 as uuidv4 } from 'uuid';
+import agentService from './agentService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+
+const DEFAULT_PORTS = { 'mqtt:': 1883, 'mqtts:': 8883, 'ws:': 80, 'wss:': 443 };
+
+// Config fields that are not returned with connection details
+const SECRET_FIELDS = ['password'];
+
+
+class MqttService {
+  constructor() {
+    this.connections = new Map(); // Store active MQTT connections
+    this.messageHistory = new Map(); // Store message history per connection
+    this.connectionStats = new Map(); // Store connection statistics
+    this.connectTimeout = 30 * 1000;
+  }
+
+  // Parse a broker URL. mqtt and mqtts connect over TCP and TLS, ws and wss over WebSockets.
+  parseBrokerUrl(brokerUrl) {
+    let url;
+    try {
+      url = new URL(brokerUrl);
+    } catch {
+      throw new Error('A valid broker URL is required, e.g. mqtt://localhost:1883');
+    }
+
+    if (!DEFAULT_PORTS[url.protocol]) {
+      throw new Error('Broker URLs must use mqtt, mqtts, ws or wss');
+    }
+
+    return {
+      url,
+      protocol: url.protocol,
+      host: url.hostname.replace(/^\[|\]$/g, ''),
+      port: Number(url.port) || DEFAULT_PORTS[url.protocol],
+      secure: url.protocol === 'mqtts:' || url.protocol === 'wss:'
+    };
+  }
+
+  // Validate the request settings that apply to broker connections
+  normalizeSettings(settings = {}) {
+    const normalized = agentService.normalizeSettings(settings || {});
+    if (normalized.proxy?.url) {
+      throw new Error('Invalid request settings: proxies are not supported for MQTT');
+    }
+    return normalized;
+  }
+
+  // Validate a last will message
+  normalizeWill(will) {
+    if (!will) return undefined;
+    if (typeof will.topic !== 'string' || !will.topic || /[+#]/.test(will.topic)) {
+      throw new Error('Last will needs a topic without wildcards');
+    }
+
+    return {
+      topic: will.topic,
+      payload: this.encodePayload(will.payload ?? '', will.payloadType),
+      qos: this.normalizeQos(will.qos),
+      retain: Boolean(will.retain)
+    };
+  }
+
+  normalizeQos(qos = 0) {
+    const value = Number(qos);
+    if (![0, 1, 2].includes(value)) {
+      throw new Error('QoS must be 0, 1 or 2');
+    }
+    return value;
+  }
+
+  // Encode a payload given as text, JSON or base64 binary
+  encodePayload(payload, payloadType = 'text') {
+    if (payloadType === 'base64' || payloadType === 'binary') {
+      return Buffer.from(String(payload), 'base64');
+    }
+    if (payloadType === 'json' || (typeof payload === 'object' && payload !== null)) {
+      return Buffer.from(JSON.stringify(payload));
+    }
+    return Buffer.from(String(payload));
+  }
+
+  // Decode a received payload as text when it is valid UTF-8, base64 otherwise
+  decodePayload(payload) {
+    const text = payload.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(payload)) {
+      return { payload: text, encoding: 'utf8' };
+    }
+    return { payload: payload.toString('base64'), encoding: 'base64' };
+  }
+
+  // Open the socket for a connection attempt. Hostnames are resolved through the outbound policy
+  // guard on every attempt, so reconnects are checked too.
+  buildStream(target, settings, guard, headers = {}) {
+    const { url, protocol, host, port } = target;
+    const tlsOptions = agentService.getTlsOptions(settings);
+
+    if (protocol === 'mqtt:') {
+      return net.connect({ host, port, lookup: guard.lookup });
+    }
+    if (protocol === 'mqtts:') {
+      return tls.connect({ host, port, lookup: guard.lookup, servername: net.isIP(host) ? undefined : host, ...tlsOptions });
+    }
+
+    const ws = new WebSocket(url.toString(), 'mqtt', { headers, lookup: guard.lookup, ...tlsOptions });
+    return createWebSocketStream(ws);
+  }
+
+  // Build the mqtt.js client options from a connection config
+  buildClientOptions(config, settings) {
+    const protocolVersion = config.protocolVersion ?? 4;
+    if (![3, 4, 5].includes(protocolVersion)) {
+      throw new Error('protocolVersion must be 3 (MQTT 3.1), 4 (MQTT 3.1.1) or 5 (MQTT 5)');
+    }
+
+    return {
+      clientId: config.clientId || `postwomen_${uuidv4().slice(0, 8)}`,
+      username: config.username || undefined,
+      password: config.password || undefined,
+      clean: config.clean !== false,
+      keepalive: config.keepalive ?? 60,
+      protocolVersion,
+      protocolId: protocolVersion === 3 ? 'MQIsdp' : 'MQTT',
+      will: this.normalizeWill(config.will),
+      properties: protocolVersion === 5 ? config.properties : undefined,
+      reconnectPeriod: config.reconnectPeriod ?? 0, // Automatic reconnects are off unless asked for
+      connectTimeout: settings.timeout || this.connectTimeout
+    };
+  }
+
+  // Create MQTT connection. Outbound connections are checked against the caller's outbound policy.
+  async createConnection(config, { user = null, clientIp = null } = {}) {
+    const connectionId = uuidv4();
+
+    try {
+      const target = this.parseBrokerUrl(config.url);
+      const settings = this.normalizeSettings(config.settings);
+      const options = this.buildClientOptions(config, settings);
+      const guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: config.url });
+      guard.checkTarget(target.host, target.port);
+
+      const client = new MqttClient(() => this.buildStream(target, settings, guard, config.headers), options);
+
+      const connectionData = {
+        id: connectionId,
+        url: config.url,
+        clientId: options.clientId,
+        protocolVersion: options.protocolVersion,
+        status: 'connecting',
+        client,
+        subscriptions: new Map(), // topic filter -> granted QoS
+        createdAt: new Date().toISOString(),
+        lastActivity: new Date().toISOString(),
+        config: config
+      };
+
+      this.connections.set(connectionId, connectionData);
+      this.messageHistory.set(connectionId, []);
+      this.connectionStats.set(connectionId, {
+        messagesReceived: 0,
+        messagesSent: 0,
+        bytesReceived: 0,
+        bytesSent: 0,
+        connectionAttempts: 1,
+        topics: {},
+        errors: []
+      });
+
+      // Set up MQTT event handlers
+      this.setupMqttHandlers(connectionId, client);
+
+      return {
+        success: true,
+        connectionId,
+        connection: this.getConnectionInfo(connectionId)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code
+      };
+    }
+  }
+
+  // Setup MQTT event handlers
+  setupMqttHandlers(connectionId, client) {
+    const connectionData = this.connections.get(connectionId);
+    const stats = this.connectionStats.get(connectionId);
+
+    client.on('connect', (connack) => {
+      connectionData.status = 'connected';
+      connectionData.lastActivity = new Date().toISOString();
+      connectionData.sessionPresent = connack.sessionPresent;
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: `MQTT connection established (client ID: ${connectionData.clientId}, session present: ${connack.sessionPresent})`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    client.on('reconnect', () => {
+      connectionData.status = 'reconnecting';
+      stats.connectionAttempts++;
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: 'Reconnecting to MQTT broker',
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    client.on('message', (topic, payload, packet) => {
+      const decoded = this.decodePayload(payload);
+      connectionData.lastActivity = new Date().toISOString();
+      stats.messagesReceived++;
+      stats.bytesReceived += payload.length;
+      stats.topics[topic] = (stats.topics[topic] || 0) + 1;
+
+      this.addMessage(connectionId, {
+        type: 'message',
+        direction: 'received',
+        topic,
+        content: decoded.payload,
+        encoding: decoded.encoding,
+        qos: packet.qos,
+        retain: packet.retain,
+        dup: packet.dup,
+        properties: packet.properties,
+        size: payload.length,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    client.on('error', (error) => {
+      connectionData.status = 'error';
+      connectionData.lastActivity = new Date().toISOString();
+      stats.errors.push({
+        message: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+
+      this.addMessage(connectionId, {
+        type: 'error',
+        direction: 'system',
+        content: `MQTT error: ${error.message}`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // MQTT 5 brokers can send a reason when they disconnect the client
+    client.on('disconnect', (packet) => {
+      connectionData.closeReason = packet.reasonCode;
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: `Broker disconnected the client (Reason code: ${packet.reasonCode})`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    client.on('close', () => {
+      if (connectionData.status !== 'error' || client.disconnecting) {
+        connectionData.status = 'closed';
+      }
+      connectionData.lastActivity = new Date().toISOString();
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: 'MQTT connection closed',
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  // Subscribe to one or more topic filters, which may use the + and # wildcards
+  subscribe(connectionId, { topic, topics, qos = 0 } = {}) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return Promise.resolve({ success: false, error: 'Connection not found' });
+    }
+
+    if (connectionData.status !== 'connected') {
+      return Promise.resolve({ success: false, error: 'Connection is not active' });
+    }
+
+    let filters;
+    try {
+      // topics may be a list of filters sharing qos, or an object of filter -> QoS
+      filters = topics && !Array.isArray(topics)
+        ? Object.fromEntries(Object.entries(topics).map(([filter, filterQos]) => [filter, { qos: this.normalizeQos(filterQos) }]))
+        : Object.fromEntries((topics || [topic]).map(filter => [filter, { qos: this.normalizeQos(qos) }]));
+    } catch (error) {
+      return Promise.resolve({ success: false, error: error.message });
+    }
+
+    if (Object.keys(filters).length === 0 || Object.keys(filters).some(filter => typeof filter !== 'string' || !filter)) {
+      return Promise.resolve({ success: false, error: 'At least one topic filter is required' });
+    }
+
+    return new Promise((resolve) => {
+      connectionData.client.subscribe(filters, (error, granted = []) => {
+        if (error) {
+          return resolve({ success: false, error: error.message });
+        }
+
+        // QoS 128 means the broker refused the subscription
+        for (const grant of granted) {
+          if (grant.qos === 128) continue;
+          connectionData.subscriptions.set(grant.topic, grant.qos);
+        }
+        connectionData.lastActivity = new Date().toISOString();
+
+        this.addMessage(connectionId, {
+          type: 'subscribe',
+          direction: 'sent',
+          content: granted.map(grant => `${grant.topic} (QoS ${grant.qos === 128 ? 'refused' : grant.qos})`).join(', '),
+          granted,
+          timestamp: new Date().toISOString()
+        });
+
+        resolve({ success: true, granted });
+      });
+    });
+  }
+
+  // Unsubscribe from topic filters
+  unsubscribe(connectionId, { topic, topics } = {}) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return Promise.resolve({ success: false, error: 'Connection not found' });
+    }
+
+    if (connectionData.status !== 'connected') {
+      return Promise.resolve({ success: false, error: 'Connection is not active' });
+    }
+
+    const filters = topics || (topic ? [topic] : []);
+    if (filters.length === 0) {
+      return Promise.resolve({ success: false, error: 'At least one topic filter is required' });
+    }
+
+    return new Promise((resolve) => {
+      connectionData.client.unsubscribe(filters, (error) => {
+        if (error) {
+          return resolve({ success: false, error: error.message });
+        }
+
+        filters.forEach(filter => connectionData.subscriptions.delete(filter));
+        this.addMessage(connectionId, {
+          type: 'unsubscribe',
+          direction: 'sent',
+          content: filters.join(', '),
+          timestamp: new Date().toISOString()
+        });
+
+        resolve({ success: true });
+      });
+    });
+  }
+
+  // Publish a message. QoS 1 and 2 messages resolve once the broker acknowledged them.
+  publish(connectionId, { topic, payload = '', payloadType = 'text', qos = 0, retain = false, properties } = {}) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return Promise.resolve({ success: false, error: 'Connection not found' });
+    }
+
+    if (connectionData.status !== 'connected') {
+      return Promise.resolve({ success: false, error: 'Connection is not active' });
+    }
+
+    if (typeof topic !== 'string' || !topic || /[+#]/.test(topic)) {
+      return Promise.resolve({ success: false, error: 'Publish needs a topic without wildcards' });
+    }
+
+    let message;
+    let publishQos;
+    try {
+      message = this.encodePayload(payload, payloadType);
+      publishQos = this.normalizeQos(qos);
+    } catch (error) {
+      return Promise.resolve({ success: false, error: error.message });
+    }
+
+    const options = { qos: publishQos, retain: Boolean(retain) };
+    if (properties && connectionData.protocolVersion === 5) options.properties = properties;
+
+    return new Promise((resolve) => {
+      connectionData.client.publish(topic, message, options, (error) => {
+        if (error) {
+          return resolve({ success: false, error: error.message });
+        }
+
+        const stats = this.connectionStats.get(connectionId);
+        const decoded = this.decodePayload(message);
+        stats.messagesSent++;
+        stats.bytesSent += message.length;
+        connectionData.lastActivity = new Date().toISOString();
+
+        this.addMessage(connectionId, {
+          type: 'message',
+          direction: 'sent',
+          topic,
+          content: decoded.payload,
+          encoding: decoded.encoding,
+          qos: publishQos,
+          retain: Boolean(retain),
+          size: message.length,
+          timestamp: new Date().toISOString()
+        });
+
+        resolve({ success: true });
+      });
+    });
+  }
+
+  // Close MQTT connection. The last will is only published when force closing.
+  closeConnection(connectionId, force = false) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    try {
+      connectionData.client.end(Boolean(force));
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get connection information
+  getConnectionInfo(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return null;
+    }
+
+    const stats = this.connectionStats.get(connectionId);
+    const messages = this.messageHistory.get(connectionId) || [];
+    const config = { ...connectionData.config };
+    SECRET_FIELDS.forEach(field => { if (config[field]) config[field] = '********'; });
+    if (config.settings?.clientCertificate) {
+      config.settings = { ...config.settings, clientCertificate: '********' };
+    }
+
+    return {
+      id: connectionData.id,
+      url: connectionData.url,
+      clientId: connectionData.clientId,
+      protocolVersion: connectionData.protocolVersion,
+      status: connectionData.status,
+      sessionPresent: connectionData.sessionPresent,
+      subscriptions: Array.from(connectionData.subscriptions, ([topic, qos]) => ({ topic, qos })),
+      createdAt: connectionData.createdAt,
+      lastActivity: connectionData.lastActivity,
+      closeReason: connectionData.closeReason,
+      config,
+      stats: stats,
+      messageCount: messages.length
+    };
+  }
+
+  // Get all connections
+  getAllConnections() {
+    const connections = [];
+    for (const connectionId of this.connections.keys()) {
+      connections.push(this.getConnectionInfo(connectionId));
+    }
+    return connections;
+  }
+
+  // Get message history for a connection, optionally only messages on one topic
+  getMessageHistory(connectionId, limit = 100, topic = null) {
+    const messages = (this.messageHistory.get(connectionId) || [])
+      .filter(message => !topic || message.topic === topic);
+    return messages.slice(-limit).reverse(); // Return most recent first
+  }
+
+  // Add message to history
+  addMessage(connectionId, message) {
+    const messages = this.messageHistory.get(connectionId) || [];
+    messages.push({
+      id: uuidv4(),
+      ...message
+    });
+
+    // Keep only last 1000 messages per connection
+    if (messages.length > 1000) {
+      messages.splice(0, messages.length - 1000);
+    }
+
+    this.messageHistory.set(connectionId, messages);
+  }
+
+  // Clear message history for a connection
+  clearMessageHistory(connectionId) {
+    this.messageHistory.set(connectionId, []);
+    return { success: true };
+  }
+
+  // Delete connection and cleanup
+  deleteConnection(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    // Close connection if still open
+    connectionData.client.end(true);
+
+    // Remove from maps
+    this.connections.delete(connectionId);
+    this.messageHistory.delete(connectionId);
+    this.connectionStats.delete(connectionId);
+
+    return { success: true };
+  }
+
+  // Get MQTT connection statistics
+  getGlobalStats() {
+    const totalConnections = this.connections.size;
+    const activeConnections = Array.from(this.connections.values())
+      .filter(conn => conn.status === 'connected').length;
+    const totalSubscriptions = Array.from(this.connections.values())
+      .reduce((total, conn) => total + conn.subscriptions.size, 0);
+
+    let totalMessages = 0;
+    let totalBytes = 0;
+    let totalErrors = 0;
+
+    for (const stats of this.connectionStats.values()) {
+      totalMessages += stats.messagesReceived + stats.messagesSent;
+      totalBytes += stats.bytesReceived + stats.bytesSent;
+      totalErrors += stats.errors.length;
+    }
+
+    return {
+      totalConnections,
+      activeConnections,
+      totalSubscriptions,
+      totalMessages,
+      totalBytes,
+      totalErrors
+    };
+  }
+
+  // Test a broker connection without creating a persistent connection
+  async testConnection(config, { user = null, clientIp = null } = {}) {
+    const timeout = config.timeout || 5000;
+    const startTime = Date.now();
+    let client;
+
+    try {
+      const target = this.parseBrokerUrl(config.url);
+      const settings = this.normalizeSettings(config.settings);
+      const options = { ...this.buildClientOptions(config, settings), reconnectPeriod: 0, connectTimeout: timeout };
+      const guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: config.url });
+      guard.checkTarget(target.host, target.port);
+
+      client = new MqttClient(() => this.buildStream(target, settings, guard, config.headers), options);
+    } catch (error) {
+      return { success: false, error: error.message, duration: Date.now() - startTime };
+    }
+
+    return new Promise((resolve) => {
+      let resolved = false;
+      const done = (result) => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timeoutId);
+        client.end(true);
+        resolve({ ...result, duration: Date.now() - startTime });
+      };
+
+      const timeoutId = setTimeout(() => done({ success: false, error: 'Connection timeout' }), timeout);
+
+      client.on('connect', (connack) => done({ success: true, sessionPresent: connack.sessionPresent, message: 'Connection successful' }));
+      client.on('error', (error) => done({ success: false, error: error.message }));
+      client.on('close', () => done({ success: false, error: 'Connection closed by broker' }));
+    });
+  }
+
+  // Get connection templates
+  getConnectionTemplates() {
+    return [
+      {
+        name: 'Local Broker',
+        url: 'mqtt://localhost:1883',
+        description: 'Broker running on this machine, e.g. Mosquitto',
+        clientId: '',
+        protocolVersion: 4
+      },
+      {
+        name: 'Public Test Broker',
+        url: 'mqtt://test.mosquitto.org:1883',
+        description: 'Public Mosquitto test broker, anyone can read your messages',
+        clientId: '',
+        protocolVersion: 4
+      },
+      {
+        name: 'Secure Broker with Credentials',
+        url: 'mqtts://broker.example.com:8883',
+        description: 'TLS broker with username and password',
+        username: 'device',
+        password: 'YOUR_PASSWORD',
+        protocolVersion: 5,
+        settings: { verifySsl: true }
+      },
+      {
+        name: 'Broker over WebSockets',
+        url: 'wss://broker.example.com:8884/mqtt',
+        description: 'MQTT over secure WebSockets, with a last will',
+        protocolVersion: 4,
+        will: {
+          topic: 'devices/postwomen/status',
+          payload: 'offline',
+          qos: 1,
+          retain: true
+        }
+      }
+    ];
+  }
+
+  // Export connection data
+  exportConnections() {
+    const connections = this.getAllConnections();
+    const history = {};
+
+    for (const connectionId of this.connections.keys()) {
+      history[connectionId] = this.getMessageHistory(connectionId, 500);
+    }
+
+    return {
+      version: '1.0.0',
+      exportedAt: new Date().toISOString(),
+      connections,
+      messageHistory: history,
+      globalStats: this.getGlobalStats()
+    };
+  }
+
+  // Import connection data
+  importConnections(data) {
+    try {
+      if (!data.connections || !Array.isArray(data.connections)) {
+        throw new Error('Invalid import data format');
+      }
+
+      // Note: Broker connections and their credentials are not restored,
+      // but message history and config are
+      let imported = 0;
+
+      if (data.messageHistory) {
+        for (const [connectionId, messages] of Object.entries(data.messageHistory)) {
+          this.messageHistory.set(connectionId, messages);
+          imported++;
+        }
+      }
+
+      return { success: true, imported, note: 'Message history imported. Active connections cannot be restored.' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Cleanup closed connections
+  cleanup() {
+    let cleaned = 0;
+    for (const [connectionId, connectionData] of this.connections.entries()) {
+      if (['closed', 'error'].includes(connectionData.status) && !connectionData.client.connected) {
+        connectionData.client.end(true);
+        this.connections.delete(connectionId);
+        // Keep message history for reference
+        cleaned++;
+      }
+    }
+    return { cleaned };
+  }
+}
+
+const mqttService = new MqttService();
+export default mqttService;
@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import OAuthToken from '../models/OAuthToken.js';
+import agentService from './agentService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+// Grant types use the same names as Postman's oauth2 auth so imported collections work as-is
+const TOKEN_GRANTS = {
+  client_credentials: 'client_credentials',
+  password_credentials: 'password'
+};
+const AUTHORIZATION_CODE_GRANTS = ['authorization_code', 'authorization_code_with_pkce'];
+
+class OAuthService {
+  constructor() {
+    this.timeout = 30000; // 30 seconds timeout for token requests
+    this.expirySkew = 60 * 1000; // Refresh tokens a minute before they expire
+    this.authorizationTtl = 10 * 60 * 1000; // Pending authorizations expire after 10 minutes
+    this.pendingAuthorizations = new Map(); // state -> { userId, role, auth, redirectUri, codeVerifier, createdAt }
+    this.inFlight = new Map(); // owner:configKey -> token promise
+  }
+
+  // Check the auth settings needed for the grant type
+  validateConfig(auth) {
+    const grantType = auth.grant_type || 'authorization_code';
+
+    if (!TOKEN_GRANTS[grantType] && !AUTHORIZATION_CODE_GRANTS.includes(grantType)) {
+      throw new Error(`Unsupported OAuth 2.0 grant type: ${grantType}`);
+    }
+    if (!auth.accessTokenUrl) {
+      throw new Error('OAuth 2.0 access token URL is required');
+    }
+    if (!auth.clientId) {
+      throw new Error('OAuth 2.0 client ID is required');
+    }
+    if (grantType === 'password_credentials' && !auth.username) {
+      throw new Error('OAuth 2.0 password grant requires a username');
+    }
+    if (AUTHORIZATION_CODE_GRANTS.includes(grantType) && !auth.authUrl) {
+      throw new Error('OAuth 2.0 authorization URL is required');
+    }
+
+    return grantType;
+  }
+
+  // Identify a token by the settings it was issued for, so changing them fetches a new one
+  getConfigKey(auth) {
+    const grantType = auth.grant_type || 'authorization_code';
+    const parts = [grantType, auth.accessTokenUrl, auth.authUrl, auth.clientId, auth.scope, auth.username, auth.audience];
+
+    return crypto.createHash('sha256').update(JSON.stringify(parts.map(part => part || ''))).digest('hex');
+  }
+
+  // Get a usable access token, from the store when it is still valid, otherwise refreshed or fetched
+  async getAccessToken(user, auth) {
+    // A token pasted into the auth settings is used directly
+    if (auth.accessToken && !auth.accessTokenUrl) {
+      return { accessToken: auth.accessToken, tokenType: 'Bearer' };
+    }
+
+    const grantType = this.validateConfig(auth);
+
+    if (!user) {
+      if (!TOKEN_GRANTS[grantType]) {
+        throw new Error('Authentication required to use the OAuth 2.0 authorization code grant');
+      }
+      // Anonymous requests have nowhere to store tokens
+      return this.requestToken(auth, this.getGrantParams(auth, grantType), undefined, user);
+    }
+
+    const key = `${user._id}:${this.getConfigKey(auth)}`;
+    if (!this.inFlight.has(key)) {
+      const pending = this.loadOrFetchToken(user, auth, grantType)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, pending);
+    }
+
+    return this.inFlight.get(key);
+  }
+
+  async loadOrFetchToken(user, auth, grantType) {
+    const configKey = this.getConfigKey(auth);
+    const stored = await OAuthToken.findOne({ owner: user._id, configKey }).select('+accessToken +refreshToken');
+
+    if (stored && !this.isExpiring(stored)) {
+      return { accessToken: decrypt(stored.accessToken), tokenType: stored.tokenType };
+    }
+
+    if (stored?.refreshToken) {
+      try {
+        const token = await this.requestToken(auth, {
+          grant_type: 'refresh_token',
+          refresh_token: decrypt(stored.refreshToken)
+        }, auth.refreshTokenUrl || auth.accessTokenUrl, user);
+        return this.saveToken(user._id, auth, token);
+      } catch (error) {
+        console.error('OAuth 2.0 token refresh failed:', error.message);
+      }
+    }
+
+    if (!TOKEN_GRANTS[grantType]) {
+      throw new Error('OAuth 2.0 authorization required, start it with POST /api/oauth2/authorize');
+    }
+
+    const token = await this.requestToken(auth, this.getGrantParams(auth, grantType), undefined, user);
+    return this.saveToken(user._id, auth, token);
+  }
+
+  isExpiring(stored) {
+    return Boolean(stored.expiresAt && stored.expiresAt.getTime() - this.expirySkew <= Date.now());
+  }
+
+  getGrantParams(auth, grantType) {
+    const params = { grant_type: TOKEN_GRANTS[grantType] };
+
+    if (grantType === 'password_credentials') {
+      params.username = auth.username;
+      params.password = auth.password || '';
+    }
+    if (auth.scope) params.scope = auth.scope;
+    if (auth.audience) params.audience = auth.audience;
+
+    return params;
+  }
+
+  // Call the token endpoint, sending client credentials as a Basic header unless configured for the body.
+  // Token endpoints are user supplied, so they are held to the user's outbound policy.
+  async requestToken(auth, params, url = auth.accessTokenUrl, user = null) {
+    const body = new URLSearchParams(params);
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (auth.client_authentication === 'body' || !auth.clientSecret) {
+      body.set('client_id', auth.clientId);
+      if (auth.clientSecret) body.set('client_secret', auth.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const agents = agentService.createAgents({}, await outboundPolicyService.getGuard(user, { url }));
+    let response;
+    try {
+      response = await axios.post(url, body.toString(), {
+        headers,
+        timeout: this.timeout,
+        httpAgent: agents.httpAgent,
+        httpsAgent: agents.httpsAgent,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      const failure = new Error(`OAuth 2.0 token request failed: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
+    } finally {
+      agents.destroy();
+    }
+
+    // Some providers answer with a form-encoded body instead of JSON
+    let data = response.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        data = Object.fromEntries(new URLSearchParams(data));
+      }
+    }
+
+    if (response.status >= 400 || !data || data.error || !data.access_token) {
+      const reason = data?.error_description || data?.error || `HTTP ${response.status}`;
+      throw new Error(`OAuth 2.0 token request failed: ${reason}`);
+    }
+
+    return {
+      accessToken: data.access_token,
+      tokenType: data.token_type || 'Bearer',
+      refreshToken: data.refresh_token || null,
+      expiresIn: data.expires_in ? Number(data.expires_in) : null,
+      scope: data.scope || auth.scope || ''
+    };
+  }
+
+  // Store a token encrypted against the user, keeping the old refresh token if none was issued
+  async saveToken(userId, auth, token) {
+    const update = {
+      grantType: auth.grant_type || 'authorization_code',
+      accessTokenUrl: auth.accessTokenUrl,
+      clientId: auth.clientId,
+      scope: token.scope,
+      tokenType: token.tokenType,
+      accessToken: encrypt(token.accessToken),
+      expiresAt: token.expiresIn ? new Date(Date.now() + token.expiresIn * 1000) : null
+    };
+    if (token.refreshToken) {
+      update.refreshToken = encrypt(token.refreshToken);
+    }
+
+    await OAuthToken.findOneAndUpdate(
+      { owner: userId, configKey: this.getConfigKey(auth) },
+      update,
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { accessToken: token.accessToken, tokenType: token.tokenType };
+  }
+
+  // Start the authorization code flow and return the URL the user should open.
+  // The redirect always points at this server's callback so it can exchange the code.
+  createAuthorization(user, auth, redirectUri) {
+    const grantType = this.validateConfig(auth);
+    if (!AUTHORIZATION_CODE_GRANTS.includes(grantType)) {
+      throw new Error('OAuth 2.0 authorization is only needed for the authorization code grant');
+    }
+
+    this.prunePendingAuthorizations();
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const pending = { userId: user._id, role: user.role, auth, redirectUri, codeVerifier: null, createdAt: Date.now() };
+
+    let url;
+    try {
+      url = new URL(auth.authUrl);
+    } catch {
+      throw new Error('OAuth 2.0 authorization URL is invalid');
+    }
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', auth.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('state', state);
+    if (auth.scope) url.searchParams.set('scope', auth.scope);
+    if (auth.audience) url.searchParams.set('audience', auth.audience);
+
+    if (grantType === 'authorization_code_with_pkce') {
+      const method = auth.challengeAlgorithm === 'plain' ? 'plain' : 'S256';
+      pending.codeVerifier = crypto.randomBytes(32).toString('base64url');
+      const challenge = method === 'S256'
+        ? crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url')
+        : pending.codeVerifier;
+      url.searchParams.set('code_challenge', challenge);
+      url.searchParams.set('code_challenge_method', method);
+    }
+
+    this.pendingAuthorizations.set(state, pending);
+
+    return {
+      authorizationUrl: url.toString(),
+      state,
+      redirectUri,
+      expiresAt: new Date(pending.createdAt + this.authorizationTtl)
+    };
+  }
+
+  // Exchange the code the provider sent to the callback and store the token
+  async completeAuthorization({ state, code, error, error_description: errorDescription }) {
+    const pending = state ? this.pendingAuthorizations.get(state) : null;
+    if (pending) this.pendingAuthorizations.delete(state);
+
+    if (!pending || Date.now() - pending.createdAt > this.authorizationTtl) {
+      throw new Error('OAuth 2.0 authorization state is invalid or has expired');
+    }
+    if (error) {
+      throw new Error(`OAuth 2.0 authorization was denied: ${errorDescription || error}`);
+    }
+    if (!code) {
+      throw new Error('OAuth 2.0 authorization code is missing');
+    }
+
+    const params = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: pending.redirectUri
+    };
+    if (pending.codeVerifier) params.code_verifier = pending.codeVerifier;
+
+    const token = await this.requestToken(pending.auth, params, undefined, { _id: pending.userId, role: pending.role });
+    await this.saveToken(pending.userId, pending.auth, token);
+
+    return {
+      grantType: pending.auth.grant_type || 'authorization_code',
+      clientId: pending.auth.clientId,
+      scope: token.scope
+    };
+  }
+
+  prunePendingAuthorizations() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingAuthorizations) {
+      if (now - pending.createdAt > this.authorizationTtl) {
+        this.pendingAuthorizations.delete(state);
+      }
+    }
+  }
+}
+
+const oauthService = new OAuthService();
+export default oauthService;
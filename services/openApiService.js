@@ -0,0 +1,671 @@
+import yaml from 'js-yaml';
+import collectionImportService from './collectionImportService.js';
+import mockServerService from './mockServerService.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const MAX_SCHEMA_DEPTH = 8;
+
+// Swagger 2 OAuth 2.0 flow names mapped to their OpenAPI 3 equivalents
+const SWAGGER_OAUTH2_FLOWS = {
+  accessCode: 'authorizationCode',
+  application: 'clientCredentials',
+  password: 'password',
+  implicit: 'implicit'
+};
+
+// Faker templates used for string properties, matched against the property name
+const STRING_TEMPLATES = [
+  { pattern: /e-?mail/i, template: '{{faker.internet.email}}' },
+  { pattern: /^first_?name$/i, template: '{{faker.name.firstName}}' },
+  { pattern: /^last_?name$|^surname$/i, template: '{{faker.name.lastName}}' },
+  { pattern: /^(full_?)?name$/i, template: '{{faker.name.fullName}}' },
+  { pattern: /^user_?name$|^login$/i, template: '{{faker.internet.username}}' },
+  { pattern: /company|organi[sz]ation/i, template: '{{faker.company.name}}' },
+  { pattern: /street|address/i, template: '{{faker.address.street}}' },
+  { pattern: /city/i, template: '{{faker.address.city}}' },
+  { pattern: /country/i, template: '{{faker.address.country}}' },
+  { pattern: /zip|postal/i, template: '{{faker.address.zipCode}}' },
+  { pattern: /url|website|link|href/i, template: '{{faker.internet.url}}' },
+  { pattern: /domain|host/i, template: '{{faker.internet.domain}}' },
+  { pattern: /description|summary|bio|comment|message/i, template: '{{faker.lorem.sentence}}' },
+  { pattern: /^id$|_id$|Id$|uuid|guid/, template: '{{random.uuid}}' }
+];
+
+// Faker templates used for string formats, taking priority over property names
+const FORMAT_TEMPLATES = {
+  email: '{{faker.internet.email}}',
+  uri: '{{faker.internet.url}}',
+  url: '{{faker.internet.url}}',
+  hostname: '{{faker.internet.domain}}',
+  uuid: '{{random.uuid}}',
+  'date-time': '{{date.now}}'
+};
+
+// Fixed values used when building example request bodies
+const FORMAT_SAMPLES = {
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  date: '2024-01-01',
+  'date-time': '2024-01-01T00:00:00Z',
+  ipv4: '127.0.0.1',
+  password: 'password'
+};
+
+class OpenApiService {
+  // Import an OpenAPI document as a stored collection and, optionally, a mock config
+  async importDocument(user, input, { createMock = true, mockBaseUrl } = {}) {
+    const { report, mockConfig: mockDefinition, ...converted } = this.convertDocument(input, { mockBaseUrl });
+    const collection = await collectionImportService.saveCollection(user, converted);
+
+    let mockConfig = null;
+    if (createMock) {
+      mockConfig = await mockServerService.createMockConfig(user, mockDefinition);
+      report.converted.routes = mockDefinition.routes.length;
+    }
+
+    return { collection, mockConfig, report };
+  }
+
+  // Convert an OpenAPI 3 or Swagger 2 document into collection items and mock routes
+  convertDocument(input, { mockBaseUrl } = {}) {
+    const document = this.parseDocument(input);
+    const version = document.openapi || document.swagger;
+    const isSwagger = Boolean(document.swagger);
+    const report = {
+      source: isSwagger ? 'swagger' : 'openapi',
+      version,
+      converted: { folders: 0, requests: 0, variables: 0, routes: 0 },
+      warnings: [],
+      unsupported: []
+    };
+    const context = { document, isSwagger, report };
+
+    const info = document.info || {};
+    const baseUrl = this.getBaseUrl(document, isSwagger);
+    const variables = new Map([['baseUrl', baseUrl.url]]);
+
+    const securitySchemes = (isSwagger ? document.securityDefinitions : document.components?.securitySchemes) || {};
+    const collectionAuth = this.convertSecurity(document.security, securitySchemes, variables, 'Collection', report);
+
+    const folders = new Map();
+    const rootItems = [];
+    const routes = [];
+
+    for (const [path, pathItem] of Object.entries(document.paths || {})) {
+      if (!pathItem || typeof pathItem !== 'object') continue;
+      const resolvedPathItem = this.resolveRef(pathItem, context, new Set(), `${path}`);
+
+      for (const method of Object.keys(resolvedPathItem)) {
+        if (!HTTP_METHODS.includes(method)) {
+          if (method === 'trace') {
+            this.addUnsupported(report, `TRACE ${path}`, 'method', 'TRACE operations are not supported');
+          }
+          continue;
+        }
+
+        const operation = this.normalizeOperation(path, method, resolvedPathItem, context);
+        const request = this.buildRequest(operation, securitySchemes, collectionAuth, variables, context);
+        routes.push(this.buildRoute(operation, context));
+
+        // Group operations by their first tag
+        const tag = operation.tags[0];
+        if (tag) {
+          if (!folders.has(tag)) {
+            const folder = { type: 'folder', name: tag.slice(0, 100), description: this.getTagDescription(document, tag), items: [] };
+            folders.set(tag, folder);
+            rootItems.push(folder);
+            report.converted.folders++;
+          }
+          folders.get(tag).items.push(request);
+        } else {
+          rootItems.push(request);
+        }
+        report.converted.requests++;
+      }
+    }
+
+    report.converted.variables = variables.size;
+
+    return {
+      collection: {
+        name: (info.title || 'Imported API').slice(0, 100),
+        description: [info.description, info.version && `Version ${info.version}`].filter(Boolean).join('\n\n').slice(0, 2000),
+        auth: collectionAuth
+      },
+      variables: Array.from(variables, ([key, value]) => ({ key, value: String(value), enabled: true, secret: false })),
+      items: rootItems,
+      mockConfig: {
+        name: info.title || 'Imported API',
+        baseUrl: mockBaseUrl || baseUrl.path || '/',
+        routes
+      },
+      report
+    };
+  }
+
+  // Accept a parsed document or JSON/YAML text
+  parseDocument(input) {
+    let document = input;
+
+    if (typeof input === 'string') {
+      try {
+        document = yaml.load(input, { schema: yaml.JSON_SCHEMA });
+      } catch (error) {
+        throw new Error(`Invalid OpenAPI document: ${error.reason || error.message}`);
+      }
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('Invalid OpenAPI document: expected an object');
+    }
+    if (document.swagger !== undefined && String(document.swagger) !== '2.0') {
+      throw new Error(`Unsupported OpenAPI version: swagger ${document.swagger}`);
+    }
+    if (document.openapi !== undefined && !/^3\./.test(String(document.openapi))) {
+      throw new Error(`Unsupported OpenAPI version: ${document.openapi}`);
+    }
+    if (document.swagger === undefined && document.openapi === undefined) {
+      throw new Error('Invalid OpenAPI document: missing openapi or swagger version');
+    }
+    if (!document.paths || typeof document.paths !== 'object') {
+      throw new Error('Invalid OpenAPI document: missing paths');
+    }
+
+    return document;
+  }
+
+  // Base URL from the first server (OpenAPI 3) or host and basePath (Swagger 2)
+  getBaseUrl(document, isSwagger) {
+    let url = '';
+
+    if (isSwagger) {
+      if (document.host) {
+        const scheme = (document.schemes || []).includes('https') ? 'https' : (document.schemes?.[0] || 'https');
+        url = `${scheme}://${document.host}`;
+      }
+      url += document.basePath && document.basePath !== '/' ? document.basePath : '';
+    } else {
+      const server = document.servers?.[0];
+      if (server?.url) {
+        url = server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+      }
+    }
+
+    url = url.replace(/\/+$/, '');
+    const path = url.replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '');
+
+    return { url: url || 'http://localhost', path: path.startsWith('/') ? path : '' };
+  }
+
+  getTagDescription(document, tag) {
+    const definition = (document.tags || []).find(item => item.name === tag);
+    return (definition?.description || '').slice(0, 2000);
+  }
+
+  // Collect what both spec versions say about an operation into one shape
+  normalizeOperation(path, method, pathItem, context) {
+    const label = `${method.toUpperCase()} ${path}`;
+    const operation = this.resolveRef(pathItem[method], context, new Set(), label);
+
+    // Operation parameters override path-level ones with the same name and location
+    const parameters = new Map();
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+      const resolved = this.resolveRef(parameter, context, new Set(), label);
+      if (resolved && resolved.name) parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+
+    const normalized = {
+      label,
+      path,
+      method: method.toUpperCase(),
+      name: operation.summary || operation.operationId || label,
+      description: operation.description || '',
+      tags: operation.tags || [],
+      parameters: [...parameters.values()],
+      security: operation.security,
+      requestBody: null,
+      responses: []
+    };
+
+    if (context.isSwagger) {
+      const bodyParameter = normalized.parameters.find(parameter => parameter.in === 'body');
+      const formParameters = normalized.parameters.filter(parameter => parameter.in === 'formData');
+      const consumes = operation.consumes || context.document.consumes || ['application/json'];
+
+      if (bodyParameter) {
+        normalized.requestBody = {
+          contentType: consumes.find(type => /json/.test(type)) || consumes[0],
+          schema: bodyParameter.schema,
+          example: bodyParameter['x-example']
+        };
+      } else if (formParameters.length > 0) {
+        normalized.requestBody = {
+          contentType: consumes.find(type => /form/.test(type)) || 'application/x-www-form-urlencoded',
+          schema: {
+            type: 'object',
+            properties: Object.fromEntries(formParameters.map(parameter => [parameter.name, parameter]))
+          }
+        };
+      }
+
+      const produces = operation.produces || context.document.produces || ['application/json'];
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        const resolved = this.resolveRef(response, context, new Set(), label);
+        const contentType = produces.find(type => /json/.test(type)) || produces[0];
+        normalized.responses.push({
+          status,
+          description: resolved.description || '',
+          contentType: resolved.schema ? contentType : null,
+          schema: resolved.schema,
+          example: resolved.examples?.[contentType],
+          headers: resolved.headers || {}
+        });
+      }
+    } else {
+      if (operation.requestBody) {
+        const requestBody = this.resolveRef(operation.requestBody, context, new Set(), label);
+        const [contentType, media] = this.pickMedia(requestBody.content);
+        if (contentType) {
+          normalized.requestBody = { contentType, schema: media.schema, example: this.getMediaExample(media, context, label) };
+        }
+      }
+
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        const resolved = this.resolveRef(response, context, new Set(), label);
+        const [contentType, media] = this.pickMedia(resolved.content);
+        normalized.responses.push({
+          status,
+          description: resolved.description || '',
+          contentType,
+          schema: media?.schema,
+          example: media ? this.getMediaExample(media, context, label) : undefined,
+          headers: resolved.headers || {}
+        });
+      }
+    }
+
+    return normalized;
+  }
+
+  // Prefer a JSON media type when an operation offers several
+  pickMedia(content = {}) {
+    const types = Object.keys(content);
+    const type = types.find(name => /json/.test(name)) || types[0];
+    return type ? [type, content[type] || {}] : [null, null];
+  }
+
+  getMediaExample(media, context, label) {
+    if (media.example !== undefined) return media.example;
+
+    const first = Object.values(media.examples || {})[0];
+    if (first) {
+      const example = this.resolveRef(first, context, new Set(), label);
+      if (example.externalValue) {
+        this.addUnsupported(context.report, label, 'externalValue', 'External examples are not fetched');
+      }
+      return example.value;
+    }
+
+    return undefined;
+  }
+
+  // Resolve a local $ref, reporting external references and cycles
+  resolveRef(value, context, seen, label) {
+    let current = value;
+
+    while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+      const ref = current.$ref;
+
+      if (!ref.startsWith('#/')) {
+        this.addUnsupported(context.report, label, '$ref', `External reference ${ref} was not resolved`);
+        return {};
+      }
+      if (seen.has(ref)) return {};
+      seen.add(ref);
+
+      current = ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), context.document);
+
+      if (current === undefined) {
+        context.report.warnings.push({ path: label, message: `Reference ${ref} could not be found` });
+        return {};
+      }
+    }
+
+    return current || {};
+  }
+
+  // Merge allOf and pick the first oneOf/anyOf branch so generators see one schema
+  flattenSchema(schema, context, seen, label) {
+    const resolved = this.resolveRef(schema, context, seen, label);
+
+    if (Array.isArray(resolved.allOf)) {
+      const merged = { ...resolved, allOf: undefined, properties: { ...resolved.properties }, required: [...(resolved.required || [])] };
+      for (const part of resolved.allOf) {
+        const flat = this.flattenSchema(part, context, new Set(seen), label);
+        Object.assign(merged.properties, flat.properties);
+        merged.required.push(...(flat.required || []));
+        if (!merged.type && flat.type) merged.type = flat.type;
+      }
+      if (!merged.type) merged.type = 'object';
+      return merged;
+    }
+
+    const branches = resolved.oneOf || resolved.anyOf;
+    if (Array.isArray(branches) && branches.length > 0) {
+      return this.flattenSchema(branches[0], context, seen, label);
+    }
+
+    return resolved;
+  }
+
+  // Build a fixed example value for a request body
+  buildSample(schema, context, label, seen = new Set(), depth = 0, name = '') {
+    if (!schema || depth > MAX_SCHEMA_DEPTH) return null;
+    // Stop at recursive references instead of repeating the parent schema
+    if (schema.$ref && seen.has(schema.$ref)) return null;
+    const resolved = this.flattenSchema(schema, context, seen, label);
+
+    if (resolved.example !== undefined) return resolved.example;
+    if (resolved['x-example'] !== undefined) return resolved['x-example'];
+    if (resolved.default !== undefined) return resolved.default;
+    if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+    switch (this.getType(resolved)) {
+      case 'object':
+        return Object.fromEntries(Object.entries(resolved.properties || {})
+          .filter(([, property]) => !this.resolveRef(property, context, new Set(seen), label).readOnly)
+          .map(([key, property]) => [key, this.buildSample(property, context, label, new Set(seen), depth + 1, key)]));
+      case 'array':
+        return [this.buildSample(resolved.items, context, label, new Set(seen), depth + 1, name)];
+      case 'integer':
+        return resolved.minimum ?? 0;
+      case 'number':
+        return resolved.minimum ?? 0;
+      case 'boolean':
+        return true;
+      case 'file':
+        return '';
+      default:
+        return FORMAT_SAMPLES[resolved.format] || (name ? `${name}` : 'string');
+    }
+  }
+
+  // Build a mock response body, using faker templates where the schema has no example
+  buildTemplate(schema, context, label, pathParameters, seen = new Set(), depth = 0, name = '') {
+    if (!schema || depth > MAX_SCHEMA_DEPTH) return null;
+    if (schema.$ref && seen.has(schema.$ref)) return null;
+    const resolved = this.flattenSchema(schema, context, seen, label);
+
+    if (resolved.example !== undefined) return resolved.example;
+    if (Array.isArray(resolved.enum) && resolved.enum.length > 0) return resolved.enum[0];
+
+    // Echo path parameters back in properties with the same name
+    if (name && pathParameters.includes(name)) return `{{params.${name}}}`;
+
+    switch (this.getType(resolved)) {
+      case 'object':
+        return Object.fromEntries(Object.entries(resolved.properties || {})
+          .filter(([, property]) => !this.resolveRef(property, context, new Set(seen), label).writeOnly)
+          .map(([key, property]) => [key, this.buildTemplate(property, context, label, pathParameters, new Set(seen), depth + 1, key)]));
+      case 'array': {
+        const count = Math.max(resolved.minItems || 0, 2);
+        return Array.from({ length: count }, () =>
+          this.buildTemplate(resolved.items, context, label, pathParameters, new Set(seen), depth + 1, name));
+      }
+      case 'integer':
+        return '{{random.int}}';
+      case 'number':
+        return '{{random.float}}';
+      case 'boolean':
+        return '{{random.bool}}';
+      default: {
+        if (FORMAT_TEMPLATES[resolved.format]) return FORMAT_TEMPLATES[resolved.format];
+        if (FORMAT_SAMPLES[resolved.format]) return FORMAT_SAMPLES[resolved.format];
+        const match = STRING_TEMPLATES.find(item => item.pattern.test(name));
+        return match ? match.template : '{{faker.lorem.words}}';
+      }
+    }
+  }
+
+  getType(schema) {
+    const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+    if (type) return type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return 'string';
+  }
+
+  buildRequest(operation, securitySchemes, collectionAuth, variables, context) {
+    const { label } = operation;
+    const headers = {};
+    const query = [];
+
+    // Path parameters become collection variables seeded with their example values
+    const path = operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+      const parameter = operation.parameters.find(item => item.in === 'path' && item.name === name);
+      if (!variables.has(name)) {
+        const value = parameter ? this.getParameterExample(parameter, context, label) : '';
+        variables.set(name, value ?? '');
+      }
+      return `{{${name}}}`;
+    });
+
+    for (const parameter of operation.parameters) {
+      const value = this.getParameterExample(parameter, context, label);
+
+      if (parameter.in === 'query' && (parameter.required || value !== undefined)) {
+        query.push(`${encodeURIComponent(parameter.name)}=${encodeURIComponent(value ?? '')}`);
+      } else if (parameter.in === 'header' && (parameter.required || value !== undefined)) {
+        headers[parameter.name] = String(value ?? '');
+      } else if (parameter.in === 'cookie') {
+        this.addUnsupported(context.report, label, 'cookie parameter', `Cookie parameter ${parameter.name} was not added`);
+      }
+    }
+
+    let body = null;
+    const { requestBody } = operation;
+    if (requestBody) {
+      headers['Content-Type'] = requestBody.contentType;
+      body = this.buildRequestBody(requestBody, context, label);
+    }
+
+    const success = this.pickSuccessResponse(operation.responses);
+    if (success?.contentType) headers.Accept = success.contentType;
+
+    let auth = null;
+    if (operation.security !== undefined) {
+      const operationAuth = this.convertSecurity(operation.security, securitySchemes, variables, label, context.report);
+      auth = JSON.stringify(operationAuth) === JSON.stringify(collectionAuth) ? null : (operationAuth || { type: 'none' });
+    }
+
+    return {
+      type: 'request',
+      name: operation.name.slice(0, 200),
+      description: operation.description.slice(0, 5000),
+      method: operation.method,
+      url: `{{baseUrl}}${path}${query.length > 0 ? `?${query.join('&')}` : ''}`,
+      headers,
+      body,
+      auth
+    };
+  }
+
+  buildRequestBody(requestBody, context, label) {
+    const { contentType } = requestBody;
+    const value = requestBody.example !== undefined
+      ? requestBody.example
+      : this.buildSample(requestBody.schema, context, label);
+
+    if (/multipart\/form-data/.test(contentType)) {
+      this.addUnsupported(context.report, label, 'multipart body', 'Multipart bodies were converted to urlencoded fields');
+    }
+
+    if (/x-www-form-urlencoded|multipart\/form-data/.test(contentType) && value && typeof value === 'object') {
+      return new URLSearchParams(Object.entries(value).map(([key, item]) =>
+        [key, typeof item === 'object' ? JSON.stringify(item) : String(item ?? '')])).toString();
+    }
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value, null, 2);
+  }
+
+  getParameterExample(parameter, context, label) {
+    if (parameter.example !== undefined) return parameter.example;
+    if (parameter['x-example'] !== undefined) return parameter['x-example'];
+
+    const first = Object.values(parameter.examples || {})[0];
+    if (first) return this.resolveRef(first, context, new Set(), label).value;
+
+    // Swagger 2 keeps the type on the parameter itself
+    const schema = parameter.schema ? this.flattenSchema(parameter.schema, context, new Set(), label) : parameter;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    return undefined;
+  }
+
+  // The documented success response: the lowest 2xx, then default, then the first listed
+  pickSuccessResponse(responses) {
+    const success = responses
+      .filter(response => /^2\d\d$/.test(response.status))
+      .sort((a, b) => Number(a.status) - Number(b.status))[0];
+    return success || responses.find(response => response.status === 'default') || responses[0] || null;
+  }
+
+  buildRoute(operation, context) {
+    const response = this.pickSuccessResponse(operation.responses);
+    const status = response && /^\d{3}$/.test(response.status) ? Number(response.status) : 200;
+    const pathParameters = operation.parameters.filter(item => item.in === 'path').map(item => item.name);
+    const headers = {};
+
+    if (response?.contentType) headers['Content-Type'] = response.contentType;
+    for (const [name, header] of Object.entries(response?.headers || {})) {
+      const resolved = this.resolveRef(header, context, new Set(), operation.label);
+      const example = resolved.example ?? resolved.schema?.example;
+      if (example !== undefined) headers[name] = String(example);
+    }
+
+    let body = null;
+    if (response?.example !== undefined) {
+      body = response.example;
+    } else if (response?.schema) {
+      body = this.buildTemplate(response.schema, context, operation.label, pathParameters);
+    }
+
+    if (body === null && status !== 204) {
+      context.report.warnings.push({ path: operation.label, message: 'No response example or schema, the mock returns an empty body' });
+    }
+
+    return {
+      method: operation.method,
+      path: operation.path.replace(/\{([^}]+)\}/g, ':$1'),
+      response: {
+        status,
+        headers,
+        body: body ?? {},
+        delay: 0
+      },
+      typedTemplates: true
+    };
+  }
+
+  // Map security requirements onto native auth, using the first scheme we can apply
+  convertSecurity(security, schemes, variables, label, report) {
+    if (!Array.isArray(security)) return null;
+    if (security.length === 0 || security.every(requirement => Object.keys(requirement).length === 0)) {
+      return { type: 'none' };
+    }
+
+    for (const requirement of security) {
+      for (const name of Object.keys(requirement)) {
+        const scheme = schemes[name];
+        if (!scheme) continue;
+
+        const type = String(scheme.type || '').toLowerCase();
+        const httpScheme = String(scheme.scheme || '').toLowerCase();
+
+        if ((type === 'http' && httpScheme === 'bearer')) {
+          variables.set('bearerToken', variables.get('bearerToken') ?? '');
+          return { type: 'bearer', token: '{{bearerToken}}' };
+        }
+        if ((type === 'http' && httpScheme === 'basic') || type === 'basic') {
+          variables.set('username', variables.get('username') ?? '');
+          variables.set('password', variables.get('password') ?? '');
+          return { type: 'basic', username: '{{username}}', password: '{{password}}' };
+        }
+        if (type === 'http' && httpScheme === 'digest') {
+          variables.set('username', variables.get('username') ?? '');
+          variables.set('password', variables.get('password') ?? '');
+          return { type: 'digest', username: '{{username}}', password: '{{password}}' };
+        }
+        if (type === 'apikey' && ['header', 'query'].includes(scheme.in)) {
+          variables.set('apiKey', variables.get('apiKey') ?? '');
+          return { type: 'apikey', key: scheme.name, value: '{{apiKey}}', in: scheme.in };
+        }
+        if (type === 'oauth2') {
+          const auth = this.convertOAuthFlows(scheme, requirement[name]);
+          if (auth) {
+            const names = auth.grant_type === 'password_credentials'
+              ? ['clientId', 'clientSecret', 'username', 'password']
+              : ['clientId', 'clientSecret'];
+            names.forEach(variable => variables.set(variable, variables.get(variable) ?? ''));
+            return auth;
+          }
+        }
+
+        this.addUnsupported(report, label, `${scheme.type} security`, `Security scheme ${name} (${scheme.type}) is not applied`);
+      }
+    }
+
+    return null;
+  }
+
+  // Pick the first OAuth 2.0 flow the proxy can run, preferring authorization code with PKCE
+  convertOAuthFlows(scheme, scopes) {
+    const flows = scheme.flows || { [SWAGGER_OAUTH2_FLOWS[scheme.flow]]: scheme };
+    const base = {
+      type: 'oauth2',
+      clientId: '{{clientId}}',
+      clientSecret: '{{clientSecret}}',
+      scope: Array.isArray(scopes) ? scopes.join(' ') : ''
+    };
+    const withRefresh = (auth, flow) => (flow.refreshUrl ? { ...auth, refreshTokenUrl: flow.refreshUrl } : auth);
+
+    const { authorizationCode, clientCredentials, password } = flows;
+    if (authorizationCode?.authorizationUrl && authorizationCode.tokenUrl) {
+      return withRefresh({
+        ...base,
+        grant_type: 'authorization_code_with_pkce',
+        authUrl: authorizationCode.authorizationUrl,
+        accessTokenUrl: authorizationCode.tokenUrl
+      }, authorizationCode);
+    }
+    if (clientCredentials?.tokenUrl) {
+      return withRefresh({ ...base, grant_type: 'client_credentials', accessTokenUrl: clientCredentials.tokenUrl }, clientCredentials);
+    }
+    if (password?.tokenUrl) {
+      return withRefresh({
+        ...base,
+        grant_type: 'password_credentials',
+        accessTokenUrl: password.tokenUrl,
+        username: '{{username}}',
+        password: '{{password}}'
+      }, password);
+    }
+
+    return null;
+  }
+
+  addUnsupported(report, path, feature, message) {
+    const exists = report.unsupported.some(item => item.path === path && item.feature === feature && item.message === message);
+    if (!exists) report.unsupported.push({ path, feature, message });
+  }
+}
+
+const openApiService = new OpenApiService();
+export default openApiService;
@@ -0,0 +1,262 @@
+import dns from 'dns';
+import net from 'net';
+import OutboundPolicy from '../models/OutboundPolicy.js';
+import auditService from './auditService.js';
+
+const POLICY_ROLES = ['anonymous', 'user', 'moderator', 'admin'];
+
+// Loopback, private, shared, link-local (cloud metadata), documentation, multicast and reserved ranges
+const PRIVATE_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+  '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15', '198.51.100.0/24',
+  '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '64:ff9b::/96', '64:ff9b:1::/48', '100::/64',
+  '2001:db8::/32', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+const HOST_PATTERN = /^[a-z0-9*._:-]+$/;
+
+class OutboundPolicyService {
+  constructor() {
+    this.cacheTtl = 30 * 1000; // Policies are reloaded at most every 30 seconds
+    this.cache = new Map(); // role -> { policy, loadedAt }
+    this.privateNetworks = this.buildBlockList(PRIVATE_RANGES);
+  }
+
+  getRoles() {
+    return POLICY_ROLES;
+  }
+
+  getRole(user) {
+    return user?.role || 'anonymous';
+  }
+
+  // The policy used for roles an admin has not configured
+  getDefaultPolicy(role) {
+    return {
+      role,
+      blockPrivateNetworks: true,
+      allowlistOnly: false,
+      allow: { cidrs: [], hosts: [], ports: [] },
+      deny: { cidrs: [], hosts: [], ports: [] },
+      isDefault: true
+    };
+  }
+
+  // Get the compiled policy for a user's role
+  async getPolicy(user) {
+    const role = this.getRole(user);
+    const cached = this.cache.get(role);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.policy;
+    }
+
+    const stored = await OutboundPolicy.findOne({ role }).lean();
+    const policy = this.compile(stored ? { ...stored, isDefault: false } : this.getDefaultPolicy(role));
+    this.cache.set(role, { policy, loadedAt: Date.now() });
+
+    return policy;
+  }
+
+  invalidate(role) {
+    if (role) this.cache.delete(role);
+    else this.cache.clear();
+  }
+
+  // Validate a policy sent by an admin, throwing on entries that cannot be matched
+  normalizePolicy(input = {}) {
+    const fail = (message) => { throw new Error(`Invalid outbound policy: ${message}`); };
+    const policy = {};
+
+    for (const key of ['blockPrivateNetworks', 'allowlistOnly']) {
+      if (input[key] !== undefined) {
+        if (typeof input[key] !== 'boolean') fail(`${key} must be a boolean`);
+        policy[key] = input[key];
+      }
+    }
+
+    for (const listName of ['allow', 'deny']) {
+      const list = input[listName] || {};
+      if (typeof list !== 'object' || Array.isArray(list)) fail(`${listName} must be an object of cidrs, hosts and ports`);
+
+      const cidrs = list.cidrs || [];
+      const hosts = list.hosts || [];
+      const ports = list.ports || [];
+      if (![cidrs, hosts, ports].every(Array.isArray)) fail(`${listName} cidrs, hosts and ports must be arrays`);
+
+      for (const cidr of cidrs) {
+        if (!this.parseCidr(cidr)) fail(`${cidr} is not an IP address or CIDR range`);
+      }
+      for (const host of hosts) {
+        if (typeof host !== 'string' || !HOST_PATTERN.test(host.trim().toLowerCase())) fail(`${host} is not a hostname pattern`);
+      }
+      for (const port of ports) {
+        if (!Number.isInteger(port) || port < 1 || port > 65535) fail(`${port} is not a port number`);
+      }
+
+      policy[listName] = {
+        cidrs: cidrs.map(cidr => String(cidr).trim()),
+        hosts: hosts.map(host => host.trim().toLowerCase()),
+        ports
+      };
+    }
+
+    return policy;
+  }
+
+  parseCidr(value) {
+    const [address, prefix, extra] = String(value).trim().split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined) return null;
+    if (prefix === undefined) return { address, prefix: family === 6 ? 128 : 32, family };
+
+    const bits = Number(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (family === 6 ? 128 : 32)) return null;
+    return { address, prefix: bits, family };
+  }
+
+  buildBlockList(cidrs = []) {
+    const list = new net.BlockList();
+    for (const cidr of cidrs) {
+      const parsed = this.parseCidr(cidr);
+      if (parsed) list.addSubnet(parsed.address, parsed.prefix, parsed.family === 6 ? 'ipv6' : 'ipv4');
+    }
+    return list;
+  }
+
+  // Turn hostname patterns into expressions where * matches any characters
+  buildHostPatterns(hosts = []) {
+    return hosts.map(host => new RegExp(`^${host.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i'));
+  }
+
+  compile(policy) {
+    return {
+      ...policy,
+      allowCidrs: this.buildBlockList(policy.allow?.cidrs),
+      denyCidrs: this.buildBlockList(policy.deny?.cidrs),
+      allowHosts: this.buildHostPatterns(policy.allow?.hosts),
+      denyHosts: this.buildHostPatterns(policy.deny?.hosts)
+    };
+  }
+
+  // Lowercase a host and unwrap IPv6 brackets, zone IDs and IPv4-mapped addresses
+  normalizeHost(host) {
+    const hostname = String(host || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    const mapped = hostname.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return mapped[1];
+
+    // The URL parser writes mapped addresses in hex, e.g. ::ffff:7f00:1
+    const hexMapped = hostname.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hexMapped) {
+      const [high, low] = [parseInt(hexMapped[1], 16), parseInt(hexMapped[2], 16)];
+      return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return hostname;
+  }
+
+  isHostAllowed(policy, hostname) {
+    return policy.allowHosts.some(pattern => pattern.test(hostname));
+  }
+
+  // Check the hostname and port, before anything is resolved
+  evaluateHost(policy, hostname, port) {
+    const portNumber = Number(port);
+    const allowPorts = policy.allow?.ports || [];
+
+    if ((policy.deny?.ports || []).includes(portNumber)) return `port ${portNumber} is denied`;
+    if (allowPorts.length > 0 && !allowPorts.includes(portNumber)) return `port ${portNumber} is not allowed`;
+    if (policy.denyHosts.some(pattern => pattern.test(hostname))) return `host ${hostname} is denied`;
+
+    return null;
+  }
+
+  // Check an address the host resolved to. Denied ranges always win, allowed hosts and
+  // ranges are exempt from the private network and allow list checks.
+  evaluateAddress(policy, address, hostAllowed = false) {
+    const ip = this.normalizeHost(address);
+    const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+
+    if (policy.denyCidrs.check(ip, type)) return `address ${ip} is denied`;
+    if (hostAllowed || policy.allowCidrs.check(ip, type)) return null;
+    if (policy.allowlistOnly) return `address ${ip} is not on the allow list`;
+    if (policy.blockPrivateNetworks && this.privateNetworks.check(ip, type)) {
+      return `address ${ip} is in a private or reserved range`;
+    }
+
+    return null;
+  }
+
+  // Create the checks for one outbound request. Blocked connections are recorded in the audit log.
+  createGuard(policy, { user = null, ip = null, url = null } = {}) {
+    const block = (target, reason) => {
+      auditService.record('outbound.blocked', {
+        user,
+        ip,
+        details: { url, ...target, role: policy.role, reason }
+      });
+
+      const error = new Error(`Outbound request blocked by policy: ${reason}`);
+      error.code = 'OUTBOUND_BLOCKED';
+      return error;
+    };
+
+    const checkAddresses = (hostname, port, addresses) => {
+      const hostAllowed = this.isHostAllowed(policy, hostname);
+      for (const address of addresses) {
+        const reason = this.evaluateAddress(policy, address, hostAllowed);
+        if (reason) throw block({ host: hostname, port, address: this.normalizeHost(address) }, reason);
+      }
+    };
+
+    const checkTarget = (host, port) => {
+      const hostname = this.normalizeHost(host);
+      const reason = this.evaluateHost(policy, hostname, port);
+      if (reason) throw block({ host: hostname, port }, reason);
+      if (net.isIP(hostname)) checkAddresses(hostname, port, [hostname]);
+    };
+
+    return {
+      policy,
+      // Check the host and port of a connection. IP addresses are checked here, hostnames when they are resolved.
+      checkTarget,
+
+      // dns.lookup replacement for sockets. Only addresses that pass the policy are returned, so the
+      // socket connects to the address that was checked and DNS rebinding cannot swap it afterwards.
+      lookup: (hostname, options, callback) => {
+        const done = typeof options === 'function' ? options : callback;
+        const lookupOptions = typeof options === 'object' && options !== null ? options : {};
+
+        dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+          if (error) return done(error);
+          try {
+            checkAddresses(this.normalizeHost(hostname), null, addresses.map(entry => entry.address));
+          } catch (blocked) {
+            return done(blocked);
+          }
+
+          if (lookupOptions.all) return done(null, addresses);
+          done(null, addresses[0].address, addresses[0].family);
+        });
+      },
+
+      // Resolve and check a host that something else will connect to, such as the target behind a proxy
+      resolve: async (host, port) => {
+        checkTarget(host, port);
+        const hostname = this.normalizeHost(host);
+        if (net.isIP(hostname)) return [{ address: hostname, family: net.isIP(hostname) }];
+
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        checkAddresses(hostname, port, addresses.map(entry => entry.address));
+        return addresses;
+      }
+    };
+  }
+
+  // Create a guard for a user's outbound request
+  async getGuard(user, context = {}) {
+    return this.createGuard(await this.getPolicy(user), { ...context, user });
+  }
+}
+
+const outboundPolicyService = new OutboundPolicyService();
+export default outboundPolicyService;
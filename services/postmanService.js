@@ -0,0 +1,929 @@
+import Environment from '../models/Environment.js';
+import collectionImportService from './collectionImportService.js';
+import soapService from './soapService.js';
+
+const SCHEMA_V21 = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const SUPPORTED_AUTH_TYPES = ['none', 'bearer', 'basic', 'apikey', 'oauth2', 'digest', 'awsv4', 'hawk'];
+const SUPPORTED_OAUTH2_GRANTS = ['client_credentials', 'password_credentials', 'authorization_code', 'authorization_code_with_pkce'];
+
+// Content-Type Postman sends for raw bodies of each language
+const RAW_CONTENT_TYPES = {
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+  text: 'text/plain'
+};
+
+// Script APIs that the sandbox does not provide
+const UNSUPPORTED_SCRIPT_APIS = [
+  { pattern: /\bpm\.sendRequest\b/, name: 'pm.sendRequest' },
+  { pattern: /\bpm\.cookies\b/, name: 'pm.cookies' },
+  { pattern: /\bpm\.visualizer\b/, name: 'pm.visualizer' },
+  { pattern: /\brequire\s*\(/, name: 'require()' },
+  { pattern: /\bpostman\.\w+/, name: 'legacy postman.* API' },
+  { pattern: /\btests\s*\[/, name: 'legacy tests[] API' }
+];
+
+// Item and request keys that map onto native fields
+const ITEM_KEYS = ['name', 'description', 'item', 'request', 'response', 'event', 'auth'];
+const REQUEST_KEYS = ['url', 'method', 'header', 'body', 'auth', 'description'];
+const IGNORED_KEYS = ['id', '_postman_id', '_postman_isSubFolder'];
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class PostmanService {
+  constructor() {
+    this.limits = {
+      collectionName: 100,
+      folderName: 100,
+      requestName: 200,
+      collectionDescription: 2000,
+      folderDescription: 2000,
+      requestDescription: 5000,
+      environmentName: 100
+    };
+  }
+
+  // Import a Postman collection and store it with its folders, requests and variables
+  async importCollection(user, json) {
+    const { report, ...converted } = this.convertCollection(json);
+    const collection = await collectionImportService.saveCollection(user, converted);
+
+    return { collection, report };
+  }
+
+  // Export a stored collection as a Postman v2.1 collection
+  async exportCollection(collection) {
+    const [tree, variableSet] = await Promise.all([
+      collection.getTree(),
+      Environment.findOne({ scope: 'collection', collectionId: collection._id })
+    ]);
+
+    return this.buildCollection(tree, variableSet ? variableSet.variables : []);
+  }
+
+  // Import a Postman environment, merging a globals export into the user's globals
+  async importEnvironment(user, json) {
+    const { name, scope, variables, extensions, report } = this.convertEnvironment(json);
+
+    if (scope === 'global') {
+      const globals = await Environment.getGlobals(user._id);
+      for (const variable of variables) {
+        const existing = globals.variables.find(item => item.key === variable.key);
+        if (existing) {
+          Object.assign(existing, variable);
+        } else {
+          globals.variables.push(variable);
+        }
+      }
+      await globals.save();
+      return { environment: globals, report };
+    }
+
+    const environment = await Environment.create({
+      name,
+      owner: user._id,
+      scope: 'environment',
+      variables,
+      extensions
+    });
+
+    return { environment, report };
+  }
+
+  // Export a stored environment or globals set as a Postman environment
+  exportEnvironment(environment) {
+    const original = environment.extensions?.postman || {};
+    const originalValues = new Map((original.values || []).map(value => [value.key, value]));
+
+    return {
+      ...original.extra,
+      id: original.id || environment._id.toString(),
+      name: environment.name,
+      values: environment.variables.map(variable => {
+        const base = originalValues.get(variable.key);
+        if (base && isSame(this.convertVariable(base), this.pickVariable(variable))) return base;
+
+        return {
+          ...base,
+          key: variable.key,
+          value: variable.value,
+          type: variable.secret ? 'secret' : (base && base.type !== 'secret' && base.type) || 'default',
+          enabled: variable.enabled
+        };
+      }),
+      _postman_variable_scope: environment.scope === 'global' ? 'globals' : 'environment',
+      _postman_exported_at: new Date().toISOString(),
+      _postman_exported_using: 'PostWomen'
+    };
+  }
+
+  // Convert a Postman collection into native collection fields, variables and an item tree
+  convertCollection(json) {
+    const source = json && json.collection && json.collection.info ? json.collection : json;
+    const version = this.detectVersion(source);
+    const report = {
+      source: 'postman',
+      version,
+      converted: { folders: 0, requests: 0, variables: 0, examples: 0 },
+      warnings: [],
+      unsupported: []
+    };
+
+    const { name, description, schema, ...info } = source.info;
+    const ext = { info };
+    const path = name || 'Collection';
+
+    const collection = {
+      name: this.keep(ext, 'name', name, this.fitText(name, this.limits.collectionName) || 'Imported collection'),
+      description: this.convertDescription(ext, description, this.limits.collectionDescription, path, report),
+      auth: this.convertAuth(ext, source.auth, path, report),
+      scripts: this.convertEvents(ext, source.event, path, report),
+      extensions: { postman: ext }
+    };
+
+    const variables = this.convertVariables(source.variable, path, report);
+    if (Array.isArray(source.variable)) ext.variables = source.variable;
+    report.converted.variables = variables.length;
+
+    this.keepExtra(ext, source, ['info', 'item', 'auth', 'event', 'variable'], path, report);
+
+    const items = this.convertItems(source.item, [], report);
+
+    return { collection, variables, items, report };
+  }
+
+  // Check the collection schema, rejecting formats the converter cannot read
+  detectVersion(source) {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error('Invalid Postman collection: expected a JSON object');
+    }
+    if (!source.info) {
+      if (Array.isArray(source.requests)) {
+        throw new Error('Unsupported Postman collection format v1, re-export it as v2.1');
+      }
+      throw new Error('Invalid Postman collection: missing info');
+    }
+
+    const match = String(source.info.schema || '').match(/\/v(2\.[01]\.\d+)\//);
+    if (!match) {
+      throw new Error(`Unsupported Postman collection schema: ${source.info.schema || 'unknown'}`);
+    }
+    if (source.item !== undefined && !Array.isArray(source.item)) {
+      throw new Error('Invalid Postman collection: item must be an array');
+    }
+
+    return match[1];
+  }
+
+  convertItems(items = [], parents, report) {
+    return items
+      .filter(item => item && typeof item === 'object')
+      .map(item => {
+        const path = [...parents, item.name || 'Untitled'];
+        return Array.isArray(item.item)
+          ? this.convertFolder(item, path, report)
+          : this.convertRequest(item, path, report);
+      });
+  }
+
+  convertFolder(item, path, report) {
+    const ext = {};
+    const pathName = path.join(' / ');
+
+    const folder = {
+      type: 'folder',
+      name: this.keep(ext, 'name', item.name, this.fitText(item.name, this.limits.folderName) || 'Untitled folder'),
+      description: this.convertDescription(ext, item.description, this.limits.folderDescription, pathName, report),
+      auth: this.convertAuth(ext, item.auth, pathName, report),
+      scripts: this.convertEvents(ext, item.event, pathName, report)
+    };
+
+    this.keepExtra(ext, item, ITEM_KEYS, pathName, report);
+    folder.extensions = this.wrapExtensions(ext);
+    folder.items = this.convertItems(item.item, path, report);
+    report.converted.folders++;
+
+    return folder;
+  }
+
+  convertRequest(item, path, report) {
+    const ext = {};
+    const pathName = path.join(' / ');
+    const request = typeof item.request === 'string' ? { url: item.request } : (item.request || {});
+    const method = String(request.method || 'GET').toUpperCase();
+
+    if (!SUPPORTED_METHODS.includes(method)) {
+      this.addUnsupported(report, pathName, 'method', `HTTP method ${method} is not supported, sent as GET`);
+    }
+
+    const url = request.url || '';
+    if (url && typeof url === 'object' && Array.isArray(url.variable) && url.variable.length > 0) {
+      this.addUnsupported(report, pathName, 'path variables', 'Path variables are not substituted');
+    }
+
+    // The URL is always kept so query and path details survive an export
+    if (request.url !== undefined) ext.url = request.url;
+
+    const headerList = this.parseHeaders(request.header);
+    if (headerList.length > 0) ext.headers = headerList;
+
+    const headers = {};
+    for (const header of headerList) {
+      if (header.disabled || !header.key) continue;
+      const value = String(header.value ?? '');
+      if (header.key in headers) {
+        report.warnings.push({ path: pathName, message: `Repeated header ${header.key} was joined into one value` });
+        headers[header.key] = `${headers[header.key]}, ${value}`;
+      } else {
+        headers[header.key] = value;
+      }
+    }
+
+    const body = this.convertBody(request.body);
+    this.reportBody(request.body, pathName, report);
+
+    // Postman adds a Content-Type for raw, urlencoded and GraphQL bodies behind the scenes
+    if (body.contentType && !this.findHeader(headers, 'content-type')) {
+      headers['Content-Type'] = body.contentType;
+      ext.addedHeaders = { 'Content-Type': body.contentType };
+    }
+
+    const examples = (Array.isArray(item.response) ? item.response : [])
+      .filter(response => response && typeof response === 'object')
+      .map(response => this.convertExample(response));
+    report.converted.examples += examples.length;
+
+    const converted = {
+      type: 'request',
+      name: this.keep(ext, 'name', item.name, this.fitText(item.name, this.limits.requestName) || 'Untitled request'),
+      description: this.convertDescription(ext, request.description, this.limits.requestDescription, pathName, report),
+      method: this.keep(ext, 'method', request.method, SUPPORTED_METHODS.includes(method) ? method : 'GET'),
+      url: this.urlToString(url),
+      headers,
+      body: this.keep(ext, 'body', request.body, body.body),
+      bodyType: body.bodyType,
+      auth: this.convertAuth(ext, request.auth, pathName, report),
+      scripts: this.convertEvents(ext, item.event, pathName, report),
+      examples
+    };
+
+    this.keepExtra(ext, item, ITEM_KEYS, pathName, report);
+    const requestExt = {};
+    this.keepExtra(requestExt, request, REQUEST_KEYS, pathName, report);
+    if (requestExt.extra) ext.request = requestExt.extra;
+
+    converted.extensions = this.wrapExtensions(ext);
+    report.converted.requests++;
+
+    return converted;
+  }
+
+  convertExample(response) {
+    const example = {
+      name: response.name || '',
+      code: response.code,
+      status: response.status,
+      headers: this.parseHeaders(response.header)
+        .filter(header => header.key)
+        .map(header => ({ key: header.key, value: String(header.value ?? '') })),
+      body: typeof response.body === 'string' ? response.body : '',
+      previewLanguage: response._postman_previewlanguage,
+      extensions: { postman: { original: response } }
+    };
+
+    return example;
+  }
+
+  // Postman headers are either a list of { key, value, disabled } or raw header lines
+  parseHeaders(header) {
+    if (Array.isArray(header)) return header.filter(item => item && typeof item === 'object');
+    if (typeof header !== 'string') return [];
+
+    return header.split(/\r?\n/)
+      .filter(line => line.includes(':'))
+      .map(line => {
+        const index = line.indexOf(':');
+        return { key: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+      });
+  }
+
+  // Convert a Postman body into the native body and the Content-Type Postman would send
+  convertBody(body) {
+    if (!body || typeof body !== 'object' || body.disabled) {
+      return { body: null, contentType: null };
+    }
+
+    switch (body.mode) {
+      case 'raw': {
+        const language = body.options?.raw?.language;
+        return { body: body.raw ?? '', contentType: RAW_CONTENT_TYPES[language] || null };
+      }
+      case 'urlencoded': {
+        const params = new URLSearchParams();
+        for (const field of body.urlencoded || []) {
+          if (field && field.key && !field.disabled) params.append(field.key, field.value ?? '');
+        }
+        return { body: params.toString(), contentType: 'application/x-www-form-urlencoded' };
+      }
+      case 'graphql': {
+        const { query = '', variables } = body.graphql || {};
+        let parsedVariables = variables;
+        try {
+          parsedVariables = typeof variables === 'string' && variables.trim() ? JSON.parse(variables) : undefined;
+        } catch (error) {
+          parsedVariables = variables;
+        }
+        return { body: { query, variables: parsedVariables }, bodyType: 'graphql', contentType: 'application/json' };
+      }
+      // Files are referenced by their Postman path, like cURL imports, until the file is uploaded with the request.
+      // The multipart boundary is generated when the request is sent, so no Content-Type is added.
+      case 'formdata': {
+        const fields = (body.formdata || []).filter(field => field && field.key).flatMap(field => {
+          const common = { key: field.key, contentType: field.contentType, disabled: field.disabled || undefined };
+          if (field.type !== 'file') return [this.compact({ ...common, type: 'text', value: field.value ?? '' })];
+          const sources = [].concat(field.src ?? '');
+          return (sources.length > 0 ? sources : ['']).map(src => this.compact({ ...common, type: 'file', src: src ?? '' }));
+        });
+        return { body: fields, bodyType: 'form-data', contentType: null };
+      }
+      case 'file':
+        return { body: { src: body.file?.src ?? '' }, bodyType: 'binary', contentType: null };
+      default:
+        return { body: null, contentType: null };
+    }
+  }
+
+  reportBody(body, path, report) {
+    if (!body || typeof body !== 'object') return;
+
+    if (body.disabled) {
+      report.warnings.push({ path, message: 'Disabled body was kept but is not sent' });
+    } else if (body.mode === 'formdata') {
+      for (const field of body.formdata || []) {
+        if (field?.key && field.type === 'file' && !field.disabled) {
+          report.warnings.push({ path, message: `File field ${field.key} needs its file uploaded when the request is sent` });
+        }
+      }
+    } else if (body.mode === 'file') {
+      report.warnings.push({ path, message: 'Binary body needs its file uploaded when the request is sent' });
+    }
+  }
+
+  // Convert Postman auth ({ type, [type]: params }) into the native { type, ...params } shape.
+  // Missing auth means inherit from the parent.
+  convertAuth(ext, auth, path, report) {
+    if (!auth || typeof auth !== 'object' || !auth.type) return null;
+
+    const normalized = this.normalizeAuth(auth);
+    const converted = this.authFromPostman(normalized);
+    this.keep(ext, 'auth', normalized, converted);
+
+    if (converted && !SUPPORTED_AUTH_TYPES.includes(converted.type)) {
+      this.addUnsupported(report, path, `${auth.type} auth`, `${auth.type} auth is not applied by the proxy`);
+    }
+    if (converted?.type === 'oauth2' && converted.grant_type && !SUPPORTED_OAUTH2_GRANTS.includes(converted.grant_type)) {
+      this.addUnsupported(report, path, 'oauth2 auth', `OAuth 2.0 ${converted.grant_type} grant is not supported by the proxy`);
+    }
+
+    return converted;
+  }
+
+  // Postman v2.0 stores auth parameters as an object, v2.1 as a { key, value, type } list
+  normalizeAuth(auth) {
+    const params = auth[auth.type];
+    if (!params || Array.isArray(params) || typeof params !== 'object') return auth;
+
+    return {
+      ...auth,
+      [auth.type]: Object.entries(params).map(([key, value]) => ({
+        key,
+        value,
+        type: typeof value === 'boolean' ? 'boolean' : 'string'
+      }))
+    };
+  }
+
+  authFromPostman(auth) {
+    if (!auth || !auth.type || auth.type === 'inherit') return null;
+    if (auth.type === 'noauth') return { type: 'none' };
+
+    const values = {};
+    for (const param of Array.isArray(auth[auth.type]) ? auth[auth.type] : []) {
+      if (param && param.key) values[param.key] = param.value;
+    }
+
+    return { ...values, type: auth.type };
+  }
+
+  authToPostman(auth, original) {
+    if (!auth || auth.type === 'inherit') return undefined;
+    if (auth.type === 'none') return { type: 'noauth' };
+
+    const { type, ...values } = auth;
+    const originalParams = original && Array.isArray(original[type]) ? original[type] : [];
+    const paramTypes = new Map(originalParams.map(param => [param.key, param.type]));
+
+    return {
+      type,
+      [type]: Object.entries(values).map(([key, value]) => ({
+        key,
+        value,
+        type: paramTypes.get(key) || (typeof value === 'boolean' ? 'boolean' : 'string')
+      }))
+    };
+  }
+
+  // Convert prerequest and test events into native scripts
+  convertEvents(ext, events, path, report) {
+    if (!Array.isArray(events) || events.length === 0) return { preRequest: '', test: '' };
+
+    ext.events = events;
+
+    for (const event of events) {
+      if (!event || !event.script) continue;
+      const label = `${event.listen} script`;
+
+      if (!['prerequest', 'test'].includes(event.listen)) {
+        this.addUnsupported(report, path, label, `${event.listen} scripts are not run`);
+      } else if (event.disabled) {
+        report.warnings.push({ path, message: `Disabled ${label} was kept but is not run` });
+      }
+
+      const source = this.scriptSource(event.script);
+      for (const api of UNSUPPORTED_SCRIPT_APIS) {
+        if (api.pattern.test(source)) {
+          this.addUnsupported(report, path, label, `Uses ${api.name}, which the script sandbox does not provide`);
+        }
+      }
+    }
+
+    return this.eventsToScripts(events);
+  }
+
+  eventsToScripts(events = []) {
+    const scripts = { preRequest: '', test: '' };
+
+    for (const event of events) {
+      if (!event || event.disabled || !event.script) continue;
+      const key = { prerequest: 'preRequest', test: 'test' }[event.listen];
+      if (!key) continue;
+
+      const source = this.scriptSource(event.script);
+      scripts[key] = scripts[key] ? `${scripts[key]}\n${source}` : source;
+    }
+
+    return scripts;
+  }
+
+  scriptSource(script) {
+    return Array.isArray(script.exec) ? script.exec.join('\n') : String(script.exec || '');
+  }
+
+  // Rebuild events, keeping the stored Postman events for any script that was not edited
+  eventsFromScripts(original = [], scripts = {}) {
+    const events = [];
+
+    for (const [listen, key] of [['prerequest', 'preRequest'], ['test', 'test']]) {
+      const current = scripts[key] || '';
+      const originals = original.filter(event => event && event.listen === listen);
+
+      if (this.eventsToScripts(originals)[key] === current) {
+        events.push(...originals);
+        continue;
+      }
+
+      events.push(...originals.filter(event => event.disabled));
+      if (current) {
+        const base = originals.find(event => !event.disabled);
+        events.push({
+          ...base,
+          listen,
+          script: { type: 'text/javascript', ...base?.script, exec: current.split('\n') }
+        });
+      }
+    }
+
+    events.push(...original.filter(event => event && !['prerequest', 'test'].includes(event.listen)));
+
+    return events.length > 0 ? events : undefined;
+  }
+
+  convertVariables(variables, path, report) {
+    if (!Array.isArray(variables)) return [];
+
+    return variables
+      .filter(variable => {
+        if (variable && variable.key) return true;
+        report.warnings.push({ path, message: 'Skipped a variable without a key' });
+        return false;
+      })
+      .map(variable => this.convertVariable(variable));
+  }
+
+  convertVariable(variable) {
+    const value = variable.value === undefined || variable.value === null ? '' : variable.value;
+
+    return {
+      key: variable.key,
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      enabled: variable.enabled !== false && variable.disabled !== true,
+      secret: variable.type === 'secret'
+    };
+  }
+
+  pickVariable({ key, value, enabled, secret }) {
+    return { key, value, enabled, secret };
+  }
+
+  variablesToPostman(variables, original = []) {
+    const originalVariables = new Map(original.map(variable => [variable.key, variable]));
+
+    return variables.map(variable => {
+      const base = originalVariables.get(variable.key);
+      if (base && isSame(this.convertVariable(base), this.pickVariable(variable))) return base;
+
+      const exported = {
+        ...base,
+        key: variable.key,
+        value: variable.value,
+        type: variable.secret ? 'secret' : (base && base.type !== 'secret' && base.type) || 'string'
+      };
+      delete exported.enabled;
+      if (variable.enabled) {
+        delete exported.disabled;
+      } else {
+        exported.disabled = true;
+      }
+      return exported;
+    });
+  }
+
+  // Descriptions can be a string or { content, type }; long ones are truncated natively
+  convertDescription(ext, description, limit, path, report) {
+    const text = typeof description === 'string' ? description : (description?.content || '');
+    if (text.length > limit) {
+      report.warnings.push({ path, message: `Description was truncated to ${limit} characters` });
+    }
+    return this.keep(ext, 'description', description, this.fitText(text, limit));
+  }
+
+  descriptionText(description, limit) {
+    const text = typeof description === 'string' ? description : (description?.content || '');
+    return this.fitText(text, limit);
+  }
+
+  fitText(value, limit) {
+    return typeof value === 'string' ? value.trim().slice(0, limit) : '';
+  }
+
+  urlToString(url) {
+    if (!url) return '';
+    if (typeof url === 'string') return url.trim();
+    if (typeof url.raw === 'string') return url.raw.trim();
+
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const query = (url.query || [])
+      .filter(param => param && !param.disabled)
+      .map(param => (param.value === null || param.value === undefined ? param.key : `${param.key}=${param.value}`))
+      .join('&');
+
+    return `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}` +
+      `${path ? `/${path}` : ''}${query ? `?${query}` : ''}${url.hash ? `#${url.hash}` : ''}`;
+  }
+
+  // Split a raw URL into the structured form Postman shows in its editor
+  urlToPostman(raw) {
+    const url = { raw };
+    const match = raw.match(/^(?:([a-z][\w+.-]*):\/\/)?([^/?#]*)([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i);
+    if (!match) return url;
+
+    const [, protocol, authority, path, query, hash] = match;
+    const [, host, port] = authority.match(/^(.*?)(?::(\d+))?$/);
+
+    if (protocol) url.protocol = protocol;
+    if (host) url.host = host.split('.');
+    if (port) url.port = port;
+    if (path) url.path = path.split('/').slice(1);
+    if (query) {
+      url.query = query.split('&').map(pair => {
+        const index = pair.indexOf('=');
+        return index === -1
+          ? { key: pair, value: null }
+          : { key: pair.slice(0, index), value: pair.slice(index + 1) };
+      });
+    }
+    if (hash) url.hash = hash;
+
+    return url;
+  }
+
+  // Rebuild the Postman header list, keeping disabled and unchanged entries in place
+  headersToPostman(headers = {}, original = [], added = {}) {
+    const remaining = { ...headers };
+    for (const [key, value] of Object.entries(added)) {
+      if (remaining[key] === value) delete remaining[key];
+    }
+
+    const joined = {};
+    for (const header of original) {
+      if (header.disabled || !header.key) continue;
+      const value = String(header.value ?? '');
+      joined[header.key] = header.key in joined ? `${joined[header.key]}, ${value}` : value;
+    }
+
+    const list = [];
+    const emitted = new Set();
+    for (const header of original) {
+      if (header.disabled || !header.key) {
+        list.push(header);
+      } else if (joined[header.key] === remaining[header.key]) {
+        list.push(header);
+        emitted.add(header.key);
+      } else if (header.key in remaining && !emitted.has(header.key)) {
+        list.push({ ...header, value: String(remaining[header.key]) });
+        emitted.add(header.key);
+      }
+    }
+
+    for (const [key, value] of Object.entries(remaining)) {
+      if (!emitted.has(key)) list.push({ key, value: String(value), type: 'text' });
+    }
+
+    return list;
+  }
+
+  bodyToPostman(body, headers = {}, bodyType = 'raw') {
+    if (body === null || body === undefined || body === '') return undefined;
+
+    if (bodyType === 'graphql' && typeof body === 'object') {
+      const { query = '', variables } = body;
+      return {
+        mode: 'graphql',
+        graphql: { query, variables: typeof variables === 'string' ? variables : JSON.stringify(variables ?? {}, null, 2) }
+      };
+    }
+
+    if (bodyType === 'form-data' && Array.isArray(body)) {
+      return {
+        mode: 'formdata',
+        formdata: body.filter(field => field && field.key).map(field => this.compact({
+          key: field.key,
+          type: field.type === 'file' ? 'file' : 'text',
+          value: field.type === 'file' ? undefined : (typeof field.value === 'string' ? field.value : JSON.stringify(field.value ?? '')),
+          src: field.type === 'file' ? field.src : undefined,
+          contentType: field.contentType,
+          disabled: field.disabled || undefined
+        }))
+      };
+    }
+
+    if (bodyType === 'binary' && typeof body === 'object') {
+      return { mode: 'file', file: { src: body.src ?? '' } };
+    }
+
+    // Postman has no SOAP mode, envelopes are exported as raw XML
+    if (bodyType === 'soap' && typeof body === 'object') {
+      return { mode: 'raw', raw: body.envelope ?? '', options: { raw: { language: 'xml' } } };
+    }
+
+    if (typeof body !== 'string') {
+      return { mode: 'raw', raw: JSON.stringify(body, null, 2), options: { raw: { language: 'json' } } };
+    }
+
+    const contentType = this.findHeader(headers, 'content-type') || '';
+    if (/x-www-form-urlencoded/i.test(contentType)) {
+      return {
+        mode: 'urlencoded',
+        urlencoded: [...new URLSearchParams(body)].map(([key, value]) => ({ key, value, type: 'text' }))
+      };
+    }
+
+    const language = Object.keys(RAW_CONTENT_TYPES).find(name => contentType.includes(RAW_CONTENT_TYPES[name])) || 'text';
+    return { mode: 'raw', raw: body, options: { raw: { language } } };
+  }
+
+  // SOAP requests send Content-Type and SOAPAction headers from the body, which a raw Postman body needs spelled out
+  withSoapHeaders(headers, body) {
+    let operation;
+    try {
+      operation = soapService.normalizeBody(body);
+    } catch {
+      return headers;
+    }
+
+    const added = Object.entries(soapService.getHeaders(operation))
+      .filter(([name]) => this.findHeader(headers, name.toLowerCase()) === undefined);
+    return { ...headers, ...Object.fromEntries(added) };
+  }
+
+  findHeader(headers, name) {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+  }
+
+  // Build a Postman v2.1 collection from a native collection tree
+  buildCollection(tree, variables = []) {
+    const ext = tree.extensions?.postman || {};
+
+    const collection = {
+      info: {
+        _postman_id: tree._id.toString(),
+        ...ext.info,
+        name: this.restore(ext, 'name', tree.name, name => this.fitText(name, this.limits.collectionName)),
+        description: this.restore(ext, 'description', tree.description,
+          description => this.descriptionText(description, this.limits.collectionDescription)) || undefined,
+        schema: SCHEMA_V21
+      },
+      ...ext.extra,
+      item: tree.items.map(item => this.buildItem(item))
+    };
+
+    const auth = this.exportAuth(ext, tree.auth);
+    if (auth) collection.auth = auth;
+
+    const events = this.eventsFromScripts(ext.events, tree.scripts);
+    if (events) collection.event = events;
+
+    if (variables.length > 0) {
+      collection.variable = this.variablesToPostman(variables, ext.variables);
+    }
+
+    return collection;
+  }
+
+  buildItem(item) {
+    return item.type === 'folder' ? this.buildFolder(item) : this.buildRequest(item);
+  }
+
+  buildFolder(folder) {
+    const ext = folder.extensions?.postman || {};
+
+    const exported = {
+      ...ext.extra,
+      name: this.restore(ext, 'name', folder.name, name => this.fitText(name, this.limits.folderName)),
+      description: this.restore(ext, 'description', folder.description,
+        description => this.descriptionText(description, this.limits.folderDescription)) || undefined,
+      item: folder.items.map(item => this.buildItem(item)),
+      auth: this.exportAuth(ext, folder.auth),
+      event: this.eventsFromScripts(ext.events, folder.scripts)
+    };
+
+    return this.compact(exported);
+  }
+
+  buildRequest(request) {
+    const ext = request.extensions?.postman || {};
+    const headers = request.bodyType === 'soap'
+      ? this.withSoapHeaders(request.headers || {}, request.body)
+      : request.headers || {};
+
+    const exported = {
+      ...ext.extra,
+      name: this.restore(ext, 'name', request.name, name => this.fitText(name, this.limits.requestName)),
+      event: this.eventsFromScripts(ext.events, request.scripts),
+      request: this.compact({
+        ...ext.request,
+        method: this.restore(ext, 'method', request.method, method => {
+          const upper = String(method || 'GET').toUpperCase();
+          return SUPPORTED_METHODS.includes(upper) ? upper : 'GET';
+        }),
+        header: this.headersToPostman(headers, ext.headers, ext.addedHeaders),
+        body: 'body' in ext && isSame(this.convertBody(ext.body).body, request.body)
+          ? ext.body
+          : this.bodyToPostman(request.body, headers, request.bodyType),
+        url: 'url' in ext && this.urlToString(ext.url) === request.url
+          ? ext.url
+          : this.urlToPostman(request.url || ''),
+        auth: this.exportAuth(ext, request.auth),
+        description: this.restore(ext, 'description', request.description,
+          description => this.descriptionText(description, this.limits.requestDescription)) || undefined
+      }),
+      response: (request.examples || []).map(example => this.buildExample(example))
+    };
+
+    return this.compact(exported);
+  }
+
+  buildExample(example) {
+    const original = example.extensions?.postman?.original;
+    const current = {
+      name: example.name,
+      code: example.code,
+      status: example.status,
+      headers: (example.headers || []).map(({ key, value }) => ({ key, value })),
+      body: example.body,
+      previewLanguage: example.previewLanguage
+    };
+
+    if (original) {
+      const { extensions, ...converted } = this.convertExample(original);
+      if (isSame(converted, current)) return original;
+    }
+
+    return this.compact({
+      ...original,
+      name: current.name,
+      code: current.code,
+      status: current.status,
+      header: current.headers,
+      body: current.body,
+      _postman_previewlanguage: current.previewLanguage
+    });
+  }
+
+  exportAuth(ext, auth) {
+    if ('auth' in ext && isSame(this.authFromPostman(ext.auth), auth ?? null)) return ext.auth;
+    return this.authToPostman(auth, ext.auth);
+  }
+
+  // Keep the Postman original when converting it lost information
+  keep(ext, field, original, converted) {
+    if (original !== undefined && !isSame(original, converted)) {
+      ext[field] = original;
+    }
+    return converted;
+  }
+
+  // Prefer the stored Postman original while the native value still matches it
+  restore(ext, field, current, convert) {
+    if (field in ext && isSame(convert(ext[field]), current)) return ext[field];
+    return current;
+  }
+
+  // Keep keys that have no native field, reporting the ones that change behaviour
+  keepExtra(ext, source, knownKeys, path, report) {
+    const extra = {};
+
+    for (const [key, value] of Object.entries(source)) {
+      if (knownKeys.includes(key)) continue;
+      extra[key] = value;
+      if (!IGNORED_KEYS.includes(key)) {
+        this.addUnsupported(report, path, key, `${key} is not used by PostWomen`);
+      }
+    }
+
+    if (Object.keys(extra).length > 0) ext.extra = extra;
+  }
+
+  wrapExtensions(ext) {
+    return Object.keys(ext).length > 0 ? { postman: ext } : {};
+  }
+
+  addUnsupported(report, path, feature, message) {
+    report.unsupported.push({ path, feature, message, preserved: true });
+  }
+
+  // Drop undefined and empty list fields so the export stays close to Postman's own output
+  compact(object) {
+    for (const [key, value] of Object.entries(object)) {
+      if (value === undefined || (Array.isArray(value) && value.length === 0 && key !== 'item')) {
+        delete object[key];
+      }
+    }
+    return object;
+  }
+
+  // Convert a Postman environment or globals export
+  convertEnvironment(json) {
+    if (!json || typeof json !== 'object' || !Array.isArray(json.values)) {
+      throw new Error('Invalid Postman environment: expected a values array');
+    }
+
+    const { id, name, values, _postman_variable_scope: scope, ...rest } = json;
+    const path = name || 'Environment';
+    const report = {
+      source: 'postman',
+      version: null,
+      converted: { variables: 0 },
+      warnings: [],
+      unsupported: []
+    };
+
+    const variables = this.convertVariables(values, path, report);
+    report.converted.variables = variables.length;
+
+    // Export metadata is regenerated on export
+    const extra = { ...rest };
+    delete extra._postman_exported_at;
+    delete extra._postman_exported_using;
+
+    const ext = { values };
+    if (id) ext.id = id;
+    if (Object.keys(extra).length > 0) ext.extra = extra;
+
+    return {
+      name: this.fitText(name, this.limits.environmentName) || 'Imported environment',
+      scope: scope === 'globals' ? 'global' : 'environment',
+      variables,
+      extensions: { postman: ext },
+      report
+    };
+  }
+}
+
+const postmanService = new PostmanService();
+export default postmanService;
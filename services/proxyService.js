@@ -0,0 +1,472 @@
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import variableService from './variableService.js';
+import scriptService from './scriptService.js';
+import oauthService from './oauthService.js';
+import authSignatureService from './authSignatureService.js';
+import bodyService from './bodyService.js';
+import agentService from './agentService.js';
+import cookieService from './cookieService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+import graphqlService from './graphqlService.js';
+import soapService from './soapService.js';
+import advancedResponseService from './advancedResponseService.js';
+
+class ProxyService {
+  constructor() {
+    this.defaultTimeout = 30000; // 30 seconds timeout
+    this.defaultMaxRedirects = 10;
+    this.userAgent = 'Postman-MVP/1.0';
+  }
+
+  // Build the axios config for a resolved request and its validated settings
+  buildAxiosConfig({ url, method = 'GET', headers = {} }, settings = {}) {
+    const config = {
+      method: method.toLowerCase(),
+      url,
+      headers: {
+        ...headers,
+        'User-Agent': this.userAgent
+      },
+      timeout: settings.timeout || this.defaultTimeout,
+      maxRedirects: settings.followRedirects === false ? 0 : (settings.maxRedirects ?? this.defaultMaxRedirects),
+      responseType: 'arraybuffer', // Decoded by bodyService so binary responses survive
+      maxBodyLength: Infinity, // Upload sizes are limited when they are received
+      validateStatus: () => true // Accept all status codes
+    };
+
+    return config;
+  }
+
+  // Remove the Cookie header the client set, whatever its case, and return its value
+  takeCookieHeader(headers) {
+    let value = '';
+    for (const name of Object.keys(headers)) {
+      if (name.toLowerCase() === 'cookie') {
+        value = [value, headers[name]].filter(Boolean).join('; ');
+        delete headers[name];
+      }
+    }
+    return value;
+  }
+
+  // Set the Cookie header for a URL from the jar, after any cookies the client set by hand
+  applyCookieHeader(headers, jar, url, manualCookie = '') {
+    this.takeCookieHeader(headers);
+    const cookies = [manualCookie, jar.getCookieStringSync(url)].filter(Boolean).join('; ');
+    if (cookies) headers.Cookie = cookies;
+  }
+
+  // Normalize a GraphQL body and validate its query, throwing when it cannot be sent
+  prepareGraphQL({ url, body }, user) {
+    let operation;
+    let errors;
+    try {
+      operation = graphqlService.normalizeBody(body);
+      errors = graphqlService.validateQuery(operation.query, graphqlService.getCachedSchema(user, url)?.schema);
+    } catch (error) {
+      errors = [{ message: error.message, locations: [] }];
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.map(item => item.message).join('; '));
+      error.code = 'GRAPHQL_VALIDATION_FAILED';
+      error.graphqlErrors = errors;
+      throw error;
+    }
+
+    return operation;
+  }
+
+  // Add the body for POST, PUT, PATCH requests and return a JSON-safe summary of it
+  applyBody(config, { body, bodyType }, files = []) {
+    // GraphQL over GET sends the operation in the query string
+    if (bodyType === 'graphql' && config.method === 'get' && body) {
+      config.params = { ...config.params, ...graphqlService.toQueryParams(body) };
+      return body;
+    }
+    if (!['post', 'put', 'patch'].includes(config.method) || !body) return null;
+
+    const built = bodyService.buildBody({ body, bodyType }, files);
+    for (const [name, value] of Object.entries(built.headers)) {
+      const existing = Object.keys(config.headers).filter(header => header.toLowerCase() === name.toLowerCase());
+      if (existing.length > 0 && !(built.replaceContentType && name.toLowerCase() === 'content-type')) continue;
+      existing.forEach(header => delete config.headers[header]);
+      config.headers[name] = value;
+    }
+    config.data = built.data;
+
+    return built.summary;
+  }
+
+  // Apply request authentication to the axios config.
+  // OAuth 2.0 tokens are stored against the user, anonymous requests fetch a fresh one.
+  async applyAuth(config, auth, user = null) {
+    if (!auth) return;
+
+    switch (auth.type) {
+      case 'bearer':
+        config.headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'apikey':
+        if (auth.key && auth.value) {
+          if (auth.in === 'query') {
+            config.params = { ...config.params, [auth.key]: auth.value };
+          } else {
+            config.headers[auth.key] = auth.value;
+          }
+        }
+        break;
+      case 'basic':
+        if (auth.username && auth.password) {
+          const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+          config.headers.Authorization = `Basic ${credentials}`;
+        }
+        break;
+      case 'oauth2': {
+        const token = await oauthService.getAccessToken(user, auth);
+        if (auth.addTokenTo === 'queryParams') {
+          config.params = { ...config.params, access_token: token.accessToken };
+        } else {
+          const prefix = auth.headerPrefix ?? (/^bearer$/i.test(token.tokenType) ? 'Bearer' : token.tokenType);
+          config.headers.Authorization = prefix ? `${prefix} ${token.accessToken}` : token.accessToken;
+        }
+        break;
+      }
+      case 'digest':
+        // Digest needs the server's challenge, so it is only sent up front when a nonce is configured
+        if (auth.nonce && auth.realm !== undefined) {
+          const { url, body } = authSignatureService.prepareForSigning(config);
+          config.headers.Authorization = authSignatureService.digestAuthorization(auth, auth, {
+            method: config.method.toUpperCase(),
+            url,
+            body
+          });
+        }
+        break;
+      case 'awsv4':
+        authSignatureService.signAwsV4(config, auth);
+        break;
+      case 'hawk':
+        authSignatureService.signHawk(config, auth);
+        break;
+      case 'hmac':
+        authSignatureService.signHmac(config, auth);
+        break;
+    }
+  }
+
+  // Send the request, answering a Digest challenge with one authenticated retry.
+  // Streamed bodies are consumed by the first attempt, so rebuildBody recreates them.
+  async sendRequest(config, auth, rebuildBody = () => {}) {
+    const response = await axios(config);
+
+    if (auth?.type !== 'digest' || response.status !== 401 || !auth.username) {
+      return response;
+    }
+
+    const challenge = authSignatureService.parseDigestChallenge(response.headers['www-authenticate']);
+    if (!challenge) return response;
+
+    rebuildBody();
+    const { url, body } = authSignatureService.prepareForSigning(config);
+    config.headers.Authorization = authSignatureService.digestAuthorization(auth, challenge, {
+      method: config.method.toUpperCase(),
+      url,
+      body
+    });
+
+    return axios(config);
+  }
+
+  // Run one script stage and fold its logs and errors into the execution state
+  async runScriptStage(script, eventName, state, payload) {
+    if (!scriptService.hasScript(script)) return null;
+
+    const result = await scriptService.runScript(script, {
+      eventName,
+      variables: state.variables,
+      iterationData: state.iterationData,
+      info: state.info,
+      ...payload
+    });
+
+    state.variables = result.variables;
+    state.scriptLogs.push(...result.logs.map(log => ({ ...log, event: eventName })));
+    if (result.error) state.scriptErrors.push({ ...result.error, event: eventName });
+
+    return result;
+  }
+
+  // Execute a request the way /api/proxy does: pre-request script, variable
+  // resolution, auth, the HTTP call and the test script.
+  // Returns the response payload, the updated variable maps, whether the call failed,
+  // whether the outbound policy blocked it and whether it was rejected as invalid before sending.
+  async executeRequest(request, {
+    variables, iterationData = {}, info = {}, user = null, files = [], settings = null, clientIp = null
+  } = {}) {
+    const scripts = request.scripts || {};
+    const state = {
+      variables,
+      iterationData,
+      info,
+      scriptLogs: [],
+      scriptErrors: []
+    };
+    let sentRequest = null;
+    let unresolvedVariables = [];
+    let agents = null;
+    const isGraphQL = request.bodyType === 'graphql';
+    const isSOAP = request.bodyType === 'soap';
+    const defaultMethod = isGraphQL || isSOAP ? 'POST' : 'GET';
+
+    try {
+      // Run the pre-request script before resolving placeholders so it can set variables
+      let requestTemplate = request;
+      const preRequest = await this.runScriptStage(scripts.preRequest, 'prerequest', state, {
+        request: {
+          url: request.url,
+          method: request.method || defaultMethod,
+          headers: request.headers || {},
+          body: request.body
+        }
+      });
+      if (preRequest) {
+        requestTemplate = { ...requestTemplate, ...preRequest.request };
+      }
+
+      // Request settings override the environment's
+      if (settings || request.settings) {
+        requestTemplate = { ...requestTemplate, settings: { ...settings, ...request.settings } };
+      }
+
+      const resolution = variableService.resolveRequest(
+        requestTemplate,
+        variableService.buildVariables(state.variables, iterationData)
+      );
+      unresolvedVariables = resolution.unresolvedVariables;
+
+      // GraphQL operations are checked before sending, against the schema when it has been introspected
+      if (isGraphQL) {
+        resolution.request.body = this.prepareGraphQL(resolution.request, user);
+      }
+      // SOAP envelopes are checked to be well-formed and their version read from the namespace
+      if (isSOAP) {
+        resolution.request.body = soapService.normalizeBody(resolution.request.body);
+      }
+
+      const requestSettings = agentService.normalizeSettings(resolution.request.settings || {});
+      const config = this.buildAxiosConfig({ ...resolution.request, method: resolution.request.method || defaultMethod }, requestSettings);
+      const bodySummary = this.applyBody(config, resolution.request, files);
+
+      // Send and collect cookies through the user's jar unless the request turns it off
+      const jar = requestSettings.useCookieJar === false ? null : await cookieService.loadJar(user);
+      const receivedCookies = [];
+      const firstHost = new URL(axios.getUri(config)).host;
+      const manualCookie = jar ? this.takeCookieHeader(config.headers) : '';
+      if (jar) this.applyCookieHeader(config.headers, jar, axios.getUri(config), manualCookie);
+
+      await this.applyAuth(config, resolution.request.auth, user);
+
+      // Keep a copy of exactly what is sent so the client can inspect it
+      sentRequest = {
+        method: config.method.toUpperCase(),
+        url: config.url,
+        headers: { ...config.headers },
+        body: bodySummary,
+        bodyType: config.data === undefined ? null : (resolution.request.bodyType || 'raw')
+      };
+
+      // Fresh agents per request so every phase of the connection can be timed
+      // Every connection, including redirects, is checked against the user's outbound policy
+      const guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: sentRequest.url });
+      agents = agentService.createAgents(requestSettings, guard);
+      config.httpAgent = agents.httpAgent;
+      config.httpsAgent = agents.httpsAgent;
+
+      // Record each hop when redirects are followed
+      const redirects = [];
+      let currentUrl = axios.getUri(config);
+      config.beforeRedirect = (options, { headers, statusCode }) => {
+        redirects.push({ url: currentUrl, status: statusCode, location: headers.location });
+        if (jar) {
+          receivedCookies.push(...cookieService.storeResponseCookies(jar, currentUrl, headers));
+          // Hand-set cookies only follow redirects to the same host
+          const sameHost = new URL(options.href).host === firstHost;
+          this.applyCookieHeader(options.headers, jar, options.href, sameHost ? manualCookie : '');
+        }
+        currentUrl = options.href;
+      };
+
+      const response = await this.sendRequest(config, resolution.request.auth,
+        () => this.applyBody(config, resolution.request, files));
+      const timings = agentService.getTimings(agents.connection);
+      const duration = Math.round(timings.total);
+      sentRequest.headers = { ...config.headers };
+      const decoded = bodyService.decodeResponse(response.data, response.headers, config.url, { user, clientIp });
+
+      if (jar) {
+        receivedCookies.push(...cookieService.storeResponseCookies(jar, currentUrl, response.headers));
+        await cookieService.saveCookies(user, receivedCookies).catch(error => {
+          console.error('Failed to save cookies:', error.message);
+        });
+      }
+
+      await advancedResponseService.recordPerformance(uuidv4(), {
+        ...timings,
+        requestSize: agents.connection.socket?.bytesWritten || 0,
+        responseSize: decoded.size
+      });
+
+      const soap = isSOAP ? soapService.parseResponse(decoded.text) : undefined;
+
+      // Run the test script against the response
+      const testRun = await this.runScriptStage(scripts.test, 'test', state, {
+        request: sentRequest,
+        response: {
+          code: response.status,
+          status: response.statusText,
+          headers: response.headers,
+          text: decoded.text,
+          responseTime: duration,
+          size: decoded.size,
+          soap
+        }
+      });
+
+      return {
+        failed: false,
+        variables: state.variables,
+        result: {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          data: decoded.data,
+          bodyEncoding: decoded.bodyEncoding,
+          download: decoded.download,
+          duration,
+          timings,
+          redirects,
+          finalUrl: currentUrl,
+          graphql: isGraphQL ? await graphqlService.splitResponse(decoded.data) : undefined,
+          soap,
+          cookies: receivedCookies.filter(cookie => cookie.TTL() > 0).map(cookie => cookieService.toPlain(cookie)),
+          remoteAddress: agents.connection.remoteAddress,
+          tls: agents.connection.tls,
+          size: decoded.size,
+          resolvedRequest: sentRequest,
+          unresolvedVariables,
+          tests: testRun ? testRun.tests : [],
+          scriptLogs: state.scriptLogs,
+          scriptErrors: state.scriptErrors
+        }
+      };
+    } catch (error) {
+      console.error('Proxy request error:', error.message);
+
+      if (error.code === 'GRAPHQL_VALIDATION_FAILED') {
+        return {
+          failed: true,
+          invalid: true,
+          variables: state.variables,
+          result: {
+            error: 'GraphQL validation failed',
+            message: error.message,
+            code: error.code,
+            graphqlErrors: error.graphqlErrors,
+            unresolvedVariables,
+            scriptLogs: state.scriptLogs,
+            scriptErrors: state.scriptErrors
+          }
+        };
+      }
+
+      if (error.code === 'INVALID_SOAP_ENVELOPE') {
+        return {
+          failed: true,
+          invalid: true,
+          variables: state.variables,
+          result: {
+            error: 'Invalid SOAP envelope',
+            message: error.message,
+            code: error.code,
+            unresolvedVariables,
+            scriptLogs: state.scriptLogs,
+            scriptErrors: state.scriptErrors
+          }
+        };
+      }
+
+      if (error.code === 'OUTBOUND_BLOCKED') {
+        return {
+          failed: true,
+          blocked: true,
+          variables: state.variables,
+          result: {
+            error: 'Blocked by outbound policy',
+            message: error.message,
+            code: error.code,
+            resolvedRequest: sentRequest,
+            unresolvedVariables,
+            scriptLogs: state.scriptLogs,
+            scriptErrors: state.scriptErrors
+          }
+        };
+      }
+
+      if (error.response) {
+        // Server responded with error status
+        const decoded = bodyService.decodeResponse(error.response.data, error.response.headers, sentRequest?.url, { user, clientIp });
+        return {
+          failed: false,
+          variables: state.variables,
+          result: {
+            status: error.response.status,
+            statusText: error.response.statusText,
+            headers: error.response.headers,
+            data: decoded.data,
+            bodyEncoding: decoded.bodyEncoding,
+            download: decoded.download,
+            duration: 0,
+            size: decoded.size,
+            resolvedRequest: sentRequest,
+            unresolvedVariables,
+            tests: [],
+            scriptLogs: state.scriptLogs,
+            scriptErrors: state.scriptErrors
+          }
+        };
+      } else if (error.request) {
+        // Request timeout or network error
+        return {
+          failed: true,
+          variables: state.variables,
+          result: {
+            error: 'Network error or timeout',
+            message: error.message,
+            code: error.code,
+            resolvedRequest: sentRequest,
+            unresolvedVariables,
+            scriptLogs: state.scriptLogs,
+            scriptErrors: state.scriptErrors
+          }
+        };
+      }
+
+      // Other errors
+      return {
+        failed: true,
+        variables: state.variables,
+        result: {
+          error: 'Request failed',
+          message: error.message
+        }
+      };
+    } finally {
+      agents?.destroy();
+    }
+  }
+}
+
+const proxyService = new ProxyService();
+export default proxyService;
@@ -0,0 +1,347 @@
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+
+// Everything the script can touch is created inside the sandbox realm by this bootstrap.
+// It is injected as source text, so it must not reference anything outside its own body.
+function sandboxBootstrap() {
+  const input = JSON.parse(globalThis.__input);
+  const stringify = JSON.stringify;
+  delete globalThis.__input;
+
+  const tests = [];
+  const logs = [];
+  const scopes = {
+    local: { ...input.variables.local },
+    environment: { ...input.variables.environment },
+    collection: { ...input.variables.collection },
+    globals: { ...input.variables.globals }
+  };
+  const iterationData = { ...(input.iterationData || {}) };
+
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  };
+
+  const makeConsole = () => {
+    const log = (level) => (...args) => {
+      logs.push({ level, message: args.map(format).join(' ') });
+    };
+    return { log: log('log'), info: log('info'), warn: log('warn'), error: log('error'), debug: log('debug') };
+  };
+
+  const makeScope = (store) => ({
+    get: (key) => store[key],
+    set: (key, value) => { store[key] = value === undefined || value === null ? '' : String(value); },
+    has: (key) => Object.prototype.hasOwnProperty.call(store, key),
+    unset: (key) => { delete store[key]; },
+    clear: () => { Object.keys(store).forEach(key => delete store[key]); },
+    toObject: () => ({ ...store })
+  });
+
+  // Resolution order matches the proxy: local > environment > collection > globals
+  const lookup = (key) => {
+    for (const store of [scopes.local, iterationData, scopes.environment, scopes.collection, scopes.globals]) {
+      if (Object.prototype.hasOwnProperty.call(store, key)) return store[key];
+    }
+    return undefined;
+  };
+
+  const makeHeaderList = (headers) => {
+    const find = (name) => Object.keys(headers).find(key => key.toLowerCase() === String(name).toLowerCase());
+    return {
+      get: (name) => {
+        const key = find(name);
+        return key === undefined ? undefined : headers[key];
+      },
+      has: (name) => find(name) !== undefined,
+      add: ({ key, value }) => { headers[key] = value; },
+      upsert: ({ key, value }) => {
+        const existing = find(key);
+        if (existing !== undefined) delete headers[existing];
+        headers[key] = value;
+      },
+      remove: (name) => {
+        const key = find(name);
+        if (key !== undefined) delete headers[key];
+      },
+      toObject: () => ({ ...headers })
+    };
+  };
+
+  // Minimal chai-style assertion chain
+  const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+  };
+
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  };
+
+  const expect = (actual, customMessage) => {
+    const flags = { negate: false, deep: false };
+    const chain = {};
+
+    const assert = (passed, message, negatedMessage) => {
+      const ok = flags.negate ? !passed : passed;
+      if (!ok) {
+        const error = new Error(customMessage ? `${customMessage}: ${flags.negate ? negatedMessage : message}` : (flags.negate ? negatedMessage : message));
+        error.name = 'AssertionError';
+        throw error;
+      }
+      return chain;
+    };
+
+    for (const word of ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does']) {
+      Object.defineProperty(chain, word, { get: () => chain });
+    }
+    Object.defineProperty(chain, 'not', { get: () => { flags.negate = !flags.negate; return chain; } });
+    Object.defineProperty(chain, 'deep', { get: () => { flags.deep = true; return chain; } });
+
+    const property = (name, fn) => Object.defineProperty(chain, name, { get: fn });
+    property('ok', () => assert(!!actual, `expected ${format(actual)} to be truthy`, `expected ${format(actual)} to be falsy`));
+    property('true', () => assert(actual === true, `expected ${format(actual)} to be true`, `expected ${format(actual)} not to be true`));
+    property('false', () => assert(actual === false, `expected ${format(actual)} to be false`, `expected ${format(actual)} not to be false`));
+    property('null', () => assert(actual === null, `expected ${format(actual)} to be null`, `expected ${format(actual)} not to be null`));
+    property('undefined', () => assert(actual === undefined, `expected ${format(actual)} to be undefined`, `expected ${format(actual)} not to be undefined`));
+    property('exist', () => assert(actual !== null && actual !== undefined, `expected ${format(actual)} to exist`, `expected ${format(actual)} not to exist`));
+    property('empty', () => {
+      const size = typeof actual === 'string' || Array.isArray(actual) ? actual.length : Object.keys(actual || {}).length;
+      return assert(size === 0, `expected ${format(actual)} to be empty`, `expected ${format(actual)} not to be empty`);
+    });
+
+    const typeAssertion = (type) => assert(
+      typeOf(actual) === String(type).toLowerCase(),
+      `expected ${format(actual)} to be a ${type}`,
+      `expected ${format(actual)} not to be a ${type}`
+    );
+    chain.a = typeAssertion;
+    chain.an = typeAssertion;
+
+    const equal = (expected) => {
+      const passed = flags.deep ? deepEqual(actual, expected) : actual === expected;
+      return assert(passed, `expected ${format(actual)} to equal ${format(expected)}`, `expected ${format(actual)} not to equal ${format(expected)}`);
+    };
+    chain.equal = equal;
+    chain.equals = equal;
+    chain.eq = equal;
+    chain.eql = (expected) => assert(deepEqual(actual, expected), `expected ${format(actual)} to deeply equal ${format(expected)}`, `expected ${format(actual)} not to deeply equal ${format(expected)}`);
+
+    const above = (n) => assert(actual > n, `expected ${format(actual)} to be above ${n}`, `expected ${format(actual)} to be at most ${n}`);
+    const below = (n) => assert(actual < n, `expected ${format(actual)} to be below ${n}`, `expected ${format(actual)} to be at least ${n}`);
+    chain.above = above;
+    chain.gt = above;
+    chain.greaterThan = above;
+    chain.below = below;
+    chain.lt = below;
+    chain.lessThan = below;
+    chain.least = (n) => assert(actual >= n, `expected ${format(actual)} to be at least ${n}`, `expected ${format(actual)} to be below ${n}`);
+    chain.gte = chain.least;
+    chain.most = (n) => assert(actual <= n, `expected ${format(actual)} to be at most ${n}`, `expected ${format(actual)} to be above ${n}`);
+    chain.lte = chain.most;
+    chain.within = (min, max) => assert(actual >= min && actual <= max, `expected ${format(actual)} to be within ${min}..${max}`, `expected ${format(actual)} not to be within ${min}..${max}`);
+
+    const include = (expected) => {
+      let passed;
+      if (typeof actual === 'string') {
+        passed = actual.includes(expected);
+      } else if (Array.isArray(actual)) {
+        passed = actual.some(item => flags.deep ? deepEqual(item, expected) : item === expected);
+      } else if (actual && typeof actual === 'object') {
+        passed = Object.entries(expected || {}).every(([key, value]) => deepEqual(actual[key], value));
+      } else {
+        passed = false;
+      }
+      return assert(passed, `expected ${format(actual)} to include ${format(expected)}`, `expected ${format(actual)} not to include ${format(expected)}`);
+    };
+    chain.include = include;
+    chain.includes = include;
+    chain.contain = include;
+    chain.contains = include;
+
+    chain.property = (name, ...value) => {
+      const has = actual !== null && actual !== undefined && Object.prototype.hasOwnProperty.call(Object(actual), name);
+      if (value.length === 0) {
+        return assert(has, `expected ${format(actual)} to have property '${name}'`, `expected ${format(actual)} not to have property '${name}'`);
+      }
+      const passed = has && (flags.deep ? deepEqual(actual[name], value[0]) : actual[name] === value[0]);
+      return assert(passed, `expected ${format(actual)} to have property '${name}' of ${format(value[0])}`, `expected ${format(actual)} not to have property '${name}' of ${format(value[0])}`);
+    };
+    const lengthOf = (n) => assert(actual !== null && actual !== undefined && actual.length === n, `expected ${format(actual)} to have length ${n}`, `expected ${format(actual)} not to have length ${n}`);
+    chain.lengthOf = lengthOf;
+    chain.length = lengthOf;
+    chain.match = (pattern) => assert(new RegExp(pattern).test(String(actual)), `expected ${format(actual)} to match ${pattern}`, `expected ${format(actual)} not to match ${pattern}`);
+    chain.oneOf = (list) => assert(list.some(item => deepEqual(item, actual)), `expected ${format(actual)} to be one of ${format(list)}`, `expected ${format(actual)} not to be one of ${format(list)}`);
+    chain.keys = (...keys) => {
+      const expected = keys.length === 1 && Array.isArray(keys[0]) ? keys[0] : keys;
+      const actualKeys = Object.keys(actual || {});
+      return assert(
+        expected.length === actualKeys.length && expected.every(key => actualKeys.includes(key)),
+        `expected ${format(actual)} to have keys ${format(expected)}`,
+        `expected ${format(actual)} not to have keys ${format(expected)}`
+      );
+    };
+
+    return chain;
+  };
+
+  const request = {
+    url: input.request.url,
+    method: input.request.method,
+    body: input.request.body
+  };
+  const requestHeaders = { ...(input.request.headers || {}) };
+  request.headers = makeHeaderList(requestHeaders);
+
+  const pm = {
+    info: { ...input.info },
+    variables: { ...makeScope(scopes.local), get: lookup },
+    environment: makeScope(scopes.environment),
+    collectionVariables: makeScope(scopes.collection),
+    globals: makeScope(scopes.globals),
+    iterationData: {
+      get: (key) => iterationData[key],
+      has: (key) => Object.prototype.hasOwnProperty.call(iterationData, key),
+      toObject: () => ({ ...iterationData })
+    },
+    request,
+    expect,
+    test: (name, fn) => {
+      try {
+        fn();
+        tests.push({ name: String(name), passed: true, error: null });
+      } catch (error) {
+        tests.push({ name: String(name), passed: false, error: error && error.message ? error.message : String(error) });
+      }
+    }
+  };
+
+  if (input.response) {
+    const response = input.response;
+    const responseHeaders = makeHeaderList({ ...(response.headers || {}) });
+    const text = () => response.text;
+    const json = () => JSON.parse(response.text);
+    const soap = () => {
+      if (!response.soap) throw new Error('Response is not a SOAP envelope');
+      return response.soap;
+    };
+
+    pm.response = {
+      code: response.code,
+      status: response.status,
+      headers: responseHeaders,
+      responseTime: response.responseTime,
+      size: response.size,
+      text,
+      json,
+      soap
+    };
+
+    const assertion = (passed, message) => {
+      if (!passed) {
+        const error = new Error(message);
+        error.name = 'AssertionError';
+        throw error;
+      }
+    };
+
+    pm.response.to = {
+      have: {
+        status: (expected) => assertion(
+          typeof expected === 'number' ? response.code === expected : response.status === expected,
+          `expected response to have status ${expected} but got ${response.code} ${response.status}`
+        ),
+        header: (name, value) => {
+          assertion(responseHeaders.has(name), `expected response to have header '${name}'`);
+          if (value !== undefined) {
+            assertion(String(responseHeaders.get(name)) === String(value), `expected header '${name}' to be '${value}' but got '${responseHeaders.get(name)}'`);
+          }
+        },
+        body: (expected) => assertion(response.text === expected, 'expected response body to match'),
+        jsonBody: (key) => {
+          let body;
+          try {
+            body = json();
+          } catch (error) {
+            assertion(false, 'expected response body to be valid JSON');
+          }
+          if (key !== undefined) {
+            assertion(body !== null && typeof body === 'object' && key in body, `expected JSON body to have property '${key}'`);
+          }
+        }
+      },
+      be: {}
+    };
+    Object.defineProperty(pm.response.to.be, 'ok', {
+      get: () => assertion(response.code >= 200 && response.code < 300, `expected response to be ok but got ${response.code}`)
+    });
+    Object.defineProperty(pm.response.to.be, 'success', {
+      get: () => assertion(response.code >= 200 && response.code < 300, `expected response to be successful but got ${response.code}`)
+    });
+    Object.defineProperty(pm.response.to.be, 'clientError', {
+      get: () => assertion(response.code >= 400 && response.code < 500, `expected a client error but got ${response.code}`)
+    });
+    Object.defineProperty(pm.response.to.be, 'serverError', {
+      get: () => assertion(response.code >= 500, `expected a server error but got ${response.code}`)
+    });
+  }
+
+  globalThis.pm = pm;
+  globalThis.console = makeConsole();
+
+  // Defined read-only so the user script cannot replace what gets reported back
+  Object.defineProperty(globalThis, '__collect', {
+    value: () => stringify({
+      tests,
+      logs,
+      variables: scopes,
+      request: {
+        url: String(request.url),
+        method: String(request.method),
+        headers: requestHeaders,
+        body: request.body
+      }
+    }),
+    writable: false,
+    configurable: false
+  });
+}
+
+const { script, input, timeout } = workerData;
+
+try {
+  const context = vm.createContext(Object.create(null), {
+    name: 'postwomen-script',
+    codeGeneration: { strings: false, wasm: false }
+  });
+
+  context.__input = JSON.stringify(input);
+  vm.runInContext(`(${sandboxBootstrap.toString()})();`, context);
+
+  let scriptError = null;
+  try {
+    vm.runInContext(script, context, { timeout, filename: `${input.info.eventName}-script.js` });
+  } catch (error) {
+    scriptError = {
+      name: error && error.name ? String(error.name) : 'Error',
+      message: error && error.message ? String(error.message) : String(error)
+    };
+  }
+
+  const collected = vm.runInContext('__collect()', context, { timeout });
+  const result = typeof collected === 'string' ? JSON.parse(collected) : {};
+  parentPort.postMessage({ ...result, error: scriptError });
+} catch (error) {
+  parentPort.postMessage({ error: { name: 'SandboxError', message: error.message } });
+}
@@ -0,0 +1,148 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./scriptSandboxWorker.js', import.meta.url);
+
+class ScriptService {
+  constructor() {
+    this.limits = {
+      timeout: parseInt(process.env.SCRIPT_TIMEOUT_MS) || 1000, // CPU time per script
+      memoryLimitMb: parseInt(process.env.SCRIPT_MEMORY_LIMIT_MB) || 32,
+      maxScriptLength: 100 * 1024
+    };
+  }
+
+  // Check whether a script has anything worth running
+  hasScript(script) {
+    return typeof script === 'string' && script.trim().length > 0;
+  }
+
+  // Run a pre-request or test script in an isolated worker with CPU and memory limits.
+  // Never rejects: failures are reported through the `error` field of the result.
+  runScript(script, { eventName, request, response, variables, iterationData, info = {} }) {
+    const empty = {
+      tests: [],
+      logs: [],
+      variables,
+      request,
+      error: null
+    };
+
+    if (!this.hasScript(script)) {
+      return Promise.resolve(empty);
+    }
+
+    if (script.length > this.limits.maxScriptLength) {
+      return Promise.resolve({
+        ...empty,
+        error: { name: 'ScriptError', message: `Script exceeds ${this.limits.maxScriptLength} characters` }
+      });
+    }
+
+    const input = {
+      info: { ...info, eventName },
+      request,
+      response: response || null,
+      variables,
+      iterationData: iterationData || {}
+    };
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        worker.terminate();
+        resolve(result);
+      };
+
+      const worker = new Worker(WORKER_URL, {
+        workerData: { script, input, timeout: this.limits.timeout },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.limits.memoryLimitMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.floor(this.limits.memoryLimitMb / 4)),
+          stackSizeMb: 4
+        },
+        stdout: true,
+        stderr: true
+      });
+
+      // The vm timeout covers the script itself; this catches anything that escapes it
+      const watchdog = setTimeout(() => {
+        finish({
+          ...empty,
+          error: { name: 'ScriptTimeoutError', message: `Script execution timed out after ${this.limits.timeout}ms` }
+        });
+      }, this.limits.timeout * 3 + 1000);
+
+      worker.on('message', (result) => {
+        finish(this.normalizeResult(result, empty));
+      });
+
+      worker.on('error', (error) => {
+        const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+        finish({
+          ...empty,
+          error: {
+            name: outOfMemory ? 'ScriptMemoryError' : 'ScriptError',
+            message: outOfMemory
+              ? `Script exceeded the ${this.limits.memoryLimitMb}MB memory limit`
+              : error.message
+          }
+        });
+      });
+
+      worker.on('exit', (code) => {
+        finish({
+          ...empty,
+          error: { name: 'ScriptError', message: `Script sandbox exited unexpectedly (code ${code})` }
+        });
+      });
+    });
+  }
+
+  // Only trust the expected shape of what comes back from the sandbox
+  normalizeResult(result, fallback) {
+    const toStringMap = (map) => {
+      const normalized = {};
+      for (const [key, value] of Object.entries(map && typeof map === 'object' ? map : {})) {
+        normalized[key] = String(value ?? '');
+      }
+      return normalized;
+    };
+
+    const variables = result.variables && typeof result.variables === 'object'
+      ? {
+          local: toStringMap(result.variables.local),
+          environment: toStringMap(result.variables.environment),
+          collection: toStringMap(result.variables.collection),
+          globals: toStringMap(result.variables.globals)
+        }
+      : fallback.variables;
+
+    const request = result.request && typeof result.request === 'object'
+      ? {
+          ...fallback.request,
+          url: String(result.request.url ?? fallback.request.url),
+          method: String(result.request.method ?? fallback.request.method),
+          headers: toStringMap(result.request.headers),
+          body: result.request.body
+        }
+      : fallback.request;
+
+    return {
+      tests: (Array.isArray(result.tests) ? result.tests : []).map(test => ({
+        name: String(test.name),
+        passed: test.passed === true,
+        error: test.error ? String(test.error) : null
+      })),
+      logs: Array.isArray(result.logs) ? result.logs.slice(0, 500) : [],
+      variables,
+      request,
+      error: result.error || null
+    };
+  }
+}
+
+const scriptService = new ScriptService();
+export default scriptService;
@@ -0,0 +1,914 @@
+import path from 'path';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { v4 as uuidv4 } from 'uuid';
+
+const NS = {
+  wsdl: 'http://schemas.xmlsoap.org/wsdl/',
+  wsdl2: 'http://www.w3.org/ns/wsdl',
+  soap11: 'http://schemas.xmlsoap.org/wsdl/soap/',
+  soap12: 'http://schemas.xmlsoap.org/wsdl/soap12/',
+  xsd: 'http://www.w3.org/2001/XMLSchema',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+};
+
+// Envelope namespace of each SOAP version
+const SOAP_VERSIONS = {
+  '1.1': 'http://schemas.xmlsoap.org/soap/envelope/',
+  '1.2': 'http://www.w3.org/2003/05/soap-envelope'
+};
+
+// Placeholders for built-in XSD types in generated envelopes, anything else gets "?"
+const SAMPLE_VALUES = {
+  boolean: 'false',
+  int: '0',
+  integer: '0',
+  long: '0',
+  short: '0',
+  byte: '0',
+  unsignedInt: '0',
+  unsignedLong: '0',
+  unsignedShort: '0',
+  unsignedByte: '0',
+  nonNegativeInteger: '0',
+  nonPositiveInteger: '0',
+  positiveInteger: '1',
+  negativeInteger: '-1',
+  decimal: '0.0',
+  float: '0.0',
+  double: '0.0',
+  date: '1970-01-01',
+  dateTime: '1970-01-01T00:00:00Z',
+  time: '00:00:00',
+  duration: 'P0D',
+  anyURI: 'http://example.com',
+  base64Binary: '',
+  hexBinary: ''
+};
+
+// Elements keep their order, prefixes are resolved against the xmlns declarations in scope
+const xmlParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true
+});
+
+const soapError = (message, code) => Object.assign(new Error(message), { code });
+
+const findChildren = (element, name, namespace) => element.children
+  .filter(child => child.name === name && (namespace === undefined || child.namespace === namespace));
+const findChild = (element, name, namespace) => findChildren(element, name, namespace)[0] || null;
+
+// Resolve a QName attribute value, unprefixed names take the default namespace
+const resolveQName = (element, value) => {
+  const index = value.indexOf(':');
+  const prefix = index === -1 ? '' : value.slice(0, index);
+  return { namespace: element.scope[prefix] ?? '', name: value.slice(index + 1) };
+};
+const qnameKey = ({ namespace, name }) => `{${namespace}}${name}`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class SoapService {
+  constructor() {
+    this.wsdls = new Map(); // Parsed definitions, from uploaded files or fetched through the proxy
+    this.maxWsdls = 50;
+    this.maxDocuments = 30; // WSDL and XSD documents loaded through imports
+    this.maxDepth = 12; // Nesting limit of generated envelopes
+  }
+
+  // Parse an XML document into elements with resolved namespaces, throwing the given code when it is not well-formed
+  parseXml(text, label, code) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw soapError(`${label} is empty`, code);
+    }
+
+    const validation = XMLValidator.validate(text);
+    if (validation !== true) {
+      throw soapError(`${label} is not well-formed XML: ${validation.err.msg} (line ${validation.err.line})`, code);
+    }
+
+    const root = this.buildTree(xmlParser.parse(text), { xml: NS.xml })[0];
+    if (!root) throw soapError(`${label} has no root element`, code);
+    return root;
+  }
+
+  buildTree(items, scope) {
+    const elements = [];
+
+    for (const item of items) {
+      const tag = Object.keys(item).find(key => key !== ':@');
+      if (!tag || tag === '#text' || tag.startsWith('?')) continue;
+
+      const elementScope = { ...scope };
+      const attrs = {};
+      for (const [name, value] of Object.entries(item[':@'] || {})) {
+        if (name === 'xmlns') elementScope[''] = value;
+        else if (name.startsWith('xmlns:')) elementScope[name.slice(6)] = value;
+        else attrs[name] = value;
+      }
+
+      const { namespace, name } = resolveQName({ scope: elementScope }, tag);
+      const content = item[tag] || [];
+      elements.push({
+        name,
+        namespace,
+        attrs,
+        scope: elementScope,
+        children: this.buildTree(content, elementScope),
+        text: content.filter(child => '#text' in child).map(child => String(child['#text'])).join('')
+      });
+    }
+
+    return elements;
+  }
+
+  // Load a WSDL 1.1 document and the WSDL and XSD documents it imports. Imports are looked up
+  // among the uploaded files, then fetched with fetchImport when one is given.
+  async loadWsdl(files, { name = null, url = null, fetchImport = null } = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw soapError('A WSDL document is required', 'INVALID_WSDL');
+    }
+
+    const documents = new Map();
+    let main = null;
+    for (const file of files) {
+      const fileName = path.posix.normalize(String(file?.name || 'service.wsdl').replace(/\\/g, '/'));
+      const root = this.parseXml(file?.content, `Document ${fileName}`, 'INVALID_WSDL');
+      documents.set(fileName, file.content);
+      if (!documents.has(path.posix.basename(fileName))) documents.set(path.posix.basename(fileName), file.content);
+
+      if (root.name === 'description' && root.namespace === NS.wsdl2) {
+        throw soapError('WSDL 2.0 documents are not supported, only WSDL 1.1', 'INVALID_WSDL');
+      }
+      if (!main && root.name === 'definitions' && root.namespace === NS.wsdl) main = { fileName, root };
+    }
+
+    if (!main) {
+      throw soapError('No WSDL 1.1 definitions found in the uploaded documents', 'INVALID_WSDL');
+    }
+
+    const model = {
+      messages: new Map(),
+      portTypes: new Map(),
+      bindings: new Map(),
+      services: [],
+      elements: new Map(),
+      types: new Map(),
+      groups: new Map(),
+      attributeGroups: new Map(),
+      attributes: new Map(),
+      prefixes: {},
+      warnings: []
+    };
+    const base = url || main.fileName;
+    await this.addDefinitions(model, main.root, { documents, fetchImport, base, loaded: new Set([base]) });
+
+    return this.storeWsdl({
+      name: name || main.root.attrs.name || (url ? url : main.fileName),
+      source: url ? 'url' : 'upload',
+      url,
+      targetNamespace: main.root.attrs.targetNamespace || null,
+      files: [...new Set(files.map(file => String(file.name || 'service.wsdl')))],
+      model
+    });
+  }
+
+  // Index the messages, port types, bindings, services and schemas of a definitions element
+  async addDefinitions(model, root, context) {
+    const targetNamespace = root.attrs.targetNamespace || '';
+    const key = (name) => qnameKey({ namespace: targetNamespace, name });
+
+    for (const [prefix, namespace] of Object.entries(root.scope)) {
+      if (prefix && !Object.values(NS).includes(namespace)) model.prefixes[namespace] ??= prefix;
+    }
+
+    for (const node of root.children) {
+      if (node.namespace !== NS.wsdl) continue;
+
+      switch (node.name) {
+        case 'import':
+          await this.addImport(model, node.attrs.location, context);
+          break;
+
+        case 'types':
+          for (const schema of findChildren(node, 'schema', NS.xsd)) {
+            await this.addSchema(model, schema, context);
+          }
+          break;
+
+        case 'message':
+          model.messages.set(key(node.attrs.name), {
+            name: node.attrs.name,
+            parts: findChildren(node, 'part', NS.wsdl).map(part => ({
+              name: part.attrs.name,
+              element: part.attrs.element ? resolveQName(part, part.attrs.element) : null,
+              type: part.attrs.type ? resolveQName(part, part.attrs.type) : null
+            }))
+          });
+          break;
+
+        case 'portType': {
+          const operations = new Map();
+          for (const operation of findChildren(node, 'operation', NS.wsdl)) {
+            const messageOf = (element) => (element?.attrs.message ? qnameKey(resolveQName(element, element.attrs.message)) : null);
+            operations.set(operation.attrs.name, {
+              documentation: findChild(operation, 'documentation', NS.wsdl)?.text || null,
+              input: messageOf(findChild(operation, 'input', NS.wsdl)),
+              output: messageOf(findChild(operation, 'output', NS.wsdl)),
+              faults: findChildren(operation, 'fault', NS.wsdl).map(fault => fault.attrs.name)
+            });
+          }
+          model.portTypes.set(key(node.attrs.name), { name: node.attrs.name, operations });
+          break;
+        }
+
+        case 'binding': {
+          // Only SOAP bindings can be called, HTTP and MIME bindings are skipped
+          const soapBinding = findChild(node, 'binding', NS.soap11) || findChild(node, 'binding', NS.soap12);
+          if (!soapBinding) break;
+
+          const bindingNamespace = soapBinding.namespace;
+          const messageBinding = (element) => {
+            const body = element && findChild(element, 'body', bindingNamespace);
+            return {
+              parts: body?.attrs.parts ? body.attrs.parts.trim().split(/\s+/) : null,
+              use: body?.attrs.use || 'literal',
+              namespace: body?.attrs.namespace || null,
+              headers: element
+                ? findChildren(element, 'header', bindingNamespace).map(header => ({
+                  message: qnameKey(resolveQName(header, header.attrs.message)),
+                  part: header.attrs.part
+                }))
+                : []
+            };
+          };
+
+          model.bindings.set(key(node.attrs.name), {
+            name: node.attrs.name,
+            portType: qnameKey(resolveQName(node, node.attrs.type)),
+            version: bindingNamespace === NS.soap12 ? '1.2' : '1.1',
+            style: soapBinding.attrs.style || 'document',
+            operations: findChildren(node, 'operation', NS.wsdl).map(operation => {
+              const soapOperation = findChild(operation, 'operation', bindingNamespace);
+              return {
+                name: operation.attrs.name,
+                soapAction: soapOperation?.attrs.soapAction || '',
+                style: soapOperation?.attrs.style || null,
+                input: messageBinding(findChild(operation, 'input', NS.wsdl)),
+                output: messageBinding(findChild(operation, 'output', NS.wsdl))
+              };
+            })
+          });
+          break;
+        }
+
+        case 'service':
+          model.services.push({
+            name: node.attrs.name,
+            documentation: findChild(node, 'documentation', NS.wsdl)?.text || null,
+            ports: findChildren(node, 'port', NS.wsdl).flatMap(port => {
+              const address = findChild(port, 'address', NS.soap11) || findChild(port, 'address', NS.soap12);
+              if (!address) return [];
+              return [{
+                name: port.attrs.name,
+                binding: qnameKey(resolveQName(port, port.attrs.binding)),
+                address: address.attrs.location || null
+              }];
+            })
+          });
+          break;
+
+        default:
+          break;
+      }
+    }
+  }
+
+  // Index the global components of a schema. Included schemas without a target namespace take the includer's.
+  async addSchema(model, schema, context, includerNamespace = null) {
+    const info = {
+      targetNamespace: schema.attrs.targetNamespace || includerNamespace || '',
+      elementFormDefault: schema.attrs.elementFormDefault === 'qualified',
+      attributeFormDefault: schema.attrs.attributeFormDefault === 'qualified'
+    };
+    const collections = {
+      element: model.elements,
+      complexType: model.types,
+      simpleType: model.types,
+      group: model.groups,
+      attributeGroup: model.attributeGroups,
+      attribute: model.attributes
+    };
+
+    for (const node of schema.children) {
+      if (node.namespace !== NS.xsd) continue;
+
+      if (node.name === 'import' || node.name === 'include') {
+        // Imports without a location refer to schemas defined elsewhere in the same document
+        if (node.attrs.schemaLocation) {
+          await this.addImport(model, node.attrs.schemaLocation, context, node.name === 'include' ? info.targetNamespace : null);
+        }
+      } else if (collections[node.name] && node.attrs.name) {
+        collections[node.name].set(qnameKey({ namespace: info.targetNamespace, name: node.attrs.name }), { node, schema: info });
+      }
+    }
+  }
+
+  // Load an imported WSDL or XSD document, recording a warning when it cannot be found
+  async addImport(model, location, context, includerNamespace = null) {
+    if (!location) return;
+
+    const resolved = this.resolveLocation(location, context.base);
+    if (context.loaded.has(resolved)) return;
+    context.loaded.add(resolved);
+
+    if (context.loaded.size > this.maxDocuments) {
+      model.warnings.push(`Import ${location} was skipped, at most ${this.maxDocuments} documents are loaded`);
+      return;
+    }
+
+    let content = context.documents.get(resolved)
+      ?? context.documents.get(path.posix.basename(resolved.split(/[?#]/)[0]));
+    if (content === undefined && context.fetchImport && /^https?:\/\//i.test(resolved)) {
+      try {
+        content = await context.fetchImport(resolved);
+      } catch (error) {
+        model.warnings.push(`Could not fetch import ${resolved}: ${error.message}`);
+        return;
+      }
+    }
+    if (content === undefined) {
+      model.warnings.push(`Import ${location} was not found, upload it with the WSDL. Its types are left out of the templates.`);
+      return;
+    }
+
+    let root;
+    try {
+      root = this.parseXml(content, `Imported document ${location}`, 'INVALID_WSDL');
+    } catch (error) {
+      model.warnings.push(error.message);
+      return;
+    }
+
+    const importContext = { ...context, base: resolved };
+    if (root.name === 'definitions' && root.namespace === NS.wsdl) {
+      await this.addDefinitions(model, root, importContext);
+    } else if (root.name === 'schema' && root.namespace === NS.xsd) {
+      await this.addSchema(model, root, importContext, includerNamespace);
+    } else {
+      model.warnings.push(`Import ${location} is neither a WSDL nor an XML schema`);
+    }
+  }
+
+  resolveLocation(location, base) {
+    if (/^https?:\/\//i.test(location)) return location;
+    if (/^https?:\/\//i.test(base)) return new URL(location, base).href;
+    return path.posix.normalize(path.posix.join(path.posix.dirname(base), location));
+  }
+
+  storeWsdl({ name, source, url, targetNamespace, files, model }) {
+    const entry = {
+      id: uuidv4(),
+      name,
+      source,
+      url,
+      targetNamespace,
+      files,
+      services: this.describeServices(model),
+      warnings: model.warnings,
+      createdAt: new Date().toISOString()
+    };
+
+    this.wsdls.set(entry.id, entry);
+    while (this.wsdls.size > this.maxWsdls) {
+      this.wsdls.delete(this.wsdls.keys().next().value);
+    }
+
+    return this.getWsdlInfo(entry.id);
+  }
+
+  // List services, their SOAP ports and each operation with a ready-to-send request template
+  describeServices(model) {
+    return model.services.map(service => ({
+      name: service.name,
+      documentation: service.documentation,
+      ports: service.ports.flatMap(port => {
+        const binding = model.bindings.get(port.binding);
+        if (!binding) {
+          model.warnings.push(`Port ${port.name} uses binding ${port.binding}, which is not defined`);
+          return [];
+        }
+        const portType = model.portTypes.get(binding.portType);
+        if (!portType) model.warnings.push(`Binding ${binding.name} uses port type ${binding.portType}, which is not defined`);
+
+        return [{
+          name: port.name,
+          binding: binding.name,
+          address: port.address,
+          soapVersion: binding.version,
+          operations: binding.operations.map(operation => {
+            const abstract = portType?.operations.get(operation.name);
+            const style = operation.style || binding.style;
+            const envelope = this.buildEnvelope(model, {
+              version: binding.version,
+              style,
+              operationName: operation.name,
+              message: model.messages.get(abstract?.input),
+              binding: operation.input
+            });
+
+            return {
+              name: operation.name,
+              documentation: abstract?.documentation || null,
+              soapAction: operation.soapAction,
+              style,
+              input: model.messages.get(abstract?.input)?.name || null,
+              output: model.messages.get(abstract?.output)?.name || null,
+              faults: abstract?.faults || [],
+              request: {
+                method: 'POST',
+                url: port.address,
+                bodyType: 'soap',
+                body: { envelope, action: operation.soapAction, version: binding.version }
+              }
+            };
+          })
+        }];
+      })
+    }));
+  }
+
+  // Generate a request envelope from the operation's input message and the schema types it uses
+  buildEnvelope(model, { version, style, operationName, message, binding }) {
+    const namespaces = new Map(); // namespace -> prefix
+    const context = {
+      model,
+      stack: [],
+      prefixFor: (namespace) => {
+        if (!namespaces.has(namespace)) {
+          const used = new Set(['soapenv', 'xsi', ...namespaces.values()]);
+          let prefix = model.prefixes[namespace];
+          for (let index = namespaces.size + 1; !prefix || used.has(prefix); index++) prefix = `ns${index}`;
+          namespaces.set(namespace, prefix);
+        }
+        return namespaces.get(namespace);
+      }
+    };
+
+    const headerLines = [];
+    for (const header of binding.headers) {
+      const part = model.messages.get(header.message)?.parts.find(item => item.name === header.part);
+      if (part) this.writePart(context, headerLines, part, 2);
+    }
+
+    const bodyLines = [];
+    const parts = (message?.parts || []).filter(part => !binding.parts || binding.parts.includes(part.name));
+    if (style === 'rpc') {
+      // RPC operations wrap their parts in an element named after the operation
+      const tag = binding.namespace ? `${context.prefixFor(binding.namespace)}:${operationName}` : operationName;
+      bodyLines.push(`    <${tag}>`);
+      for (const part of parts) this.writePart(context, bodyLines, part, 3);
+      bodyLines.push(`    </${tag}>`);
+    } else {
+      for (const part of parts) this.writePart(context, bodyLines, part, 2);
+    }
+
+    const declarations = [`xmlns:soapenv="${SOAP_VERSIONS[version]}"`,
+      ...[...namespaces].map(([namespace, prefix]) => `xmlns:${prefix}="${escapeXml(namespace)}"`)];
+
+    return [
+      `<soapenv:Envelope ${declarations.join(' ')}>`,
+      ...(headerLines.length > 0 ? ['  <soapenv:Header>', ...headerLines, '  </soapenv:Header>'] : ['  <soapenv:Header/>']),
+      ...(bodyLines.length > 0 ? ['  <soapenv:Body>', ...bodyLines, '  </soapenv:Body>'] : ['  <soapenv:Body/>']),
+      '</soapenv:Envelope>'
+    ].join('\n');
+  }
+
+  // Message parts reference a global element, or a type for an unqualified element named after the part
+  writePart(context, lines, part, indent) {
+    if (part.element) {
+      this.writeElementRef(context, lines, part.element, null, indent);
+    } else {
+      this.writeTyped(context, lines, part.name, part.type, indent);
+    }
+  }
+
+  writeElementRef(context, lines, qname, occurrence, indent) {
+    const target = context.model.elements.get(qnameKey(qname));
+    if (!target) {
+      lines.push(`${'  '.repeat(indent)}<!--Element ${qname.name} is not defined in the loaded schemas-->`);
+      return;
+    }
+    this.writeElement(context, lines, target.node, target.schema, indent, { global: true, occurrence });
+  }
+
+  writeElement(context, lines, node, schema, indent, { global = false, occurrence = null } = {}) {
+    const pad = '  '.repeat(indent);
+    if (node.attrs.ref) {
+      this.writeElementRef(context, lines, resolveQName(node, node.attrs.ref), node, indent);
+      return;
+    }
+
+    const comment = this.occurrenceComment(occurrence || node);
+    if (comment) lines.push(`${pad}<!--${comment}-->`);
+
+    const qualified = global || node.attrs.form === 'qualified' || (node.attrs.form !== 'unqualified' && schema.elementFormDefault);
+    const tag = qualified && schema.targetNamespace
+      ? `${context.prefixFor(schema.targetNamespace)}:${node.attrs.name}`
+      : node.attrs.name;
+
+    const fixedValue = node.attrs.fixed ?? node.attrs.default;
+    if (fixedValue !== undefined) {
+      lines.push(`${pad}<${tag}>${escapeXml(fixedValue)}</${tag}>`);
+      return;
+    }
+
+    const complexType = findChild(node, 'complexType', NS.xsd);
+    const simpleType = findChild(node, 'simpleType', NS.xsd);
+    if (complexType) {
+      this.writeComplex(context, lines, tag, complexType, schema, indent, null);
+    } else if (simpleType) {
+      lines.push(`${pad}<${tag}>${escapeXml(this.simpleValue(context, simpleType, schema))}</${tag}>`);
+    } else if (node.attrs.type) {
+      this.writeTyped(context, lines, tag, resolveQName(node, node.attrs.type), indent);
+    } else {
+      lines.push(`${pad}<${tag}>?</${tag}>`);
+    }
+  }
+
+  writeTyped(context, lines, tag, type, indent) {
+    const pad = '  '.repeat(indent);
+    const definition = type && type.namespace !== NS.xsd ? context.model.types.get(qnameKey(type)) : null;
+
+    if (definition?.node.name === 'complexType') {
+      this.writeComplex(context, lines, tag, definition.node, definition.schema, indent, qnameKey(type));
+    } else if (definition) {
+      lines.push(`${pad}<${tag}>${escapeXml(this.simpleValue(context, definition.node, definition.schema))}</${tag}>`);
+    } else {
+      lines.push(`${pad}<${tag}>${escapeXml(this.sampleValue(type))}</${tag}>`);
+    }
+  }
+
+  writeComplex(context, lines, tag, typeNode, schema, indent, typeKey) {
+    const pad = '  '.repeat(indent);
+
+    // Recursive types are expanded once, and nesting stops at the depth limit
+    if ((typeKey && context.stack.includes(typeKey)) || context.stack.length >= this.maxDepth) {
+      lines.push(`${pad}<${tag}><!--Nested content omitted--></${tag}>`);
+      return;
+    }
+
+    context.stack.push(typeKey);
+    try {
+      const attributes = this.collectAttributes(context, typeNode, schema)
+        .map(({ name, value }) => ` ${name}="${escapeXml(value)}"`).join('');
+      const simpleContent = findChild(typeNode, 'simpleContent', NS.xsd);
+
+      if (simpleContent) {
+        const derivation = simpleContent.children.find(child => ['extension', 'restriction'].includes(child.name));
+        const value = derivation ? this.simpleValue(context, derivation, schema) : '?';
+        lines.push(`${pad}<${tag}${attributes}>${escapeXml(value)}</${tag}>`);
+        return;
+      }
+
+      const content = [];
+      this.writeContent(context, content, typeNode, schema, indent + 1);
+      if (content.length === 0) {
+        lines.push(`${pad}<${tag}${attributes}/>`);
+      } else {
+        lines.push(`${pad}<${tag}${attributes}>`, ...content, `${pad}</${tag}>`);
+      }
+    } finally {
+      context.stack.pop();
+    }
+  }
+
+  // Write the particles of a complex type, with the base type's content first for extensions
+  writeContent(context, lines, node, schema, indent) {
+    for (const child of node.children) {
+      if (child.namespace !== NS.xsd) continue;
+
+      switch (child.name) {
+        case 'sequence':
+        case 'all':
+        case 'choice':
+        case 'group':
+        case 'any':
+        case 'element':
+          this.writeParticle(context, lines, child, schema, indent);
+          break;
+
+        case 'complexContent': {
+          const derivation = child.children.find(item => ['extension', 'restriction'].includes(item.name));
+          if (!derivation) break;
+
+          if (derivation.name === 'extension' && derivation.attrs.base) {
+            const base = this.lookupType(context, derivation, derivation.attrs.base);
+            if (base?.node.name === 'complexType') this.writeContent(context, lines, base.node, base.schema, indent);
+          }
+          this.writeContent(context, lines, derivation, schema, indent);
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+  }
+
+  writeParticle(context, lines, particle, schema, indent) {
+    const pad = '  '.repeat(indent);
+
+    switch (particle.name) {
+      case 'element':
+        this.writeElement(context, lines, particle, schema, indent);
+        break;
+
+      case 'any':
+        lines.push(`${pad}<!--You may enter ANY elements at this level-->`);
+        break;
+
+      case 'group': {
+        const group = particle.attrs.ref ? context.model.groups.get(qnameKey(resolveQName(particle, particle.attrs.ref))) : null;
+        if (group) this.writeContent(context, lines, group.node, group.schema, indent);
+        break;
+      }
+
+      case 'sequence':
+      case 'all':
+      case 'choice': {
+        const particles = particle.children.filter(child => child.namespace === NS.xsd
+          && ['element', 'any', 'group', 'sequence', 'choice'].includes(child.name));
+        const comment = this.occurrenceComment(particle);
+        if (comment) lines.push(`${pad}<!--${comment}-->`);
+        if (particle.name === 'choice') {
+          lines.push(`${pad}<!--You have a CHOICE of the next ${particles.length} items at this level-->`);
+        }
+        for (const child of particles) this.writeParticle(context, lines, child, schema, indent);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // Attributes of a complex type, its attribute groups and the types it extends
+  collectAttributes(context, node, schema, attributes = []) {
+    for (const child of node.children) {
+      if (child.namespace !== NS.xsd) continue;
+
+      if (child.name === 'attribute' && child.attrs.use !== 'prohibited') {
+        let declaration = child;
+        let declarationSchema = schema;
+        let qualified = child.attrs.form === 'qualified' || (child.attrs.form !== 'unqualified' && schema.attributeFormDefault);
+        if (child.attrs.ref) {
+          const global = context.model.attributes.get(qnameKey(resolveQName(child, child.attrs.ref)));
+          if (!global) continue;
+          declaration = global.node;
+          declarationSchema = global.schema;
+          qualified = true;
+        }
+
+        const name = qualified && declarationSchema.targetNamespace
+          ? `${context.prefixFor(declarationSchema.targetNamespace)}:${declaration.attrs.name}`
+          : declaration.attrs.name;
+        const inlineType = findChild(declaration, 'simpleType', NS.xsd);
+        const value = child.attrs.fixed ?? child.attrs.default ?? declaration.attrs.fixed ?? declaration.attrs.default
+          ?? (inlineType
+            ? this.simpleValue(context, inlineType, declarationSchema)
+            : this.typeValue(context, declaration, declaration.attrs.type));
+        attributes.push({ name, value });
+      } else if (child.name === 'attributeGroup' && child.attrs.ref) {
+        const group = context.model.attributeGroups.get(qnameKey(resolveQName(child, child.attrs.ref)));
+        if (group) this.collectAttributes(context, group.node, group.schema, attributes);
+      } else if (child.name === 'complexContent' || child.name === 'simpleContent') {
+        const derivation = child.children.find(item => ['extension', 'restriction'].includes(item.name));
+        if (!derivation) continue;
+
+        if (derivation.name === 'extension' && derivation.attrs.base) {
+          const base = this.lookupType(context, derivation, derivation.attrs.base);
+          if (base?.node.name === 'complexType') this.collectAttributes(context, base.node, base.schema, attributes);
+        }
+        this.collectAttributes(context, derivation, schema, attributes);
+      }
+    }
+
+    return attributes;
+  }
+
+  lookupType(context, node, value) {
+    const type = resolveQName(node, value);
+    return type.namespace === NS.xsd ? null : context.model.types.get(qnameKey(type)) || null;
+  }
+
+  // Value of a simple type or simple content: its first enumeration value, or a placeholder for its base type
+  simpleValue(context, node, schema, depth = 0) {
+    const restriction = node.name === 'restriction' || node.name === 'extension' ? node : findChild(node, 'restriction', NS.xsd);
+    if (!restriction || depth > this.maxDepth) return '?';
+
+    const enumeration = findChild(restriction, 'enumeration', NS.xsd);
+    if (enumeration) return enumeration.attrs.value ?? '';
+
+    const inlineType = findChild(restriction, 'simpleType', NS.xsd);
+    if (inlineType) return this.simpleValue(context, inlineType, schema, depth + 1);
+
+    return restriction.attrs.base ? this.typeValue(context, restriction, restriction.attrs.base, depth + 1) : '?';
+  }
+
+  typeValue(context, node, value, depth = 0) {
+    if (!value) return '?';
+
+    const type = resolveQName(node, value);
+    const definition = type.namespace === NS.xsd ? null : context.model.types.get(qnameKey(type));
+    if (definition) {
+      const simpleContent = findChild(definition.node, 'simpleContent', NS.xsd);
+      const source = simpleContent?.children.find(item => ['extension', 'restriction'].includes(item.name)) || definition.node;
+      return this.simpleValue(context, source, definition.schema, depth);
+    }
+    return this.sampleValue(type);
+  }
+
+  sampleValue(type) {
+    return type?.namespace === NS.xsd && type.name in SAMPLE_VALUES ? SAMPLE_VALUES[type.name] : '?';
+  }
+
+  occurrenceComment(node) {
+    const min = node.attrs.minOccurs ?? '1';
+    const max = node.attrs.maxOccurs ?? '1';
+
+    if (max === 'unbounded' || Number(max) > 1) {
+      return min === '0' ? 'Zero or more repetitions:' : `${min} or more repetitions:`;
+    }
+    return min === '0' ? 'Optional:' : null;
+  }
+
+  // Get a loaded WSDL with its services and operations
+  getWsdlInfo(wsdlId) {
+    const entry = this.wsdls.get(wsdlId);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      source: entry.source,
+      url: entry.url,
+      targetNamespace: entry.targetNamespace,
+      files: entry.files,
+      services: entry.services,
+      warnings: entry.warnings,
+      createdAt: entry.createdAt
+    };
+  }
+
+  getAllWsdls() {
+    return Array.from(this.wsdls.keys()).map(wsdlId => {
+      const { services, ...info } = this.getWsdlInfo(wsdlId);
+      return {
+        ...info,
+        services: services.map(service => ({
+          name: service.name,
+          ports: service.ports.map(port => ({ name: port.name, soapVersion: port.soapVersion, operationCount: port.operations.length }))
+        }))
+      };
+    });
+  }
+
+  deleteWsdl(wsdlId) {
+    return this.wsdls.delete(wsdlId);
+  }
+
+  // Accept a raw envelope or { envelope, action, version } and check it is a well-formed SOAP envelope.
+  // The version is taken from the envelope's namespace.
+  normalizeBody(body) {
+    const { envelope, action = '', version = null } = typeof body === 'string' ? { envelope: body } : (body || {});
+    if (typeof envelope !== 'string' || !envelope.trim()) {
+      throw soapError('SOAP body needs an envelope', 'INVALID_SOAP_ENVELOPE');
+    }
+
+    const root = this.parseXml(envelope, 'SOAP envelope', 'INVALID_SOAP_ENVELOPE');
+    const detected = this.getVersion(root);
+    if (!detected) {
+      throw soapError('SOAP body must be a SOAP 1.1 or 1.2 Envelope element', 'INVALID_SOAP_ENVELOPE');
+    }
+    if (version && String(version) !== detected) {
+      throw soapError(`Envelope uses the SOAP ${detected} namespace but version ${version} was requested`, 'INVALID_SOAP_ENVELOPE');
+    }
+
+    return { envelope, action: String(action ?? ''), version: detected };
+  }
+
+  getVersion(root) {
+    if (root.name !== 'Envelope') return null;
+    return Object.keys(SOAP_VERSIONS).find(version => SOAP_VERSIONS[version] === root.namespace) || null;
+  }
+
+  // SOAP 1.1 sends the action in the SOAPAction header, SOAP 1.2 as a Content-Type parameter
+  getHeaders({ action = '', version = '1.1' }) {
+    if (version === '1.2') {
+      return { 'Content-Type': `application/soap+xml; charset=utf-8${action ? `; action="${action}"` : ''}` };
+    }
+    return { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${action}"` };
+  }
+
+  // Parse a SOAP envelope into { version, header, body, fault }, with faults of both versions
+  // normalized to { code, subcodes, reason, node, role, detail }
+  parseEnvelope(text) {
+    const root = this.parseXml(text, 'SOAP response', 'INVALID_SOAP_ENVELOPE');
+    const version = this.getVersion(root);
+    if (!version) {
+      throw soapError('Document is not a SOAP envelope', 'INVALID_SOAP_ENVELOPE');
+    }
+
+    const header = findChild(root, 'Header', root.namespace);
+    const body = findChild(root, 'Body', root.namespace);
+    const fault = body && findChild(body, 'Fault', root.namespace);
+
+    return {
+      version,
+      header: header ? this.toJson(header) || {} : null,
+      body: body ? this.toJson(body) || {} : null,
+      fault: fault ? this.normalizeFault(fault, version) : null
+    };
+  }
+
+  // Parse a response body when it is a SOAP envelope, null otherwise
+  parseResponse(text) {
+    try {
+      return this.parseEnvelope(text);
+    } catch {
+      return null;
+    }
+  }
+
+  normalizeFault(fault, version) {
+    const textOf = (node) => (node ? node.text : null);
+    // Fault codes are QNames, only the local name is kept since prefixes vary between servers
+    const localName = (value) => (value ? value.slice(value.indexOf(':') + 1) : null);
+
+    if (version === '1.1') {
+      // SOAP 1.1 fault children are unqualified
+      const part = (name) => fault.children.find(child => child.name === name) || null;
+      const detail = part('detail');
+      return {
+        code: localName(textOf(part('faultcode'))),
+        subcodes: [],
+        reason: textOf(part('faultstring')),
+        node: textOf(part('faultactor')),
+        role: null,
+        detail: detail ? this.toJson(detail) : null
+      };
+    }
+
+    const namespace = fault.namespace;
+    const codes = [];
+    for (let code = findChild(fault, 'Code', namespace); code; code = findChild(code, 'Subcode', namespace)) {
+      codes.push(localName(textOf(findChild(code, 'Value', namespace))));
+    }
+    const reason = findChild(fault, 'Reason', namespace);
+    const detail = findChild(fault, 'Detail', namespace);
+
+    return {
+      code: codes[0] ?? null,
+      subcodes: codes.slice(1),
+      reason: reason ? textOf(findChild(reason, 'Text', namespace)) : null,
+      node: textOf(findChild(fault, 'Node', namespace)),
+      role: textOf(findChild(fault, 'Role', namespace)),
+      detail: detail ? this.toJson(detail) : null
+    };
+  }
+
+  // Convert an element to JSON keyed by local names: text-only elements become strings,
+  // repeated elements arrays and attributes "@name" keys
+  toJson(element) {
+    const value = {};
+    for (const [name, attr] of Object.entries(element.attrs)) {
+      value[`@${name}`] = attr;
+    }
+
+    for (const child of element.children) {
+      const childValue = this.toJson(child);
+      if (!(child.name in value)) {
+        value[child.name] = childValue;
+      } else {
+        value[child.name] = Array.isArray(value[child.name]) ? [...value[child.name], childValue] : [value[child.name], childValue];
+      }
+    }
+
+    if (Object.keys(value).length === 0) return element.text;
+    if (element.text) value['#text'] = element.text;
+    return value;
+  }
+}
+
+const soapService = new SoapService();
+export default soapService;
@@ -0,0 +1,702 @@
+import http from 'http';
+import https from 'https';
+import { v4 as uuidv4 } from 'uuid';
+import agentService from './agentService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+
+const MASK = '********';
+// Request headers whose values are masked in connection info and exports
+const SECRET_HEADER = /authorization|cookie|token|secret|password|api-?key|session/i;
+
+class SSEService {
+  constructor() {
+    this.connections = new Map(); // Store active SSE connections
+    this.messageHistory = new Map(); // Store event history per connection
+    this.connectionStats = new Map(); // Store connection statistics
+    this.defaultRetry = 3000; // Reconnection delay until the server sends a retry field
+    this.maxRetryDelay = 60 * 1000;
+    this.defaultMaxReconnectAttempts = 10;
+    this.connectTimeout = 30 * 1000; // Time allowed for the response headers to arrive
+    this.maxLineLength = 1024 * 1024; // Characters in one line of the stream
+    this.maxEventLength = 1024 * 1024; // Characters of data in one event
+  }
+
+  // Validate a connection config, returning the normalized request settings
+  validateConfig(config) {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch {
+      throw new Error('A valid URL is required');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('SSE URLs must use http or https');
+    }
+
+    const retry = config.retry ?? this.defaultRetry;
+    if (!Number.isInteger(retry) || retry < 0 || retry > this.maxRetryDelay) {
+      throw new Error(`retry must be between 0 and ${this.maxRetryDelay} milliseconds`);
+    }
+    const maxAttempts = config.maxReconnectAttempts ?? this.defaultMaxReconnectAttempts;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 0) {
+      throw new Error('maxReconnectAttempts must be a non-negative integer');
+    }
+
+    return agentService.normalizeSettings(config.settings || {});
+  }
+
+  // Create SSE connection. Outbound connections are checked against the caller's outbound policy.
+  async createConnection(config, { user = null, clientIp = null, messages = [] } = {}) {
+    const connectionId = uuidv4();
+
+    try {
+      const settings = this.validateConfig(config);
+
+      const connectionData = {
+        id: connectionId,
+        url: config.url,
+        status: 'connecting',
+        createdAt: new Date().toISOString(),
+        lastActivity: new Date().toISOString(),
+        config: config,
+        settings,
+        guard: await outboundPolicyService.getGuard(user, { ip: clientIp, url: config.url }),
+        lastEventId: config.lastEventId || null,
+        retry: config.retry ?? this.defaultRetry,
+        autoReconnect: config.autoReconnect !== false,
+        maxReconnectAttempts: config.maxReconnectAttempts ?? this.defaultMaxReconnectAttempts,
+        reconnectAttempts: 0,
+        response: null,
+        request: null,
+        agents: null,
+        reconnectTimer: null,
+        stopped: false
+      };
+
+      this.connections.set(connectionId, connectionData);
+      this.messageHistory.set(connectionId, messages);
+      this.connectionStats.set(connectionId, {
+        messagesReceived: 0,
+        bytesReceived: 0,
+        connectionAttempts: 0,
+        reconnects: 0,
+        eventTypes: {},
+        lastEventAt: null,
+        errors: []
+      });
+
+      this.connect(connectionId);
+
+      return {
+        success: true,
+        connectionId,
+        connection: this.getConnectionInfo(connectionId)
+      };
+    } catch (error) {
+      this.connections.delete(connectionId);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Open the event stream, resuming from the last event ID when there is one
+  connect(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    const stats = this.connectionStats.get(connectionId);
+    const { config } = connectionData;
+
+    stats.connectionAttempts++;
+    connectionData.stopped = false;
+    connectionData.parser = { buffer: '', data: [], dataLength: 0, event: '', lastEventId: connectionData.lastEventId };
+
+    const url = new URL(config.url);
+    const headers = {
+      Accept: 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...(config.headers || {})
+    };
+    if (connectionData.lastEventId) {
+      headers['Last-Event-ID'] = connectionData.lastEventId;
+    }
+
+    const agents = agentService.createAgents(connectionData.settings, connectionData.guard);
+    const client = url.protocol === 'https:' ? https : http;
+    const body = config.body === undefined || config.body === null || typeof config.body === 'string'
+      ? config.body
+      : JSON.stringify(config.body);
+
+    const request = client.request(url, {
+      method: config.method || (body ? 'POST' : 'GET'),
+      headers,
+      agent: url.protocol === 'https:' ? agents.httpsAgent : agents.httpAgent
+    });
+    connectionData.request = request;
+    connectionData.agents = agents;
+
+    const timeout = connectionData.settings.timeout || this.connectTimeout;
+    const timeoutId = setTimeout(() => {
+      request.destroy(new Error(`No response within ${timeout}ms`));
+    }, timeout);
+
+    request.on('response', (response) => {
+      clearTimeout(timeoutId);
+      connectionData.response = { status: response.statusCode, headers: response.headers };
+      connectionData.lastActivity = new Date().toISOString();
+
+      // 204 No Content tells the client to stop reconnecting
+      if (response.statusCode === 204) {
+        response.resume();
+        return this.finish(connectionId, 'closed', 'Server responded with 204 No Content, not reconnecting');
+      }
+
+      const contentType = response.headers['content-type'] || '';
+      if (response.statusCode !== 200 || !contentType.toLowerCase().startsWith('text/event-stream')) {
+        response.resume();
+        this.recordError(connectionId, `Unexpected response: HTTP ${response.statusCode} ${contentType || 'without content type'}`);
+        return this.finish(connectionId, 'error', 'SSE connection failed, not reconnecting');
+      }
+
+      connectionData.status = 'connected';
+      connectionData.reconnectAttempts = 0;
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: connectionData.lastEventId
+          ? `SSE connection established (resumed from event ${connectionData.lastEventId})`
+          : 'SSE connection established',
+        timestamp: new Date().toISOString()
+      });
+
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => this.parseChunk(connectionId, chunk));
+      response.on('error', () => {}); // The stream is closed either way
+      response.on('close', () => {
+        if (connectionData.request === request) this.handleDisconnect(connectionId, 'Server closed the event stream');
+      });
+    });
+
+    request.on('error', (error) => {
+      clearTimeout(timeoutId);
+      // Errors of a request that was already replaced or stopped are not reported
+      if (connectionData.stopped || connectionData.request !== request) return;
+
+      this.recordError(connectionId, error.message);
+      if (error.code === 'OUTBOUND_BLOCKED') {
+        return this.finish(connectionId, 'error', 'SSE connection blocked by outbound policy, not reconnecting');
+      }
+      this.handleDisconnect(connectionId, error.message);
+    });
+
+    request.end(body);
+  }
+
+  // Split a chunk of the stream into lines, keeping a trailing partial line (or lone CR) for the next chunk.
+  // A stream whose lines or events grow past the limits is closed instead of buffered.
+  parseChunk(connectionId, chunk) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData || connectionData.stopped) return;
+
+    const parser = connectionData.parser;
+    const lines = (parser.buffer + chunk).split(/\r\n|\r(?!$)|\n/);
+    parser.buffer = lines.pop();
+    connectionData.lastActivity = new Date().toISOString();
+
+    for (const line of lines) {
+      if (line.length > this.maxLineLength) {
+        return this.abortStream(connectionId, `Line exceeds ${this.maxLineLength} characters`);
+      }
+      this.parseLine(connectionId, parser, line);
+      if (connectionData.stopped) return;
+    }
+
+    if (parser.buffer.length > this.maxLineLength) {
+      this.abortStream(connectionId, `Line exceeds ${this.maxLineLength} characters`);
+    }
+  }
+
+  // Handle one line of the event stream format
+  parseLine(connectionId, parser, line) {
+    if (line === '') return this.dispatchEvent(connectionId, parser);
+    if (line.startsWith(':')) return; // Comment, usually a keep-alive
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        parser.event = value;
+        break;
+      case 'data':
+        parser.data.push(value);
+        parser.dataLength += value.length + 1;
+        if (parser.dataLength > this.maxEventLength) {
+          this.abortStream(connectionId, `Event data exceeds ${this.maxEventLength} characters`);
+        }
+        break;
+      case 'id':
+        if (!value.includes('\0')) parser.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.connections.get(connectionId).retry = Math.min(parseInt(value), this.maxRetryDelay);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Dispatch the buffered event. The last event ID is kept even for events without data.
+  dispatchEvent(connectionId, parser) {
+    const connectionData = this.connections.get(connectionId);
+    const stats = this.connectionStats.get(connectionId);
+
+    connectionData.lastEventId = parser.lastEventId || null;
+    const data = parser.data;
+    const event = parser.event || 'message';
+    parser.data = [];
+    parser.dataLength = 0;
+    parser.event = '';
+
+    if (data.length === 0) return;
+
+    const content = data.join('\n');
+    const size = Buffer.byteLength(content);
+    stats.messagesReceived++;
+    stats.bytesReceived += size;
+    stats.eventTypes[event] = (stats.eventTypes[event] || 0) + 1;
+    stats.lastEventAt = new Date().toISOString();
+
+    this.addMessage(connectionId, {
+      type: 'message',
+      direction: 'received',
+      event,
+      eventId: connectionData.lastEventId,
+      content,
+      size,
+      timestamp: stats.lastEventAt
+    });
+  }
+
+  // Reconnect after the stream drops, waiting the server's retry delay with exponential backoff
+  handleDisconnect(connectionId, reason) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData || connectionData.stopped || connectionData.reconnectTimer) return;
+
+    connectionData.agents?.destroy();
+
+    if (!connectionData.autoReconnect || connectionData.reconnectAttempts >= connectionData.maxReconnectAttempts) {
+      return this.finish(connectionId, 'closed', `SSE connection closed (${reason})`);
+    }
+
+    const stats = this.connectionStats.get(connectionId);
+    connectionData.reconnectAttempts++;
+    stats.reconnects++;
+    connectionData.status = 'reconnecting';
+
+    const delay = Math.min(connectionData.retry * 2 ** (connectionData.reconnectAttempts - 1), this.maxRetryDelay);
+    this.addMessage(connectionId, {
+      type: 'system',
+      direction: 'system',
+      content: `SSE connection lost (${reason}), reconnecting in ${delay}ms `
+        + `(attempt ${connectionData.reconnectAttempts} of ${connectionData.maxReconnectAttempts})`,
+      timestamp: new Date().toISOString()
+    });
+
+    connectionData.reconnectTimer = setTimeout(() => {
+      connectionData.reconnectTimer = null;
+      this.connect(connectionId);
+    }, delay);
+  }
+
+  // Stop the connection for good
+  finish(connectionId, status, content) {
+    const connectionData = this.connections.get(connectionId);
+    connectionData.stopped = true;
+    connectionData.status = status;
+    connectionData.lastActivity = new Date().toISOString();
+    clearTimeout(connectionData.reconnectTimer);
+    connectionData.reconnectTimer = null;
+    connectionData.request?.destroy();
+    connectionData.agents?.destroy();
+
+    this.addMessage(connectionId, {
+      type: 'system',
+      direction: 'system',
+      content,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Close a stream that broke the parser's limits. Reconnecting would only receive the same data again.
+  abortStream(connectionId, message) {
+    this.recordError(connectionId, message);
+    this.finish(connectionId, 'error', 'SSE stream exceeded the size limits, not reconnecting');
+  }
+
+  recordError(connectionId, message) {
+    const stats = this.connectionStats.get(connectionId);
+    stats.errors.push({
+      message,
+      timestamp: new Date().toISOString()
+    });
+
+    this.addMessage(connectionId, {
+      type: 'error',
+      direction: 'system',
+      content: `SSE error: ${message}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Close SSE connection
+  closeConnection(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    if (!['closed', 'error'].includes(connectionData.status)) {
+      this.finish(connectionId, 'closed', 'SSE connection closed by client');
+    }
+    return { success: true };
+  }
+
+  // Reopen a closed connection, resuming from the last event ID it received
+  reconnect(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    if (!['closed', 'error'].includes(connectionData.status)) {
+      return { success: false, error: 'Connection is still active' };
+    }
+
+    connectionData.status = 'connecting';
+    connectionData.reconnectAttempts = 0;
+    this.connect(connectionId);
+
+    return { success: true, connection: this.getConnectionInfo(connectionId) };
+  }
+
+  // Get connection information
+  getConnectionInfo(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return null;
+    }
+
+    const stats = this.connectionStats.get(connectionId);
+    const messages = this.messageHistory.get(connectionId) || [];
+
+    return {
+      id: connectionData.id,
+      url: connectionData.url,
+      status: connectionData.status,
+      createdAt: connectionData.createdAt,
+      lastActivity: connectionData.lastActivity,
+      lastEventId: connectionData.lastEventId,
+      retry: connectionData.retry,
+      autoReconnect: connectionData.autoReconnect,
+      reconnectAttempts: connectionData.reconnectAttempts,
+      maxReconnectAttempts: connectionData.maxReconnectAttempts,
+      response: connectionData.response,
+      config: this.maskConfig(connectionData.config),
+      stats: stats,
+      messageCount: messages.length
+    };
+  }
+
+  // Copy of a connection config with credentials masked, since connection info is readable by anyone
+  maskConfig(config) {
+    const masked = { ...config };
+    if (config.headers) {
+      masked.headers = Object.fromEntries(Object.entries(config.headers)
+        .map(([name, value]) => [name, SECRET_HEADER.test(name) ? MASK : value]));
+    }
+
+    const settings = config.settings;
+    if (settings?.clientCertificate || settings?.proxy?.url) {
+      masked.settings = { ...settings };
+      if (settings.clientCertificate) masked.settings.clientCertificate = MASK;
+      if (settings.proxy?.url) {
+        try {
+          const proxyUrl = new URL(settings.proxy.url);
+          if (proxyUrl.password) proxyUrl.password = MASK;
+          masked.settings.proxy = { ...settings.proxy, url: proxyUrl.toString() };
+        } catch {
+          masked.settings.proxy = { ...settings.proxy, url: MASK };
+        }
+      }
+    }
+
+    return masked;
+  }
+
+  // Drop the values masked on export, so a resumed connection is not sent them as credentials
+  unmaskConfig(config = {}) {
+    const unmasked = { ...config };
+    if (config.headers) {
+      unmasked.headers = Object.fromEntries(Object.entries(config.headers).filter(([, value]) => value !== MASK));
+    }
+
+    const settings = config.settings;
+    if (settings) {
+      unmasked.settings = { ...settings };
+      if (settings.clientCertificate === MASK) delete unmasked.settings.clientCertificate;
+      if (typeof settings.proxy?.url === 'string' && settings.proxy.url.includes(MASK)) delete unmasked.settings.proxy;
+    }
+
+    return unmasked;
+  }
+
+  // Get all connections
+  getAllConnections() {
+    const connections = [];
+    for (const connectionId of this.connections.keys()) {
+      connections.push(this.getConnectionInfo(connectionId));
+    }
+    return connections;
+  }
+
+  // Get event history for a connection
+  getMessageHistory(connectionId, limit = 100) {
+    const messages = this.messageHistory.get(connectionId) || [];
+    return messages.slice(-limit).reverse(); // Return most recent first
+  }
+
+  // Add message to history
+  addMessage(connectionId, message) {
+    const messages = this.messageHistory.get(connectionId) || [];
+    messages.push({
+      id: uuidv4(),
+      ...message
+    });
+
+    // Keep only last 1000 messages per connection
+    if (messages.length > 1000) {
+      messages.splice(0, messages.length - 1000);
+    }
+
+    this.messageHistory.set(connectionId, messages);
+  }
+
+  // Clear event history for a connection
+  clearMessageHistory(connectionId) {
+    this.messageHistory.set(connectionId, []);
+    return { success: true };
+  }
+
+  // Delete connection and cleanup
+  deleteConnection(connectionId) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    this.closeConnection(connectionId);
+
+    this.connections.delete(connectionId);
+    this.messageHistory.delete(connectionId);
+    this.connectionStats.delete(connectionId);
+
+    return { success: true };
+  }
+
+  // Get SSE connection statistics
+  getGlobalStats() {
+    const totalConnections = this.connections.size;
+    const activeConnections = Array.from(this.connections.values())
+      .filter(conn => conn.status === 'connected').length;
+
+    let totalMessages = 0;
+    let totalBytes = 0;
+    let totalReconnects = 0;
+    let totalErrors = 0;
+
+    for (const stats of this.connectionStats.values()) {
+      totalMessages += stats.messagesReceived;
+      totalBytes += stats.bytesReceived;
+      totalReconnects += stats.reconnects;
+      totalErrors += stats.errors.length;
+    }
+
+    return {
+      totalConnections,
+      activeConnections,
+      totalMessages,
+      totalBytes,
+      totalReconnects,
+      totalErrors
+    };
+  }
+
+  // Test an SSE endpoint without creating a persistent connection
+  async testConnection(config, { user = null, clientIp = null } = {}) {
+    let settings;
+    let guard;
+    try {
+      settings = this.validateConfig(config);
+      guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: config.url });
+    } catch (error) {
+      return { success: false, error: error.message, duration: 0 };
+    }
+
+    return new Promise((resolve) => {
+      const timeout = config.timeout || 5000;
+      const startTime = Date.now();
+      const url = new URL(config.url);
+      const agents = agentService.createAgents(settings, guard);
+
+      const done = (result) => {
+        clearTimeout(timeoutId);
+        request.destroy();
+        agents.destroy();
+        resolve({ ...result, duration: Date.now() - startTime });
+      };
+
+      const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: config.method || 'GET',
+        headers: { Accept: 'text/event-stream', ...(config.headers || {}) },
+        agent: url.protocol === 'https:' ? agents.httpsAgent : agents.httpAgent
+      });
+
+      const timeoutId = setTimeout(() => done({ success: false, error: 'Connection timeout' }), timeout);
+
+      request.on('response', (response) => {
+        const contentType = response.headers['content-type'] || '';
+        if (response.statusCode === 200 && contentType.toLowerCase().startsWith('text/event-stream')) {
+          done({ success: true, status: response.statusCode, message: 'Connection successful' });
+        } else {
+          done({
+            success: false,
+            status: response.statusCode,
+            error: `Endpoint is not an event stream (HTTP ${response.statusCode} ${contentType || 'without content type'})`
+          });
+        }
+      });
+
+      request.on('error', (error) => done({ success: false, error: error.message }));
+      request.end(config.body);
+    });
+  }
+
+  // Get connection templates
+  getConnectionTemplates() {
+    return [
+      {
+        name: 'Wikimedia Recent Changes',
+        url: 'https://stream.wikimedia.org/v2/stream/recentchange',
+        description: 'Public stream of edits across Wikimedia projects',
+        headers: {}
+      },
+      {
+        name: 'Local Event Stream',
+        url: 'http://localhost:3001/events',
+        description: 'Event stream served by a local development server',
+        headers: {}
+      },
+      {
+        name: 'Authenticated Stream',
+        url: 'https://api.example.com/stream',
+        description: 'Event stream behind a bearer token, resumed from the last event',
+        headers: {
+          'Authorization': 'Bearer YOUR_TOKEN'
+        },
+        lastEventId: ''
+      },
+      {
+        name: 'Streaming Completion',
+        url: 'https://api.example.com/v1/completions',
+        description: 'POST request answered with a streamed response',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: { stream: true },
+        autoReconnect: false
+      }
+    ];
+  }
+
+  // Export connection data
+  exportConnections() {
+    const connections = this.getAllConnections();
+    const history = {};
+
+    for (const connectionId of this.connections.keys()) {
+      history[connectionId] = this.getMessageHistory(connectionId, 500);
+    }
+
+    return {
+      version: '1.0.0',
+      exportedAt: new Date().toISOString(),
+      connections,
+      messageHistory: history,
+      globalStats: this.getGlobalStats()
+    };
+  }
+
+  // Import connection data. With resume, exported connections are reopened from their last event ID.
+  async importConnections(data, { resume = false, user = null, clientIp = null } = {}) {
+    try {
+      if (!data.connections || !Array.isArray(data.connections)) {
+        throw new Error('Invalid import data format');
+      }
+
+      const history = data.messageHistory || {};
+      let imported = 0;
+
+      if (!resume) {
+        for (const [connectionId, messages] of Object.entries(history)) {
+          this.messageHistory.set(connectionId, messages);
+          imported++;
+        }
+        return { success: true, imported, note: 'Event history imported. Pass resume to reopen the connections.' };
+      }
+
+      const resumed = [];
+      const errors = [];
+      for (const connection of data.connections) {
+        // Exported history is most recent first
+        const messages = Array.isArray(history[connection.id]) ? [...history[connection.id]].reverse() : [];
+        const result = await this.createConnection(
+          { ...this.unmaskConfig(connection.config), lastEventId: connection.lastEventId || connection.config?.lastEventId },
+          { user, clientIp, messages }
+        );
+
+        if (result.success) {
+          resumed.push({ previousId: connection.id, connectionId: result.connectionId });
+          imported++;
+        } else {
+          errors.push({ previousId: connection.id, error: result.error });
+        }
+      }
+
+      return { success: true, imported, resumed, errors };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Cleanup closed connections
+  cleanup() {
+    let cleaned = 0;
+    for (const [connectionId, connectionData] of this.connections.entries()) {
+      if (['closed', 'error'].includes(connectionData.status)) {
+        this.connections.delete(connectionId);
+        // Keep event history for reference
+        cleaned++;
+      }
+    }
+    return { cleaned };
+  }
+}
+
+const sseService = new SSEService();
+export default sseService;
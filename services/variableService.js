@@ -0,0 +1,166 @@
+import { v4 as uuidv4 } from 'uuid';
+import Environment from '../models/Environment.js';
+import Collection from '../models/Collection.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+class VariableService {
+  constructor() {
+    this.maxDepth = 5; // Maximum depth for variables that reference other variables
+    this.dynamicVariables = {
+      $guid: () => uuidv4(),
+      $timestamp: () => Math.floor(Date.now() / 1000).toString(),
+      $isoTimestamp: () => new Date().toISOString(),
+      $randomInt: () => Math.floor(Math.random() * 1001).toString()
+    };
+  }
+
+  // Load the global, collection and environment scopes available to a user
+  async loadScopes(user, { environmentId, collectionId } = {}) {
+    const scopes = { globals: null, collection: null, environment: null, parentCollection: null };
+    if (!user) return scopes;
+
+    scopes.globals = await Environment.findOne({ owner: user._id, scope: 'global' });
+
+    if (collectionId) {
+      const collection = await Collection.findById(collectionId);
+      if (!collection || !collection.canView(user)) {
+        throw new Error('Collection not found');
+      }
+      scopes.parentCollection = collection;
+      scopes.collection = await Environment.findOne({ scope: 'collection', collectionId });
+    }
+
+    if (environmentId) {
+      const environment = await Environment.findOne({
+        _id: environmentId,
+        owner: user._id,
+        scope: 'environment'
+      });
+      if (!environment) {
+        throw new Error('Environment not found');
+      }
+      scopes.environment = environment;
+    }
+
+    return scopes;
+  }
+
+  // Convert loaded scope documents into plain key/value maps
+  toScopeMaps(scopes = {}, localVariables = {}) {
+    return {
+      local: { ...localVariables },
+      environment: scopes.environment?.toVariableMap() || {},
+      collection: scopes.collection?.toVariableMap() || {},
+      globals: scopes.globals?.toVariableMap() || {}
+    };
+  }
+
+  // Merge scope maps into a single lookup table, narrowest scope wins
+  buildVariables(maps, iterationData = {}) {
+    return {
+      ...maps.globals,
+      ...maps.collection,
+      ...maps.environment,
+      ...iterationData,
+      ...maps.local
+    };
+  }
+
+  // Write variables changed by scripts back to the stored scopes
+  async saveScopeChanges(user, scopes, before, after) {
+    if (!user) return;
+
+    const applyChanges = async (loadDocument, beforeMap, afterMap) => {
+      const changedKeys = Object.keys(afterMap).filter(key => beforeMap[key] !== afterMap[key]);
+      const removedKeys = Object.keys(beforeMap).filter(key => !(key in afterMap));
+      if (changedKeys.length === 0 && removedKeys.length === 0) return;
+
+      const document = await loadDocument();
+      if (!document) return;
+
+      changedKeys.forEach(key => document.setVariable(key, afterMap[key]));
+      removedKeys.forEach(key => document.unsetVariable(key));
+      await document.save();
+    };
+
+    await applyChanges(() => scopes.environment, before.environment, after.environment);
+    await applyChanges(() => scopes.globals || Environment.getGlobals(user._id), before.globals, after.globals);
+
+    // Collection variables are shared, so only editors of the collection may change them
+    const collection = scopes.parentCollection;
+    if (collection && collection.canEdit(user)) {
+      await applyChanges(
+        () => scopes.collection || Environment.create({
+          name: collection.name,
+          owner: collection.owner,
+          scope: 'collection',
+          collectionId: collection._id
+        }),
+        before.collection,
+        after.collection
+      );
+    }
+  }
+
+  // Replace {{name}} placeholders in a string, recording names that could not be resolved
+  resolveString(value, variables, unresolved = new Set(), depth = 0) {
+    if (typeof value !== 'string' || !value.includes('{{')) {
+      return value;
+    }
+
+    return value.replace(VARIABLE_PATTERN, (match, name) => {
+      if (Object.prototype.hasOwnProperty.call(variables, name)) {
+        const resolved = String(variables[name] ?? '');
+        return depth < this.maxDepth
+          ? this.resolveString(resolved, variables, unresolved, depth + 1)
+          : resolved;
+      }
+
+      if (this.dynamicVariables[name]) {
+        return this.dynamicVariables[name]();
+      }
+
+      unresolved.add(name);
+      return match;
+    });
+  }
+
+  // Recursively resolve placeholders in strings, arrays and object keys/values
+  resolveValue(value, variables, unresolved = new Set()) {
+    if (typeof value === 'string') {
+      return this.resolveString(value, variables, unresolved);
+    } else if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, variables, unresolved));
+    } else if (value && typeof value === 'object' && value.constructor === Object) {
+      const resolved = {};
+      for (const [key, item] of Object.entries(value)) {
+        resolved[this.resolveString(key, variables, unresolved)] = this.resolveValue(item, variables, unresolved);
+      }
+      return resolved;
+    }
+    return value;
+  }
+
+  // Resolve the URL, headers, body, auth and settings of a proxy request
+  resolveRequest(request, variables) {
+    const unresolved = new Set();
+
+    const resolved = {
+      ...request,
+      url: this.resolveString(request.url, variables, unresolved),
+      headers: this.resolveValue(request.headers || {}, variables, unresolved),
+      body: this.resolveValue(request.body, variables, unresolved),
+      auth: this.resolveValue(request.auth, variables, unresolved),
+      settings: this.resolveValue(request.settings, variables, unresolved)
+    };
+
+    return {
+      request: resolved,
+      unresolvedVariables: Array.from(unresolved)
+    };
+  }
+}
+
+const variableService = new VariableService();
+export default variableService;
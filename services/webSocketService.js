@@ -1,5 +1,11 @@
 import WebSocket from 'ws';
+import { io } from 'socket.io-client';
 import { v4 as uuidv4 } from 'uuid';
+import agentService from './agentService.js';
+import outboundPolicyService from './outboundPolicyService.js';
+
+// Events the Socket.IO client uses itself, which cannot be emitted
+const RESERVED_EVENTS = ['connect', 'connect_error', 'disconnect', 'disconnecting', 'newListener', 'removeListener'];
 
 
 class WebSocketService {
@@ -9,24 +15,50 @@ class WebSocketService {
     this.connectionStats = new Map(); // Store connection statistics
   }
 
-  // Create WebSocket connection
-  createConnection(config) {
+  // Check the target against the caller's outbound policy and create the agent its connections go through.
+  // The agent checks every connection again, reconnects included, and only connects to allowed addresses.
+  async createGuardedAgents(config, { user = null, clientIp = null } = {}) {
+    const url = new URL(config.url);
+    const port = Number(url.port) || (['wss:', 'https:'].includes(url.protocol) ? 443 : 80);
+    const guard = await outboundPolicyService.getGuard(user, { ip: clientIp, url: config.url });
+    guard.checkTarget(url.hostname.replace(/^\[|\]$/g, ''), port);
+
+    return agentService.createAgents({ verifySsl: config.options?.rejectUnauthorized !== false }, guard);
+  }
+
+  // Create WebSocket connection. Outbound connections are checked against the caller's outbound policy.
+  async createConnection(config, { user = null, clientIp = null } = {}) {
     const connectionId = uuidv4();
     
     try {
-      const wsConfig = {
-        headers: config.headers || {},
-        protocols: config.protocols || [],
-        ...config.options
-      };
+      const isSocketIO = config.mode === 'socketio';
+      const agents = await this.createGuardedAgents(config, { user, clientIp });
+      let ws = null;
+      let socketIO = null;
 
-      const ws = new WebSocket(config.url, wsConfig);
+      if (isSocketIO) {
+        socketIO = this.createSocketIOClient(config, agents.httpAgent);
+      } else {
+        const wsConfig = {
+          headers: config.headers || {},
+          protocols: config.protocols || [],
+          ...config.options,
+          agent: agents.httpAgent
+        };
+
+        ws = new WebSocket(config.url, wsConfig);
+      }
       
       const connectionData = {
         id: connectionId,
         url: config.url,
+        mode: isSocketIO ? 'socketio' : 'raw',
         status: 'connecting',
         ws,
+        socket: socketIO?.socket || null,
+        namespace: socketIO?.namespace || null,
+        pendingAcks: new Map(), // Acknowledgements the server is waiting for
+        agents,
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString(),
         config: config
@@ -46,7 +78,11 @@ class WebSocketService {
       });
 
       // Set up WebSocket event handlers
-      this.setupWebSocketHandlers(connectionId, ws);
+      if (isSocketIO) {
+        this.setupSocketIOHandlers(connectionId, socketIO.socket);
+      } else {
+        this.setupWebSocketHandlers(connectionId, ws);
+      }
 
       return {
         success: true,
@@ -56,7 +92,8 @@ class WebSocketService {
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
@@ -155,6 +192,268 @@ class WebSocketService {
     });
   }
 
+  // Create a Socket.IO client. The namespace comes from the URL path unless the URL points at the
+  // Engine.IO endpoint itself (e.g. /socket.io/?EIO=4&transport=websocket), which is not a namespace.
+  // Connections go through the given agent, which applies the outbound policy.
+  createSocketIOClient(config, agent) {
+    const url = new URL(config.url);
+    const protocol = { 'ws:': 'http:', 'wss:': 'https:' }[url.protocol] || url.protocol;
+    const path = config.path || '/socket.io';
+    const pathname = url.pathname.replace(/\/$/, '');
+    const namespace = config.namespace || (pathname.startsWith(path) || !pathname ? '/' : pathname);
+
+    const query = Object.fromEntries(url.searchParams);
+    delete query.EIO;
+    delete query.transport;
+
+    const socket = io(`${protocol}//${url.host}${namespace}`, {
+      path,
+      transports: ['websocket'],
+      extraHeaders: config.headers || {},
+      auth: config.auth || {},
+      query: { ...query, ...config.query },
+      reconnection: config.reconnection === true,
+      timeout: config.timeout || 20000,
+      forceNew: true,
+      ...config.options,
+      agent
+    });
+
+    return { socket, namespace };
+  }
+
+  // Setup Socket.IO event handlers, recording decoded events instead of Engine.IO packets
+  setupSocketIOHandlers(connectionId, socket) {
+    const connectionData = this.connections.get(connectionId);
+    const stats = this.connectionStats.get(connectionId);
+
+    socket.on('connect', () => {
+      connectionData.status = 'connected';
+      connectionData.lastActivity = new Date().toISOString();
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: `Socket.IO connected to namespace ${connectionData.namespace} (sid: ${socket.id})`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.on('connect_error', (error) => {
+      connectionData.status = socket.active ? 'connecting' : 'error';
+      connectionData.lastActivity = new Date().toISOString();
+      stats.errors.push({
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      this.addMessage(connectionId, {
+        type: 'error',
+        direction: 'system',
+        content: `Socket.IO connection error: ${error.message}`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.on('disconnect', (reason) => {
+      connectionData.status = socket.active ? 'connecting' : 'closed';
+      connectionData.lastActivity = new Date().toISOString();
+      connectionData.closeReason = reason;
+      connectionData.pendingAcks.clear();
+
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: `Socket.IO disconnected (Reason: ${reason})`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.io.on('reconnect_attempt', (attempt) => {
+      stats.connectionAttempts++;
+      this.addMessage(connectionId, {
+        type: 'system',
+        direction: 'system',
+        content: `Socket.IO reconnect attempt ${attempt}`,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    socket.onAny((event, ...args) => {
+      // The server asked for an acknowledgement when the last argument is a callback
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const payload = this.decodeSocketIOArgs(args);
+      const content = JSON.stringify(payload);
+      const size = this.measureSocketIOArgs(args);
+      const ackId = ack ? uuidv4() : undefined;
+
+      connectionData.lastActivity = new Date().toISOString();
+      stats.messagesReceived++;
+      stats.bytesReceived += size;
+
+      this.addMessage(connectionId, {
+        type: 'event',
+        direction: 'received',
+        event,
+        payload,
+        content,
+        size,
+        ackId,
+        timestamp: new Date().toISOString()
+      });
+
+      if (ack) {
+        connectionData.pendingAcks.set(ackId, { event, ack });
+        if (connectionData.config.autoAck !== undefined) {
+          this.sendAck(connectionId, ackId, [connectionData.config.autoAck]);
+        }
+      }
+    });
+  }
+
+  // Binary payloads are recorded as base64 so history stays JSON
+  decodeSocketIOArgs(args) {
+    return args.map(arg => {
+      if (Buffer.isBuffer(arg) || arg instanceof ArrayBuffer) {
+        return { binary: true, base64: Buffer.from(arg).toString('base64') };
+      }
+      return arg;
+    });
+  }
+
+  // Binary arguments count their raw bytes, everything else its JSON encoding
+  measureSocketIOArgs(args) {
+    return args.reduce((total, arg) => {
+      if (Buffer.isBuffer(arg) || arg instanceof ArrayBuffer) {
+        return total + arg.byteLength;
+      }
+      return total + Buffer.byteLength(JSON.stringify(arg) ?? '');
+    }, 0);
+  }
+
+  // Emit a named Socket.IO event, optionally waiting for the server's acknowledgement
+  emitEvent(connectionId, { event, args = [], ack = false, timeout = 10000 } = {}) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return Promise.resolve({ success: false, error: 'Connection not found' });
+    }
+
+    if (connectionData.mode !== 'socketio') {
+      return Promise.resolve({ success: false, error: 'Connection is not in Socket.IO mode' });
+    }
+
+    if (connectionData.status !== 'connected') {
+      return Promise.resolve({ success: false, error: 'Connection is not active' });
+    }
+
+    if (typeof event !== 'string' || !event || RESERVED_EVENTS.includes(event)) {
+      return Promise.resolve({ success: false, error: `Invalid event name: ${event}` });
+    }
+
+    const payload = Array.isArray(args) ? args : [args];
+    const recorded = this.decodeSocketIOArgs(payload);
+    const size = this.measureSocketIOArgs(payload);
+    const stats = this.connectionStats.get(connectionId);
+    stats.messagesSent++;
+    stats.bytesSent += size;
+    connectionData.lastActivity = new Date().toISOString();
+
+    this.addMessage(connectionId, {
+      type: 'event',
+      direction: 'sent',
+      event,
+      payload: recorded,
+      content: JSON.stringify(recorded),
+      size,
+      ackRequested: Boolean(ack),
+      timestamp: new Date().toISOString()
+    });
+
+    if (!ack) {
+      connectionData.socket.emit(event, ...payload);
+      return Promise.resolve({ success: true });
+    }
+
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      connectionData.socket.timeout(timeout).emit(event, ...payload, (error, ...response) => {
+        if (error) {
+          this.addMessage(connectionId, {
+            type: 'error',
+            direction: 'system',
+            event,
+            content: `No acknowledgement for ${event} within ${timeout}ms`,
+            timestamp: new Date().toISOString()
+          });
+          return resolve({ success: false, error: `No acknowledgement within ${timeout}ms` });
+        }
+
+        const ackPayload = this.decodeSocketIOArgs(response);
+        const ackContent = JSON.stringify(ackPayload);
+        const ackSize = this.measureSocketIOArgs(response);
+        const latency = Date.now() - startTime;
+        stats.messagesReceived++;
+        stats.bytesReceived += ackSize;
+
+        this.addMessage(connectionId, {
+          type: 'ack',
+          direction: 'received',
+          event,
+          payload: ackPayload,
+          content: ackContent,
+          size: ackSize,
+          latency,
+          timestamp: new Date().toISOString()
+        });
+
+        resolve({ success: true, ack: ackPayload, latency });
+      });
+    });
+  }
+
+  // Answer an acknowledgement the server requested with an event
+  sendAck(connectionId, ackId, args = []) {
+    const connectionData = this.connections.get(connectionId);
+    if (!connectionData) {
+      return { success: false, error: 'Connection not found' };
+    }
+
+    const pending = connectionData.pendingAcks.get(ackId);
+    if (!pending) {
+      return { success: false, error: 'Acknowledgement not found or already sent' };
+    }
+
+    const payload = Array.isArray(args) ? args : [args];
+    const recorded = this.decodeSocketIOArgs(payload);
+    const size = this.measureSocketIOArgs(payload);
+    const stats = this.connectionStats.get(connectionId);
+    connectionData.pendingAcks.delete(ackId);
+    pending.ack(...payload);
+    stats.messagesSent++;
+    stats.bytesSent += size;
+
+    this.addMessage(connectionId, {
+      type: 'ack',
+      direction: 'sent',
+      event: pending.event,
+      ackId,
+      payload: recorded,
+      content: JSON.stringify(recorded),
+      size,
+      timestamp: new Date().toISOString()
+    });
+
+    return { success: true };
+  }
+
+  // Map a connection to the WebSocket ready states, whichever client it uses
+  getReadyState(connectionData) {
+    if (connectionData.mode !== 'socketio') {
+      return connectionData.ws.readyState;
+    }
+    if (connectionData.socket.connected) return WebSocket.OPEN;
+    return connectionData.socket.active ? WebSocket.CONNECTING : WebSocket.CLOSED;
+  }
+
   // Send message through WebSocket
   sendMessage(connectionId, message, messageType = 'text') {
     const connectionData = this.connections.get(connectionId);
@@ -166,6 +465,14 @@ class WebSocketService {
       return { success: false, error: 'Connection is not active' };
     }
 
+    if (connectionData.mode === 'socketio') {
+      if (messageType === 'ping') {
+        return { success: false, error: 'Socket.IO connections are kept alive by the Engine.IO heartbeat' };
+      }
+      const payload = messageType === 'binary' ? Buffer.from(message, 'base64') : message;
+      return this.emitEvent(connectionId, { event: 'message', args: [payload] });
+    }
+
     try {
       const stats = this.connectionStats.get(connectionId);
       
@@ -208,7 +515,9 @@ class WebSocketService {
     }
 
     try {
-      if (connectionData.ws.readyState === WebSocket.OPEN) {
+      if (connectionData.mode === 'socketio') {
+        connectionData.socket.disconnect();
+      } else if (connectionData.ws.readyState === WebSocket.OPEN) {
         connectionData.ws.close(code, reason);
       }
       return { success: true };
@@ -230,6 +539,9 @@ class WebSocketService {
     return {
       id: connectionData.id,
       url: connectionData.url,
+      mode: connectionData.mode,
+      namespace: connectionData.namespace,
+      sid: connectionData.socket?.id || null,
       status: connectionData.status,
       createdAt: connectionData.createdAt,
       lastActivity: connectionData.lastActivity,
@@ -238,7 +550,8 @@ class WebSocketService {
       config: connectionData.config,
       stats: stats,
       messageCount: messages.length,
-      readyState: connectionData.ws.readyState
+      pendingAcks: connectionData.pendingAcks.size,
+      readyState: this.getReadyState(connectionData)
     };
   }
 
@@ -287,10 +600,14 @@ class WebSocketService {
     }
 
     // Close connection if still open
-    if (connectionData.ws.readyState === WebSocket.OPEN) {
+    if (connectionData.mode === 'socketio') {
+      connectionData.socket.disconnect();
+    } else if (connectionData.ws.readyState === WebSocket.OPEN) {
       connectionData.ws.close(1000, 'Connection deleted');
     }
 
+    connectionData.agents.destroy();
+
     // Remove from maps
     this.connections.delete(connectionId);
     this.messageHistory.delete(connectionId);
@@ -325,14 +642,32 @@ class WebSocketService {
   }
 
   // Test WebSocket connection without creating persistent connection
-  testConnection(config) {
+  async testConnection(config, { user = null, clientIp = null } = {}) {
+    let agents;
+    try {
+      agents = await this.createGuardedAgents(config, { user, clientIp });
+    } catch (error) {
+      return { success: false, error: error.message, code: error.code, duration: 0 };
+    }
+
+    try {
+      return config.mode === 'socketio'
+        ? await this.testSocketIOConnection(config, agents.httpAgent)
+        : await this.testRawConnection(config, agents.httpAgent);
+    } finally {
+      agents.destroy();
+    }
+  }
+
+  testRawConnection(config, agent) {
     return new Promise((resolve) => {
       const timeout = config.timeout || 5000;
       let resolved = false;
 
       const ws = new WebSocket(config.url, {
         headers: config.headers || {},
-        protocols: config.protocols || []
+        protocols: config.protocols || [],
+        agent
       });
 
       const timeoutId = setTimeout(() => {
@@ -378,6 +713,32 @@ class WebSocketService {
     });
   }
 
+  // Test a Socket.IO handshake, including the namespace connection
+  testSocketIOConnection(config, agent) {
+    return new Promise((resolve) => {
+      const timeout = config.timeout || 5000;
+      const startTime = Date.now();
+      let socketIO;
+
+      try {
+        socketIO = this.createSocketIOClient({ ...config, timeout, reconnection: false }, agent);
+      } catch (error) {
+        return resolve({ success: false, error: error.message, duration: 0 });
+      }
+
+      const { socket, namespace } = socketIO;
+      const done = (result) => {
+        clearTimeout(timeoutId);
+        socket.disconnect();
+        resolve({ ...result, duration: Date.now() - startTime });
+      };
+      const timeoutId = setTimeout(() => done({ success: false, error: 'Connection timeout' }), timeout);
+
+      socket.on('connect', () => done({ success: true, namespace, sid: socket.id, message: 'Connection successful' }));
+      socket.on('connect_error', (error) => done({ success: false, namespace, error: error.message }));
+    });
+  }
+
   // Get connection templates
   getConnectionTemplates() {
     return [
@@ -392,8 +753,10 @@ class WebSocketService {
         name: 'Socket.IO Server',
         url: 'ws://localhost:3001/socket.io/?EIO=4&transport=websocket',
         description: 'Socket.IO server connection',
+        mode: 'socketio',
+        namespace: '/',
         headers: {},
-        protocols: []
+        auth: {}
       },
       {
         name: 'Chat Server',
@@ -460,7 +823,8 @@ class WebSocketService {
   cleanup() {
     let cleaned = 0;
     for (const [connectionId, connectionData] of this.connections.entries()) {
-      if (connectionData.status === 'closed' || connectionData.ws.readyState === WebSocket.CLOSED) {
+      if (connectionData.status === 'closed' || this.getReadyState(connectionData) === WebSocket.CLOSED) {
+        connectionData.agents.destroy();
         this.connections.delete(connectionId);
         // Keep message history for reference
         cleaned++;
@@ -0,0 +1,197 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import authSignatureService from '../services/authSignatureService.js';
+import proxyService from '../services/proxyService.js';
+
+// Credentials and time used throughout the AWS Signature Version 4 documentation and test suite
+const AWS_AUTH = {
+  accessKey: 'AKIDEXAMPLE',
+  secretKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  region: 'us-east-1'
+};
+const AWS_DATE = new Date('2015-08-30T12:36:00Z');
+
+const signAws = (config, auth) => {
+  const signed = { headers: {}, ...config };
+  authSignatureService.signAwsV4(signed, { ...AWS_AUTH, ...auth }, AWS_DATE);
+  return signed;
+};
+
+const signatureOf = (config) => config.headers.Authorization.match(/Signature=([0-9a-f]{64})$/)[1];
+
+// Sign a canonical request by hand, to check the canonical form the service builds
+const expectedSignature = (canonicalRequest, service) => {
+  const scope = `20150830/us-east-1/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', '20150830T123600Z', scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+  const key = ['20150830', 'us-east-1', service, 'aws4_request']
+    .reduce((current, part) => crypto.createHmac('sha256', current).update(part).digest(), `AWS4${AWS_AUTH.secretKey}`);
+  return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+};
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+test('AWS SigV4 matches the IAM ListUsers example from the AWS documentation', () => {
+  const config = signAws({
+    method: 'GET',
+    url: 'https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' }
+  }, { service: 'iam' });
+
+  assert.equal(config.headers['X-Amz-Date'], '20150830T123600Z');
+  assert.equal(config.headers.Authorization,
+    'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/iam/aws4_request, '
+    + 'SignedHeaders=content-type;host;x-amz-date, '
+    + 'Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7');
+});
+
+test('AWS SigV4 matches the get-vanilla-query-order-key-case test suite example', () => {
+  const config = signAws({ method: 'GET', url: 'https://example.amazonaws.com/?Param2=value2&Param1=value1' }, { service: 'service' });
+  assert.equal(signatureOf(config), 'b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500');
+});
+
+test('AWS SigV4 keeps every = of a query value', () => {
+  const config = signAws({ method: 'GET', url: 'https://example.amazonaws.com/items?token=YWJj==&limit=10' }, { service: 'service' });
+  const canonicalRequest = ['GET', '/items', 'limit=10&token=YWJj%3D%3D',
+    'host:example.amazonaws.com\nx-amz-date:20150830T123600Z\n', 'host;x-amz-date', EMPTY_HASH].join('\n');
+
+  assert.equal(signatureOf(config), expectedSignature(canonicalRequest, 'service'));
+});
+
+test('AWS SigV4 signs a + in the query as a space', () => {
+  const config = signAws({ method: 'GET', url: 'https://example.amazonaws.com/?q=a+b&plus=%2B' }, { service: 'service' });
+  const canonicalRequest = ['GET', '/', 'plus=%2B&q=a%20b',
+    'host:example.amazonaws.com\nx-amz-date:20150830T123600Z\n', 'host;x-amz-date', EMPTY_HASH].join('\n');
+
+  assert.equal(signatureOf(config), expectedSignature(canonicalRequest, 'service'));
+});
+
+// RFC 7616 section 3.9.1
+test('Digest matches the RFC 7616 MD5 and SHA-256 examples', () => {
+  const auth = {
+    username: 'Mufasa',
+    password: 'Circle of Life',
+    cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ'
+  };
+  const challenge = {
+    realm: 'http-auth@example.org',
+    qop: 'auth, auth-int',
+    nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+    opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS'
+  };
+  const request = { method: 'GET', url: new URL('http://www.example.org/dir/index.html'), body: '' };
+
+  const md5 = authSignatureService.digestAuthorization(auth, { ...challenge, algorithm: 'MD5' }, request);
+  const sha256 = authSignatureService.digestAuthorization(auth, { ...challenge, algorithm: 'SHA-256' }, request);
+
+  assert.match(md5, /response="8ca523f5e9506fed4657c9700eebdbec"/);
+  assert.match(sha256, /response="753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1"/);
+});
+
+// A stand-in server that challenges for Digest and checks HMAC signatures the way a real one would
+const DIGEST_USER = { username: 'alice', password: 's3cret', realm: 'stand-in' };
+const HMAC_SECRET = 'hmac-secret';
+let server;
+let baseUrl;
+
+const parseDigest = (header) => Object.fromEntries(
+  Array.from(header.slice(7).matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g), ([, key, quoted, plain]) => [key, quoted ?? plain])
+);
+
+const checkDigest = (req, body, algorithm) => {
+  const header = req.headers.authorization;
+  if (!header?.startsWith('Digest ')) return false;
+
+  const digest = (value) => crypto.createHash(algorithm).update(value).digest('hex');
+  const fields = parseDigest(header);
+  let ha1 = digest(`${DIGEST_USER.username}:${DIGEST_USER.realm}:${DIGEST_USER.password}`);
+  if (/-sess$/i.test(fields.algorithm)) ha1 = digest(`${ha1}:${fields.nonce}:${fields.cnonce}`);
+  const ha2 = fields.qop === 'auth-int'
+    ? digest(`${req.method}:${req.url}:${digest(body)}`)
+    : digest(`${req.method}:${req.url}`);
+
+  return fields.uri === req.url
+    && fields.response === digest(`${ha1}:${fields.nonce}:${fields.nc}:${fields.cnonce}:${fields.qop}:${ha2}`);
+};
+
+const checkHmac = (req, body) => {
+  const match = /^HMAC key-1:(.+)$/.exec(req.headers.authorization || '');
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const stringToSign = [req.method, req.url, req.headers['x-timestamp'], bodyHash].join('\n');
+  const expected = crypto.createHmac('sha256', HMAC_SECRET).update(stringToSign).digest('base64');
+  return match?.[1] === expected;
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [, scheme, algorithm, qop] = req.url.split(/[/?]/);
+      let authorized;
+
+      if (scheme === 'digest') {
+        authorized = checkDigest(req, body, algorithm === 'sha256' ? 'sha256' : 'md5');
+        if (!authorized) {
+          res.setHeader('WWW-Authenticate', `Digest realm="${DIGEST_USER.realm}", qop="${qop}", `
+            + `algorithm=${algorithm === 'sha256' ? 'SHA-256' : 'MD5-sess'}, nonce="${crypto.randomBytes(8).toString('hex')}"`);
+        }
+      } else {
+        authorized = checkHmac(req, body);
+      }
+
+      res.writeHead(authorized ? 200 : 401).end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Apply the auth and send the request the way a proxied request is sent
+const send = async (request, auth) => {
+  const config = proxyService.buildAxiosConfig(request);
+  if (request.body !== undefined) config.data = request.body;
+  await proxyService.applyAuth(config, auth);
+  return proxyService.sendRequest(config, auth);
+};
+
+test('Digest answers a SHA-256 challenge from a server', async () => {
+  const response = await send({ method: 'GET', url: `${baseUrl}/digest/sha256/auth?page=2` }, { type: 'digest', ...DIGEST_USER });
+  assert.equal(response.status, 200);
+});
+
+test('Digest answers an MD5-sess auth-int challenge covering the body', async () => {
+  const response = await send(
+    { method: 'POST', url: `${baseUrl}/digest/md5/auth-int`, headers: { 'Content-Type': 'text/plain' }, body: 'hello' },
+    { type: 'digest', ...DIGEST_USER }
+  );
+  assert.equal(response.status, 200);
+});
+
+test('Digest with a wrong password is still rejected', async () => {
+  const response = await send({ method: 'GET', url: `${baseUrl}/digest/sha256/auth` }, { type: 'digest', ...DIGEST_USER, password: 'wrong' });
+  assert.equal(response.status, 401);
+});
+
+test('HMAC signatures are accepted by a server that checks them', async () => {
+  const auth = {
+    type: 'hmac',
+    secret: HMAC_SECRET,
+    keyId: 'key-1',
+    encoding: 'base64',
+    timestampHeader: 'X-Timestamp',
+    signatureHeader: 'Authorization',
+    signatureFormat: 'HMAC {keyId}:{signature}'
+  };
+
+  const signed = await send({ method: 'POST', url: `${baseUrl}/hmac?limit=5`, body: { name: 'widget' } }, auth);
+  const tampered = await send({ method: 'POST', url: `${baseUrl}/hmac?limit=5`, body: { name: 'widget' } }, { ...auth, secret: 'other' });
+
+  assert.equal(signed.status, 200);
+  assert.equal(tampered.status, 401);
+});
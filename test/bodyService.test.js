@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import bodyService from '../services/bodyService.js';
+
+const defaults = { downloadDir: bodyService.downloadDir, inlineBinaryLimit: bodyService.inlineBinaryLimit };
+const alice = { _id: new mongoose.Types.ObjectId() };
+const bob = { _id: new mongoose.Types.ObjectId() };
+const BINARY = { 'content-type': 'application/octet-stream' };
+
+before(() => {
+  Object.assign(bodyService, {
+    downloadDir: fs.mkdtempSync(path.join(os.tmpdir(), 'postwomen-downloads-')),
+    inlineBinaryLimit: 16
+  });
+});
+
+after(() => {
+  fs.rmSync(bodyService.downloadDir, { recursive: true, force: true });
+  Object.assign(bodyService, defaults);
+});
+
+const saveFor = (owner) => bodyService.decodeResponse(Buffer.alloc(64, 1), BINARY, 'https://example.com/file.bin', owner).download;
+
+test('large binary responses are saved as downloads', () => {
+  const download = saveFor({ user: alice });
+  assert.equal(download.fileName, 'file.bin');
+  assert.equal(download.size, 64);
+  assert.equal(download.url, `/api/proxy/downloads/${download.id}`);
+});
+
+test('a user\'s download is only returned to that user', () => {
+  const { id } = saveFor({ user: alice, clientIp: '10.0.0.1' });
+
+  assert.equal(bodyService.getDownload(id, { user: alice, clientIp: '10.0.0.2' }).id, id);
+  assert.equal(bodyService.getDownload(id, { user: bob, clientIp: '10.0.0.1' }), null);
+  assert.equal(bodyService.getDownload(id, { clientIp: '10.0.0.1' }), null);
+});
+
+test('an anonymous download is only returned to the same anonymous client', () => {
+  const { id } = saveFor({ clientIp: '10.0.0.1' });
+
+  assert.equal(bodyService.getDownload(id, { clientIp: '10.0.0.1' }).id, id);
+  assert.equal(bodyService.getDownload(id, { clientIp: '10.0.0.2' }), null);
+  assert.equal(bodyService.getDownload(id, { user: alice, clientIp: '10.0.0.1' }), null);
+});
@@ -0,0 +1,89 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import collectionRoutes from '../routes/collections.js';
+import User from '../models/User.js';
+import Collection from '../models/Collection.js';
+import Folder from '../models/Folder.js';
+import Request from '../models/Request.js';
+import { generateToken } from '../middleware/auth.js';
+
+// Documents are validated by their schemas and kept in memory instead of MongoDB
+const stored = new Map();
+const storeDocument = (Model) => async (data) => {
+  const document = new Model(data);
+  await document.validate();
+  stored.set(document.id, document);
+  return document;
+};
+
+const user = new User({ username: 'owner', email: 'owner@example.com', password: 'password123' });
+const collection = new Collection({ name: 'Orders API', owner: user._id });
+
+let server;
+let baseUrl;
+let token;
+
+before(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  token = generateToken({ id: user.id });
+
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+  mock.method(Collection, 'findById', async (id) => (String(id) === collection.id ? collection : null));
+  mock.method(Collection, 'getNextOrder', async () => 0);
+  mock.method(Folder, 'create', storeDocument(Folder));
+  mock.method(Request, 'create', storeDocument(Request));
+  mock.method(Request, 'findOne', async ({ _id, collectionId }) => {
+    const request = stored.get(String(_id));
+    return request && String(request.collectionId) === String(collectionId) ? request : null;
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/collections', collectionRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/collections/${collection.id}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const call = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('creating a folder stores it in the collection', async () => {
+  const { status, body } = await call('POST', '/folders', { name: 'Admin', description: 'Admin endpoints' });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.folder.name, 'Admin');
+  assert.equal(body.data.folder.collectionId, collection.id);
+  assert.equal(body.data.folder.parent, null);
+});
+
+test('creating a request keeps its settings', async () => {
+  const settings = { followRedirects: false, verifySsl: false, timeout: 5000 };
+  const created = await call('POST', '/requests', { name: 'List orders', method: 'GET', url: 'https://api.example.com/orders', settings });
+
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.data.request.settings, settings);
+
+  const fetched = await call('GET', `/requests/${created.body.data.request._id}`);
+  assert.equal(fetched.status, 200);
+  assert.deepEqual(fetched.body.data.request.settings, settings);
+});
+
+test('creating a request with invalid settings is rejected', async () => {
+  const { status, body } = await call('POST', '/requests', { name: 'Bad', url: 'https://api.example.com', settings: { timeout: 'soon' } });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'INVALID_REQUEST_SETTINGS');
+});
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as grpc from '@grpc/grpc-js';
+import grpcService from '../services/grpcService.js';
+import outboundPolicyService from '../services/outboundPolicyService.js';
+
+const PROTO_FILES = [
+  {
+    name: 'common/text.proto',
+    content: `
+      syntax = "proto3";
+      package echo;
+      message Text { string text = 1; int32 count = 2; }
+    `
+  },
+  {
+    name: 'echo.proto',
+    content: `
+      syntax = "proto3";
+      package echo;
+      import "common/text.proto";
+      service Echo {
+        rpc Say (Text) returns (Text);
+        rpc Chat (stream Text) returns (stream Text);
+      }
+    `
+  }
+];
+
+let server;
+let target;
+let proto;
+
+before(async () => {
+  // The test server listens on loopback, which the default anonymous policy blocks
+  outboundPolicyService.cache.set('anonymous', {
+    policy: outboundPolicyService.compile({ ...outboundPolicyService.getDefaultPolicy('anonymous'), blockPrivateNetworks: false }),
+    loadedAt: Date.now()
+  });
+
+  proto = await grpcService.loadProtoFiles(PROTO_FILES, 'echo');
+  const { packageDefinition } = grpcService.protos.get(proto.id);
+  const { echo } = grpc.loadPackageDefinition(packageDefinition);
+
+  server = new grpc.Server();
+  server.addService(echo.Echo.service, {
+    Say: (call, callback) => {
+      if (call.request.text === 'missing') {
+        return callback({ code: grpc.status.NOT_FOUND, details: 'Nothing to say' });
+      }
+      call.sendMetadata(new grpc.Metadata());
+      callback(null, { text: call.request.text.toUpperCase(), count: call.request.count + 1 });
+    },
+    Chat: (call) => {
+      call.on('data', (message) => call.write({ text: `echo ${message.text}`, count: message.count }));
+      call.on('end', () => call.end());
+    }
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, bound) => (error ? reject(error) : resolve(bound)));
+  });
+  target = `127.0.0.1:${port}`;
+});
+
+after(() => {
+  server.forceShutdown();
+  outboundPolicyService.invalidate('anonymous');
+});
+
+test('uploaded proto files resolve imports between each other', () => {
+  const [service] = proto.services;
+  assert.equal(service.name, 'echo.Echo');
+  assert.deepEqual(service.methods.map(method => [method.name, method.type]), [['Say', 'unary'], ['Chat', 'bidi_streaming']]);
+});
+
+test('proto imports outside the uploaded files are rejected', async () => {
+  const files = [{ name: 'evil.proto', content: 'syntax = "proto3";\nimport "../../etc/secret.proto";' }];
+  await assert.rejects(grpcService.loadProtoFiles(files), { code: 'INVALID_PROTO', message: /imports must be paths inside the uploaded files/ });
+});
+
+test('a unary call returns the response and status', async () => {
+  const result = await grpcService.invoke({
+    protoId: proto.id,
+    target,
+    service: 'echo.Echo',
+    method: 'Say',
+    message: { text: 'hello', count: 1 }
+  });
+
+  assert.equal(result.method.type, 'unary');
+  assert.equal(result.status.name, 'OK');
+  assert.deepEqual(result.response, { text: 'HELLO', count: 2 });
+});
+
+test('a unary call that fails reports the status as a result', async () => {
+  const result = await grpcService.invoke({
+    protoId: proto.id,
+    target,
+    service: 'echo.Echo',
+    method: 'Say',
+    message: { text: 'missing' }
+  });
+
+  assert.equal(result.status.name, 'NOT_FOUND');
+  assert.equal(result.status.details, 'Nothing to say');
+  assert.equal(result.response, null);
+});
+
+test('a bidi streaming call sends every message and collects every response', async () => {
+  const result = await grpcService.invoke({
+    protoId: proto.id,
+    target,
+    service: 'echo.Echo',
+    method: 'Chat',
+    messages: [{ text: 'one', count: 1 }, { text: 'two', count: 2 }, { text: 'three', count: 3 }]
+  });
+
+  assert.equal(result.method.type, 'bidi_streaming');
+  assert.equal(result.status.name, 'OK');
+  assert.equal(result.messagesSent, 3);
+  assert.deepEqual(result.responses.map(response => response.text), ['echo one', 'echo two', 'echo three']);
+});
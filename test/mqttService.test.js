@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { Aedes } from 'aedes';
+import mqttService from '../services/mqttService.js';
+import outboundPolicyService from '../services/outboundPolicyService.js';
+
+let broker;
+let server;
+let brokerUrl;
+const connectionIds = [];
+
+// Poll until check returns a truthy value
+const waitFor = async (check, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the broker');
+};
+
+const connect = async (config = {}) => {
+  const result = await mqttService.createConnection({ url: brokerUrl, ...config });
+  assert.equal(result.success, true, result.error);
+  connectionIds.push(result.connectionId);
+  await waitFor(() => mqttService.connections.get(result.connectionId).status === 'connected');
+  return result.connectionId;
+};
+
+const received = (connectionId) => mqttService.getMessageHistory(connectionId)
+  .filter(message => message.type === 'message' && message.direction === 'received')
+  .reverse();
+
+before(async () => {
+  // The broker listens on loopback, which the default anonymous policy blocks
+  outboundPolicyService.cache.set('anonymous', {
+    policy: outboundPolicyService.compile({ ...outboundPolicyService.getDefaultPolicy('anonymous'), blockPrivateNetworks: false }),
+    loadedAt: Date.now()
+  });
+
+  broker = await Aedes.createBroker();
+  server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  brokerUrl = `mqtt://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  connectionIds.forEach(connectionId => mqttService.deleteConnection(connectionId));
+  await new Promise(resolve => broker.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+  outboundPolicyService.invalidate('anonymous');
+});
+
+test('wildcard subscriptions receive only matching topics', async () => {
+  const subscriber = await connect();
+  const publisher = await connect();
+
+  const subscribed = await mqttService.subscribe(subscriber, { topics: ['sensors/+/temperature', 'alerts/#'], qos: 1 });
+  assert.equal(subscribed.success, true);
+  assert.deepEqual(subscribed.granted.map(grant => grant.qos), [1, 1]);
+
+  for (const [topic, payload] of [
+    ['sensors/kitchen/temperature', '21.5'],
+    ['sensors/kitchen/humidity', '40'],
+    ['alerts/fire/floor1', { level: 'high' }]
+  ]) {
+    const published = await mqttService.publish(publisher, { topic, payload, qos: 1 });
+    assert.equal(published.success, true);
+  }
+
+  const messages = await waitFor(() => received(subscriber).length >= 2 && received(subscriber));
+  assert.deepEqual(messages.map(message => [message.topic, message.content]), [
+    ['sensors/kitchen/temperature', '21.5'],
+    ['alerts/fire/floor1', '{"level":"high"}']
+  ]);
+});
+
+test('retained messages are delivered to later subscribers', async () => {
+  const publisher = await connect();
+  const published = await mqttService.publish(publisher, { topic: 'status/device-1', payload: 'online', qos: 1, retain: true });
+  assert.equal(published.success, true);
+
+  const subscriber = await connect();
+  await mqttService.subscribe(subscriber, { topic: 'status/#' });
+
+  const [message] = await waitFor(() => received(subscriber).length > 0 && received(subscriber));
+  assert.equal(message.topic, 'status/device-1');
+  assert.equal(message.content, 'online');
+  assert.equal(message.retain, true);
+});
+
+test('publishing to a wildcard topic is rejected', async () => {
+  const publisher = await connect();
+  const result = await mqttService.publish(publisher, { topic: 'sensors/+/temperature', payload: '1' });
+  assert.deepEqual(result, { success: false, error: 'Publish needs a topic without wildcards' });
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import soapService from '../services/soapService.js';
+import proxyService from '../services/proxyService.js';
+import variableService from '../services/variableService.js';
+import outboundPolicyService from '../services/outboundPolicyService.js';
+
+const SOAP_11_FAULT = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <soap:Fault>
+      <faultcode>soap:Client</faultcode>
+      <faultstring>Invalid order number</faultstring>
+      <faultactor>http://example.com/orders</faultactor>
+      <detail>
+        <err:OrderError xmlns:err="http://example.com/errors">
+          <err:number>42</err:number>
+        </err:OrderError>
+      </detail>
+    </soap:Fault>
+  </soap:Body>
+</soap:Envelope>`;
+
+const SOAP_12_FAULT = `<?xml version="1.0" encoding="utf-8"?>
+<env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope" xmlns:m="http://example.com/errors">
+  <env:Body>
+    <env:Fault>
+      <env:Code>
+        <env:Value>env:Sender</env:Value>
+        <env:Subcode>
+          <env:Value>m:MessageTimeout</env:Value>
+          <env:Subcode><env:Value>m:Retry</env:Value></env:Subcode>
+        </env:Subcode>
+      </env:Code>
+      <env:Reason>
+        <env:Text xml:lang="en">Sender Timeout</env:Text>
+      </env:Reason>
+      <env:Node>http://example.com/relay</env:Node>
+      <env:Role>http://www.w3.org/2003/05/soap-envelope/role/ultimateReceiver</env:Role>
+      <env:Detail>
+        <m:MaxTime>P5M</m:MaxTime>
+      </env:Detail>
+    </env:Fault>
+  </env:Body>
+</env:Envelope>`;
+
+const SOAP_12_REQUEST = `<env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope">
+  <env:Body><GetOrder xmlns="http://example.com/orders"><number>42</number></GetOrder></env:Body>
+</env:Envelope>`;
+
+test('SOAP 1.1 faults are normalized from their unqualified children', () => {
+  const parsed = soapService.parseEnvelope(SOAP_11_FAULT);
+
+  assert.equal(parsed.version, '1.1');
+  assert.deepEqual(parsed.fault, {
+    code: 'Client',
+    subcodes: [],
+    reason: 'Invalid order number',
+    node: 'http://example.com/orders',
+    role: null,
+    detail: { OrderError: { number: '42' } }
+  });
+});
+
+test('SOAP 1.2 faults are normalized with their nested subcodes', () => {
+  const parsed = soapService.parseEnvelope(SOAP_12_FAULT);
+
+  assert.equal(parsed.version, '1.2');
+  assert.deepEqual(parsed.fault, {
+    code: 'Sender',
+    subcodes: ['MessageTimeout', 'Retry'],
+    reason: 'Sender Timeout',
+    node: 'http://example.com/relay',
+    role: 'http://www.w3.org/2003/05/soap-envelope/role/ultimateReceiver',
+    detail: { MaxTime: 'P5M' }
+  });
+});
+
+test('responses that are not SOAP envelopes are not parsed', () => {
+  assert.equal(soapService.parseResponse('<html><body>Bad gateway</body></html>'), null);
+  assert.equal(soapService.parseResponse('not xml at all <'), null);
+  assert.equal(soapService.parseEnvelope(SOAP_12_REQUEST).fault, null);
+});
+
+// A stand-in SOAP 1.2 server that answers every call with a fault
+let server;
+let serviceUrl;
+let received;
+
+before(async () => {
+  // The server listens on loopback, which the default anonymous policy blocks
+  outboundPolicyService.cache.set('anonymous', {
+    policy: outboundPolicyService.compile({ ...outboundPolicyService.getDefaultPolicy('anonymous'), blockPrivateNetworks: false }),
+    loadedAt: Date.now()
+  });
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { method: req.method, contentType: req.headers['content-type'], body };
+      res.writeHead(500, { 'Content-Type': 'application/soap+xml; charset=utf-8' }).end(SOAP_12_FAULT);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serviceUrl = `http://127.0.0.1:${server.address().port}/orders`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  outboundPolicyService.invalidate('anonymous');
+});
+
+test('a SOAP 1.2 call returns the server fault parsed', async () => {
+  const { failed, result } = await proxyService.executeRequest({
+    url: serviceUrl,
+    bodyType: 'soap',
+    body: { envelope: SOAP_12_REQUEST, action: 'http://example.com/orders/GetOrder' },
+    settings: { useCookieJar: false }
+  }, { variables: variableService.toScopeMaps() });
+
+  assert.equal(failed, false);
+  assert.equal(received.method, 'POST');
+  assert.equal(received.contentType, 'application/soap+xml; charset=utf-8; action="http://example.com/orders/GetOrder"');
+  assert.equal(received.body, SOAP_12_REQUEST);
+  assert.equal(result.status, 500);
+  assert.equal(result.soap.fault.code, 'Sender');
+  assert.deepEqual(result.soap.fault.subcodes, ['MessageTimeout', 'Retry']);
+});
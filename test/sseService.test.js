@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import sseService from '../services/sseService.js';
+import outboundPolicyService from '../services/outboundPolicyService.js';
+
+const LIMIT = 1000;
+const limits = { maxLineLength: sseService.maxLineLength, maxEventLength: sseService.maxEventLength };
+
+// Each path streams its events and leaves the response open, the way an event stream does
+const STREAMS = {
+  '/events': ['id: 1\nevent: greeting\ndata: hello\ndata: world\n\n', ': keep-alive\n', 'data: second\r\n\r\n'],
+  '/long-line': ['data: ', 'x'.repeat(LIMIT / 2), 'x'.repeat(LIMIT)],
+  '/large-event': [Array.from({ length: 30 }, () => `data: ${'y'.repeat(50)}\n`).join(''), '\n']
+};
+
+let server;
+let baseUrl;
+const connectionIds = [];
+
+// Poll until check returns a truthy value
+const waitFor = async (check, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the stream');
+};
+
+const open = async (path) => {
+  const result = await sseService.createConnection({ url: `${baseUrl}${path}`, autoReconnect: false });
+  assert.equal(result.success, true, result.error);
+  connectionIds.push(result.connectionId);
+  return result.connectionId;
+};
+
+const historyOf = (connectionId) => sseService.getMessageHistory(connectionId).reverse();
+
+before(async () => {
+  // The server listens on loopback, which the default anonymous policy blocks
+  outboundPolicyService.cache.set('anonymous', {
+    policy: outboundPolicyService.compile({ ...outboundPolicyService.getDefaultPolicy('anonymous'), blockPrivateNetworks: false }),
+    loadedAt: Date.now()
+  });
+  Object.assign(sseService, { maxLineLength: LIMIT, maxEventLength: LIMIT });
+
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const chunk of STREAMS[req.url]) res.write(chunk);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  connectionIds.forEach(connectionId => sseService.deleteConnection(connectionId));
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  Object.assign(sseService, limits);
+  outboundPolicyService.invalidate('anonymous');
+});
+
+test('events are parsed across lines and line endings', async () => {
+  const connectionId = await open('/events');
+  const events = await waitFor(() => {
+    const received = historyOf(connectionId).filter(message => message.type === 'message');
+    return received.length === 2 && received;
+  });
+
+  assert.deepEqual(events.map(event => [event.event, event.eventId, event.content]), [
+    ['greeting', '1', 'hello\nworld'],
+    ['message', '1', 'second']
+  ]);
+  assert.equal(sseService.connections.get(connectionId).status, 'connected');
+});
+
+test('a line longer than the limit closes the stream', async () => {
+  const connectionId = await open('/long-line');
+  await waitFor(() => sseService.connections.get(connectionId).status === 'error');
+
+  const errors = historyOf(connectionId).filter(message => message.type === 'error');
+  assert.deepEqual(errors.map(message => message.content), [`SSE error: Line exceeds ${LIMIT} characters`]);
+});
+
+test('an event with more data than the limit closes the stream without dispatching it', async () => {
+  const connectionId = await open('/large-event');
+  await waitFor(() => sseService.connections.get(connectionId).status === 'error');
+
+  const history = historyOf(connectionId);
+  assert.equal(history.some(message => message.type === 'message'), false);
+  assert.equal(history.some(message => message.content === `SSE error: Event data exceeds ${LIMIT} characters`), true);
+});
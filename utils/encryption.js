@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive the 256-bit key from the configured secret
+const getKey = () => {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be set to store credentials');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Encrypt a string as iv:authTag:ciphertext in base64
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a value produced by encrypt, throwing if it was tampered with
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+export {
+  encrypt,
+  decrypt
+};
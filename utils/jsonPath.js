@@ -0,0 +1,44 @@
+// One step of a JSONPath: .name, [0], [*], .* or ['quoted name']
+const JSON_PATH_STEP = /\.([^.[\]]+)|\[(\d+|\*)\]|\[(['"])(.*?)\3\]/y;
+
+// Split a JSONPath such as $.items[0].id or items[*]['display name'] into its steps.
+// The leading $ is optional. Returns null when the path cannot be parsed.
+const parseJsonPath = (expression) => {
+  let path = String(expression ?? '').trim().replace(/^\$/, '');
+  if (path && !path.startsWith('.') && !path.startsWith('[')) path = `.${path}`;
+
+  const steps = [];
+  let index = 0;
+  while (index < path.length) {
+    JSON_PATH_STEP.lastIndex = index;
+    const match = JSON_PATH_STEP.exec(path);
+    if (!match) return null;
+
+    steps.push(match[1] ?? match[2] ?? match[4]);
+    index = JSON_PATH_STEP.lastIndex;
+  }
+
+  return steps;
+};
+
+// Get every value a JSONPath selects, wildcards fan out over array items and object values
+const queryJsonPath = (data, expression) => {
+  const steps = parseJsonPath(expression);
+  if (!steps) return [];
+
+  let values = [data];
+  for (const step of steps) {
+    values = values.flatMap(value => {
+      if (value === null || typeof value !== 'object') return [];
+      if (step === '*') return Array.isArray(value) ? value : Object.values(value);
+      return Object.prototype.hasOwnProperty.call(value, step) ? [value[step]] : [];
+    });
+  }
+
+  return values;
+};
+
+export {
+  parseJsonPath,
+  queryJsonPath
+};
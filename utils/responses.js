@@ -0,0 +1,31 @@
+// Send a consistent error response for failed route handlers.
+// Mongoose cast and validation errors become 400s, anything else a 500 with the given code.
+const sendError = (res, error, message, code) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format.',
+      error: 'INVALID_ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed.',
+      error: 'VALIDATION_ERROR',
+      details: errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: code
+  });
+};
+
+export {
+  sendError
+};